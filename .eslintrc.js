@@ -5,6 +5,8 @@ module.exports = {
   },
   globals: {
     document: true,
+    navigator: true,
+    window: true,
   },
   rules: {
     "class-methods-use-this": "off",
@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+/* eslint no-console:off */
+
+// Generate TypeScript declarations for the API of a Mopidy server, including
+// the APIs of its extensions.
+
+const fs = require("fs");
+const Mopidy = require("../src/mopidy");
+const { generateDeclarations } = require("../src/dts");
+
+const USAGE = `Usage: mopidy-dts [options] <ws://host:6680/mopidy/ws | describe.json>
+
+Reads the output of core.describe from a running Mopidy server, or from a JSON
+file, and writes TypeScript declarations for the API to stdout.
+
+Options:
+  --out <file>       Write the declarations to a file instead
+  --module <name>    The module to import Mopidy from (default: mopidy)
+  --camel-case       Use camelCase param names, for caseConversion: "camel"
+  --help             Show this help`;
+
+function parseArgs(argv) {
+  const args = { source: null, out: null, moduleName: "mopidy" };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === "--help") {
+      args.help = true;
+    } else if (arg === "--out") {
+      i += 1;
+      args.out = argv[i];
+    } else if (arg === "--module") {
+      i += 1;
+      args.moduleName = argv[i];
+    } else if (arg === "--camel-case") {
+      args.caseConversion = "camel";
+    } else if (!args.source && !arg.startsWith("--")) {
+      args.source = arg;
+    } else {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+  }
+  return args;
+}
+
+function describeServer(webSocketUrl) {
+  return new Promise((resolve, reject) => {
+    const mopidy = new Mopidy({
+      webSocketUrl,
+      maxReconnectAttempts: 1,
+      console: { warn() {} },
+    });
+    mopidy.on("state:online", () => {
+      resolve(mopidy._apiSpec);
+      mopidy.close();
+      mopidy.off();
+    });
+    mopidy.on("reconnectionFailed", () => {
+      mopidy.close();
+      mopidy.off();
+      reject(new Error(`Could not connect to ${webSocketUrl}`));
+    });
+  });
+}
+
+function readSource(source) {
+  if (/^wss?:\/\//.test(source)) {
+    return describeServer(source);
+  }
+  return Promise.resolve().then(() =>
+    JSON.parse(fs.readFileSync(source, "utf8"))
+  );
+}
+
+function main(argv) {
+  const args = parseArgs(argv);
+  if (args.help || !args.source) {
+    console.log(USAGE);
+    return Promise.resolve(args.help ? 0 : 1);
+  }
+  return readSource(args.source).then((methods) => {
+    const declarations = generateDeclarations(methods, {
+      moduleName: args.moduleName,
+      caseConversion: args.caseConversion,
+    });
+    if (args.out) {
+      fs.writeFileSync(args.out, declarations);
+    } else {
+      process.stdout.write(declarations);
+    }
+    return 0;
+  });
+}
+
+main(process.argv.slice(2)).then(
+  (exitCode) => {
+    process.exitCode = exitCode;
+  },
+  (error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  }
+);
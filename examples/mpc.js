@@ -46,13 +46,11 @@ function renderPosition(track, timePosition) {
 }
 
 async function showPlaybackInfo() {
-  const trackPromise = mopidy.playback.getCurrentTrack();
-  const statePromise = mopidy.playback.getState();
-  const timePositionPromise = mopidy.playback.getTimePosition();
-
-  const track = await trackPromise;
-  const state = await statePromise;
-  const timePosition = await timePositionPromise;
+  const [track, state, timePosition] = await mopidy.batch((b) => [
+    b.playback.getCurrentTrack(),
+    b.playback.getState(),
+    b.playback.getTimePosition(),
+  ]);
 
   if (state === "stopped") {
     return;
@@ -67,17 +65,18 @@ async function showPlaybackInfo() {
 }
 
 async function showTracklistInfo() {
-  const volumePromise = mopidy.mixer.getVolume();
-  const repeatPromise = mopidy.tracklist.getRepeat();
-  const randomPromise = mopidy.tracklist.getRandom();
-  const singlePromise = mopidy.tracklist.getSingle();
-  const consumePromise = mopidy.tracklist.getConsume();
-
-  const volume = (await volumePromise).toString().padStart(3, " ");
-  const repeat = ((await repeatPromise) && "on ") || "off";
-  const random = ((await randomPromise) && "on ") || "off";
-  const single = ((await singlePromise) && "on ") || "off";
-  const consume = ((await consumePromise) && "on ") || "off";
+  const [volumeLevel, ...options] = await mopidy.batch((b) => [
+    b.mixer.getVolume(),
+    b.tracklist.getRepeat(),
+    b.tracklist.getRandom(),
+    b.tracklist.getSingle(),
+    b.tracklist.getConsume(),
+  ]);
+
+  const volume = volumeLevel.toString().padStart(3, " ");
+  const [repeat, random, single, consume] = options.map(
+    (enabled) => (enabled && "on ") || "off"
+  );
 
   console.log(
     `volume:${volume}%   ` +
@@ -88,15 +87,19 @@ async function showTracklistInfo() {
   );
 }
 
-mopidy.on("state:online", async () => {
-  await showPlaybackInfo();
-  await showTracklistInfo();
-  process.exit();
-});
-
 mopidy.on("websocket:error", (error) => {
   console.log(`WebSocket error: ${error.message}`);
   process.exit(1);
 });
 
-mopidy.connect();
+async function main() {
+  await mopidy.connect();
+  await showPlaybackInfo();
+  await showTracklistInfo();
+  await mopidy.close();
+}
+
+main().catch((error) => {
+  console.log(error.message);
+  process.exit(1);
+});
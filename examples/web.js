@@ -1,7 +1,7 @@
-/* global window */
 /* eslint no-console:off, camelcase:off */
 
 import Mopidy from "../src/mopidy";
+import { SessionRecorder } from "../src/recorder";
 
 const mopidy = new Mopidy({
   webSocketUrl: "ws://localhost:6680/mopidy/ws",
@@ -10,6 +10,12 @@ const mopidy = new Mopidy({
 // Make instance available through developer console
 window.mopidy = mopidy;
 
+// Open the page with ?record and run copy(JSON.stringify(recorder)) in the
+// developer console to copy a recording of the session, e.g. for a bug report
+if (new URLSearchParams(window.location.search).has("record")) {
+  window.recorder = new SessionRecorder(mopidy, { maxEntries: 10000 });
+}
+
 // Utilities
 
 function el(id) {
@@ -53,9 +59,15 @@ mopidy.on("websocket:outgoingMessage", (data) =>
 
 // Player
 
+const positionTracker = new Mopidy.PositionTracker(mopidy);
+let currentPlaybackState = "stopped";
+
 function updatePlaybackState(state, timePosition) {
+  currentPlaybackState = state;
   if (timePosition) {
-    el("playback-state").innerText = `${state} at ${timePosition / 1000}s`;
+    el("playback-state").innerText = `${state} at ${Math.floor(
+      timePosition / 1000
+    )}s`;
   } else {
     el("playback-state").innerText = state;
   }
@@ -147,12 +159,10 @@ mopidy.on("event:trackPlaybackStopped", () => {
   updatePlaybackState("stopped");
 });
 
-mopidy.on("event:trackPlaybackPaused", ({ time_position }) => {
-  updatePlaybackState("paused", time_position);
+positionTracker.on("position", (timePosition) => {
+  updatePlaybackState(currentPlaybackState, timePosition);
 });
 
-mopidy.on("event:trackPlaybackResumed", () => {});
-
 mopidy.on("event:optionsChanged", () => {
   mopidy.tracklist
     .getRepeat()
@@ -0,0 +1,218 @@
+// Walks the library below a URI, yielding refs in depth-first order while
+// browsing the next directories in parallel.
+
+const { AbortError } = require("./errors");
+
+const DEFAULT_OPTIONS = {
+  depth: Infinity,
+  types: null,
+  concurrency: 4,
+  lookupTracks: false,
+  lookupBatchSize: 50,
+  signal: undefined,
+};
+
+// Runs at most `concurrency` tasks at a time, in the order they were added
+function createLimiter(concurrency) {
+  let active = 0;
+  let queue = [];
+  const runNext = () => {
+    if (active >= concurrency || queue.length === 0) {
+      return;
+    }
+    active += 1;
+    const { task, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .then(() => {
+        active -= 1;
+        runNext();
+      });
+  };
+  const limit = (task) =>
+    new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject });
+      runNext();
+    });
+  limit.clear = () => {
+    queue = [];
+  };
+  return limit;
+}
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+class BrowseTree {
+  constructor(mopidy, uri, options = {}) {
+    this._mopidy = mopidy;
+    this._options = { ...DEFAULT_OPTIONS, ...options };
+    const { concurrency, lookupBatchSize } = this._options;
+    if (!(concurrency >= 1)) {
+      throw new TypeError("Expected concurrency to be at least 1.");
+    }
+    if (!(lookupBatchSize >= 1)) {
+      throw new TypeError("Expected lookupBatchSize to be at least 1.");
+    }
+    this._limit = createLimiter(concurrency);
+    this._listings = new Map();
+    // Directories are only browsed once, so that cycles in the library,
+    // e.g. through symlinks, don't make the walk go on forever.
+    this._visited = new Set([uri]);
+    this._stack = [{ type: "directory", uri, depth: 0 }];
+    this._output = [];
+    this._done = false;
+    this._last = Promise.resolve();
+  }
+
+  [Symbol.asyncIterator]() {
+    return this;
+  }
+
+  next() {
+    // Calls to next() are handled one at a time, like in an async generator
+    const result = this._last.then(() =>
+      this._step().catch((error) => {
+        this._finish();
+        throw error;
+      })
+    );
+    this._last = result.catch(() => {});
+    return result;
+  }
+
+  return(value) {
+    this._finish();
+    return Promise.resolve({ value, done: true });
+  }
+
+  _step() {
+    if (this._done) {
+      return Promise.resolve({ value: undefined, done: true });
+    }
+    const { signal } = this._options;
+    if (signal && signal.aborted) {
+      return Promise.reject(new AbortError("Request aborted"));
+    }
+    if (this._output.length > 0) {
+      return Promise.resolve({ value: this._output.shift(), done: false });
+    }
+    if (this._stack.length === 0) {
+      this._finish();
+      return this._step();
+    }
+    const entry = this._stack.pop();
+    switch (entry.type) {
+      case "ref":
+        return Promise.resolve({ value: entry.ref, done: false });
+      case "tracks":
+        return entry.tracks.then((tracks) => {
+          this._output.push(...tracks);
+          return this._step();
+        });
+      default:
+        return this._browse(entry).then((refs) => {
+          this._listings.delete(entry);
+          this._expand(entry, refs || []);
+          return this._step();
+        });
+    }
+  }
+
+  _expand(directory, refs) {
+    const { depth, types, lookupTracks, lookupBatchSize } = this._options;
+    const entries = [];
+    let trackRefs = [];
+    const addTracks = () => {
+      chunk(trackRefs, lookupBatchSize).forEach((refsToLookup) => {
+        entries.push({ type: "tracks", tracks: this._lookup(refsToLookup) });
+      });
+      trackRefs = [];
+    };
+
+    const childDepth = directory.depth + 1;
+    refs.forEach((ref) => {
+      if (!types || types.includes(ref.type)) {
+        if (ref.type === "track" && lookupTracks) {
+          trackRefs.push(ref);
+        } else {
+          addTracks();
+          entries.push({ type: "ref", ref });
+        }
+      }
+      if (
+        ref.type !== "track" &&
+        childDepth < depth &&
+        !this._visited.has(ref.uri)
+      ) {
+        addTracks();
+        this._visited.add(ref.uri);
+        entries.push({ type: "directory", uri: ref.uri, depth: childDepth });
+      }
+    });
+    addTracks();
+
+    this._stack.push(...entries.reverse());
+    this._prefetch();
+  }
+
+  _prefetch() {
+    // Start browsing the directories that are next in line
+    let count = 0;
+    for (
+      let i = this._stack.length - 1;
+      i >= 0 && count < this._options.concurrency;
+      i -= 1
+    ) {
+      if (this._stack[i].type === "directory") {
+        this._browse(this._stack[i]);
+        count += 1;
+      }
+    }
+  }
+
+  _browse(directory) {
+    if (!this._listings.has(directory)) {
+      const listing = this._limit(() =>
+        this._call("core.library.browse", { uri: directory.uri })
+      );
+      // Failures are reported when the walk gets to the directory
+      listing.catch(() => {});
+      this._listings.set(directory, listing);
+    }
+    return this._listings.get(directory);
+  }
+
+  _lookup(refs) {
+    const tracks = this._limit(() =>
+      this._call("core.library.lookup", { uris: refs.map((ref) => ref.uri) })
+    ).then((result) =>
+      refs.reduce((all, ref) => all.concat(result[ref.uri] || []), [])
+    );
+    tracks.catch(() => {});
+    return tracks;
+  }
+
+  _call(method, params) {
+    return this._mopidy._send(
+      { method, params },
+      { signal: this._options.signal }
+    );
+  }
+
+  _finish() {
+    this._done = true;
+    this._stack = [];
+    this._output = [];
+    this._listings.clear();
+    this._limit.clear();
+  }
+}
+
+module.exports = BrowseTree;
@@ -0,0 +1,158 @@
+// Adds many URIs to the tracklist in chunks, one tracklist.add call at a
+// time, so that adding a big playlist neither times out nor blocks the server.
+
+const EventEmitter = require("events");
+
+const DEFAULT_OPTIONS = {
+  chunkSize: 100,
+  atPosition: null,
+  lookup: false,
+  signal: undefined,
+};
+
+class BulkAdd extends EventEmitter {
+  constructor(mopidy, uris, options = {}) {
+    super();
+    if (!Array.isArray(uris)) {
+      throw new TypeError("Expected uris to be an array.");
+    }
+    this._mopidy = mopidy;
+    this._options = { ...DEFAULT_OPTIONS, ...options };
+    if (!(this._options.chunkSize >= 1)) {
+      throw new TypeError("Expected chunkSize to be at least 1.");
+    }
+    this._uris = [...uris];
+    const { atPosition } = this._options;
+    this._position = typeof atPosition === "number" ? atPosition : null;
+    this._cancelled = false;
+    this._result = null;
+    this.total = this._uris.length;
+    this.processed = 0;
+    this.added = [];
+    this.failed = [];
+  }
+
+  /**
+   * Start adding the URIs. Resolves when all chunks have been added, or when
+   * cancelled. Calling run() again returns the same promise.
+   */
+  run() {
+    if (!this._result) {
+      const { signal } = this._options;
+      const onAbort = () => this.cancel();
+      if (signal) {
+        signal.addEventListener("abort", onAbort);
+      }
+      const cleanup = () => {
+        if (signal) {
+          signal.removeEventListener("abort", onAbort);
+        }
+      };
+      this._result = this._next().then(
+        (result) => {
+          cleanup();
+          return result;
+        },
+        (error) => {
+          cleanup();
+          throw error;
+        }
+      );
+    }
+    return this._result;
+  }
+
+  /**
+   * Stop adding URIs. The chunk that is being added, if any, is added
+   * anyway, and then run() resolves with cancelled set to true.
+   */
+  cancel() {
+    this._cancelled = true;
+  }
+
+  _next() {
+    const { signal, chunkSize } = this._options;
+    if (this._cancelled || (signal && signal.aborted)) {
+      return Promise.resolve(this._summary(true));
+    }
+    if (this.processed >= this.total) {
+      return Promise.resolve(this._summary(false));
+    }
+    const chunk = this._uris.slice(this.processed, this.processed + chunkSize);
+    const adding = this._options.lookup
+      ? this._resolve(chunk).then(({ resolved, failed }) =>
+          this._add(resolved).then((added) => ({ added, failed }))
+        )
+      : this._add(chunk).then((added) => ({
+          added,
+          failed: this._unmatched(chunk, added),
+        }));
+    return adding.then(({ added, failed }) => {
+      if (this._position !== null) {
+        // The next chunk goes right after the tracks added now
+        this._position += added.length;
+      }
+      this.processed += chunk.length;
+      this.added.push(...added);
+      this.failed.push(...failed);
+      this.emit("progress", {
+        processed: this.processed,
+        total: this.total,
+        tlTracks: added,
+        failed,
+      });
+      return this._next();
+    });
+  }
+
+  // tracklist.add leaves out the URIs that don't resolve to any track. An
+  // album URI expands to the tracks of the album, so those match it too.
+  _unmatched(uris, tlTracks) {
+    const found = new Set();
+    tlTracks.forEach(({ track }) => {
+      if (track) {
+        found.add(track.uri);
+        if (track.album) {
+          found.add(track.album.uri);
+        }
+      }
+    });
+    return uris.filter((uri) => !found.has(uri));
+  }
+
+  // Other URIs, like playlists, may also expand to many tracks, or be
+  // rewritten by the backend, so the added tracks can't be matched to them.
+  // With the lookup option, look them up first, and only add the URIs that
+  // resolve to any tracks.
+  _resolve(uris) {
+    return this._mopidy
+      ._send({ method: "core.library.lookup", params: { uris } })
+      .then((results) => {
+        const found = (uri) =>
+          Boolean(results && results[uri] && results[uri].length > 0);
+        return {
+          resolved: uris.filter(found),
+          failed: uris.filter((uri) => !found(uri)),
+        };
+      });
+  }
+
+  _add(uris) {
+    if (uris.length === 0) {
+      return Promise.resolve([]);
+    }
+    const params = { uris };
+    if (this._position !== null) {
+      params.at_position = this._position;
+    }
+    return this._mopidy
+      ._send({ method: "core.tracklist.add", params })
+      .then((tlTracks) => tlTracks || []);
+  }
+
+  _summary(cancelled) {
+    return { added: this.added, failed: this.failed, cancelled };
+  }
+}
+
+module.exports = BulkAdd;
@@ -0,0 +1,67 @@
+// Only keys that look like identifiers are converted, so that e.g. the URIs
+// used as keys in the results of library.lookup() are left alone.
+const SNAKE_CASE_KEY = /^[a-z][a-z0-9]*(_[a-z0-9]+)+$/;
+const CAMEL_CASE_KEY = /^[a-z][a-z0-9]*([A-Z][a-z0-9]*)+$/;
+
+function snakeToCamel(name) {
+  return name.replace(/(_[a-z])/g, (match) =>
+    match.toUpperCase().replace("_", "")
+  );
+}
+
+function camelToSnake(name) {
+  return name.replace(/[A-Z]/g, (match) => `_${match.toLowerCase()}`);
+}
+
+function isPlainObject(value) {
+  if (value === null || typeof value !== "object") {
+    return false;
+  }
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+function convertKeys(value, pattern, convert) {
+  if (Array.isArray(value)) {
+    return value.map((item) => convertKeys(item, pattern, convert));
+  }
+  // Model instances are left alone: they have camelCase aliases for their
+  // fields already, and serialize themselves to snake_case.
+  if (!isPlainObject(value)) {
+    return value;
+  }
+  const result = {};
+  Object.keys(value).forEach((key) => {
+    const newKey = pattern.test(key) ? convert(key) : key;
+    result[newKey] = convertKeys(value[key], pattern, convert);
+  });
+  return result;
+}
+
+function toCamelCase(value) {
+  return convertKeys(value, SNAKE_CASE_KEY, snakeToCamel);
+}
+
+function toSnakeCase(value) {
+  return convertKeys(value, CAMEL_CASE_KEY, camelToSnake);
+}
+
+// Read a field from event data or a result, regardless of whether the keys
+// have been converted to camelCase or not.
+function getField(data, snakeName) {
+  if (!data) {
+    return undefined;
+  }
+  if (typeof data[snakeName] !== "undefined") {
+    return data[snakeName];
+  }
+  return data[snakeToCamel(snakeName)];
+}
+
+module.exports = {
+  snakeToCamel,
+  camelToSnake,
+  toCamelCase,
+  toSnakeCase,
+  getField,
+};
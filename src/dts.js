@@ -0,0 +1,230 @@
+// Generates TypeScript declarations for the API of a Mopidy server, including
+// the APIs of extensions, from the output of core.describe.
+
+const { snakeToCamel } = require("./case-conversion");
+
+const INDENT = "  ";
+
+function getPath(fullName) {
+  // Same as Mopidy._buildApi(): core methods live on the Mopidy instance
+  let path = fullName.split(".");
+  if (path.length >= 1 && path[0] === "core") {
+    path = path.slice(1);
+  }
+  return path.map(snakeToCamel);
+}
+
+function interfaceName(objPath) {
+  const name = objPath
+    .map((part) => part.charAt(0).toUpperCase() + part.slice(1))
+    .join("");
+  return `${name}Api`;
+}
+
+// Words that can't be used as identifiers, like tuple element labels
+const RESERVED_WORDS = [
+  "break",
+  "case",
+  "catch",
+  "class",
+  "const",
+  "continue",
+  "debugger",
+  "default",
+  "delete",
+  "do",
+  "else",
+  "enum",
+  "export",
+  "extends",
+  "false",
+  "finally",
+  "for",
+  "function",
+  "if",
+  "implements",
+  "import",
+  "in",
+  "instanceof",
+  "interface",
+  "let",
+  "new",
+  "null",
+  "package",
+  "private",
+  "protected",
+  "public",
+  "return",
+  "static",
+  "super",
+  "switch",
+  "this",
+  "throw",
+  "true",
+  "try",
+  "typeof",
+  "var",
+  "void",
+  "while",
+  "with",
+  "yield",
+];
+
+function labelName(name) {
+  const label = name.replace(/[^\w$]/g, "_").replace(/^(?=\d|$)/, "_");
+  return RESERVED_WORDS.includes(label) ? `${label}_` : label;
+}
+
+function propertyName(name) {
+  return /^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name);
+}
+
+// Python docstrings have all lines but the first indented
+function dedent(text) {
+  const lines = text.replace(/\s+$/, "").split("\n");
+  const indents = lines
+    .slice(1)
+    .filter((line) => line.trim())
+    .map((line) => line.match(/^ */)[0].length);
+  const indent = indents.length ? Math.min(...indents) : 0;
+  return [lines[0].trim(), ...lines.slice(1).map((line) => line.slice(indent))];
+}
+
+function docComment(text, indent) {
+  if (!text || !text.trim()) {
+    return [];
+  }
+  const lines = dedent(text).map((line) =>
+    `${indent} * ${line.replace(/\*\//g, "*\\/")}`.replace(/\s+$/, "")
+  );
+  return [`${indent}/**`, ...lines, `${indent} */`];
+}
+
+function typeOfDefault(param) {
+  if (!Object.hasOwnProperty.call(param, "default")) {
+    return "unknown";
+  }
+  const type = typeof param.default;
+  if (
+    param.default === null ||
+    !["boolean", "number", "string"].includes(type)
+  ) {
+    return "unknown";
+  }
+  return type;
+}
+
+function paramsType(params, caseConversion) {
+  const specs = (params || []).map((param) =>
+    typeof param === "string" ? { name: param } : param
+  );
+  const named = specs.filter((param) => !param.varargs && !param.kwargs);
+  const varargs = specs.find((param) => param.varargs);
+  const kwargs = specs.find((param) => param.kwargs);
+  if (!named.length && !varargs && !kwargs) {
+    return { type: "undefined", optional: true };
+  }
+
+  const keyName = (name) =>
+    caseConversion === "camel" ? snakeToCamel(name) : name;
+  const isOptional = (param) => Object.hasOwnProperty.call(param, "default");
+
+  const byName = named.map(
+    (param) =>
+      `${propertyName(keyName(param.name))}${
+        isOptional(param) ? "?" : ""
+      }: ${typeOfDefault(param)}`
+  );
+  if (kwargs) {
+    byName.push("[key: string]: unknown");
+  }
+  const byPosition = named.map(
+    (param) =>
+      `${labelName(keyName(param.name))}${
+        isOptional(param) ? "?" : ""
+      }: ${typeOfDefault(param)}`
+  );
+  if (varargs) {
+    byPosition.push(`...${labelName(keyName(varargs.name))}: unknown[]`);
+  }
+
+  return {
+    type: `{ ${byName.join("; ")} } | [${byPosition.join(", ")}]`,
+    optional: named.every(isOptional),
+  };
+}
+
+/**
+ * Generate TypeScript declarations from the output of core.describe.
+ *
+ * Each object in the API, like "playback" or the namespace of an extension,
+ * becomes an interface, and the generated Api interface describes the whole
+ * API of the Mopidy instance.
+ */
+function generateDeclarations(methods, options = {}) {
+  const moduleName = options.moduleName || "mopidy";
+  const { caseConversion } = options;
+  const mopidyType = caseConversion === "camel" ? 'Mopidy<"camel">' : "Mopidy";
+
+  // Build a tree of objects, like Mopidy._buildApi() does
+  const root = { path: [], objects: {}, methods: {} };
+  Object.keys(methods)
+    .sort()
+    .forEach((fullName) => {
+      const path = getPath(fullName);
+      let obj = root;
+      path.slice(0, -1).forEach((part) => {
+        if (!obj.objects[part]) {
+          obj.objects[part] = {
+            path: [...obj.path, part],
+            objects: {},
+            methods: {},
+          };
+        }
+        obj = obj.objects[part];
+      });
+      obj.methods[path[path.length - 1]] = methods[fullName];
+    });
+
+  const interfaces = [];
+  const addInterface = (obj, name) => {
+    const members = [];
+    Object.keys(obj.objects).forEach((objName) => {
+      const child = obj.objects[objName];
+      members.push(
+        `${INDENT}${propertyName(objName)}: ${interfaceName(child.path)};`
+      );
+      addInterface(child, interfaceName(child.path));
+    });
+    Object.keys(obj.methods).forEach((methodName) => {
+      const method = obj.methods[methodName];
+      const params = paramsType(method.params, caseConversion);
+      members.push(
+        ...docComment(method.description, INDENT),
+        `${INDENT}${propertyName(methodName)}(`,
+        `${INDENT}${INDENT}params${params.optional ? "?" : ""}: ${
+          params.type
+        },`,
+        `${INDENT}${INDENT}options?: Mopidy.CallOptions`,
+        `${INDENT}): Promise<any>;`
+      );
+    });
+    interfaces.push([`export interface ${name} {`, ...members, "}"].join("\n"));
+  };
+  addInterface(root, "Api");
+
+  return [
+    "// Generated by mopidy-dts from the core.describe output of a Mopidy server",
+    "",
+    `import Mopidy = require(${JSON.stringify(moduleName)});`,
+    "",
+    ...interfaces.map((declaration) => `${declaration}\n`),
+    "/**",
+    " * A Mopidy instance with the generated API, once it is online.",
+    " */",
+    `export type MopidyWithApi = Omit<${mopidyType}, keyof Api> & Api;`,
+    "",
+  ].join("\n");
+}
+
+module.exports = { generateDeclarations };
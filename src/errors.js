@@ -0,0 +1,54 @@
+// The errors that Mopidy.js rejects calls with. They are available as
+// Mopidy.ConnectionError and so on, and live here so that the helper modules
+// can use them without requiring Mopidy.js.
+
+class ConnectionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ConnectionError";
+  }
+}
+
+class ServerError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ServerError";
+  }
+}
+
+class TimeoutError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "TimeoutError";
+  }
+}
+
+class AbortError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "AbortError";
+  }
+}
+
+class ParameterError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ParameterError";
+  }
+}
+
+class ConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ConflictError";
+  }
+}
+
+module.exports = {
+  ConnectionError,
+  ServerError,
+  TimeoutError,
+  AbortError,
+  ParameterError,
+  ConflictError,
+};
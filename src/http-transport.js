@@ -0,0 +1,123 @@
+// Sends JSON-RPC messages to Mopidy using HTTP POST requests, while looking
+// like a WebSocket to the rest of Mopidy.js. Mopidy can't push events over
+// HTTP, so no events are ever received.
+
+const CONNECTING = 0;
+const OPEN = 1;
+const CLOSING = 2;
+const CLOSED = 3;
+
+class HttpTransport {
+  constructor(url, options = {}) {
+    this.url = url;
+    this.readyState = CONNECTING;
+    this.onopen = null;
+    this.onclose = null;
+    this.onerror = null;
+    this.onmessage = null;
+    this._fetch = options.fetch || ((...args) => fetch(...args));
+    this._controllers = [];
+
+    // There is no connection to set up, but like a WebSocket, wait for the
+    // handlers to be attached before opening.
+    setTimeout(() => {
+      if (this.readyState === CONNECTING) {
+        this.readyState = OPEN;
+        if (this.onopen) {
+          this.onopen();
+        }
+      }
+    }, 0);
+  }
+
+  send(data) {
+    if (this.readyState !== OPEN) {
+      throw new Error("HTTP transport is not open");
+    }
+    const controller =
+      typeof AbortController !== "undefined" ? new AbortController() : null;
+    if (controller) {
+      this._controllers.push(controller);
+    }
+    const done = () => {
+      this._controllers = this._controllers.filter((c) => c !== controller);
+    };
+    this._fetch(this.url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: data,
+      signal: controller ? controller.signal : undefined,
+    })
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status} ${response.statusText}`);
+        }
+        return response.text();
+      })
+      .then(
+        (text) => {
+          done();
+          if (this.readyState === OPEN && text && this.onmessage) {
+            this.onmessage({ data: text });
+          }
+        },
+        (error) => {
+          done();
+          if (this.readyState !== OPEN) {
+            return;
+          }
+          if (this.onerror) {
+            this.onerror(error);
+          }
+          // Without a response, we don't know which calls failed. Like a
+          // WebSocket losing its connection, fail all of them.
+          this._close({ code: 1006, reason: error.message, wasClean: false });
+        }
+      );
+  }
+
+  close() {
+    if (this.readyState === CLOSING || this.readyState === CLOSED) {
+      return;
+    }
+    this._close({ code: 1000, reason: "", wasClean: true });
+  }
+
+  _close(closeEvent) {
+    this.readyState = CLOSED;
+    this._controllers.forEach((controller) => controller.abort());
+    this._controllers = [];
+    if (this.onclose) {
+      this.onclose(closeEvent);
+    }
+  }
+}
+
+// Resolves to whether or not the JSON-RPC endpoint at url answers, without
+// ever rejecting.
+HttpTransport.probe = (url, options = {}) => {
+  const fetchFn = options.fetch || ((...args) => fetch(...args));
+  return Promise.resolve()
+    .then(() =>
+      fetchFn(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          jsonrpc: "2.0",
+          id: 0,
+          method: "core.get_version",
+        }),
+      })
+    )
+    .then(
+      (response) => response.ok,
+      () => false
+    );
+};
+
+HttpTransport.CONNECTING = CONNECTING;
+HttpTransport.OPEN = OPEN;
+HttpTransport.CLOSING = CLOSING;
+HttpTransport.CLOSED = CLOSED;
+
+module.exports = HttpTransport;
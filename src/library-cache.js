@@ -0,0 +1,206 @@
+// Caches the per-URI results of library.lookup and library.getImages, so that
+// apps showing the same albums over and over don't have to ask Mopidy again.
+
+const { touch, evict, remember } = require("./lru");
+
+const FORMAT_VERSION = 1;
+
+const DEFAULT_OPTIONS = {
+  maxEntries: 1000,
+  ttl: 0,
+  storage: null,
+  storageKey: "mopidy-library-cache",
+  now: () => Date.now(),
+  decode: (value) => value,
+  onError: () => {},
+};
+
+class LibraryCache {
+  constructor(options = {}) {
+    this._options = { ...DEFAULT_OPTIONS, ...options };
+    this._now = this._options.now;
+    // Least recently used first, see lru.js
+    this._entries = new Map();
+    this._inFlight = new Map();
+    this._saveScheduled = false;
+    this._generation = 0;
+    this.loaded = this._load();
+  }
+
+  /**
+   * Get the values for the URIs, calling fetchMissing with the URIs that are
+   * neither cached nor already being fetched. Resolves with an object with a
+   * value per URI, like library.lookup does.
+   *
+   * Later calls for the same URIs wait for the same fetch, so it shouldn't
+   * depend on the caller, e.g. on its timeout or abort signal.
+   */
+  get(namespace, uris, fetchMissing) {
+    const missing = [];
+    const values = {};
+    const waiting = [];
+    uris.forEach((uri) => {
+      const key = `${namespace}:${uri}`;
+      if (this._has(key)) {
+        values[uri] = touch(this._entries, key).value;
+      } else if (this._inFlight.has(key)) {
+        waiting.push(
+          this._inFlight.get(key).then((value) => {
+            values[uri] = value;
+          })
+        );
+      } else if (!missing.includes(uri)) {
+        missing.push(uri);
+      }
+    });
+
+    if (missing.length > 0) {
+      const generation = this._generation;
+      const request = Promise.resolve().then(() => fetchMissing(missing));
+      missing.forEach((uri) => {
+        const key = `${namespace}:${uri}`;
+        const promise = request.then(
+          (result) => {
+            this._inFlight.delete(key);
+            const value = result ? result[uri] : undefined;
+            // Don't cache results that were invalidated while in flight
+            if (
+              typeof value !== "undefined" &&
+              generation === this._generation
+            ) {
+              this._set(key, value);
+            }
+            return value;
+          },
+          (error) => {
+            this._inFlight.delete(key);
+            throw error;
+          }
+        );
+        this._inFlight.set(key, promise);
+        waiting.push(
+          promise.then((value) => {
+            values[uri] = value;
+          })
+        );
+      });
+    }
+
+    return Promise.all(waiting).then(() => {
+      const result = {};
+      uris.forEach((uri) => {
+        if (typeof values[uri] !== "undefined") {
+          result[uri] = values[uri];
+        }
+      });
+      return result;
+    });
+  }
+
+  /**
+   * Forget the cached values for URIs starting with the prefix, or all
+   * cached values if no prefix is given.
+   */
+  invalidate(prefix) {
+    this._generation += 1;
+    if (typeof prefix !== "string" || prefix === "") {
+      this._entries.clear();
+    } else {
+      Array.from(this._entries.keys()).forEach((key) => {
+        const uri = key.slice(key.indexOf(":") + 1);
+        if (uri.startsWith(prefix)) {
+          this._entries.delete(key);
+        }
+      });
+    }
+    this._scheduleSave();
+  }
+
+  get size() {
+    return this._entries.size;
+  }
+
+  _has(key) {
+    const entry = this._entries.get(key);
+    if (!entry) {
+      return false;
+    }
+    if (entry.expires !== null && entry.expires <= this._now()) {
+      this._entries.delete(key);
+      this._scheduleSave();
+      return false;
+    }
+    return true;
+  }
+
+  _set(key, value) {
+    const { ttl } = this._options;
+    const entry = { value, expires: ttl > 0 ? this._now() + ttl : null };
+    remember(this._entries, key, entry, this._maxEntries());
+    this._scheduleSave();
+  }
+
+  // A maxEntries of 0 means no limit
+  _maxEntries() {
+    const { maxEntries } = this._options;
+    return maxEntries > 0 ? maxEntries : Infinity;
+  }
+
+  _load() {
+    const { storage, storageKey, decode, onError } = this._options;
+    if (!storage) {
+      return Promise.resolve();
+    }
+    const generation = this._generation;
+    return Promise.resolve()
+      .then(() => storage.getItem(storageKey))
+      .then((data) => {
+        if (!data || generation !== this._generation) {
+          return;
+        }
+        const stored = JSON.parse(data);
+        if (stored.version !== FORMAT_VERSION) {
+          return;
+        }
+        const now = this._now();
+        const entries = new Map();
+        stored.entries.forEach(([key, { value, expires }]) => {
+          if (expires === null || expires > now) {
+            entries.set(key, { value: decode(value), expires });
+          }
+        });
+        // Entries cached while loading are more recent than the stored ones
+        this._entries.forEach((entry, key) => {
+          entries.delete(key);
+          entries.set(key, entry);
+        });
+        this._entries = entries;
+        evict(this._entries, this._maxEntries());
+      })
+      .catch((error) => onError(error));
+  }
+
+  _scheduleSave() {
+    if (!this._options.storage || this._saveScheduled) {
+      return;
+    }
+    // Save once for all changes made in the same tick
+    this._saveScheduled = true;
+    // Wait for the stored entries to be loaded, so they aren't overwritten
+    Promise.resolve(this.loaded)
+      .then(() => {
+        this._saveScheduled = false;
+        const { storage, storageKey } = this._options;
+        return storage.setItem(
+          storageKey,
+          JSON.stringify({
+            version: FORMAT_VERSION,
+            entries: Array.from(this._entries.entries()),
+          })
+        );
+      })
+      .catch((error) => this._options.onError(error));
+  }
+}
+
+module.exports = LibraryCache;
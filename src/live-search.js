@@ -0,0 +1,202 @@
+// Search-as-you-type on top of library.search: waits for the user to stop
+// typing, and makes sure that slow responses to earlier input never replace
+// the results for the latest input.
+
+const EventEmitter = require("events");
+const { ConnectionError } = require("./errors");
+const { touch, remember } = require("./lru");
+const { SearchQuery, mergeSearchResults } = require("./search");
+
+const DEFAULT_OPTIONS = {
+  debounce: 250,
+  minLength: 2,
+  cacheSize: 20,
+  field: "any",
+  uris: null,
+  exact: null,
+  merge: false,
+};
+
+const IDLE_STATE = Object.freeze({
+  status: "idle",
+  input: null,
+  results: null,
+  error: null,
+});
+
+class LiveSearch extends EventEmitter {
+  constructor(mopidy, options = {}) {
+    super();
+    this._mopidy = mopidy;
+    this._options = { ...DEFAULT_OPTIONS, ...options };
+    this._state = IDLE_STATE;
+    // Least recently used first, see lru.js
+    this._cache = new Map();
+    this._timer = null;
+    this._controller = null;
+    this._sequence = 0;
+  }
+
+  getState() {
+    return this._state;
+  }
+
+  /**
+   * Search for the input, which is either the text typed by the user or a
+   * SearchQuery. Replaces any search that is waiting or in progress.
+   */
+  search(input) {
+    const query = this._toQuery(input);
+    this._cancel();
+    if (query === null) {
+      this._setState(IDLE_STATE, "idle");
+      return;
+    }
+
+    const params = query.build();
+    const key = JSON.stringify(params);
+    if (this._cache.has(key)) {
+      this._setResults(input, touch(this._cache, key));
+      return;
+    }
+
+    const { debounce } = this._options;
+    if (debounce > 0) {
+      this._timer = setTimeout(() => {
+        this._timer = null;
+        this._run(input, query, params, key);
+      }, debounce);
+    } else {
+      this._run(input, query, params, key);
+    }
+  }
+
+  /**
+   * Stop any search that is waiting or in progress, and go back to idle.
+   */
+  clear() {
+    this._cancel();
+    this._setState(IDLE_STATE, "idle");
+  }
+
+  clearCache() {
+    this._cache.clear();
+  }
+
+  destroy() {
+    this._cancel();
+    this._cache.clear();
+    this.removeAllListeners();
+  }
+
+  _toQuery(input) {
+    if (input instanceof SearchQuery) {
+      return input.isEmpty() ? null : input;
+    }
+    const text = typeof input === "string" ? input.trim() : "";
+    if (text === "" || text.length < this._options.minLength) {
+      return null;
+    }
+    const { field, uris, exact } = this._options;
+    const query = new SearchQuery().where(field, text);
+    if (uris) {
+      query.within(...uris);
+    }
+    if (exact !== null) {
+      query.exact(exact);
+    }
+    return query;
+  }
+
+  _run(input, query, params, key) {
+    this._sequence += 1;
+    const sequence = this._sequence;
+    const isLatest = () => sequence === this._sequence;
+    this._controller =
+      typeof AbortController !== "undefined" ? new AbortController() : null;
+    const signal = this._controller ? this._controller.signal : undefined;
+
+    this._setState(
+      { status: "loading", input, results: this._state.results, error: null },
+      "loading",
+      input
+    );
+
+    const { library } = this._mopidy;
+    const request = library
+      ? library.search(params, { signal })
+      : Promise.reject(new ConnectionError("API is not available yet"));
+    request.then(
+      (results) => {
+        if (!isLatest()) {
+          return;
+        }
+        this._controller = null;
+        const { merge } = this._options;
+        const value = merge
+          ? mergeSearchResults(results, {
+              ...(merge === true ? {} : merge),
+              query,
+            })
+          : results;
+        this._remember(key, value);
+        this._setResults(input, value);
+      },
+      (error) => {
+        // Superseded searches are aborted, and their errors ignored
+        if (!isLatest()) {
+          return;
+        }
+        this._controller = null;
+        this._state = Object.freeze({
+          status: "error",
+          input,
+          results: null,
+          error,
+        });
+        // Unhandled "error" events would throw, so they are only emitted if
+        // someone is listening.
+        if (this.listenerCount("error") > 0) {
+          this.emit("error", error, input);
+        } else {
+          this._mopidy._console.warn("Search failed:", error);
+        }
+      }
+    );
+  }
+
+  _remember(key, results) {
+    const { cacheSize } = this._options;
+    if (cacheSize <= 0) {
+      return;
+    }
+    remember(this._cache, key, results, cacheSize);
+  }
+
+  _setResults(input, results) {
+    this._setState(
+      { status: "results", input, results, error: null },
+      "results",
+      results,
+      input
+    );
+  }
+
+  _cancel() {
+    clearTimeout(this._timer);
+    this._timer = null;
+    // Responses to earlier searches are ignored from now on
+    this._sequence += 1;
+    if (this._controller) {
+      this._controller.abort();
+      this._controller = null;
+    }
+  }
+
+  _setState(state, eventName, ...args) {
+    this._state = Object.freeze(state);
+    this.emit(eventName, ...args);
+  }
+}
+
+module.exports = LiveSearch;
@@ -0,0 +1,27 @@
+// Helpers for using a Map as a least recently used cache. Maps keep their
+// insertion order, so moving an entry to the end when it is used keeps the
+// least recently used one first.
+
+// Get the value for the key, and mark it as the most recently used one
+function touch(map, key) {
+  const value = map.get(key);
+  map.delete(key);
+  map.set(key, value);
+  return value;
+}
+
+// Drop the least recently used entries until there are at most maxSize
+function evict(map, maxSize) {
+  while (map.size > maxSize) {
+    map.delete(map.keys().next().value);
+  }
+}
+
+// Set the value as the most recently used one, keeping at most maxSize entries
+function remember(map, key, value, maxSize) {
+  map.delete(key);
+  map.set(key, value);
+  evict(map, maxSize);
+}
+
+module.exports = { touch, evict, remember };
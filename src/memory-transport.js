@@ -0,0 +1,73 @@
+// A WebSocket-like connection to an in-memory peer, like MockMopidyServer or
+// SessionReplay, for talking to Mopidy.js without a network.
+//
+// The peer is told about the connection with peer._open(transport),
+// peer._receive(transport, data) and peer._closed(transport), and sends
+// messages to the client with transport._message(message).
+
+const CONNECTING = 0;
+const OPEN = 1;
+const CLOSING = 2;
+const CLOSED = 3;
+
+class MemoryTransport {
+  constructor(peer) {
+    this._peer = peer;
+    this.readyState = CONNECTING;
+    this.onopen = null;
+    this.onclose = null;
+    this.onerror = null;
+    this.onmessage = null;
+    this._deliver(() => {
+      if (this.readyState === CONNECTING) {
+        this.readyState = OPEN;
+        this._peer._open(this);
+        if (this.onopen) {
+          this.onopen();
+        }
+      }
+    });
+  }
+
+  send(data) {
+    if (this.readyState !== OPEN) {
+      throw new Error("WebSocket is not open");
+    }
+    this._peer._receive(this, data);
+  }
+
+  close() {
+    this._close({ code: 1000, reason: "", wasClean: true });
+  }
+
+  // Messages are delivered asynchronously, like over a real connection
+  _deliver(callback) {
+    Promise.resolve().then(callback);
+  }
+
+  _message(message) {
+    this._deliver(() => {
+      if (this.readyState === OPEN && this.onmessage) {
+        this.onmessage({ data: JSON.stringify(message) });
+      }
+    });
+  }
+
+  _close(closeEvent) {
+    if (this.readyState === CLOSING || this.readyState === CLOSED) {
+      return;
+    }
+    this.readyState = CLOSED;
+    this._peer._closed(this);
+    if (this.onclose) {
+      this.onclose(closeEvent);
+    }
+  }
+}
+
+MemoryTransport.CONNECTING = CONNECTING;
+MemoryTransport.OPEN = OPEN;
+MemoryTransport.CLOSING = CLOSING;
+MemoryTransport.CLOSED = CLOSED;
+
+module.exports = MemoryTransport;
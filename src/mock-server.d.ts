@@ -0,0 +1,9 @@
+// Type definitions for require("mopidy/src/mock-server"), see
+// Mopidy.MockMopidyServer
+
+import Mopidy = require("./mopidy");
+
+declare const MockMopidyServer: Mopidy.MockMopidyServerConstructor;
+type MockMopidyServer = Mopidy.MockMopidyServer;
+
+export = MockMopidyServer;
@@ -0,0 +1,857 @@
+// An in-memory stand-in for a Mopidy server, for testing apps built on
+// Mopidy.js without running Mopidy. It implements core.describe and a subset
+// of the playback, tracklist, mixer, library, playlists and history APIs,
+// including the core events they trigger.
+//
+// Connect a Mopidy instance to it using the transport setting:
+//
+//   const server = new MockMopidyServer({ tracks });
+//   const mopidy = new Mopidy({ transport: server.createTransport });
+
+const MemoryTransport = require("./memory-transport");
+
+class RpcError extends Error {
+  constructor(code, message, data) {
+    super(message);
+    this.name = "RpcError";
+    this.code = code;
+    this.data = data;
+  }
+}
+
+function optional(name, defaultValue = null) {
+  return { name, default: defaultValue };
+}
+
+function tlTrackJson(tlid, track) {
+  return { __model__: "TlTrack", tlid, track };
+}
+
+function matchesCriteria(tlTrack, criteria) {
+  return Object.keys(criteria).every((key) => {
+    const values = criteria[key];
+    const value = key === "tlid" ? tlTrack.tlid : tlTrack.track[key];
+    return values.includes(value);
+  });
+}
+
+function matchesQuery(track, query, exact) {
+  const fieldValues = {
+    uri: [track.uri],
+    track_name: [track.name],
+    album: [track.album && track.album.name],
+    artist: (track.artists || []).map((artist) => artist.name),
+    genre: [track.genre],
+    date: [track.date],
+  };
+  fieldValues.any = Object.keys(fieldValues).reduce(
+    (all, field) => [...all, ...fieldValues[field]],
+    []
+  );
+  return Object.keys(query).every((field) =>
+    [].concat(query[field]).every((term) =>
+      (fieldValues[field] || []).some((value) => {
+        if (typeof value !== "string") {
+          return false;
+        }
+        return exact
+          ? value.toLowerCase() === term.toLowerCase()
+          : value.toLowerCase().includes(term.toLowerCase());
+      })
+    )
+  );
+}
+
+// The implemented methods, with their params as described by core.describe.
+// The handlers are called with the server as `this`, and by-name params.
+const METHODS = {
+  "core.get_uri_schemes": {
+    description: "Get list of URI schemes we can handle",
+    params: [],
+    handler() {
+      return ["mock"];
+    },
+  },
+  "core.get_version": {
+    description: "Get version of the Mopidy core API",
+    params: [],
+    handler() {
+      return this._version;
+    },
+  },
+
+  "core.playback.get_state": {
+    description: "Get the playback state.",
+    params: [],
+    handler() {
+      return this._playback.state;
+    },
+  },
+  "core.playback.get_current_tl_track": {
+    description: "Get the currently playing or selected track.",
+    params: [],
+    handler() {
+      return this._playback.current;
+    },
+  },
+  "core.playback.get_current_track": {
+    description: "Get the currently playing or selected track.",
+    params: [],
+    handler() {
+      return this._playback.current ? this._playback.current.track : null;
+    },
+  },
+  "core.playback.get_current_tlid": {
+    description: "Get the currently playing or selected TLID.",
+    params: [],
+    handler() {
+      return this._playback.current ? this._playback.current.tlid : null;
+    },
+  },
+  "core.playback.get_stream_title": {
+    description: "Get the current stream title or None.",
+    params: [],
+    handler() {
+      return null;
+    },
+  },
+  "core.playback.get_time_position": {
+    description: "Get time position in milliseconds.",
+    params: [],
+    handler() {
+      return this._playback.timePosition;
+    },
+  },
+  "core.playback.play": {
+    description: "Play the given track, or the currently active track.",
+    params: [optional("tl_track"), optional("tlid")],
+    handler({ tl_track: tlTrack, tlid }) {
+      const { tlTracks } = this._tracklist;
+      let target = null;
+      if (tlid !== null && typeof tlid !== "undefined") {
+        target = tlTracks.find((t) => t.tlid === tlid) || null;
+      } else if (tlTrack) {
+        target = tlTracks.find((t) => t.tlid === tlTrack.tlid) || null;
+      } else if (this._playback.state === "paused") {
+        this._resume();
+        return null;
+      } else {
+        target = this._playback.current || tlTracks[0] || null;
+      }
+      if (target) {
+        this._changeTrack(target, "playing");
+      }
+      return null;
+    },
+  },
+  "core.playback.pause": {
+    description: "Pause playback.",
+    params: [],
+    handler() {
+      if (this._playback.state === "playing") {
+        this._setState("paused");
+        this._emitEvent("track_playback_paused", {
+          tl_track: this._playback.current,
+          time_position: this._playback.timePosition,
+        });
+      }
+      return null;
+    },
+  },
+  "core.playback.resume": {
+    description: "If paused, resume playing the current track.",
+    params: [],
+    handler() {
+      this._resume();
+      return null;
+    },
+  },
+  "core.playback.stop": {
+    description: "Stop playing.",
+    params: [],
+    handler() {
+      this._stop();
+      return null;
+    },
+  },
+  "core.playback.next": {
+    description: "Change to the next track.",
+    params: [],
+    handler() {
+      this._step(1);
+      return null;
+    },
+  },
+  "core.playback.previous": {
+    description: "Change to the previous track.",
+    params: [],
+    handler() {
+      this._step(-1);
+      return null;
+    },
+  },
+  "core.playback.seek": {
+    description: "Seeks to time position given in milliseconds.",
+    params: [{ name: "time_position" }],
+    handler({ time_position: timePosition }) {
+      if (!this._playback.current) {
+        return false;
+      }
+      this._playback.timePosition = timePosition;
+      this._emitEvent("seeked", { time_position: timePosition });
+      return true;
+    },
+  },
+
+  "core.tracklist.add": {
+    description: "Add tracks to the tracklist.",
+    params: [optional("tracks"), optional("at_position"), optional("uris")],
+    handler({ tracks, at_position: atPosition, uris }) {
+      const newTracks = (uris || []).reduce(
+        (all, uri) => all.concat(this._lookup(uri)),
+        tracks || []
+      );
+      const added = newTracks.map((track) => {
+        this._tracklist.nextTlid += 1;
+        return tlTrackJson(this._tracklist.nextTlid - 1, track);
+      });
+      const position =
+        atPosition === null || typeof atPosition === "undefined"
+          ? this._tracklist.tlTracks.length
+          : atPosition;
+      this._tracklist.tlTracks.splice(position, 0, ...added);
+      this._tracklistChanged();
+      return added;
+    },
+  },
+  "core.tracklist.remove": {
+    description: "Remove the matching tracks from the tracklist.",
+    params: [{ name: "criteria" }],
+    handler({ criteria }) {
+      const removed = this._tracklist.tlTracks.filter((t) =>
+        matchesCriteria(t, criteria)
+      );
+      this._removeTlTracks(removed);
+      return removed;
+    },
+  },
+  "core.tracklist.clear": {
+    description: "Clear the tracklist.",
+    params: [],
+    handler() {
+      this._removeTlTracks(this._tracklist.tlTracks);
+      return null;
+    },
+  },
+  "core.tracklist.move": {
+    description: "Move the tracks in the slice [start:end] to to_position.",
+    params: [{ name: "start" }, { name: "end" }, { name: "to_position" }],
+    handler({ start, end, to_position: toPosition }) {
+      const { tlTracks } = this._tracklist;
+      if (start === end) {
+        return null;
+      }
+      if (start < 0 || end > tlTracks.length || start > end) {
+        throw new RpcError(0, "Application error", {
+          type: "AssertionError",
+          message: "start, end and to_position must be valid positions",
+        });
+      }
+      const moved = tlTracks.splice(start, end - start);
+      tlTracks.splice(toPosition, 0, ...moved);
+      this._tracklistChanged();
+      return null;
+    },
+  },
+  "core.tracklist.filter": {
+    description: "Filter the tracklist by the given criteria.",
+    params: [{ name: "criteria" }],
+    handler({ criteria }) {
+      return this._tracklist.tlTracks.filter((t) =>
+        matchesCriteria(t, criteria)
+      );
+    },
+  },
+  "core.tracklist.index": {
+    description: "The position of the given track in the tracklist.",
+    params: [optional("tl_track"), optional("tlid")],
+    handler({ tl_track: tlTrack, tlid }) {
+      let targetTlid = this._playback.current && this._playback.current.tlid;
+      if (tlid !== null && typeof tlid !== "undefined") {
+        targetTlid = tlid;
+      } else if (tlTrack) {
+        targetTlid = tlTrack.tlid;
+      }
+      const index = this._tracklist.tlTracks.findIndex(
+        (t) => t.tlid === targetTlid
+      );
+      return index === -1 ? null : index;
+    },
+  },
+  "core.tracklist.get_tl_tracks": {
+    description: "Get tracklist as list of TlTrack.",
+    params: [],
+    handler() {
+      return this._tracklist.tlTracks;
+    },
+  },
+  "core.tracklist.slice": {
+    description: "Get the tracks in the slice [start:end] of the tracklist.",
+    params: [{ name: "start" }, { name: "end" }],
+    handler({ start, end }) {
+      return this._tracklist.tlTracks.slice(start, end);
+    },
+  },
+  "core.tracklist.get_tracks": {
+    description: "Get tracklist as list of Track.",
+    params: [],
+    handler() {
+      return this._tracklist.tlTracks.map((t) => t.track);
+    },
+  },
+  "core.tracklist.get_length": {
+    description: "Get length of the tracklist.",
+    params: [],
+    handler() {
+      return this._tracklist.tlTracks.length;
+    },
+  },
+  "core.tracklist.get_version": {
+    description: "Get the tracklist version.",
+    params: [],
+    handler() {
+      return this._tracklist.version;
+    },
+  },
+
+  "core.mixer.get_volume": {
+    description: "Get the volume.",
+    params: [],
+    handler() {
+      return this._mixer.volume;
+    },
+  },
+  "core.mixer.set_volume": {
+    description: "Set the volume.",
+    params: [{ name: "volume" }],
+    handler({ volume }) {
+      if (typeof volume !== "number" || volume < 0 || volume > 100) {
+        throw new RpcError(0, "Application error", {
+          type: "ValueError",
+          message: `Volume must be between 0 and 100, not ${volume}`,
+        });
+      }
+      if (volume !== this._mixer.volume) {
+        this._mixer.volume = volume;
+        this._emitEvent("volume_changed", { volume });
+      }
+      return true;
+    },
+  },
+  "core.mixer.get_mute": {
+    description: "Get mute state.",
+    params: [],
+    handler() {
+      return this._mixer.mute;
+    },
+  },
+  "core.mixer.set_mute": {
+    description: "Set mute state.",
+    params: [{ name: "mute" }],
+    handler({ mute }) {
+      if (mute !== this._mixer.mute) {
+        this._mixer.mute = mute;
+        this._emitEvent("mute_changed", { mute });
+      }
+      return true;
+    },
+  },
+
+  "core.library.browse": {
+    description: "Browse directories and tracks at the given URI.",
+    params: [{ name: "uri" }],
+    handler({ uri }) {
+      if (uri !== null) {
+        return [];
+      }
+      return Object.keys(this._tracks).map((trackUri) => ({
+        __model__: "Ref",
+        type: "track",
+        uri: trackUri,
+        name: this._tracks[trackUri].name,
+      }));
+    },
+  },
+  "core.library.lookup": {
+    description: "Lookup the given URIs.",
+    params: [optional("uris")],
+    handler({ uris }) {
+      const result = {};
+      (uris || []).forEach((uri) => {
+        result[uri] = this._lookup(uri);
+      });
+      return result;
+    },
+  },
+  "core.library.search": {
+    description: "Search the library for tracks where field contains values.",
+    params: [optional("query"), optional("uris"), optional("exact", false)],
+    handler({ query, exact }) {
+      const tracks = Object.keys(this._tracks)
+        .map((uri) => this._tracks[uri])
+        .filter((track) => matchesQuery(track, query || {}, exact));
+      return [
+        {
+          __model__: "SearchResult",
+          uri: "mock:search",
+          tracks,
+          artists: [],
+          albums: [],
+        },
+      ];
+    },
+  },
+  "core.library.refresh": {
+    description: "Refresh library. Limit to URI and below if an URI is given.",
+    params: [optional("uri")],
+    handler() {
+      return null;
+    },
+  },
+  "core.library.get_images": {
+    description: "Lookup the images for the given URIs.",
+    params: [{ name: "uris" }],
+    handler({ uris }) {
+      const result = {};
+      uris.forEach((uri) => {
+        result[uri] = [];
+      });
+      return result;
+    },
+  },
+
+  "core.playlists.as_list": {
+    description: "Get a list of the currently available playlists.",
+    params: [],
+    handler() {
+      return Object.keys(this._playlists).map((uri) => ({
+        __model__: "Ref",
+        type: "playlist",
+        uri,
+        name: this._playlists[uri].name,
+      }));
+    },
+  },
+  "core.playlists.lookup": {
+    description: "Lookup playlist with given URI.",
+    params: [{ name: "uri" }],
+    handler({ uri }) {
+      return this._playlists[uri] || null;
+    },
+  },
+  "core.playlists.create": {
+    description: "Create a new playlist.",
+    params: [{ name: "name" }, optional("uri_scheme")],
+    handler({ name }) {
+      this._nextPlaylist += 1;
+      const uri = `mock:playlist:${this._nextPlaylist}`;
+      this._playlists[uri] = this._playlistJson({ uri, name, tracks: [] });
+      this._emitEvent("playlist_changed", { playlist: this._playlists[uri] });
+      return this._playlists[uri];
+    },
+  },
+  "core.playlists.save": {
+    description: "Save the playlist.",
+    params: [{ name: "playlist" }],
+    handler({ playlist }) {
+      if (!playlist.uri || !this._playlists[playlist.uri]) {
+        return null;
+      }
+      const saved = this._playlistJson(
+        playlist,
+        this._playlists[playlist.uri].last_modified
+      );
+      this._playlists[playlist.uri] = saved;
+      this._emitEvent("playlist_changed", { playlist: saved });
+      return saved;
+    },
+  },
+
+  "core.history.get_history": {
+    description: "Get the track history.",
+    params: [],
+    handler() {
+      return this._history;
+    },
+  },
+  "core.history.get_length": {
+    description: "Get the number of tracks in the history.",
+    params: [],
+    handler() {
+      return this._history.length;
+    },
+  },
+};
+
+["repeat", "random", "single", "consume"].forEach((option) => {
+  METHODS[`core.tracklist.get_${option}`] = {
+    description: `Get the ${option} option.`,
+    params: [],
+    handler() {
+      return this._tracklist[option];
+    },
+  };
+  METHODS[`core.tracklist.set_${option}`] = {
+    description: `Set the ${option} option.`,
+    params: [{ name: "value" }],
+    handler({ value }) {
+      if (value !== this._tracklist[option]) {
+        this._tracklist[option] = value;
+        this._emitEvent("options_changed", {});
+      }
+      return null;
+    },
+  };
+});
+
+class MockMopidyServer {
+  constructor(options = {}) {
+    this._version = options.version || "3.0.2";
+    this._tracks = {};
+    (options.tracks || []).forEach((track) => {
+      this._tracks[track.uri] = { __model__: "Track", ...track };
+    });
+    this._playback = { state: "stopped", current: null, timePosition: 0 };
+    this._tracklist = {
+      tlTracks: [],
+      nextTlid: 1,
+      version: 0,
+      repeat: false,
+      random: false,
+      single: false,
+      consume: false,
+    };
+    this._mixer = { volume: 100, mute: false };
+    this._playlists = {};
+    this._nextPlaylist = 0;
+    (options.playlists || []).forEach((playlist) => {
+      this._playlists[playlist.uri] = this._playlistJson(playlist);
+    });
+    this._history = [];
+    this._overrides = {};
+    this._transports = [];
+    this.requests = [];
+    this.createTransport = this.createTransport.bind(this);
+  }
+
+  /**
+   * Create a WebSocket-like connection to the server. Pass this method as the
+   * transport setting of a Mopidy instance.
+   */
+  createTransport() {
+    const transport = new MemoryTransport(this);
+    this._transports.push(transport);
+    return transport;
+  }
+
+  /**
+   * Respond to calls to the method with the given result instead. If the
+   * result is a function, it is called with the by-name params, and may
+   * return a promise.
+   */
+  mockResult(method, result) {
+    this._overrides[method] =
+      typeof result === "function" ? result : () => result;
+  }
+
+  /**
+   * Respond to calls to the method with the given JSON-RPC error.
+   */
+  mockError(method, { code = 0, message = "Application error", data } = {}) {
+    this._overrides[method] = () => {
+      throw new RpcError(code, message, data);
+    };
+  }
+
+  /**
+   * Remove the mocked responses for the method, or for all methods.
+   */
+  resetMocks(method) {
+    if (method) {
+      delete this._overrides[method];
+    } else {
+      this._overrides = {};
+    }
+  }
+
+  /**
+   * Send a core event, like "track_playback_started", to all connections.
+   */
+  emitEvent(event, data = {}) {
+    this._emitEvent(event, data);
+  }
+
+  /**
+   * Drop all connections, like a server going away.
+   */
+  disconnect() {
+    [...this._transports].forEach((transport) =>
+      transport._close({ code: 1006, reason: "", wasClean: false })
+    );
+  }
+
+  describe() {
+    const description = {
+      "core.describe": { description: "Describe the API", params: [] },
+    };
+    Object.keys(METHODS).forEach((method) => {
+      const { description: text, params } = METHODS[method];
+      description[method] = { description: text, params };
+    });
+    Object.keys(this._overrides).forEach((method) => {
+      if (!description[method]) {
+        description[method] = { description: null, params: [] };
+      }
+    });
+    return description;
+  }
+
+  // The client doesn't expect anything from the server until it calls a method
+  _open() {}
+
+  _closed(transport) {
+    this._transports = this._transports.filter((t) => t !== transport);
+  }
+
+  _receive(transport, data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      transport._message({
+        jsonrpc: "2.0",
+        id: null,
+        error: { code: -32700, message: "Parse error" },
+      });
+      return;
+    }
+    this.requests.push(message);
+    if (Array.isArray(message)) {
+      Promise.all(message.map((request) => this._call(request))).then(
+        (responses) => transport._message(responses)
+      );
+    } else {
+      this._call(message).then((response) => transport._message(response));
+    }
+  }
+
+  _call(request) {
+    const { id, method } = request;
+    return Promise.resolve()
+      .then(() => {
+        const params = this._namedParams(method, request.params);
+        if (this._overrides[method]) {
+          return this._overrides[method](params);
+        }
+        if (method === "core.describe") {
+          return this.describe();
+        }
+        return METHODS[method].handler.call(this, params);
+      })
+      .then(
+        (result) => ({
+          jsonrpc: "2.0",
+          id,
+          result: typeof result === "undefined" ? null : result,
+        }),
+        (error) => {
+          const rpcError =
+            error instanceof RpcError
+              ? error
+              : new RpcError(0, "Application error", {
+                  type: error.name,
+                  message: error.message,
+                });
+          const response = {
+            jsonrpc: "2.0",
+            id,
+            error: { code: rpcError.code, message: rpcError.message },
+          };
+          if (typeof rpcError.data !== "undefined") {
+            response.error.data = rpcError.data;
+          }
+          return response;
+        }
+      );
+  }
+
+  _namedParams(method, params = {}) {
+    if (!METHODS[method]) {
+      if (this._overrides[method] || method === "core.describe") {
+        return params;
+      }
+      throw new RpcError(-32601, "Method not found");
+    }
+    const specs = METHODS[method].params;
+    const named = {};
+    if (Array.isArray(params)) {
+      if (params.length > specs.length) {
+        throw new RpcError(-32602, "Invalid params");
+      }
+      params.forEach((value, i) => {
+        named[specs[i].name] = value;
+      });
+    } else {
+      Object.assign(named, params);
+    }
+    specs.forEach((spec) => {
+      if (!Object.hasOwnProperty.call(named, spec.name)) {
+        if (!Object.hasOwnProperty.call(spec, "default")) {
+          throw new RpcError(-32602, "Invalid params", {
+            type: "TypeError",
+            message: `Missing required parameter "${spec.name}"`,
+          });
+        }
+        named[spec.name] = spec.default;
+      }
+    });
+    const unknown = Object.keys(named).find(
+      (key) => !specs.some((spec) => spec.name === key)
+    );
+    if (unknown) {
+      throw new RpcError(-32602, "Invalid params", {
+        type: "TypeError",
+        message: `Unexpected parameter "${unknown}"`,
+      });
+    }
+    return named;
+  }
+
+  _emitEvent(event, data) {
+    this._transports
+      .filter((transport) => transport.readyState === MemoryTransport.OPEN)
+      .forEach((transport) => transport._message({ event, ...data }));
+  }
+
+  _setState(newState) {
+    const oldState = this._playback.state;
+    if (newState !== oldState) {
+      this._playback.state = newState;
+      this._emitEvent("playback_state_changed", {
+        old_state: oldState,
+        new_state: newState,
+      });
+    }
+  }
+
+  _changeTrack(tlTrack, state) {
+    const { current, timePosition } = this._playback;
+    if (current && this._playback.state !== "stopped") {
+      this._emitEvent("track_playback_ended", {
+        tl_track: current,
+        time_position: timePosition,
+      });
+    }
+    this._playback.current = tlTrack;
+    this._playback.timePosition = 0;
+    this._setState(state);
+    if (state === "playing") {
+      this._history.unshift([Date.now(), this._trackRef(tlTrack.track)]);
+      this._emitEvent("track_playback_started", { tl_track: tlTrack });
+    }
+  }
+
+  _resume() {
+    if (this._playback.state === "paused") {
+      this._setState("playing");
+      this._emitEvent("track_playback_resumed", {
+        tl_track: this._playback.current,
+        time_position: this._playback.timePosition,
+      });
+    }
+  }
+
+  _stop() {
+    if (this._playback.state !== "stopped") {
+      this._emitEvent("track_playback_ended", {
+        tl_track: this._playback.current,
+        time_position: this._playback.timePosition,
+      });
+      this._playback.timePosition = 0;
+      this._setState("stopped");
+    }
+  }
+
+  _step(offset) {
+    const { tlTracks, repeat } = this._tracklist;
+    const { current } = this._playback;
+    if (!current) {
+      return;
+    }
+    let index = tlTracks.findIndex((t) => t.tlid === current.tlid) + offset;
+    if (repeat) {
+      index = (index + tlTracks.length) % tlTracks.length;
+    }
+    const target = tlTracks[index];
+    if (target) {
+      this._changeTrack(target, this._playback.state);
+    } else {
+      this._stop();
+      this._playback.current = null;
+    }
+  }
+
+  _removeTlTracks(removed) {
+    if (!removed.length) {
+      return;
+    }
+    const { current } = this._playback;
+    if (current && removed.some((t) => t.tlid === current.tlid)) {
+      this._stop();
+      this._playback.current = null;
+    }
+    this._tracklist.tlTracks = this._tracklist.tlTracks.filter(
+      (t) => !removed.includes(t)
+    );
+    this._tracklistChanged();
+  }
+
+  _tracklistChanged() {
+    this._tracklist.version += 1;
+    this._emitEvent("tracklist_changed", {});
+  }
+
+  // Every save gets a newer last_modified, even within the same millisecond
+  _playlistJson({ uri, name, tracks }, previousModified = 0) {
+    return {
+      __model__: "Playlist",
+      uri,
+      name,
+      tracks: (tracks || []).map((track) => ({ __model__: "Track", ...track })),
+      last_modified: Math.max(Date.now(), previousModified + 1),
+    };
+  }
+
+  // Like Mopidy's backends, expand album URIs to the tracks of the album
+  _lookup(uri) {
+    if (this._tracks[uri]) {
+      return [this._tracks[uri]];
+    }
+    return Object.keys(this._tracks)
+      .map((trackUri) => this._tracks[trackUri])
+      .filter((track) => track.album && track.album.uri === uri);
+  }
+
+  _trackRef(track) {
+    return {
+      __model__: "Ref",
+      type: "track",
+      uri: track.uri,
+      name: track.name,
+    };
+  }
+}
+
+MockMopidyServer.RpcError = RpcError;
+
+module.exports = MockMopidyServer;
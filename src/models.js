@@ -0,0 +1,222 @@
+// Runtime versions of the models in mopidy.models, built from the JSON
+// representation Mopidy uses on the wire, where every model object carries its
+// class name in the "__model__" key.
+
+const { snakeToCamel } = require("./case-conversion");
+
+function isEmpty(value) {
+  return (
+    value === null ||
+    typeof value === "undefined" ||
+    (Array.isArray(value) && value.length === 0)
+  );
+}
+
+function valuesEqual(a, b) {
+  if (a && typeof a.equals === "function") {
+    return a.equals(b);
+  }
+  if (Array.isArray(a)) {
+    return (
+      Array.isArray(b) &&
+      a.length === b.length &&
+      a.every((value, i) => valuesEqual(value, b[i]))
+    );
+  }
+  return a === b;
+}
+
+class ImmutableObject {
+  constructor(props = {}) {
+    const { fields } = this.constructor;
+    Object.keys(fields).forEach((key) => {
+      const value = Object.hasOwnProperty.call(props, key)
+        ? props[key]
+        : fields[key];
+      this[key] = Array.isArray(value) ? Object.freeze([...value]) : value;
+    });
+    // Keep fields added in newer Mopidy versions
+    Object.keys(props).forEach((key) => {
+      if (key !== "__model__" && !Object.hasOwnProperty.call(fields, key)) {
+        this[key] = props[key];
+      }
+    });
+    Object.freeze(this);
+  }
+
+  replace(changes) {
+    const { fields } = this.constructor;
+    const props = { ...this };
+    Object.keys(changes).forEach((key) => {
+      // Accept the camelCase aliases of the fields as well
+      const field = Object.keys(fields).find(
+        (name) => snakeToCamel(name) === key
+      );
+      props[field || key] = changes[key];
+    });
+    return new this.constructor(props);
+  }
+
+  equals(other) {
+    if (!other || other.constructor !== this.constructor) {
+      return false;
+    }
+    const keys = Object.keys(this);
+    return (
+      keys.length === Object.keys(other).length &&
+      keys.every((key) => valuesEqual(this[key], other[key]))
+    );
+  }
+
+  toJSON() {
+    const json = { __model__: this.constructor.modelName };
+    Object.keys(this).forEach((key) => {
+      if (!isEmpty(this[key])) {
+        json[key] = this[key];
+      }
+    });
+    return json;
+  }
+}
+
+class Ref extends ImmutableObject {
+  static album(props) {
+    return new Ref({ ...props, type: Ref.ALBUM });
+  }
+
+  static artist(props) {
+    return new Ref({ ...props, type: Ref.ARTIST });
+  }
+
+  static directory(props) {
+    return new Ref({ ...props, type: Ref.DIRECTORY });
+  }
+
+  static playlist(props) {
+    return new Ref({ ...props, type: Ref.PLAYLIST });
+  }
+
+  static track(props) {
+    return new Ref({ ...props, type: Ref.TRACK });
+  }
+}
+Ref.fields = { uri: null, name: null, type: null };
+Ref.ALBUM = "album";
+Ref.ARTIST = "artist";
+Ref.DIRECTORY = "directory";
+Ref.PLAYLIST = "playlist";
+Ref.TRACK = "track";
+
+class Image extends ImmutableObject {}
+Image.fields = { uri: null, width: null, height: null };
+
+class Artist extends ImmutableObject {}
+Artist.fields = { uri: null, name: null, sortname: null, musicbrainz_id: null };
+
+class Album extends ImmutableObject {}
+Album.fields = {
+  uri: null,
+  name: null,
+  artists: [],
+  num_tracks: null,
+  num_discs: null,
+  date: null,
+  musicbrainz_id: null,
+};
+
+class Track extends ImmutableObject {}
+Track.fields = {
+  uri: null,
+  name: null,
+  artists: [],
+  album: null,
+  composers: [],
+  performers: [],
+  genre: null,
+  track_no: null,
+  disc_no: null,
+  date: null,
+  length: null,
+  bitrate: null,
+  comment: null,
+  musicbrainz_id: null,
+  last_modified: null,
+};
+
+class TlTrack extends ImmutableObject {
+  constructor(...args) {
+    // Like in Mopidy, the fields can also be given as positional arguments
+    if (args.length === 2) {
+      super({ tlid: args[0], track: args[1] });
+    } else {
+      super(...args);
+    }
+  }
+
+  *[Symbol.iterator]() {
+    yield this.tlid;
+    yield this.track;
+  }
+}
+TlTrack.fields = { tlid: null, track: null };
+
+class Playlist extends ImmutableObject {
+  get length() {
+    return this.tracks.length;
+  }
+}
+Playlist.fields = { uri: null, name: null, tracks: [], last_modified: null };
+
+class SearchResult extends ImmutableObject {}
+SearchResult.fields = { uri: null, tracks: [], artists: [], albums: [] };
+
+const MODELS = {
+  Ref,
+  Image,
+  Artist,
+  Album,
+  Track,
+  TlTrack,
+  Playlist,
+  SearchResult,
+};
+
+Object.keys(MODELS).forEach((modelName) => {
+  const Model = MODELS[modelName];
+  // Don't rely on the class names, as they may be mangled by minifiers
+  Model.modelName = modelName;
+  // Read-only camelCase aliases, e.g. track.trackNo for track.track_no
+  Object.keys(Model.fields).forEach((field) => {
+    const alias = snakeToCamel(field);
+    if (alias !== field) {
+      Object.defineProperty(Model.prototype, alias, {
+        get() {
+          return this[field];
+        },
+      });
+    }
+  });
+});
+
+function fromJSON(value) {
+  if (Array.isArray(value)) {
+    return value.map(fromJSON);
+  }
+  if (value === null || typeof value !== "object") {
+    return value;
+  }
+  const props = {};
+  Object.keys(value).forEach((key) => {
+    props[key] = fromJSON(value[key]);
+  });
+  const Model = Object.hasOwnProperty.call(MODELS, value.__model__)
+    ? MODELS[value.__model__]
+    : null;
+  return Model ? new Model(props) : props;
+}
+
+module.exports = {
+  ImmutableObject,
+  ...MODELS,
+  fromJSON,
+};
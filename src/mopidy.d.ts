@@ -2,7 +2,7 @@
 
 export = Mopidy;
 
-declare class Mopidy {
+declare class Mopidy<C extends Mopidy.CaseConversion = "none"> {
   // ----------------- MOPIDY.JS SPECIFIC API -----------------
 
   /**
@@ -13,116 +13,1507 @@ declare class Mopidy {
    *
    * This library is the foundation of most Mopidy web clients.
    */
-  constructor(options?: Mopidy.Options);
+  constructor(options?: Mopidy.Options & { caseConversion?: C });
   /**
    * Explicit connect function for when autoConnect:false is passed to
-   * constructor.
+   * constructor. Resolves when the client is online, and rejects if it gives
+   * up reconnecting or is closed before that.
    */
   connect(): Promise<void>;
   /**
    * Close the WebSocket without reconnecting. Letting the object be garbage
    * collected will have the same effect, so this isn't strictly necessary.
+   * Resolves when the WebSocket has closed.
    */
   close(): Promise<void>;
+  /**
+   * Resolves when the client is online, right away if it already is. Rejects
+   * if it gives up reconnecting or is closed before that, or already has.
+   */
+  whenOnline(options?: Mopidy.WaitOptions): Promise<void>;
+  /**
+   * Resolves with the data of the next event with the given name that
+   * matches the predicate.
+   */
+  waitForEvent<K extends keyof Mopidy.StrictEvents>(
+    name: K,
+    options?: Mopidy.WaitForEventOptions<Mopidy.EventArgs<K, C>>
+  ): Promise<Mopidy.EventArgs<K, C>[0]>;
+  /**
+   * Try to reconnect right away, instead of waiting for the pending
+   * reconnection delay. After the reconnectionFailed event, this starts over
+   * with a new set of attempts.
+   */
+  reconnectNow(): void;
+  /**
+   * Send multiple API method calls to the server as a single JSON-RPC batch
+   * request.
+   *
+   * The build function gets an object with the same API as the Mopidy
+   * instance, and must return an array of the calls to include in the batch.
+   * Each call is resolved or rejected individually, while the returned promise
+   * resolves with all the results, or rejects with the first error.
+   */
+  batch<T extends unknown[]>(
+    build: (api: Mopidy.BatchApi<C>) => [...T],
+    options?: Mopidy.CallOptions
+  ): Promise<{ [K in keyof T]: T[K] extends Promise<infer R> ? R : T[K] }>;
+  /**
+   * Add middleware that can inspect, modify, or short-circuit outgoing
+   * JSON-RPC requests, and transform responses and events before they are
+   * handled. Returns a function that removes the middleware again.
+   */
+  use(middleware: Mopidy.Middleware): () => void;
+  /**
+   * Walk the library below the URI, or the whole library if no URI is given,
+   * yielding refs in depth-first order. Directories are browsed in parallel,
+   * and each directory is only browsed once.
+   */
+  browseTree(
+    uri?: string | null,
+    options?: Mopidy.BrowseTreeOptions & { lookupTracks?: false }
+  ): AsyncIterableIterator<
+    Mopidy.CaseConverted<Mopidy.models.Ref<Mopidy.models.ModelType>, C>
+  >;
+  browseTree(
+    uri: string | null,
+    options: Mopidy.BrowseTreeOptions & { lookupTracks: true }
+  ): AsyncIterableIterator<
+    Mopidy.CaseConverted<
+      Mopidy.models.Ref<Mopidy.models.ModelType> | Mopidy.models.Track,
+      C
+    >
+  >;
 
   // ----------------- EVENT SUBSCRIPTION -----------------
 
   on<K extends keyof Mopidy.StrictEvents>(
     name: K,
-    listener: Mopidy.StrictEvents[K]
+    listener: Mopidy.CaseConverted<Mopidy.StrictEvents[K], C>
   ): this;
 
   off(): void;
   off<K extends keyof Mopidy.StrictEvents>(
     name: K,
-    listener: Mopidy.StrictEvents[K]
+    listener: Mopidy.CaseConverted<Mopidy.StrictEvents[K], C>
   ): this;
 
-  // ----------------- CORE API -----------------
+  // ----------------- CORE API -----------------
+
+  /**
+   * Manages everything related to the list of tracks we will play. See
+   * TracklistController. Undefined before Mopidy connects.
+   */
+  tracklist?: Mopidy.CaseConverted<Mopidy.core.TracklistController, C>;
+  /**
+   * Manages playback state and the current playing track. See
+   * PlaybackController. Undefined before Mopidy connects.
+   */
+  playback?: Mopidy.CaseConverted<Mopidy.core.PlaybackController, C>;
+  /**
+   * Manages the music library, e.g. searching and browsing for music. See
+   * LibraryController. Undefined before Mopidy connects.
+   */
+  library?: Mopidy.CaseConverted<Mopidy.core.LibraryController, C>;
+  /**
+   * Manages stored playlists. See PlaylistsController. Undefined before
+   * Mopidy connects.
+   */
+  playlists?: Mopidy.CaseConverted<Mopidy.core.PlaylistsController, C>;
+  /**
+   * Manages volume and muting. See MixerController. Undefined before Mopidy
+   * connects.
+   */
+  mixer?: Mopidy.CaseConverted<Mopidy.core.MixerController, C>;
+  /**
+   * Keeps record of what tracks have been played. See HistoryController.
+   * Undefined before Mopidy connects.
+   */
+  history?: Mopidy.CaseConverted<Mopidy.core.HistoryController, C>;
+
+  /**
+   * Get list of URI schemes we can handle
+   */
+  getUriSchemes(
+    params?: undefined,
+    options?: Mopidy.CallOptions
+  ): Promise<string[]>;
+  /**
+   * Get version of the Mopidy core API
+   */
+  getVersion(params?: undefined, options?: Mopidy.CallOptions): Promise<string>;
+}
+
+declare namespace Mopidy {
+  type ValueOf<T> = T[keyof T];
+  type URI = string;
+
+  interface Options {
+    /**
+     * URL used when creating new WebSocket objects.
+     *
+     * In a browser environment, it defaults to
+     * ws://${document.location.host}/mopidy/ws. If the current page is served
+     * over HTTPS, it defaults to using wss:// instead of ws://.
+     *
+     * In a non-browser environment, where document.location isn't available, it
+     * defaults to ws://localhost/mopidy/ws.
+     */
+    webSocketUrl?: string;
+    /**
+     * URL used for JSON-RPC requests over HTTP, when using the HTTP
+     * transport. Defaults to webSocketUrl with ws:// replaced by http:// and
+     * /ws replaced by /rpc.
+     */
+    rpcUrl?: string;
+    /**
+     * How to talk to Mopidy: "websocket", "http", or a function returning a
+     * WebSocket-like object, like a HttpTransport. Mopidy events are not
+     * available over HTTP. Defaults to "websocket".
+     */
+    transport?: "websocket" | "http" | ((settings: Options) => WebSocketLike);
+    /**
+     * Whether or not to switch to the HTTP transport if the WebSocket fails to
+     * connect, e.g. because a proxy blocks WebSockets, while Mopidy answers
+     * over HTTP. The WebSocket is tried again when reconnecting after the HTTP
+     * connection is lost. Defaults to false.
+     */
+    httpFallback?: boolean;
+    /**
+     * Whether or not to connect to the WebSocket on instance creation. Defaults
+     * to true.
+     */
+    autoConnect?: boolean;
+    /**
+     * The minimum number of milliseconds to wait after a connection error before
+     * we try to reconnect. For every failed attempt, the backoff delay is doubled
+     * until it reaches backoffDelayMax. Defaults to 1000.
+     */
+    backoffDelayMin?: number;
+    /**
+     * The maximum number of milliseconds to wait after a connection error before
+     * we try to reconnect. Defaults to 64000.
+     */
+    backoffDelayMax?: number;
+    /**
+     * The fraction of the backoff delay to randomly cut off, from 0 to 1, so
+     * that many clients don't all reconnect at the same time. Defaults to 0.
+     */
+    backoffJitter?: number;
+    /**
+     * The number of reconnection attempts to make before giving up and
+     * emitting the reconnectionFailed event. Defaults to 0, which means that
+     * we never give up.
+     */
+    maxReconnectAttempts?: number;
+    /**
+     * Function returning the number of milliseconds to wait before the given
+     * reconnection attempt, starting at 1, or null to give up. Replaces the
+     * backoff delay settings. Defaults to undefined.
+     */
+    reconnectPolicy?: (attempt: number) => number | null;
+    /**
+     * Whether or not to wait with reconnecting while the page is hidden.
+     * Reconnecting is always paused while the browser is offline. Defaults to
+     * false.
+     */
+    pauseReconnectWhenHidden?: boolean;
+    /**
+     * If set, this object will be used to log errors from Mopidy.js. This is
+     * mostly useful for testing Mopidy.js. Defaults to console.
+     */
+    console?: Console;
+    /**
+     * An existing WebSocket object to be used instead of creating a new
+     * WebSocket. Defaults to undefined.
+     */
+    webSocket?: WebSocket;
+    /**
+     * Whether or not to convert models in results and events into instances of
+     * the classes in Mopidy.models, instead of leaving them as plain JSON
+     * objects. Defaults to false.
+     */
+    hydrateModels?: boolean;
+    /**
+     * The number of milliseconds between checks that the connection is still
+     * alive, using WebSocket pings in Node.js and a core.get_version call in
+     * browsers. If the server doesn't reply within heartbeatTimeout, the
+     * WebSocket is closed and the client reconnects. Defaults to 0, which
+     * disables the heartbeat.
+     */
+    heartbeatInterval?: number;
+    /**
+     * The number of milliseconds to wait for the server to reply to a
+     * heartbeat. Defaults to 5000.
+     */
+    heartbeatTimeout?: number;
+    /**
+     * Whether or not to check the params of API method calls against the
+     * method descriptions from the server before sending them, rejecting
+     * invalid calls with a ParameterError. Defaults to false.
+     */
+    validateParams?: boolean;
+    /**
+     * The number of milliseconds to wait for a response before an API method
+     * call is rejected with a TimeoutError. Defaults to 0, which means that
+     * calls never time out.
+     */
+    requestTimeout?: number;
+    /**
+     * Whether or not to queue API method calls made while the WebSocket is
+     * connecting or closed, instead of immediately rejecting them with a
+     * ConnectionError. The queued calls are sent in order as soon as the
+     * client is online. Defaults to false.
+     */
+    queueWhileOffline?: boolean;
+    /**
+     * The maximum number of calls to keep in the offline queue. When the queue
+     * is full, new calls are rejected with a ConnectionError. Defaults to 0,
+     * which means that the queue size is unlimited.
+     */
+    queueMaxSize?: number;
+    /**
+     * The maximum number of milliseconds a call can wait in the offline queue
+     * before it is rejected with a ConnectionError. Defaults to 0, which means
+     * that queued calls never expire.
+     */
+    queueExpiry?: number;
+    /**
+     * Set to "camel" to convert the snake_case keys in results and event data
+     * to camelCase, e.g. track_no to trackNo, and to convert the keys in
+     * params back to snake_case before they are sent. Keys that aren't
+     * identifiers, like URIs, are left alone. Defaults to "none".
+     */
+    caseConversion?: CaseConversion;
+    /**
+     * Set to true, or to an object with cache options, to cache the per-URI
+     * results of library.lookup and library.getImages. The cache is cleared
+     * by library.refresh and when reconnecting. Defaults to null, which
+     * disables the cache.
+     */
+    libraryCache?: boolean | LibraryCacheOptions | null;
+  }
+
+  type CaseConversion = "none" | "camel";
+
+  /**
+   * Storage for the library cache, like window.localStorage. The methods may
+   * return promises.
+   */
+  interface LibraryCacheStorage {
+    getItem(key: string): string | null | Promise<string | null>;
+    setItem(key: string, value: string): void | Promise<void>;
+  }
+
+  interface LibraryCacheOptions {
+    /**
+     * The maximum number of URIs to keep results for. The least recently
+     * used results are dropped first. Defaults to 1000. Set to 0 for no limit.
+     */
+    maxEntries?: number;
+    /**
+     * The number of milliseconds to keep results for. Defaults to 0, which
+     * means that results don't expire.
+     */
+    ttl?: number;
+    /**
+     * Where to persist the cache between sessions. Defaults to null, which
+     * keeps the cache in memory only.
+     */
+    storage?: LibraryCacheStorage | null;
+    /**
+     * The storage key to persist the cache under. Defaults to
+     * "mopidy-library-cache:" followed by the WebSocket URL.
+     */
+    storageKey?: string;
+    /**
+     * Returns the current time in milliseconds. Defaults to Date.now.
+     */
+    now?: () => number;
+  }
+
+  /**
+   * The parts of the WebSocket interface used by Mopidy.js.
+   */
+  interface WebSocketLike {
+    readonly readyState: number;
+    onopen: ((event?: unknown) => void) | null;
+    onclose: ((event: unknown) => void) | null;
+    onerror: ((error: unknown) => void) | null;
+    onmessage: ((message: { data: string }) => void) | null;
+    send(data: string): void;
+    close(): void;
+  }
+
+  interface HttpTransportOptions {
+    /**
+     * The fetch() implementation to use. Defaults to the global fetch().
+     */
+    fetch?: typeof fetch;
+  }
+
+  /**
+   * Sends JSON-RPC messages using HTTP POST requests, while looking like a
+   * WebSocket. If a request fails, the transport closes, like a WebSocket
+   * losing its connection.
+   */
+  class HttpTransport implements WebSocketLike {
+    static readonly CONNECTING: 0;
+    static readonly OPEN: 1;
+    static readonly CLOSING: 2;
+    static readonly CLOSED: 3;
+    /**
+     * Resolves to whether or not the JSON-RPC endpoint at url answers. Never
+     * rejects.
+     */
+    static probe(url: string, options?: HttpTransportOptions): Promise<boolean>;
+    constructor(url: string, options?: HttpTransportOptions);
+    readonly url: string;
+    readonly readyState: number;
+    onopen: (() => void) | null;
+    onclose: ((event: unknown) => void) | null;
+    onerror: ((error: unknown) => void) | null;
+    onmessage: ((message: { data: string }) => void) | null;
+    send(data: string): void;
+    close(): void;
+  }
+
+  type SnakeToCamel<S extends string> = S extends `${infer Head}_${infer Tail}`
+    ? `${Head}${Capitalize<SnakeToCamel<Tail>>}`
+    : S;
+
+  /**
+   * T with all snake_case keys converted to camelCase, recursively. Model
+   * classes are left as they are, as they have camelCase aliases for their
+   * fields.
+   */
+  type CamelCased<T> = T extends (...args: infer A) => infer R
+    ? (...args: { [I in keyof A]: CamelCased<A[I]> }) => CamelCased<R>
+    : T extends Promise<infer R>
+    ? Promise<CamelCased<R>>
+    : T extends models.ImmutableObject | AbortSignal
+    ? T
+    : T extends ReadonlyArray<infer U>
+    ? CamelCased<U>[]
+    : T extends object
+    ? {
+        [K in keyof T as K extends string ? SnakeToCamel<K> : K]: CamelCased<
+          T[K]
+        >;
+      }
+    : T;
+
+  /**
+   * T as seen with the given caseConversion setting.
+   */
+  type CaseConverted<T, C extends CaseConversion> = C extends "camel"
+    ? CamelCased<T>
+    : T;
+
+  /**
+   * Options that can be passed as the second argument to any core API method.
+   */
+  interface CallOptions {
+    /**
+     * The number of milliseconds to wait for a response before the call is
+     * rejected with a TimeoutError. Overrides the requestTimeout setting. Set
+     * to 0 to disable the timeout for this call.
+     */
+    timeout?: number;
+    /**
+     * Signal that rejects the call with an AbortError when aborted.
+     */
+    signal?: AbortSignal;
+    /**
+     * The maximum number of milliseconds the call can wait in the offline
+     * queue. Overrides the queueExpiry setting.
+     */
+    queueExpiry?: number;
+  }
+
+  interface WaitOptions {
+    /**
+     * The number of milliseconds to wait before rejecting with a
+     * TimeoutError. Defaults to 0, which means waiting forever.
+     */
+    timeout?: number;
+    /**
+     * Signal that rejects with an AbortError when aborted.
+     */
+    signal?: AbortSignal;
+  }
+
+  interface WaitForEventOptions<A extends unknown[]> extends WaitOptions {
+    /**
+     * Only resolve for events whose listener arguments match.
+     */
+    predicate?: (...args: A) => boolean;
+  }
+
+  /**
+   * The arguments passed to listeners of the event.
+   */
+  type EventArgs<
+    K extends keyof StrictEvents,
+    C extends CaseConversion
+  > = CaseConverted<StrictEvents[K], C> extends (...args: infer A) => unknown
+    ? A
+    : never;
+
+  interface BrowseTreeOptions {
+    /**
+     * The number of levels below the URI to walk. Defaults to no limit.
+     */
+    depth?: number;
+    /**
+     * Only yield refs of these types. All directories are walked anyway.
+     */
+    types?: models.ModelType[];
+    /**
+     * The maximum number of library calls to make at the same time. Defaults
+     * to 4.
+     */
+    concurrency?: number;
+    /**
+     * Yield the tracks looked up with library.lookup instead of track refs.
+     */
+    lookupTracks?: boolean;
+    /**
+     * The maximum number of URIs to look up in a single call. Defaults to 50.
+     */
+    lookupBatchSize?: number;
+    /**
+     * Signal that stops the walk, and aborts its calls, when aborted.
+     */
+    signal?: AbortSignal;
+  }
+
+  interface JsonRpcRequest {
+    jsonrpc: "2.0";
+    id: number;
+    method: string;
+    params?: unknown[] | { [name: string]: unknown };
+  }
+
+  interface JsonRpcResponse {
+    jsonrpc: "2.0";
+    id: number;
+    result?: unknown;
+    error?: { code: number; message: string; data?: unknown };
+  }
+
+  interface EventMessage {
+    event: string;
+    [field: string]: unknown;
+  }
+
+  type MaybePromise<T> = T | Promise<T>;
+
+  /**
+   * Middleware added with use(). Requests pass through the middleware in the
+   * order it was added, and responses and events in the reverse order.
+   * Returning nothing keeps the message unchanged.
+   */
+  interface Middleware {
+    /**
+     * Called with each outgoing request. Return a modified request, or a
+     * response with a result or an error to answer the call without sending
+     * it. Throwing rejects the call.
+     */
+    request?(
+      request: JsonRpcRequest
+    ): MaybePromise<
+      | JsonRpcRequest
+      | Omit<JsonRpcRequest, "jsonrpc" | "id">
+      | Pick<JsonRpcResponse, "result" | "error">
+      | void
+    >;
+    /**
+     * Called with each response, and the request it responds to. Throwing
+     * rejects the call.
+     */
+    response?(
+      response: JsonRpcResponse,
+      request: JsonRpcRequest | undefined
+    ): MaybePromise<JsonRpcResponse | void>;
+    /**
+     * Called with each Mopidy event. Return null to drop the event.
+     */
+    event?(event: EventMessage): MaybePromise<EventMessage | null | void>;
+  }
+
+  /**
+   * The API available to the build function passed to batch(). Call options
+   * are not supported on the individual calls in a batch.
+   */
+  type BatchApi<C extends CaseConversion = "none"> = Required<
+    Pick<
+      Mopidy<C>,
+      | "tracklist"
+      | "playback"
+      | "library"
+      | "playlists"
+      | "mixer"
+      | "history"
+      | "getUriSchemes"
+      | "getVersion"
+    >
+  >;
+
+  /**
+   * A client-side mirror of the player state, kept in sync with the server
+   * using core events.
+   *
+   * The state is fetched from the server every time the client comes online.
+   * If the client is already online when the PlayerState is created, call
+   * hydrate() to fetch the state.
+   */
+  class PlayerState {
+    constructor(mopidy: Mopidy<CaseConversion>);
+    /**
+     * Get the current state. The snapshot is immutable, and is replaced with a
+     * new object whenever the state changes.
+     */
+    getSnapshot(): PlayerStateSnapshot;
+    /**
+     * Register a listener that is called with the new and the previous
+     * snapshot whenever the state changes. Returns a function that
+     * unsubscribes the listener.
+     */
+    subscribe(
+      listener: (
+        snapshot: PlayerStateSnapshot,
+        previous: PlayerStateSnapshot
+      ) => void
+    ): () => void;
+    /**
+     * Fetch the full player state from the server.
+     */
+    hydrate(): Promise<void>;
+    /**
+     * Stop listening to the Mopidy instance and remove all subscribers.
+     */
+    destroy(): void;
+  }
+
+  interface PlayerStateSnapshot {
+    /**
+     * Whether the client is online and the state has been fetched.
+     */
+    readonly online: boolean;
+    readonly playbackState: core.PlaybackState | null;
+    readonly currentTlTrack: models.TlTrack | null;
+    readonly streamTitle: string | null;
+    readonly volume: number | null;
+    readonly mute: boolean | null;
+    readonly tlTracks: models.TlTrack[];
+    readonly repeat: boolean | null;
+    readonly random: boolean | null;
+    readonly single: boolean | null;
+    readonly consume: boolean | null;
+  }
+
+  interface PositionTrackerOptions {
+    /**
+     * The minimum number of milliseconds between position events. Also the
+     * interval between position events while playing. Defaults to 1000.
+     */
+    interval?: number;
+    /**
+     * The number of milliseconds between each time the position is fetched
+     * from the server while playing, to correct for drift. Defaults to 10000.
+     */
+    resyncInterval?: number;
+    /**
+     * Monotonic clock returning the current time in milliseconds. Defaults to
+     * performance.now().
+     */
+    now?: () => number;
+  }
+
+  /**
+   * Tracks the playback position without polling the server, by interpolating
+   * locally from the last known position.
+   *
+   * Emits "position" events with the time position in milliseconds.
+   */
+  class PositionTracker {
+    constructor(
+      mopidy: Mopidy<CaseConversion>,
+      options?: PositionTrackerOptions
+    );
+    on(name: "position", listener: (timePosition: number) => void): this;
+    off(name: "position", listener: (timePosition: number) => void): this;
+    /**
+     * Get the current interpolated time position in milliseconds.
+     */
+    getPosition(): number;
+    /**
+     * Fetch the playback state and time position from the server.
+     */
+    sync(): Promise<void>;
+    /**
+     * Stop listening to the Mopidy instance and stop all timers.
+     */
+    destroy(): void;
+  }
+
+  interface TracklistDiff<T extends { tlid: number } = models.TlTrack> {
+    /**
+     * The added tracks, with their index in the new tracklist.
+     */
+    added: { tlid: number; index: number; tlTrack: T }[];
+    /**
+     * The removed tracks, with their index in the old tracklist.
+     */
+    removed: { tlid: number; index: number; tlTrack: T }[];
+    /**
+     * The tracks that changed position relative to the other tracks, with
+     * their index in the old and the new tracklist.
+     */
+    moved: { tlid: number; from: number; to: number; tlTrack: T }[];
+  }
+
+  interface TracklistDiffEvent<C extends CaseConversion = "none">
+    extends TracklistDiff<CaseConverted<models.TlTrack, C>> {
+    tlTracks: CaseConverted<models.TlTrack, C>[];
+    previous: CaseConverted<models.TlTrack, C>[];
+  }
+
+  /**
+   * A client-side copy of the tracklist, which is fetched again when the
+   * tracklist changes. Emits "tracklist:diff" with the changes.
+   *
+   * The tracklist is fetched every time the client comes online. If the
+   * client is already online when the TracklistMirror is created, call
+   * refresh() to fetch the tracklist.
+   */
+  class TracklistMirror<C extends CaseConversion = "none"> {
+    /**
+     * Compare two lists of TlTracks by tlid. Moving the tracks in moved,
+     * removing the tracks in removed, and adding the tracks in added turns
+     * the old list into the new list.
+     */
+    static diff<T extends { tlid: number }>(
+      oldTlTracks: T[],
+      newTlTracks: T[]
+    ): TracklistDiff<T>;
+    constructor(mopidy: Mopidy<C>);
+    on(
+      name: "tracklist:diff",
+      listener: (diff: TracklistDiffEvent<C>) => void
+    ): this;
+    off(
+      name: "tracklist:diff",
+      listener: (diff: TracklistDiffEvent<C>) => void
+    ): this;
+    /**
+     * Get the current copy of the tracklist.
+     */
+    getTlTracks(): CaseConverted<models.TlTrack, C>[];
+    /**
+     * Fetch the tracklist from the server.
+     */
+    refresh(): Promise<void>;
+    /**
+     * Stop listening to the Mopidy instance and remove all listeners.
+     */
+    destroy(): void;
+  }
+
+  interface TracklistWindowOptions {
+    /**
+     * The number of tracks per page. Defaults to 100.
+     */
+    pageSize?: number;
+    /**
+     * The maximum number of pages to cache. The least recently used pages
+     * are dropped first. Defaults to 5.
+     */
+    maxPages?: number;
+  }
+
+  interface TracklistWindowChange {
+    /**
+     * The length of the tracklist.
+     */
+    length: number;
+    /**
+     * The cached pages whose tracks changed.
+     */
+    pages: number[];
+  }
+
+  /**
+   * Access to the tracklist a page at a time, for tracklists too large to
+   * fetch at once.
+   *
+   * When the tracklist changes, the length and the cached pages are fetched
+   * again, and "change" is emitted with the pages that changed.
+   */
+  class TracklistWindow<C extends CaseConversion = "none"> {
+    constructor(mopidy: Mopidy<C>, options?: TracklistWindowOptions);
+    readonly pageSize: number;
+    on(name: "change", listener: (change: TracklistWindowChange) => void): this;
+    off(
+      name: "change",
+      listener: (change: TracklistWindowChange) => void
+    ): this;
+    getLength(): Promise<number>;
+    /**
+     * Get the tracks on the page, fetching them if they aren't cached.
+     */
+    getPage(page: number): Promise<CaseConverted<models.TlTrack, C>[]>;
+    /**
+     * Get the tracks from index start up to, but not including, index end.
+     */
+    getRange(
+      start: number,
+      end: number
+    ): Promise<CaseConverted<models.TlTrack, C>[]>;
+    /**
+     * Get the track at the index if its page is cached, without fetching it.
+     */
+    getCached(index: number): CaseConverted<models.TlTrack, C> | undefined;
+    /**
+     * Find the index and page of the track with the tlid, or of the current
+     * track if no tlid is given.
+     */
+    locate(
+      tlid?: number | null
+    ): Promise<{ index: number; page: number } | null>;
+    /**
+     * Fetch the length and the cached pages again.
+     */
+    refresh(): Promise<void>;
+    /**
+     * Stop listening to the Mopidy instance and remove all listeners.
+     */
+    destroy(): void;
+  }
+
+  interface BulkAddOptions {
+    /**
+     * The number of URIs to add per tracklist.add call. Defaults to 100.
+     */
+    chunkSize?: number;
+    /**
+     * The tracklist position to insert the tracks at. Defaults to null,
+     * which appends the tracks to the end of the tracklist.
+     */
+    atPosition?: number | null;
+    /**
+     * Whether or not to look up each chunk with library.lookup before adding
+     * it, to find the URIs that fail when they expand to tracks with other
+     * URIs, like playlists do. Resolves each URI twice. Defaults to false.
+     */
+    lookup?: boolean;
+    /**
+     * Signal that cancels adding URIs when aborted.
+     */
+    signal?: AbortSignal;
+  }
+
+  interface BulkAddProgress<C extends CaseConversion = "none"> {
+    /**
+     * The number of URIs processed so far.
+     */
+    processed: number;
+    total: number;
+    /**
+     * The tracks added by the last chunk.
+     */
+    tlTracks: CaseConverted<models.TlTrack, C>[];
+    /**
+     * The URIs of the last chunk that didn't resolve to any track.
+     */
+    failed: string[];
+  }
+
+  interface BulkAddResult<C extends CaseConversion = "none"> {
+    added: CaseConverted<models.TlTrack, C>[];
+    /**
+     * The URIs that didn't resolve to a track.
+     */
+    failed: string[];
+    /**
+     * Whether or not adding was cancelled before all URIs were processed.
+     */
+    cancelled: boolean;
+  }
+
+  /**
+   * Adds many URIs to the tracklist, using one tracklist.add call per chunk
+   * of URIs. Emits "progress" after each chunk.
+   */
+  class BulkAdd<C extends CaseConversion = "none"> {
+    constructor(mopidy: Mopidy<C>, uris: string[], options?: BulkAddOptions);
+    readonly total: number;
+    readonly processed: number;
+    readonly added: CaseConverted<models.TlTrack, C>[];
+    readonly failed: string[];
+    on(
+      name: "progress",
+      listener: (progress: BulkAddProgress<C>) => void
+    ): this;
+    off(
+      name: "progress",
+      listener: (progress: BulkAddProgress<C>) => void
+    ): this;
+    /**
+     * Start adding the URIs. Rejects if a call to Mopidy fails, leaving
+     * the progress so far in added and failed.
+     */
+    run(): Promise<BulkAddResult<C>>;
+    /**
+     * Stop adding URIs once the chunk being added is done.
+     */
+    cancel(): void;
+  }
+
+  type PlaylistTrack<C extends CaseConversion = "none"> =
+    | string
+    | CaseConverted<models.Track, C>;
+
+  /**
+   * A change staged by a PlaylistEditor. Removes and moves keep the tracks
+   * they apply to, so that they can be replayed on a newer version of the
+   * playlist.
+   */
+  type PlaylistChange<C extends CaseConversion = "none"> =
+    | { type: "append"; tracks: CaseConverted<models.Track, C>[] }
+    | {
+        type: "insert";
+        position: number;
+        tracks: CaseConverted<models.Track, C>[];
+      }
+    | {
+        type: "remove";
+        position: number;
+        tracks: CaseConverted<models.Track, C>[];
+      }
+    | {
+        type: "move";
+        position: number;
+        tracks: CaseConverted<models.Track, C>[];
+        toPosition: number;
+      }
+    | { type: "rename"; name: string };
+
+  interface PlaylistContents<C extends CaseConversion = "none"> {
+    name: string;
+    tracks: CaseConverted<models.Track, C>[];
+  }
+
+  interface PlaylistConflict<C extends CaseConversion = "none"> {
+    /**
+     * The playlist the staged changes were made to.
+     */
+    base: CaseConverted<models.Playlist, C>;
+    /**
+     * The newer version of the playlist on the server.
+     */
+    remote: CaseConverted<models.Playlist, C>;
+    /**
+     * The playlist with the staged changes.
+     */
+    local: PlaylistContents<C>;
+    changes: PlaylistChange<C>[];
+  }
+
+  /**
+   * "retry" replays the staged changes on the newer version and tries
+   * again, "overwrite" saves the staged version anyway, and an object with
+   * the name and tracks is saved as the merged playlist. Anything else makes
+   * save() reject with a ConflictError.
+   */
+  type PlaylistConflictResolution<C extends CaseConversion = "none"> =
+    | "retry"
+    | "overwrite"
+    | "abort"
+    | { name?: string; tracks?: PlaylistTrack<C>[] }
+    | null
+    | undefined;
+
+  interface PlaylistEditorOptions<C extends CaseConversion = "none"> {
+    /**
+     * Called when saving finds that the playlist was changed on the server
+     * since it was loaded.
+     */
+    onConflict?: (
+      conflict: PlaylistConflict<C>
+    ) => PlaylistConflictResolution<C> | Promise<PlaylistConflictResolution<C>>;
+    /**
+     * The number of times save() may retry when onConflict returns "retry".
+     * Defaults to 3.
+     */
+    maxRetries?: number;
+  }
+
+  /**
+   * Stages edits to a stored playlist and saves them with a single
+   * playlists.save call, unless another client has saved the playlist in
+   * the meantime. Emits "conflict" as soon as that happens while there are
+   * staged changes.
+   */
+  class PlaylistEditor<C extends CaseConversion = "none"> {
+    constructor(
+      mopidy: Mopidy<C>,
+      uri: string,
+      options?: PlaylistEditorOptions<C>
+    );
+    readonly uri: string;
+    /**
+     * The playlist as last loaded or saved, without the staged changes.
+     */
+    readonly playlist: CaseConverted<models.Playlist, C> | null;
+    readonly name: string | null;
+    readonly tracks: CaseConverted<models.Track, C>[];
+    readonly changes: PlaylistChange<C>[];
+    readonly dirty: boolean;
+    /**
+     * The newer version of the playlist saved by another client, or null.
+     */
+    readonly conflict: CaseConverted<models.Playlist, C> | null;
+    on(name: "change", listener: (contents: PlaylistContents<C>) => void): this;
+    on(
+      name: "save" | "conflict",
+      listener: ({
+        playlist,
+      }: {
+        playlist: CaseConverted<models.Playlist, C>;
+      }) => void
+    ): this;
+    off(
+      name: "change",
+      listener: (contents: PlaylistContents<C>) => void
+    ): this;
+    off(
+      name: "save" | "conflict",
+      listener: ({
+        playlist,
+      }: {
+        playlist: CaseConverted<models.Playlist, C>;
+      }) => void
+    ): this;
+    /**
+     * Fetch the latest version of the playlist, replaying the staged
+     * changes on top of it.
+     */
+    load(): Promise<CaseConverted<models.Playlist, C>>;
+    append(tracks: PlaylistTrack<C>[]): this;
+    insert(position: number, tracks: PlaylistTrack<C>[]): this;
+    /**
+     * Remove the tracks from index start up to, but not including, index
+     * end, which defaults to start + 1.
+     */
+    remove(start: number, end?: number): this;
+    /**
+     * Move the tracks from index start up to, but not including, index end
+     * to toPosition in the playlist without the moved tracks.
+     */
+    move(start: number, end: number, toPosition: number): this;
+    rename(name: string): this;
+    /**
+     * Drop the staged changes, switching to the conflicting version of the
+     * playlist if there is one.
+     */
+    discard(): void;
+    save(): Promise<CaseConverted<models.Playlist, C>>;
+    /**
+     * Stop listening to the Mopidy instance and remove all listeners.
+     */
+    destroy(): void;
+  }
+
+  type SearchField = core.QueryField | "trackName" | "trackNo";
+
+  /**
+   * Builds the params for library.search, checking the field names.
+   *
+   * There is a shorthand method per field, so that
+   * `new SearchQuery().artist("ABBA")` equals
+   * `new SearchQuery().where("artist", "ABBA")`.
+   */
+  class SearchQuery {
+    /**
+     * The field names accepted by library.search.
+     */
+    static readonly FIELDS: core.QueryField[];
+    constructor(query?: {
+      [key in SearchField]?: string | number | (string | number)[];
+    });
+    /**
+     * Add values to search for in the field. Throws a TypeError on unknown
+     * fields and empty values.
+     */
+    where(field: SearchField, ...values: (string | number)[]): this;
+    uri(...values: string[]): this;
+    trackName(...values: string[]): this;
+    album(...values: string[]): this;
+    artist(...values: string[]): this;
+    albumartist(...values: string[]): this;
+    composer(...values: string[]): this;
+    performer(...values: string[]): this;
+    trackNo(...values: (string | number)[]): this;
+    genre(...values: string[]): this;
+    date(...values: string[]): this;
+    comment(...values: string[]): this;
+    any(...values: string[]): this;
+    /**
+     * Limit the search to the given URI roots, e.g. "local:".
+     */
+    within(...uris: string[]): this;
+    exact(exact?: boolean): this;
+    isEmpty(): boolean;
+    /**
+     * Get the params for library.search.
+     */
+    build(): { query: core.Query; uris?: string[]; exact?: boolean };
+  }
+
+  interface MergeSearchResultsOptions {
+    /**
+     * The query searched for. Results matching it best are ranked first.
+     */
+    query?: SearchQuery | { [key in SearchField]?: string | string[] } | null;
+    /**
+     * URI schemes of backends, like "local", in order of preference. Among
+     * equally good matches, results from these backends are ranked first.
+     */
+    backends?: string[];
+    /**
+     * Whether or not to remove results with the same name, artists, and album
+     * from different backends, keeping the best ranked one. Results with the
+     * same URI are always removed. Defaults to true.
+     */
+    dedupe?: boolean;
+    /**
+     * Whether or not to include the results of each backend under backends.
+     * Defaults to false.
+     */
+    groupByBackend?: boolean;
+  }
+
+  interface MergedSearchResults<C extends CaseConversion = "none"> {
+    tracks: CaseConverted<models.Track, C>[];
+    albums: CaseConverted<models.Album, C>[];
+    artists: CaseConverted<models.Artist, C>[];
+    /**
+     * The ranked results per backend, keyed by URI scheme. Only included if
+     * the groupByBackend option is set.
+     */
+    backends?: {
+      [scheme: string]: Pick<
+        MergedSearchResults<C>,
+        "tracks" | "albums" | "artists"
+      >;
+    };
+  }
+
+  /**
+   * Merge the SearchResults returned by library.search, one per backend, into
+   * single lists of ranked and de-duplicated tracks, albums, and artists.
+   */
+  function mergeSearchResults<C extends CaseConversion = "none">(
+    results: CaseConverted<models.SearchResult, C>[],
+    options?: MergeSearchResultsOptions
+  ): MergedSearchResults<C>;
+
+  interface LiveSearchOptions {
+    /**
+     * The number of milliseconds to wait after the last input before
+     * searching. Defaults to 250.
+     */
+    debounce?: number;
+    /**
+     * The minimum length of text input to search for. Defaults to 2.
+     */
+    minLength?: number;
+    /**
+     * The number of recent searches to keep the results of. Defaults to 20.
+     */
+    cacheSize?: number;
+    /**
+     * The field to search text input in. Defaults to "any".
+     */
+    field?: SearchField;
+    /**
+     * Limit searches for text input to these URI roots.
+     */
+    uris?: string[] | null;
+    /**
+     * Whether or not searches for text input should use exact matching.
+     */
+    exact?: boolean | null;
+    /**
+     * Set to true, or to mergeSearchResults() options, to get merged results
+     * instead of one SearchResult per backend. Defaults to false.
+     */
+    merge?: boolean | Omit<MergeSearchResultsOptions, "query">;
+  }
+
+  type LiveSearchResults<C extends CaseConversion = "none"> =
+    | CaseConverted<models.SearchResult, C>[]
+    | MergedSearchResults<C>;
+
+  interface LiveSearchState<C extends CaseConversion = "none"> {
+    readonly status: "idle" | "loading" | "results" | "error";
+    readonly input: string | SearchQuery | null;
+    readonly results: LiveSearchResults<C> | null;
+    readonly error: Error | null;
+  }
+
+  /**
+   * Search-as-you-type using library.search. Only the results for the latest
+   * input are emitted, even if the responses arrive out of order.
+   *
+   * Emits "loading" when a search starts, "results" with the results,
+   * "error" with the error if a search fails, and "idle" when the input is
+   * too short or cleared.
+   */
+  class LiveSearch<C extends CaseConversion = "none"> {
+    constructor(mopidy: Mopidy<C>, options?: LiveSearchOptions);
+    on(name: "loading", listener: (input: string | SearchQuery) => void): this;
+    on(
+      name: "results",
+      listener: (
+        results: LiveSearchResults<C>,
+        input: string | SearchQuery
+      ) => void
+    ): this;
+    on(
+      name: "error",
+      listener: (error: Error, input: string | SearchQuery) => void
+    ): this;
+    on(name: "idle", listener: () => void): this;
+    off(name: "loading", listener: (input: string | SearchQuery) => void): this;
+    off(
+      name: "results",
+      listener: (
+        results: LiveSearchResults<C>,
+        input: string | SearchQuery
+      ) => void
+    ): this;
+    off(
+      name: "error",
+      listener: (error: Error, input: string | SearchQuery) => void
+    ): this;
+    off(name: "idle", listener: () => void): this;
+    getState(): LiveSearchState<C>;
+    /**
+     * Search for the text typed by the user, or for a SearchQuery, replacing
+     * any search that is waiting or in progress.
+     */
+    search(input: string | SearchQuery): void;
+    /**
+     * Stop any search that is waiting or in progress, and go back to idle.
+     */
+    clear(): void;
+    clearCache(): void;
+    /**
+     * Stop any search that is waiting or in progress, and remove all
+     * listeners.
+     */
+    destroy(): void;
+  }
+
+  /**
+   * The client state changes and Mopidy events that MopidyPool forwards.
+   */
+  type MopidyPoolEvent = Exclude<
+    keyof StrictEvents,
+    "state" | "event" | `websocket:${string}`
+  >;
+
+  type MopidyPoolOutcome<T> = { result: T } | { error: unknown };
 
   /**
-   * Manages everything related to the list of tracks we will play. See
-   * TracklistController. Undefined before Mopidy connects.
+   * The MopidyPool class, from require("mopidy/src/pool").
    */
-  tracklist?: Mopidy.core.TracklistController;
+  interface MopidyPoolConstructor {
+    /**
+     * Each server is given either as the settings to create its Mopidy
+     * instance with, which are merged with the settings of the pool, or as an
+     * existing instance.
+     */
+    new <C extends CaseConversion = "none">(
+      servers?: { [name: string]: Options | Mopidy<C> },
+      settings?: Options & { caseConversion?: C }
+    ): MopidyPool<C>;
+  }
+
   /**
-   * Manages playback state and the current playing track. See
-   * PlaybackController. Undefined before Mopidy connects.
+   * Manages a named Mopidy instance per server, and forwards their client
+   * state changes and Mopidy events with the name of the server as the first
+   * argument.
    */
-  playback?: Mopidy.core.PlaybackController;
+  interface MopidyPool<C extends CaseConversion = "none"> {
+    on(
+      name: "state",
+      listener: (server: string, state: string, data?: unknown) => void
+    ): this;
+    on(
+      name: "event",
+      listener: (server: string, eventName: string, data?: unknown) => void
+    ): this;
+    on<K extends MopidyPoolEvent>(
+      name: K,
+      listener: (server: string, ...args: EventArgs<K, C>) => void
+    ): this;
+    off(
+      name: "state",
+      listener: (server: string, state: string, data?: unknown) => void
+    ): this;
+    off(
+      name: "event",
+      listener: (server: string, eventName: string, data?: unknown) => void
+    ): this;
+    off<K extends MopidyPoolEvent>(
+      name: K,
+      listener: (server: string, ...args: EventArgs<K, C>) => void
+    ): this;
+    /**
+     * Add a server, either as a Mopidy instance or as the settings to create
+     * one with. Throws if there already is a server with the name.
+     */
+    add(name: string, server?: Options | Mopidy<C>): Mopidy<C>;
+    /**
+     * Remove a server, and close its connection. Returns false if there is no
+     * server with the name.
+     */
+    remove(name: string): boolean;
+    has(name: string): boolean;
+    get(name: string): Mopidy<C> | undefined;
+    names(): string[];
+    isOnline(name: string): boolean;
+    /**
+     * Call a function with each server, or with the named servers. Resolves
+     * with an outcome per server, so that a failure on one server doesn't hide
+     * the results from the others.
+     */
+    broadcast<T>(
+      call: (mopidy: Mopidy<C>, name: string) => T | Promise<T>,
+      names?: string[]
+    ): Promise<{ [name: string]: MopidyPoolOutcome<T> }>;
+    /**
+     * Remove all servers, and close their connections.
+     */
+    close(): void;
+  }
+
   /**
-   * Manages the music library, e.g. searching and browsing for music. See
-   * LibraryController. Undefined before Mopidy connects.
+   * A track in the library of a MockMopidyServer, as a JSON object.
    */
-  library?: Mopidy.core.LibraryController;
+  interface MockTrack {
+    uri: string;
+    name?: string;
+    [field: string]: unknown;
+  }
+
+  interface MockMopidyServerOptions {
+    /**
+     * The version returned by core.get_version. Defaults to "3.0.2".
+     */
+    version?: string;
+    /**
+     * The tracks in the library. Looking up the URI of a track's album gives
+     * all tracks of that album.
+     */
+    tracks?: MockTrack[];
+    playlists?: { uri: string; name: string; tracks?: MockTrack[] }[];
+  }
+
   /**
-   * Manages stored playlists. See PlaylistsController. Undefined before
-   * Mopidy connects.
+   * The MockMopidyServer class, from require("mopidy/src/mock-server").
    */
-  playlists?: Mopidy.core.PlaylistsController;
+  interface MockMopidyServerConstructor {
+    new (options?: MockMopidyServerOptions): MockMopidyServer;
+    /**
+     * Throw this from a mocked result to respond with a JSON-RPC error.
+     */
+    RpcError: new (code: number, message: string, data?: unknown) => Error & {
+      code: number;
+      data?: unknown;
+    };
+  }
+
   /**
-   * Manages volume and muting. See MixerController. Undefined before Mopidy
-   * connects.
+   * An in-memory stand-in for a Mopidy server, for testing without running
+   * Mopidy.
    */
-  mixer?: Mopidy.core.MixerController;
+  interface MockMopidyServer {
+    /**
+     * All JSON-RPC requests the server has received.
+     */
+    readonly requests: (JsonRpcRequest | JsonRpcRequest[])[];
+    /**
+     * Create a WebSocket-like connection to the server. Pass this method as
+     * the transport setting of a Mopidy instance.
+     */
+    createTransport(): WebSocketLike;
+    /**
+     * Respond to calls to the method with the given result instead. If the
+     * result is a function, it is called with the by-name params, and may
+     * return a promise.
+     */
+    mockResult(
+      method: string,
+      result: (params: { [name: string]: any }) => unknown
+    ): void;
+    mockResult(method: string, result: unknown): void;
+    /**
+     * Respond to calls to the method with the given JSON-RPC error.
+     */
+    mockError(
+      method: string,
+      error?: { code?: number; message?: string; data?: unknown }
+    ): void;
+    /**
+     * Remove the mocked responses for the method, or for all methods.
+     */
+    resetMocks(method?: string): void;
+    /**
+     * Send a core event, like "track_playback_started", to all connections.
+     */
+    emitEvent(event: string, data?: { [key: string]: unknown }): void;
+    /**
+     * Drop all connections, like a server going away.
+     */
+    disconnect(): void;
+    /**
+     * The result of core.describe.
+     */
+    describe(): {
+      [method: string]: { description: string | null; params: unknown[] };
+    };
+  }
+
+  type SessionEntry = { time: number } & (
+    | { type: "outgoing"; message: JsonRpcRequest | JsonRpcRequest[] }
+    | { type: "incoming"; message: unknown }
+    | { type: "incoming"; data: string }
+    | { type: "close"; code?: number; reason?: string; wasClean?: boolean }
+    | { type: "state"; state: string; data?: unknown }
+  );
+
+  interface SessionRecording {
+    version: 1;
+    startedAt: string;
+    entries: SessionEntry[];
+    truncated?: boolean;
+  }
+
+  interface SessionRecorderOptions {
+    /**
+     * Stop recording once there are this many entries. Defaults to Infinity.
+     */
+    maxEntries?: number;
+    /**
+     * Returns the current time in milliseconds. Defaults to Date.now.
+     */
+    now?: () => number;
+  }
+
   /**
-   * Keeps record of what tracks have been played. See HistoryController.
-   * Undefined before Mopidy connects.
+   * The SessionRecorder class, from require("mopidy/src/recorder").
    */
-  history?: Mopidy.core.HistoryController;
+  interface SessionRecorderConstructor {
+    new <C extends CaseConversion>(
+      mopidy: Mopidy<C>,
+      options?: SessionRecorderOptions
+    ): SessionRecorder;
+  }
 
   /**
-   * Get list of URI schemes we can handle
+   * Records the JSON-RPC messages and client state changes of a Mopidy
+   * instance. JSON.stringify() it to get the recording.
    */
-  getUriSchemes(): Promise<string[]>;
+  interface SessionRecorder {
+    readonly startedAt: string;
+    readonly entries: SessionEntry[];
+    /**
+     * Whether or not recording stopped at maxEntries.
+     */
+    readonly truncated: boolean;
+    toJSON(): SessionRecording;
+    /**
+     * Stop recording.
+     */
+    destroy(): void;
+  }
+
   /**
-   * Get version of the Mopidy core API
+   * The SessionReplay class, from require("mopidy/src/recorder").
    */
-  getVersion(): Promise<string>;
-}
-
-declare namespace Mopidy {
-  type ValueOf<T> = T[keyof T];
-  type URI = string;
-
-  interface Options {
+  interface SessionReplayConstructor {
     /**
-     * URL used when creating new WebSocket objects.
-     *
-     * In a browser environment, it defaults to
-     * ws://${document.location.host}/mopidy/ws. If the current page is served
-     * over HTTPS, it defaults to using wss:// instead of ws://.
-     *
-     * In a non-browser environment, where document.location isn't available, it
-     * defaults to ws://localhost/mopidy/ws.
+     * Throws if the recording isn't in a supported format.
      */
-    webSocketUrl?: string;
+    new (recording: SessionRecording | string): SessionReplay;
+  }
+
+  /**
+   * Plays a recorded session back to a Mopidy instance.
+   */
+  interface SessionReplay {
     /**
-     * Whether or not to connect to the WebSocket on instance creation. Defaults
-     * to true.
+     * The requests without a recorded response.
      */
-    autoConnect?: boolean;
+    readonly unmatched: JsonRpcRequest[];
     /**
-     * The minimum number of milliseconds to wait after a connection error before
-     * we try to reconnect. For every failed attempt, the backoff delay is doubled
-     * until it reaches backoffDelayMax. Defaults to 1000.
+     * Pass this method as the transport setting of a Mopidy instance.
      */
-    backoffDelayMin?: number;
+    createTransport(): WebSocketLike;
+  }
+
+  /**
+   * Thrown when a call is made while the WebSocket isn't open, or if the
+   * WebSocket closes while waiting for a response.
+   */
+  class ConnectionError extends Error {
+    closeEvent?: unknown;
+  }
+  /**
+   * Thrown when the server responds with a JSON-RPC error.
+   */
+  class ServerError extends Error {
+    code: number;
+    data?: unknown;
+  }
+  /**
+   * Thrown when a call doesn't get a response within its timeout.
+   */
+  class TimeoutError extends Error {}
+  /**
+   * Thrown when a call is aborted through its AbortSignal.
+   */
+  class AbortError extends Error {}
+  /**
+   * Thrown when the validateParams setting is enabled and a call has
+   * arguments not matching the method's params.
+   */
+  class ParameterError extends Error {
     /**
-     * The maximum number of milliseconds to wait after a connection error before
-     * we try to reconnect. Defaults to 64000.
+     * The full name of the method, e.g. core.library.browse.
      */
-    backoffDelayMax?: number;
+    method: string;
     /**
-     * If set, this object will be used to log errors from Mopidy.js. This is
-     * mostly useful for testing Mopidy.js. Defaults to console.
+     * The name of the offending parameter, or null if there were too many
+     * by-position arguments.
      */
-    console?: Console;
+    param: string | null;
+  }
+  /**
+   * Thrown when a PlaylistEditor can't save because the playlist was changed
+   * or deleted by another client.
+   */
+  class ConflictError extends Error {
     /**
-     * An existing WebSocket object to be used instead of creating a new
-     * WebSocket. Defaults to undefined.
+     * The newer version of the playlist on the server, or null if it was
+     * deleted.
      */
-    webSocket?: WebSocket;
+    playlist: unknown;
   }
 
   interface StrictEvents extends core.CoreListener {
@@ -143,6 +1534,8 @@ declare namespace Mopidy {
     "state:offline": () => void;
     reconnectionPending: ({ timeToAttempt }: { timeToAttempt: number }) => void;
     reconnecting: () => void;
+    reconnectionPaused: ({ reason }: { reason: "offline" | "hidden" }) => void;
+    reconnectionFailed: ({ attempts }: { attempts: number }) => void;
     /**
      * The client state events are also emitted under the aggregate event named
      * state.
@@ -166,16 +1559,59 @@ declare namespace Mopidy {
   }
 
   // https://docs.mopidy.com/en/latest/api/models/
+  //
+  // The model classes are only used at runtime if the hydrateModels setting is
+  // enabled. Otherwise, results and events contain plain JSON objects with the
+  // same fields, and a "__model__" key naming the model class.
   namespace models {
     type ModelType = "album" | "artist" | "directory" | "playlist" | "track";
 
-    class Ref<T extends ModelType> {
+    /**
+     * Convert Mopidy's JSON representation of models into model instances,
+     * based on the "__model__" key of each object. Arrays and plain objects are
+     * converted recursively.
+     */
+    function fromJSON(value: unknown): any;
+
+    /**
+     * Base class for all models. Model instances are immutable.
+     */
+    class ImmutableObject {
+      /**
+       * Create a copy of the model with the given fields changed.
+       */
+      replace(changes: Partial<this>): this;
+      /**
+       * Whether the other model is of the same class and has the same values
+       * in all fields.
+       */
+      equals(other: unknown): boolean;
+      /**
+       * Serialize the model to Mopidy's JSON representation, including the
+       * "__model__" key. Fields without a value are left out.
+       */
+      toJSON(): { __model__: string; [key: string]: unknown };
+    }
+
+    class Ref<T extends ModelType> extends ImmutableObject {
       constructor({ uri, name, type }: { uri: URI; name: string; type: T });
-      static album(): Ref<"album">;
-      static artist(): Ref<"artist">;
-      static directory(): Ref<"directory">;
-      static playlist(): Ref<"playlist">;
-      static track(): Ref<"track">;
+      static album({ uri, name }: { uri: URI; name: string }): Ref<"album">;
+      static artist({ uri, name }: { uri: URI; name: string }): Ref<"artist">;
+      static directory({
+        uri,
+        name,
+      }: {
+        uri: URI;
+        name: string;
+      }): Ref<"directory">;
+      static playlist({
+        uri,
+        name,
+      }: {
+        uri: URI;
+        name: string;
+      }): Ref<"playlist">;
+      static track({ uri, name }: { uri: URI; name: string }): Ref<"track">;
       static ALBUM: "album";
       static ARTIST: "artist";
       static DIRECTORY: "directory";
@@ -201,12 +1637,14 @@ declare namespace Mopidy {
      *   `(tlid, track) = tl_track`
      *
      */
-    class TlTrack {
+    class TlTrack extends ImmutableObject {
       constructor({ tlid, track }: { tlid: number; track: Track });
+      constructor(tlid: number, track: Track);
       readonly tlid: number;
       readonly track: Track;
+      [Symbol.iterator](): Iterator<number | Track>;
     }
-    class Track {
+    class Track extends ImmutableObject {
       constructor({
         uri,
         name,
@@ -320,10 +1758,18 @@ declare namespace Mopidy {
        * The track number in the album
        */
       readonly track_no: number;
+      /**
+       * Alias of track_no
+       */
+      readonly trackNo: number;
       /**
        * The disc number in the album
        */
       readonly disc_no: number;
+      /**
+       * Alias of disc_no
+       */
+      readonly discNo: number;
       /**
        * The track release date (YYYY or YYYY-MM-DD)
        */
@@ -344,6 +1790,10 @@ declare namespace Mopidy {
        * The track MusicBrainz ID
        */
       readonly musicbrainz_id: string;
+      /**
+       * Alias of musicbrainz_id
+       */
+      readonly musicbrainzId: string;
       /**
        * Integer representing when the track was last modified. Exact meaning
        * depends on source of track. For local files this is the modification
@@ -351,8 +1801,12 @@ declare namespace Mopidy {
        * an equivalent timestamp or simply a version counter.
        */
       readonly last_modified: number;
+      /**
+       * Alias of last_modified
+       */
+      readonly lastModified: number;
     }
-    class SearchResult {
+    class SearchResult extends ImmutableObject {
       constructor({
         uri,
         tracks,
@@ -394,7 +1848,7 @@ declare namespace Mopidy {
       readonly albums: Album[];
     }
 
-    class Artist {
+    class Artist extends ImmutableObject {
       constructor({
         uri,
         name,
@@ -434,9 +1888,13 @@ declare namespace Mopidy {
        * The MusicBrainz ID of the artist
        */
       readonly musicbrainz_id: string;
+      /**
+       * Alias of musicbrainz_id
+       */
+      readonly musicbrainzId: string;
     }
 
-    class Album {
+    class Album extends ImmutableObject {
       constructor({
         uri,
         name,
@@ -491,10 +1949,18 @@ declare namespace Mopidy {
        * The number of tracks in the album
        */
       readonly num_tracks: number;
+      /**
+       * Alias of num_tracks
+       */
+      readonly numTracks: number;
       /**
        * The number of discs in the album
        */
       readonly num_discs: number;
+      /**
+       * Alias of num_discs
+       */
+      readonly numDiscs: number;
       /**
        * album release date (YYYY or YYYY-MM-DD)
        */
@@ -503,9 +1969,13 @@ declare namespace Mopidy {
        * The MusicBrainz ID of the album
        */
       readonly musicbrainz_id: string;
+      /**
+       * Alias of musicbrainz_id
+       */
+      readonly musicbrainzId: string;
     }
 
-    class Image {
+    class Image extends ImmutableObject {
       constructor({
         uri,
         width,
@@ -538,7 +2008,7 @@ declare namespace Mopidy {
       readonly height: number;
     }
 
-    class Playlist {
+    class Playlist extends ImmutableObject {
       constructor({
         uri,
         name,
@@ -578,6 +2048,10 @@ declare namespace Mopidy {
        * The playlist modification time in milliseconds since Unix epoch
        */
       readonly last_modified: number;
+      /**
+       * Alias of last_modified
+       */
+      readonly lastModified: number;
       /**
        * The number of tracks in the playlist
        */
@@ -766,24 +2240,27 @@ declare namespace Mopidy {
        *
        * Triggers the `mopidy.core.CoreListener.tracklist_changed()` event.
        */
-      add({
-        tracks,
-        at_position,
-        uris,
-      }: {
-        /**
-         * The tracks to add
-         */
-        tracks?: models.Track[];
-        /**
-         * The position in tracklist to add tracks
-         */
-        at_position?: number;
-        /**
-         * list of URIs for tracks to add
-         */
-        uris?: string[];
-      }): Promise<models.TlTrack[]>;
+      add(
+        {
+          tracks,
+          at_position,
+          uris,
+        }: {
+          /**
+           * The tracks to add
+           */
+          tracks?: models.Track[];
+          /**
+           * The position in tracklist to add tracks
+           */
+          at_position?: number;
+          /**
+           * list of URIs for tracks to add
+           */
+          uris?: string[];
+        },
+        options?: CallOptions
+      ): Promise<models.TlTrack[]>;
 
       /**
        * Remove the matching tracks from the tracklist.
@@ -791,45 +2268,51 @@ declare namespace Mopidy {
        *
        * Triggers the `mopidy.core.CoreListener.tracklist_changed()` event.
        */
-      remove({
-        criteria,
-      }: {
-        /**
-         * (dict, of (string, list) pairs) – one or more rules to match by
-         */
-        criteria: { [key: string]: string[] };
-      }): Promise<models.TlTrack[]>;
+      remove(
+        {
+          criteria,
+        }: {
+          /**
+           * (dict, of (string, list) pairs) – one or more rules to match by
+           */
+          criteria: { [key: string]: string[] };
+        },
+        options?: CallOptions
+      ): Promise<models.TlTrack[]>;
 
       /**
        * Clear the tracklist
        *
        * Triggers the `mopidy.core.CoreListener.tracklist_changed()` event.
        */
-      clear(): Promise<void>;
+      clear(params?: undefined, options?: CallOptions): Promise<void>;
 
       /**
        * Move the tracks in the slice `[start:end]` to `to_position`.
        *
        * Triggers the `mopidy.core.CoreListener.tracklist_changed()` event.
        */
-      move({
-        start,
-        end,
-        to_position,
-      }: {
-        /**
-         * position of first track to move
-         */
-        start: number;
-        /**
-         * position after last track to move
-         */
-        end: number;
-        /**
-         * new position for the tracks
-         */
-        to_position: number;
-      }): Promise<void>;
+      move(
+        {
+          start,
+          end,
+          to_position,
+        }: {
+          /**
+           * position of first track to move
+           */
+          start: number;
+          /**
+           * position after last track to move
+           */
+          end: number;
+          /**
+           * new position for the tracks
+           */
+          to_position: number;
+        },
+        options?: CallOptions
+      ): Promise<void>;
 
       /**
        * Shuffles the entire tracklist. If `start` and `end` is given
@@ -837,24 +2320,30 @@ declare namespace Mopidy {
        *
        * Triggers the `mopidy.core.CoreListener.tracklist_changed()` event.
        */
-      shuffle({
-        start,
-        end,
-      }: {
-        /**
-         * position of first track to shuffle
-         */
-        start?: number;
-        /**
-         * position after last track to shuffle
-         */
-        end?: number;
-      }): Promise<void>;
+      shuffle(
+        {
+          start,
+          end,
+        }: {
+          /**
+           * position of first track to shuffle
+           */
+          start?: number;
+          /**
+           * position after last track to shuffle
+           */
+          end?: number;
+        },
+        options?: CallOptions
+      ): Promise<void>;
 
       /**
        * Get tracklist as list of `mopidy.models.TlTrack`
        */
-      getTlTracks(): Promise<models.TlTrack[]>;
+      getTlTracks(
+        params?: undefined,
+        options?: CallOptions
+      ): Promise<models.TlTrack[]>;
 
       /**
        * The position of the given track in the tracklist.
@@ -862,19 +2351,22 @@ declare namespace Mopidy {
        * If neither tl_track or tlid is given we return the index of the
        * currently playing track.
        */
-      index({
-        tl_track,
-        tlid,
-      }: {
-        /**
-         * The track to find the index of
-         */
-        tl_track?: models.TlTrack;
-        /**
-         * TLID of the track to find the index of
-         */
-        tlid?: number;
-      }): Promise<number | null>;
+      index(
+        {
+          tl_track,
+          tlid,
+        }: {
+          /**
+           * The track to find the index of
+           */
+          tl_track?: models.TlTrack;
+          /**
+           * TLID of the track to find the index of
+           */
+          tlid?: number;
+        },
+        options?: CallOptions
+      ): Promise<number | null>;
 
       /**
        * Get the tracklist version.
@@ -882,35 +2374,41 @@ declare namespace Mopidy {
        * Integer which is increased every time the tracklist is changed.
        * Is not reset before Mopidy is restarted.
        */
-      getVersion(): Promise<number>;
+      getVersion(params?: undefined, options?: CallOptions): Promise<number>;
 
       /**
        * Get length of the tracklist
        */
-      getLength(): Promise<number>;
+      getLength(params?: undefined, options?: CallOptions): Promise<number>;
 
       /**
        * Get tracklist as list of `mopidy.models.Track`
        */
-      getTracks(): Promise<models.Track[]>;
+      getTracks(
+        params?: undefined,
+        options?: CallOptions
+      ): Promise<models.Track[]>;
 
       /**
        * Returns a slice of the tracklist, limited by the given start and end
        * positions.
        */
-      slice({
-        start,
-        end,
-      }: {
-        /**
-         * position of first track to include in slice
-         */
-        start: number;
-        /**
-         * position after last track to include in slice
-         */
-        end: number;
-      }): Promise<models.TlTrack[]>;
+      slice(
+        {
+          start,
+          end,
+        }: {
+          /**
+           * position of first track to include in slice
+           */
+          start: number;
+          /**
+           * position after last track to include in slice
+           */
+          end: number;
+        },
+        options?: CallOptions
+      ): Promise<models.TlTrack[]>;
 
       /**
        *
@@ -920,14 +2418,17 @@ declare namespace Mopidy {
        *
        * Only tracks that match all the given criteria are returned.
        */
-      filter({
-        criteria,
-      }: {
-        /**
-         * (dict, of (string, list) pairs) – one or more rules to match by
-         */
-        criteria: { [key: string]: string[] };
-      }): Promise<models.TlTrack[]>;
+      filter(
+        {
+          criteria,
+        }: {
+          /**
+           * (dict, of (string, list) pairs) – one or more rules to match by
+           */
+          criteria: { [key: string]: string[] };
+        },
+        options?: CallOptions
+      ): Promise<models.TlTrack[]>;
 
       // ----------------- FUTURE STATE -----------------
 
@@ -936,7 +2437,10 @@ declare namespace Mopidy {
        *
        * Not necessarily the same TLID as returned by `get_next_tlid()`.
        */
-      getEotTlid(): Promise<number | null>;
+      getEotTlid(
+        params?: undefined,
+        options?: CallOptions
+      ): Promise<number | null>;
 
       /**
        * The tlid of the track that will be played if calling `mopidy.core.PlaybackController.next()`.
@@ -945,7 +2449,10 @@ declare namespace Mopidy {
        * track can loop around the tracklist. When random is enabled this should be a random track,
        * all tracks should be played once before the tracklist repeats.
        */
-      getNextTlid(): Promise<number | null>;
+      getNextTlid(
+        params?: undefined,
+        options?: CallOptions
+      ): Promise<number | null>;
 
       /**
        * Returns the TLID of the track that will be played if calling
@@ -954,41 +2461,53 @@ declare namespace Mopidy {
        * For normal playback this is the previous track in the tracklist. If random and/or
        * consume is enabled it should return the current track instead.
        */
-      getPreviousTlid(): Promise<number | null>;
+      getPreviousTlid(
+        params?: undefined,
+        options?: CallOptions
+      ): Promise<number | null>;
 
       /**
        * The track that will be played after the given track.
        *
        * Not necessarily the same track as `next_track()`.
        */
-      eotTrack({
-        tl_track,
-      }: {
-        /**
-         * The reference track
-         */
-        tl_track?: models.TlTrack;
-      }): Promise<models.TlTrack | null>;
+      eotTrack(
+        {
+          tl_track,
+        }: {
+          /**
+           * The reference track
+           */
+          tl_track?: models.TlTrack;
+        },
+        options?: CallOptions
+      ): Promise<models.TlTrack | null>;
 
       // ----------------- DEPRECATED -----------------
 
       /**
        * @deprecated Deprecated since version 3.0: Use `get_next_tlid()` instead.
        */
-      nextTrack({
-        tl_track,
-      }: {
-        tl_track: models.TlTrack;
-      }): Promise<models.TlTrack | null>;
+      nextTrack(
+        {
+          tl_track,
+        }: {
+          tl_track: models.TlTrack;
+        },
+        options?: CallOptions
+      ): Promise<models.TlTrack | null>;
 
       /**
        * @deprecated Deprecated since version 3.0: Use `get_previous_tlid()` instead.
        */
-      previousTrack({
-        tl_track,
-      }: {
-        tl_track: models.TlTrack;
-      }): Promise<models.TlTrack | null>;
+      previousTrack(
+        {
+          tl_track,
+        }: {
+          tl_track: models.TlTrack;
+        },
+        options?: CallOptions
+      ): Promise<models.TlTrack | null>;
 
       // ----------------- OPTIONS -----------------
 
@@ -998,7 +2517,7 @@ declare namespace Mopidy {
        * True - Tracks are removed from the tracklist when they have been played.
        * False - Tracks are not removed from the tracklist.
        */
-      getConsume(): Promise<boolean>;
+      getConsume(params?: undefined, options?: CallOptions): Promise<boolean>;
 
       /**
        * Set consume mode.
@@ -1006,12 +2525,15 @@ declare namespace Mopidy {
        * True - Tracks are removed from the tracklist when they have been played.
        * False - Tracks are not removed from the tracklist.
        */
-      setConsume({ value }: { value: boolean }): Promise<void>;
+      setConsume(
+        { value }: { value: boolean },
+        options?: CallOptions
+      ): Promise<void>;
 
       /**
        * Get random mode.
        */
-      getRandom(): Promise<boolean>;
+      getRandom(params?: undefined, options?: CallOptions): Promise<boolean>;
 
       /**
        * Set random mode.
@@ -1019,24 +2541,30 @@ declare namespace Mopidy {
        * True - Tracks are selected at random from the tracklist.
        * False - Tracks are played in the order of the tracklist.
        */
-      setRandom({ value }: { value: boolean }): Promise<void>;
+      setRandom(
+        { value }: { value: boolean },
+        options?: CallOptions
+      ): Promise<void>;
 
       /**
        * Get repeat mode.
        */
-      getRepeat(): Promise<boolean>;
+      getRepeat(params?: undefined, options?: CallOptions): Promise<boolean>;
 
       /**
        * Set repeat mode.
        *
        * To repeat a single track, set both `repeat` and `single`.
        */
-      setRepeat({ value }: { value: boolean }): Promise<void>;
+      setRepeat(
+        { value }: { value: boolean },
+        options?: CallOptions
+      ): Promise<void>;
 
       /**
        * Get single mode
        */
-      getSingle(): Promise<boolean>;
+      getSingle(params?: undefined, options?: CallOptions): Promise<boolean>;
 
       /**
        * Set single mode.
@@ -1044,7 +2572,10 @@ declare namespace Mopidy {
        * True - Playback is stopped after current song, unless in repeat mode.
        * False - Playback continues after current song.
        */
-      setSingle({ value }: { value: boolean }): Promise<void>;
+      setSingle(
+        { value }: { value: boolean },
+        options?: CallOptions
+      ): Promise<void>;
     }
 
     // https://docs.mopidy.com/en/latest/api/core/#playback-controller
@@ -1055,13 +2586,16 @@ declare namespace Mopidy {
        *
        * Note that the track *must* already be in the tracklist.
        */
-      play({
-        track,
-        tlid,
-      }: {
-        track?: models.TlTrack;
-        tlid?: number;
-      }): Promise<void>;
+      play(
+        {
+          track,
+          tlid,
+        }: {
+          track?: models.TlTrack;
+          tlid?: number;
+        },
+        options?: CallOptions
+      ): Promise<void>;
 
       /**
        * Change to the next track.
@@ -1069,7 +2603,7 @@ declare namespace Mopidy {
        * The current playback state will be kept. If it was playing, playing will
        * continue. If it was paused, it will still be paused, etc.
        */
-      next(): Promise<void>;
+      next(params?: undefined, options?: CallOptions): Promise<void>;
 
       /**
        * Change to the previous track.
@@ -1077,72 +2611,93 @@ declare namespace Mopidy {
        * The current playback state will be kept. If it was playing, playing will
        * continue. If it was paused, it will still be paused, etc.
        */
-      previous(): Promise<void>;
+      previous(params?: undefined, options?: CallOptions): Promise<void>;
 
       /**
        * Stop playing.
        */
-      stop(): Promise<void>;
+      stop(params?: undefined, options?: CallOptions): Promise<void>;
 
       /**
        * Pause playback.
        */
-      pause(): Promise<void>;
+      pause(params?: undefined, options?: CallOptions): Promise<void>;
 
       /**
        * If paused, resume playing the current track.
        */
-      resume(): Promise<void>;
+      resume(params?: undefined, options?: CallOptions): Promise<void>;
 
       /**
        * Seeks to time position given in milliseconds.
        */
-      seek({
-        time_position,
-      }: {
-        /**
-         * time position in milliseconds
-         */
-        time_position: number;
-      }): Promise<boolean>;
+      seek(
+        {
+          time_position,
+        }: {
+          /**
+           * time position in milliseconds
+           */
+          time_position: number;
+        },
+        options?: CallOptions
+      ): Promise<boolean>;
 
       // ----------------- CURRENT TRACK -----------------
 
       /**
        * Get the currently playing or selected track.
        */
-      getCurrentTlTrack(): Promise<models.TlTrack | null>;
+      getCurrentTlTrack(
+        params?: undefined,
+        options?: CallOptions
+      ): Promise<models.TlTrack | null>;
 
       /**
        * Get the currently playing or selected track.
        *
        * Extracted from `get_current_tl_track()` for convenience.
        */
-      getCurrentTrack(): Promise<models.Track | null>;
+      getCurrentTrack(
+        params?: undefined,
+        options?: CallOptions
+      ): Promise<models.Track | null>;
 
       /**
        * Get the current stream title or None.
        */
-      getStreamTitle(): Promise<string | null>;
+      getStreamTitle(
+        params?: undefined,
+        options?: CallOptions
+      ): Promise<string | null>;
 
       /**
        * Get time position in milliseconds.
        */
-      getTimePosition(): Promise<number | null>;
+      getTimePosition(
+        params?: undefined,
+        options?: CallOptions
+      ): Promise<number | null>;
 
       // ----------------- PLAYBACK STATES -----------------
 
       /**
        * Get The playback state.
        */
-      getState(): Promise<PlaybackState>;
+      getState(
+        params?: undefined,
+        options?: CallOptions
+      ): Promise<PlaybackState>;
 
       /**
        * Set the playback state. See:
        *  https://docs.mopidy.com/en/latest/api/core/#mopidy.core.PlaybackController.set_state
        * for possible states and transitions
        */
-      setState({ new_state }: { new_state: PlaybackState }): Promise<void>;
+      setState(
+        { new_state }: { new_state: PlaybackState },
+        options?: CallOptions
+      ): Promise<void>;
     }
 
     // https://docs.mopidy.com/en/latest/api/core/#library-controller
@@ -1173,14 +2728,17 @@ declare namespace Mopidy {
        *
        *    `Ref.directory(uri='dummy:directory:/bar', name='bar')`
        */
-      browse({
-        uri,
-      }: {
-        /**
-         * URI to browse
-         */
-        uri: URI;
-      }): Promise<models.Ref<any>[]>;
+      browse(
+        {
+          uri,
+        }: {
+          /**
+           * URI to browse
+           */
+          uri: URI;
+        },
+        options?: CallOptions
+      ): Promise<models.Ref<any>[]>;
 
       /**
        * Search the library for tracks where `field` contains `values`.
@@ -1211,44 +2769,50 @@ declare namespace Mopidy {
        *     # Returns results matching artist 'xyz' and 'abc' in any backend
        *     search({'artist': ['xyz', 'abc']})
        */
-      search({
-        query,
-        uris,
-        exact,
-      }: {
-        /**
-         * one or more queries to search for
-         */
-        query: Query;
-        /**
-         * zero or more URI roots to limit the search to
-         */
-        uris?: string[];
-        /**
-         * if the search should use exact matching
-         */
-        exact?: boolean;
-      }): Promise<models.SearchResult[]>;
+      search(
+        {
+          query,
+          uris,
+          exact,
+        }: {
+          /**
+           * one or more queries to search for
+           */
+          query: Query;
+          /**
+           * zero or more URI roots to limit the search to
+           */
+          uris?: string[];
+          /**
+           * if the search should use exact matching
+           */
+          exact?: boolean;
+        },
+        options?: CallOptions
+      ): Promise<models.SearchResult[]>;
 
       /**
        * Lookup the given URIs.
        *
        * If the URI expands to multiple tracks, the returned list will contain them all.
        */
-      lookup({
-        uris,
-      }: {
-        /**
-         * A list of URI's
-         */
-        uris: string[];
-      }): Promise<{ [index: string]: models.Track[] }>;
+      lookup(
+        {
+          uris,
+        }: {
+          /**
+           * A list of URI's
+           */
+          uris: string[];
+        },
+        options?: CallOptions
+      ): Promise<{ [index: string]: models.Track[] }>;
 
       /**
        *
        * Refresh library. Limit to URI and below if an URI is given.
        */
-      refresh({ uri }: { uri?: string }): Promise<void>;
+      refresh({ uri }: { uri?: string }, options?: CallOptions): Promise<void>;
 
       /**
        * Lookup the images for the given URIs
@@ -1260,14 +2824,17 @@ declare namespace Mopidy {
        * Unknown URIs or URIs the corresponding backend couldn't find anything for
        * will simply return an empty list for that URI.
        */
-      getImages({
-        uris,
-      }: {
-        /**
-         * A list of URI's
-         */
-        uris: string[];
-      }): Promise<{ [index: string]: models.Image[] }>;
+      getImages(
+        {
+          uris,
+        }: {
+          /**
+           * A list of URI's
+           */
+          uris: string[];
+        },
+        options?: CallOptions
+      ): Promise<{ [index: string]: models.Image[] }>;
     }
 
     // https://docs.mopidy.com/en/latest/api/core/#playlists-controller
@@ -1275,7 +2842,10 @@ declare namespace Mopidy {
       /**
        * Get the list of URI schemes that support playlists.
        */
-      getUriSchemes(): Promise<string[]>;
+      getUriSchemes(
+        params?: undefined,
+        options?: CallOptions
+      ): Promise<string[]>;
 
       // ----------------- FETCHING -----------------
 
@@ -1285,7 +2855,10 @@ declare namespace Mopidy {
        * Returns a list of Ref objects referring to the playlists. In other words,
        * no information about the playlists’ content is given.
        */
-      asList(): Promise<models.Ref<any>[]>;
+      asList(
+        params?: undefined,
+        options?: CallOptions
+      ): Promise<models.Ref<any>[]>;
 
       /**
        * Get the items in a playlist specified by `uri`.
@@ -1294,13 +2867,19 @@ declare namespace Mopidy {
        *
        * If a playlist with the given uri doesn’t exist, it returns `None`.
        */
-      getItems({ uri }: { uri: string }): Promise<models.Ref<any>[] | null>;
+      getItems(
+        { uri }: { uri: string },
+        options?: CallOptions
+      ): Promise<models.Ref<any>[] | null>;
 
       /**
        * Lookup playlist with given URI in both the set of playlists and in any other
        * playlist sources. Returns `None` if not found.
        */
-      lookup({ uri }: { uri: URI }): Promise<models.Playlist | null>;
+      lookup(
+        { uri }: { uri: URI },
+        options?: CallOptions
+      ): Promise<models.Playlist | null>;
 
       /**
        * Refresh the playlists in playlists.
@@ -1309,7 +2888,10 @@ declare namespace Mopidy {
        * handled by a backend, only that backend is asked to refresh. If `uri_scheme` doesn’t
        * match any current backend, nothing happens.
        */
-      refresh({ uri_scheme }: { uri_scheme?: string }): Promise<void>;
+      refresh(
+        { uri_scheme }: { uri_scheme?: string },
+        options?: CallOptions
+      ): Promise<void>;
 
       // ----------------- MANIPULATING -----------------
 
@@ -1323,19 +2905,22 @@ declare namespace Mopidy {
        * All new playlists must be created by calling this method, and not by creating new
        * instances of mopidy.models.Playlist.
        */
-      create({
-        name,
-        uri_scheme,
-      }: {
-        /**
-         * name of the new playlist
-         */
-        name: string;
-        /**
-         * use the backend matching the URI scheme
-         */
-        uri_scheme?: string;
-      }): Promise<models.Playlist | null>;
+      create(
+        {
+          name,
+          uri_scheme,
+        }: {
+          /**
+           * name of the new playlist
+           */
+          name: string;
+          /**
+           * use the backend matching the URI scheme
+           */
+          uri_scheme?: string;
+        },
+        options?: CallOptions
+      ): Promise<models.Playlist | null>;
 
       /**
        * Save the playlist.
@@ -1352,14 +2937,17 @@ declare namespace Mopidy {
        * If the playlist’s URI isn’t set or doesn’t match the URI scheme of a current backend,
        * nothing is done and None is returned.
        */
-      save({
-        playlist,
-      }: {
-        /**
-         * The playlist
-         */
-        playlist: models.Playlist;
-      }): Promise<models.Playlist | null>;
+      save(
+        {
+          playlist,
+        }: {
+          /**
+           * The playlist
+           */
+          playlist: models.Playlist;
+        },
+        options?: CallOptions
+      ): Promise<models.Playlist | null>;
 
       /**
        * Delete playlist identified by the URI.
@@ -1368,14 +2956,17 @@ declare namespace Mopidy {
        *
        * Returns True if deleted, False otherwise.
        */
-      delete({
-        uri,
-      }: {
-        /**
-         * URI of the playlist to delete
-         */
-        uri: URI;
-      }): Promise<boolean>;
+      delete(
+        {
+          uri,
+        }: {
+          /**
+           * URI of the playlist to delete
+           */
+          uri: URI;
+        },
+        options?: CallOptions
+      ): Promise<boolean>;
     }
 
     // https://docs.mopidy.com/en/latest/api/core/#mixer-controller
@@ -1385,7 +2976,10 @@ declare namespace Mopidy {
        *
        * True if muted, False unmuted, None if unknown.
        */
-      getMute(): Promise<boolean | null>;
+      getMute(
+        params?: undefined,
+        options?: CallOptions
+      ): Promise<boolean | null>;
 
       /**
        * Set mute state.
@@ -1394,7 +2988,10 @@ declare namespace Mopidy {
        *
        * Returns True if call is successful, otherwise False.
        */
-      setMute({ mute }: { mute: boolean }): Promise<boolean>;
+      setMute(
+        { mute }: { mute: boolean },
+        options?: CallOptions
+      ): Promise<boolean>;
 
       /**
        * Get the volume.
@@ -1403,7 +3000,10 @@ declare namespace Mopidy {
        *
        * The volume scale is linear.
        */
-      getVolume(): Promise<number | null>;
+      getVolume(
+        params?: undefined,
+        options?: CallOptions
+      ): Promise<number | null>;
 
       /**
        * Set the volume.
@@ -1412,7 +3012,10 @@ declare namespace Mopidy {
        *
        * The volume scale is linear.
        */
-      setVolume({ volume }: { volume: number }): Promise<boolean>;
+      setVolume(
+        { volume }: { volume: number },
+        options?: CallOptions
+      ): Promise<boolean>;
     }
 
     interface HistoryController {
@@ -1421,12 +3024,15 @@ declare namespace Mopidy {
        *
        * The timestamps are milliseconds since epoch.
        */
-      getHistory(): Promise<{ [index: string]: models.Ref<any>[] }>;
+      getHistory(
+        params?: undefined,
+        options?: CallOptions
+      ): Promise<{ [index: string]: models.Ref<any>[] }>;
 
       /**
        * Get the number of tracks in the history.
        */
-      getLength(): Promise<number>;
+      getLength(params?: undefined, options?: CallOptions): Promise<number>;
     }
   }
 }
@@ -1,9 +1,67 @@
 const EventEmitter = require("events");
 const WebSocket = require("isomorphic-ws");
+const models = require("./models");
+const BrowseTree = require("./browse-tree");
+const BulkAdd = require("./bulk-add");
+const { snakeToCamel, toCamelCase, toSnakeCase } = require("./case-conversion");
+const {
+  ConnectionError,
+  ServerError,
+  TimeoutError,
+  AbortError,
+  ParameterError,
+  ConflictError,
+} = require("./errors");
+const HttpTransport = require("./http-transport");
+const LibraryCache = require("./library-cache");
+const LiveSearch = require("./live-search");
+const PlayerState = require("./player-state");
+const PlaylistEditor = require("./playlist-editor");
+const PositionTracker = require("./position-tracker");
+const TracklistMirror = require("./tracklist-mirror");
+const TracklistWindow = require("./tracklist-window");
+const { SearchQuery, mergeSearchResults } = require("./search");
 
-function snakeToCamel(name) {
-  return name.replace(/(_[a-z])/g, (match) =>
-    match.toUpperCase().replace("_", "")
+// Options that can be passed as the second argument to any API method.
+const CALL_OPTIONS = ["timeout", "signal", "queueExpiry"];
+
+// How many IDs of timed out or aborted requests to remember, so that their
+// late responses can be dropped. Responses arriving later than that are only
+// warned about.
+const MAX_ABANDONED_REQUESTS = 1000;
+
+// Methods whose per-URI results are cached by the libraryCache setting
+const CACHED_METHODS = {
+  "core.library.lookup": "lookup",
+  "core.library.get_images": "images",
+};
+
+function requestName(message) {
+  if (Array.isArray(message)) {
+    return `batch of ${message.length} calls`;
+  }
+  return message.method;
+}
+
+// The URIs of a call to a cached method, or null if it can't be cached
+function cachedUris(params) {
+  if (Array.isArray(params)) {
+    return params.length === 1 && Array.isArray(params[0]) ? params[0] : null;
+  }
+  if (
+    params &&
+    Object.keys(params).length === 1 &&
+    Array.isArray(params.uris)
+  ) {
+    return params.uris;
+  }
+  return null;
+}
+
+function isResponse(message) {
+  return (
+    Object.hasOwnProperty.call(message, "result") ||
+    Object.hasOwnProperty.call(message, "error")
   );
 }
 
@@ -12,9 +70,43 @@ class Mopidy extends EventEmitter {
     super();
     this._console = this._getConsole(settings || {});
     this._settings = this._configure(settings || {});
+    this._libraryCache = this._createLibraryCache();
+    this._online = false;
+    this._wasOnline = false;
+    // The promise from connect(), shared by all attempts until online
+    this._connecting = null;
+    // Rejects the promises from whenOnline() when close() is called
+    this._closeWaiters = new Set();
+    // Why the client stopped connecting, after close() or giving up
+    // reconnecting, so that new calls and waits can fail right away.
+    this._stopReason = null;
     this._backoffDelay = this._settings.backoffDelayMin;
+    this._reconnectAttempts = 0;
+    this._reconnectTimer = null;
+    this._reconnectionFailed = false;
+    this._resumeReconnect = this._resumeReconnect.bind(this);
+    this._heartbeatTimer = null;
+    this._heartbeatDeadline = null;
+    this._pendingHeartbeat = null;
+    this._lastRequestId = -1;
     this._pendingRequests = {};
+    this._abandonedRequests = new Set();
+    this._offlineQueue = [];
+    this._middleware = [];
+    this._pipelines = {
+      outgoing: { promise: Promise.resolve(), pending: 0 },
+      incoming: { promise: Promise.resolve(), pending: 0 },
+    };
     this._webSocket = null;
+    this._transport = this._settings.transport;
+    // Whether or not a WebSocket has ever been open
+    this._transportOpened = false;
+    // Set when the HTTP endpoint answered while the WebSocket failed, to use
+    // HTTP for the next connection only.
+    this._fallBackToHttp = false;
+    this._httpProbe = null;
+    this._warnedNoEvents = false;
+    this.on("newListener", this._warnIfNoEvents);
     this._delegateEvents();
     if (this._settings.autoConnect) {
       this.connect();
@@ -43,14 +135,50 @@ class Mopidy extends EventEmitter {
       "localhost";
     newSettings.webSocketUrl =
       settings.webSocketUrl || `${protocol}${currentHost}/mopidy/ws`;
+    newSettings.rpcUrl =
+      settings.rpcUrl ||
+      newSettings.webSocketUrl
+        .replace(/^ws/, "http")
+        .replace(/\/ws\/?$/, "/rpc");
+    newSettings.transport = settings.transport || "websocket";
+    newSettings.httpFallback = settings.httpFallback === true;
     if (settings.autoConnect !== false) {
       newSettings.autoConnect = true;
     }
     newSettings.backoffDelayMin = settings.backoffDelayMin || 1000;
     newSettings.backoffDelayMax = settings.backoffDelayMax || 64000;
+    newSettings.backoffJitter = settings.backoffJitter || 0;
+    newSettings.maxReconnectAttempts = settings.maxReconnectAttempts || 0;
+    newSettings.reconnectPolicy = settings.reconnectPolicy || null;
+    newSettings.pauseReconnectWhenHidden =
+      settings.pauseReconnectWhenHidden === true;
+    newSettings.requestTimeout = settings.requestTimeout || 0;
+    newSettings.queueWhileOffline = settings.queueWhileOffline === true;
+    newSettings.queueMaxSize = settings.queueMaxSize || 0;
+    newSettings.queueExpiry = settings.queueExpiry || 0;
+    newSettings.hydrateModels = settings.hydrateModels === true;
+    newSettings.caseConversion = settings.caseConversion || "none";
+    newSettings.heartbeatInterval = settings.heartbeatInterval || 0;
+    newSettings.heartbeatTimeout = settings.heartbeatTimeout || 5000;
+    newSettings.validateParams = settings.validateParams === true;
+    newSettings.libraryCache = settings.libraryCache || null;
     return newSettings;
   }
 
+  _createLibraryCache() {
+    const { libraryCache, webSocketUrl } = this._settings;
+    if (!libraryCache) {
+      return null;
+    }
+    return new LibraryCache({
+      storageKey: `mopidy-library-cache:${webSocketUrl}`,
+      ...(libraryCache === true ? {} : libraryCache),
+      // Stored values are plain JSON, like the results from the server
+      decode: (value) => this._decode(value),
+      onError: (error) => this._console.warn("Library cache failed:", error),
+    });
+  }
+
   _delegateEvents() {
     // Remove existing event handlers
     this.removeAllListeners("websocket:close");
@@ -58,13 +186,20 @@ class Mopidy extends EventEmitter {
     this.removeAllListeners("websocket:incomingMessage");
     this.removeAllListeners("websocket:open");
     this.removeAllListeners("state:offline");
+    this.removeAllListeners("state:online");
     // Register basic set of event handlers
+    this.on("websocket:close", this._stopHeartbeat);
+    this.on("websocket:close", this._checkHttpFallback);
     this.on("websocket:close", this._cleanup);
     this.on("websocket:error", this._handleWebSocketError);
     this.on("websocket:incomingMessage", this._handleMessage);
     this.on("websocket:open", this._resetBackoffDelay);
+    this.on("websocket:open", this._markTransportOpened);
     this.on("websocket:open", this._getApiSpec);
+    this.on("websocket:open", this._startHeartbeat);
     this.on("state:offline", this._reconnect);
+    this.on("state:online", this._flushQueue);
+    this.on("state:online", this._invalidateLibraryCache);
   }
 
   off(...args) {
@@ -85,16 +220,37 @@ class Mopidy extends EventEmitter {
   }
 
   connect() {
+    this._stopReason = null;
+    // Reconnect attempts also call connect(), so they share one promise
+    // instead of adding listeners on every attempt.
+    if (!this._connecting) {
+      const connecting = this.whenOnline();
+      // Handling the rejection here also means that calling connect() without
+      // using the promise doesn't report unhandled rejections.
+      const done = () => {
+        if (this._connecting === connecting) {
+          this._connecting = null;
+        }
+      };
+      connecting.then(done, done);
+      this._connecting = connecting;
+    }
+    const online = this._connecting;
+
     if (this._webSocket) {
-      if (this._webSocket.readyState === Mopidy.WebSocket.OPEN) {
-        return;
+      // Keep a connection that is open or still opening, e.g. from
+      // autoConnect, and only replace one that is closing or closed.
+      const { readyState } = this._webSocket;
+      if (
+        readyState === Mopidy.WebSocket.OPEN ||
+        readyState === Mopidy.WebSocket.CONNECTING
+      ) {
+        return online;
       }
       this._webSocket.close();
     }
 
-    this._webSocket =
-      this._settings.webSocket ||
-      new Mopidy.WebSocket(this._settings.webSocketUrl);
+    this._webSocket = this._settings.webSocket || this._createTransport();
 
     this._webSocket.onclose = (close) => {
       this.emit("websocket:close", close);
@@ -108,16 +264,90 @@ class Mopidy extends EventEmitter {
     this._webSocket.onmessage = (message) => {
       this.emit("websocket:incomingMessage", message);
     };
+    return online;
+  }
+
+  _createTransport() {
+    if (typeof this._transport === "function") {
+      return this._transport(this._settings);
+    }
+    if (this._transport === "http" || this._fallBackToHttp) {
+      this._fallBackToHttp = false;
+      return new Mopidy.HttpTransport(this._settings.rpcUrl);
+    }
+    return new Mopidy.WebSocket(this._settings.webSocketUrl);
+  }
+
+  _usingHttp() {
+    return (
+      this._transport === "http" ||
+      this._webSocket instanceof Mopidy.HttpTransport
+    );
+  }
+
+  _markTransportOpened() {
+    // The HTTP transport opens without talking to the server, so that says
+    // nothing about whether WebSockets work.
+    if (!this._usingHttp()) {
+      this._transportOpened = true;
+    }
+  }
+
+  _checkHttpFallback() {
+    // Only fall back if the WebSocket never worked, e.g. because a proxy
+    // blocks WebSockets, not if the connection was lost. If the fallback
+    // connection is lost, the WebSocket is tried again first.
+    if (
+      !this._settings.httpFallback ||
+      this._transport !== "websocket" ||
+      this._transportOpened ||
+      this._usingHttp() ||
+      this._stopReason ||
+      this._httpProbe ||
+      this._fallBackToHttp
+    ) {
+      return;
+    }
+    // The server may just be down, e.g. while restarting. Only fall back if
+    // it answers over HTTP.
+    this._httpProbe = Mopidy.HttpTransport.probe(this._settings.rpcUrl).then(
+      (answered) => {
+        this._httpProbe = null;
+        if (answered && !this._stopReason && !this._online) {
+          this._console.warn(
+            "WebSocket connection failed, falling back to HTTP. " +
+              "Mopidy events are not available over HTTP."
+          );
+          this._fallBackToHttp = true;
+        }
+      }
+    );
+  }
+
+  _warnIfNoEvents(eventName) {
+    if (
+      this._usingHttp() &&
+      !this._warnedNoEvents &&
+      typeof eventName === "string" &&
+      (eventName === "event" || eventName.startsWith("event:"))
+    ) {
+      this._warnedNoEvents = true;
+      this._console.warn(
+        `Mopidy events are not available over HTTP, so "${eventName}" ` +
+          "and other events from Mopidy will never be emitted."
+      );
+    }
   }
 
   _cleanup(closeEvent) {
+    this._abandonedRequests.clear();
     Object.keys(this._pendingRequests).forEach((requestId) => {
-      const { reject } = this._pendingRequests[requestId];
-      delete this._pendingRequests[requestId];
+      const { reject } = this._takePendingRequest(requestId);
       const error = new Mopidy.ConnectionError("WebSocket closed");
       error.closeEvent = closeEvent;
       reject(error);
     });
+    this._online = false;
     this.emit("state", "state:offline");
     this.emit("state:offline");
   }
@@ -127,42 +357,334 @@ class Mopidy extends EventEmitter {
     // emitting "reconnectionPending" events before we've finished handling the
     // "state:offline" event, which would lead to emitting the events to
     // listeners in the wrong order.
-    setTimeout(() => {
-      this.emit("state", "reconnectionPending", {
-        timeToAttempt: this._backoffDelay,
-      });
-      this.emit("reconnectionPending", {
-        timeToAttempt: this._backoffDelay,
-      });
-      setTimeout(() => {
-        this.emit("state", "reconnecting");
-        this.emit("reconnecting");
-        this.connect();
-      }, this._backoffDelay);
-      this._backoffDelay *= 2;
-      if (this._backoffDelay > this._settings.backoffDelayMax) {
-        this._backoffDelay = this._settings.backoffDelayMax;
+    clearTimeout(this._reconnectTimer);
+    this._reconnectTimer = setTimeout(() => {
+      this._reconnectTimer = null;
+      if (this._stopReason || this._pauseReconnect()) {
+        return;
       }
+      this._reconnectAttempts += 1;
+      const delay = this._nextReconnectDelay(this._reconnectAttempts);
+      if (delay === null) {
+        const attempts = this._reconnectAttempts - 1;
+        this._reconnectionFailed = true;
+        this._stopReason = `Gave up reconnecting after ${attempts} attempts`;
+        this._connecting = null;
+        this._rejectQueue(new Mopidy.ConnectionError(this._stopReason));
+        this.emit("state", "reconnectionFailed", { attempts });
+        this.emit("reconnectionFailed", { attempts });
+        return;
+      }
+      this.emit("state", "reconnectionPending", { timeToAttempt: delay });
+      this.emit("reconnectionPending", { timeToAttempt: delay });
+      this._reconnectTimer = setTimeout(() => {
+        this._reconnectTimer = null;
+        if (!this._stopReason && !this._pauseReconnect()) {
+          this._reconnectAttempt();
+        }
+      }, delay);
     }, 0);
   }
 
+  _nextReconnectDelay(attempt) {
+    const { maxReconnectAttempts, reconnectPolicy } = this._settings;
+    if (maxReconnectAttempts && attempt > maxReconnectAttempts) {
+      return null;
+    }
+    if (reconnectPolicy) {
+      const delay = reconnectPolicy(attempt);
+      return typeof delay === "number" && delay >= 0 ? delay : null;
+    }
+    // Spread out the attempts of many clients losing the same server, instead
+    // of having them all reconnect at the same time.
+    const jitter = this._settings.backoffJitter * Math.random();
+    const delay = Math.round(this._backoffDelay * (1 - jitter));
+    this._backoffDelay *= 2;
+    if (this._backoffDelay > this._settings.backoffDelayMax) {
+      this._backoffDelay = this._settings.backoffDelayMax;
+    }
+    return delay;
+  }
+
+  _reconnectAttempt() {
+    this.emit("state", "reconnecting");
+    this.emit("reconnecting");
+    this.connect();
+  }
+
+  // Reconnecting is pointless while the browser knows it is offline, and
+  // optionally unwanted while the page is hidden. Wait for that to change.
+  _pauseReconnect() {
+    let reason = null;
+    if (typeof navigator !== "undefined" && navigator.onLine === false) {
+      reason = "offline";
+    } else if (
+      this._settings.pauseReconnectWhenHidden &&
+      typeof document !== "undefined" &&
+      document.visibilityState === "hidden"
+    ) {
+      reason = "hidden";
+    }
+    if (!reason) {
+      return false;
+    }
+    this._listenForResume(true);
+    this.emit("state", "reconnectionPaused", { reason });
+    this.emit("reconnectionPaused", { reason });
+    return true;
+  }
+
+  _listenForResume(listen) {
+    const method = listen ? "addEventListener" : "removeEventListener";
+    if (typeof window !== "undefined" && window[method]) {
+      window[method]("online", this._resumeReconnect);
+    }
+    if (typeof document !== "undefined" && document[method]) {
+      document[method]("visibilitychange", this._resumeReconnect);
+    }
+  }
+
+  _resumeReconnect() {
+    this._listenForResume(false);
+    this._reconnect();
+  }
+
+  reconnectNow() {
+    if (
+      this._webSocket &&
+      this._webSocket.readyState === Mopidy.WebSocket.OPEN
+    ) {
+      return;
+    }
+    clearTimeout(this._reconnectTimer);
+    this._reconnectTimer = null;
+    this._listenForResume(false);
+    if (this._reconnectionFailed) {
+      // Start over with a new set of attempts
+      this._resetBackoffDelay();
+      this._stopReason = null;
+    }
+    this._reconnectAttempt();
+  }
+
   _resetBackoffDelay() {
     this._backoffDelay = this._settings.backoffDelayMin;
+    this._reconnectAttempts = 0;
+    this._reconnectionFailed = false;
   }
 
   close() {
+    this._stopReason = "WebSocket closed";
+    // The next connect() starts over with a new promise
+    this._connecting = null;
     this.off("state:offline", this._reconnect);
-    if (this._webSocket) {
+    clearTimeout(this._reconnectTimer);
+    this._reconnectTimer = null;
+    this._listenForResume(false);
+    this._stopHeartbeat();
+    let closed = Promise.resolve();
+    if (
+      this._webSocket &&
+      this._webSocket.readyState !== Mopidy.WebSocket.CLOSED
+    ) {
+      closed = new Promise((resolve) => {
+        this.once("websocket:close", () => resolve());
+      });
       this._webSocket.close();
     }
+    this._rejectQueue(new Mopidy.ConnectionError(this._stopReason));
+    this._closeWaiters.forEach((onClose) => onClose());
+    return closed;
+  }
+
+  whenOnline(options = {}) {
+    if (this._online) {
+      return Promise.resolve();
+    }
+    if (this._stopReason) {
+      return Promise.reject(new Mopidy.ConnectionError(this._stopReason));
+    }
+    return this._waitFor("state:online", options, {
+      rejectOn: {
+        reconnectionFailed: ({ attempts }) =>
+          new Mopidy.ConnectionError(
+            `Gave up reconnecting after ${attempts} attempts`
+          ),
+      },
+      rejectOnClose: true,
+    }).then(() => undefined);
+  }
+
+  waitForEvent(name, options = {}) {
+    return this._waitFor(name, options, {});
+  }
+
+  // Resolves with the first argument of the next matching event
+  _waitFor(name, options, { rejectOn = {}, rejectOnClose = false }) {
+    const { predicate, timeout = 0, signal } = options;
+    if (signal && signal.aborted) {
+      return Promise.reject(
+        new Mopidy.AbortError(`Waiting for ${name} aborted`)
+      );
+    }
+    return new Promise((resolve, reject) => {
+      const listeners = {};
+      let timer = null;
+      let onAbort = null;
+      let onClose = null;
+      const finish = (settle, value) => {
+        clearTimeout(timer);
+        if (signal) {
+          signal.removeEventListener("abort", onAbort);
+        }
+        this._closeWaiters.delete(onClose);
+        Object.keys(listeners).forEach((eventName) => {
+          this.removeListener(eventName, listeners[eventName]);
+        });
+        settle(value);
+      };
+
+      listeners[name] = (...args) => {
+        let matches;
+        try {
+          matches = !predicate || predicate(...args);
+        } catch (error) {
+          finish(reject, error);
+          return;
+        }
+        if (matches) {
+          finish(resolve, args[0]);
+        }
+      };
+      Object.keys(rejectOn).forEach((eventName) => {
+        listeners[eventName] = (...args) =>
+          finish(reject, rejectOn[eventName](...args));
+      });
+      Object.keys(listeners).forEach((eventName) => {
+        this.on(eventName, listeners[eventName]);
+      });
+
+      if (timeout > 0) {
+        timer = setTimeout(() => {
+          finish(
+            reject,
+            new Mopidy.TimeoutError(
+              `Waiting for ${name} timed out after ${timeout} ms`
+            )
+          );
+        }, timeout);
+      }
+      if (signal) {
+        onAbort = () =>
+          finish(reject, new Mopidy.AbortError(`Waiting for ${name} aborted`));
+        signal.addEventListener("abort", onAbort);
+      }
+      if (rejectOnClose) {
+        onClose = () =>
+          finish(reject, new Mopidy.ConnectionError("WebSocket closed"));
+        this._closeWaiters.add(onClose);
+      }
+    });
+  }
+
+  _startHeartbeat() {
+    this._stopHeartbeat();
+    if (this._settings.heartbeatInterval) {
+      this._heartbeatTimer = setInterval(
+        () => this._heartbeat(),
+        this._settings.heartbeatInterval
+      );
+    }
+  }
+
+  _stopHeartbeat() {
+    clearInterval(this._heartbeatTimer);
+    clearTimeout(this._heartbeatDeadline);
+    this._heartbeatTimer = null;
+    this._heartbeatDeadline = null;
+    this._pendingHeartbeat = null;
+  }
+
+  _heartbeat() {
+    if (this._pendingHeartbeat) {
+      return;
+    }
+    const webSocket = this._webSocket;
+    const heartbeat = {};
+    const alive = () => {
+      // Ignore replies to heartbeats from before a reconnect
+      if (this._pendingHeartbeat === heartbeat) {
+        clearTimeout(this._heartbeatDeadline);
+        this._heartbeatDeadline = null;
+        this._pendingHeartbeat = null;
+      }
+    };
+    this._pendingHeartbeat = heartbeat;
+    this._heartbeatDeadline = setTimeout(
+      () => this._handleDeadConnection(webSocket),
+      this._settings.heartbeatTimeout
+    );
+    if (typeof webSocket.ping === "function" && webSocket.once) {
+      // The ws library used in Node.js supports WebSocket pings
+      webSocket.once("pong", alive);
+      webSocket.ping();
+    } else {
+      // Any response, even an error, proves that the connection works
+      this._send({ method: "core.get_version" }, { timeout: 0 }).then(
+        alive,
+        alive
+      );
+    }
+  }
+
+  _handleDeadConnection(webSocket) {
+    this._console.warn("WebSocket heartbeat timed out, closing connection");
+    this._stopHeartbeat();
+    // A half-open socket may not emit its close event until much later, if
+    // at all, so we emit one ourselves and ignore the socket from now on.
+    /* eslint-disable no-param-reassign */
+    webSocket.onclose = null;
+    webSocket.onerror = null;
+    webSocket.onopen = null;
+    webSocket.onmessage = null;
+    /* eslint-enable no-param-reassign */
+    if (typeof webSocket.terminate === "function") {
+      webSocket.terminate();
+    } else {
+      webSocket.close();
+    }
+    if (this._webSocket === webSocket) {
+      this._webSocket = null;
+    }
+    this.emit("websocket:close", {
+      code: 1006,
+      reason: "Heartbeat timed out",
+      wasClean: false,
+    });
   }
 
   _handleWebSocketError(error) {
     this._console.warn("WebSocket error:", error.stack || error);
   }
 
-  _send(message) {
-    switch (this._webSocket.readyState) {
+  _send(message, options = {}) {
+    if (options.signal && options.signal.aborted) {
+      return Promise.reject(new Mopidy.AbortError("Request aborted"));
+    }
+    const readyState = this._webSocket
+      ? this._webSocket.readyState
+      : Mopidy.WebSocket.CLOSED;
+    if (
+      readyState !== Mopidy.WebSocket.OPEN &&
+      this._settings.queueWhileOffline
+    ) {
+      // Nothing would ever flush the queue
+      if (this._stopReason) {
+        return Promise.reject(new Mopidy.ConnectionError(this._stopReason));
+      }
+      return this._enqueue(message, options);
+    }
+    switch (readyState) {
       case Mopidy.WebSocket.CONNECTING:
         return Promise.reject(
           new Mopidy.ConnectionError("WebSocket is still connecting")
@@ -176,23 +698,286 @@ class Mopidy extends EventEmitter {
           new Mopidy.ConnectionError("WebSocket is closed")
         );
       default:
+        if (Array.isArray(message)) {
+          return this._sendBatch(message, options);
+        }
         return new Promise((resolve, reject) => {
           const jsonRpcMessage = {
             ...message,
             jsonrpc: "2.0",
             id: this._nextRequestId(),
           };
-          this._pendingRequests[jsonRpcMessage.id] = { resolve, reject };
-          this._webSocket.send(JSON.stringify(jsonRpcMessage));
-          this.emit("websocket:outgoingMessage", jsonRpcMessage);
+          this._addPendingRequest(jsonRpcMessage, resolve, reject, options);
+          this._transmit([jsonRpcMessage], false);
+        });
+    }
+  }
+
+  _nextRequestId() {
+    // Each instance has its own sequence, so that instances are isolated
+    this._lastRequestId += 1;
+    return this._lastRequestId;
+  }
+
+  _sendBatch(messages, options) {
+    // The batch as a whole resolves with an outcome per message, so that the
+    // failure of a single call doesn't hide the results of the other calls.
+    if (messages.length === 0) {
+      return Promise.resolve([]);
+    }
+    const jsonRpcMessages = messages.map((message) => ({
+      ...message,
+      jsonrpc: "2.0",
+      id: this._nextRequestId(),
+    }));
+    const outcomes = jsonRpcMessages.map((jsonRpcMessage) =>
+      new Promise((resolve, reject) => {
+        this._addPendingRequest(jsonRpcMessage, resolve, reject, options);
+      }).then(
+        (result) => ({ result }),
+        (error) => ({ error })
+      )
+    );
+    this._transmit(jsonRpcMessages, true);
+    return Promise.all(outcomes);
+  }
+
+  _transmit(jsonRpcMessages, isBatch) {
+    if (this._isPipelineIdle("outgoing")) {
+      // E.g. the HTTP transport throws if fetch() is missing
+      try {
+        this._write(isBatch ? jsonRpcMessages : jsonRpcMessages[0]);
+      } catch (error) {
+        jsonRpcMessages.forEach(({ id }) => this._failRequest(id, error));
+      }
+      return;
+    }
+    this._runInPipeline("outgoing", () =>
+      Promise.all(
+        jsonRpcMessages.map((jsonRpcMessage) =>
+          this._applyMiddleware("request", jsonRpcMessage).catch((error) => {
+            this._failRequest(jsonRpcMessage.id, error);
+            return null;
+          })
+        )
+      ).then((results) => {
+        const messages = [];
+        results.forEach((result, i) => {
+          const { id } = jsonRpcMessages[i];
+          // The request may have failed, timed out, or been aborted while
+          // passing through the middleware.
+          if (
+            !result ||
+            !Object.hasOwnProperty.call(this._pendingRequests, id)
+          ) {
+            return;
+          }
+          if (isResponse(result)) {
+            this._handleResponse({ ...result, jsonrpc: "2.0", id });
+            return;
+          }
+          const message = { ...result, jsonrpc: "2.0", id };
+          this._pendingRequests[id].message = message;
+          messages.push(message);
         });
+        if (messages.length === 0) {
+          return;
+        }
+        try {
+          if (
+            !this._webSocket ||
+            this._webSocket.readyState !== Mopidy.WebSocket.OPEN
+          ) {
+            throw new Mopidy.ConnectionError("WebSocket is closed");
+          }
+          this._write(isBatch ? messages : messages[0]);
+        } catch (error) {
+          messages.forEach(({ id }) => this._failRequest(id, error));
+        }
+      })
+    );
+  }
+
+  _write(message) {
+    this._webSocket.send(JSON.stringify(message));
+    this.emit("websocket:outgoingMessage", message);
+  }
+
+  _isPipelineIdle(name) {
+    // Without middleware, messages are handled synchronously. Messages still
+    // in the pipeline are waited for, so that they are never overtaken.
+    return this._middleware.length === 0 && this._pipelines[name].pending === 0;
+  }
+
+  _runInPipeline(name, task) {
+    // Messages pass through the middleware one at a time, so that they are
+    // sent and handled in order, even if the middleware is async.
+    const pipeline = this._pipelines[name];
+    pipeline.pending += 1;
+    pipeline.promise = pipeline.promise
+      .then(task)
+      .catch((error) => {
+        this._console.warn("Middleware pipeline failed:", error);
+      })
+      .then(() => {
+        pipeline.pending -= 1;
+      });
+  }
+
+  _applyMiddleware(hook, message, ...args) {
+    // Requests pass through the middleware in the order it was added, and
+    // responses and events in the reverse order.
+    const middleware =
+      hook === "request" ? this._middleware : [...this._middleware].reverse();
+    return middleware.reduce(
+      (promise, m) =>
+        promise.then((current) => {
+          if (
+            typeof m[hook] !== "function" ||
+            current === null ||
+            (hook === "request" && isResponse(current))
+          ) {
+            return current;
+          }
+          return Promise.resolve(m[hook](current, ...args)).then((result) => {
+            if (
+              typeof result === "undefined" ||
+              (result === null && hook !== "event")
+            ) {
+              return current;
+            }
+            return result;
+          });
+        }),
+      Promise.resolve(message)
+    );
+  }
+
+  _enqueue(message, options) {
+    const { queueMaxSize } = this._settings;
+    if (queueMaxSize > 0 && this._offlineQueue.length >= queueMaxSize) {
+      return Promise.reject(
+        new Mopidy.ConnectionError("Offline queue is full")
+      );
     }
+    return new Promise((resolve, reject) => {
+      const expiry =
+        typeof options.queueExpiry !== "undefined"
+          ? options.queueExpiry
+          : this._settings.queueExpiry;
+      const { signal } = options;
+
+      const entry = { message, options, resolve, reject };
+      const drop = (error) => {
+        this._offlineQueue = this._offlineQueue.filter((e) => e !== entry);
+        entry.dispose();
+        reject(error);
+      };
+      const onAbort = () => drop(new Mopidy.AbortError("Request aborted"));
+      const timer =
+        expiry > 0
+          ? setTimeout(() => {
+              drop(
+                new Mopidy.ConnectionError(
+                  `Request to ${requestName(message)} expired in offline queue`
+                )
+              );
+            }, expiry)
+          : null;
+      if (signal) {
+        signal.addEventListener("abort", onAbort);
+      }
+      entry.dispose = () => {
+        clearTimeout(timer);
+        if (signal) {
+          signal.removeEventListener("abort", onAbort);
+        }
+      };
+
+      this._offlineQueue.push(entry);
+    });
+  }
+
+  _flushQueue() {
+    const queue = this._offlineQueue;
+    this._offlineQueue = [];
+    queue.forEach(({ message, options, resolve, reject, dispose }) => {
+      dispose();
+      this._send(message, options).then(resolve, reject);
+    });
+  }
+
+  _rejectQueue(error) {
+    const queue = this._offlineQueue;
+    this._offlineQueue = [];
+    queue.forEach(({ reject, dispose }) => {
+      dispose();
+      reject(error);
+    });
+  }
+
+  _addPendingRequest(jsonRpcMessage, resolve, reject, options) {
+    const { id } = jsonRpcMessage;
+    const timeout =
+      typeof options.timeout !== "undefined"
+        ? options.timeout
+        : this._settings.requestTimeout;
+    const { signal } = options;
+
+    // Requests that time out or are aborted are forgotten, but we remember
+    // their IDs so that a late response can be silently dropped.
+    const abandon = (error) => {
+      this._takePendingRequest(id);
+      // Keyed by string, like the pending requests
+      this._abandonedRequests.add(String(id));
+      if (this._abandonedRequests.size > MAX_ABANDONED_REQUESTS) {
+        // Sets iterate in insertion order, so this is the oldest one
+        const oldest = this._abandonedRequests.values().next().value;
+        this._abandonedRequests.delete(oldest);
+      }
+      reject(error);
+    };
+    const onAbort = () => abandon(new Mopidy.AbortError("Request aborted"));
+    const timer =
+      timeout > 0
+        ? setTimeout(() => {
+            abandon(
+              new Mopidy.TimeoutError(
+                `Request to ${jsonRpcMessage.method} timed out after ${timeout} ms`
+              )
+            );
+          }, timeout)
+        : null;
+    if (signal) {
+      signal.addEventListener("abort", onAbort);
+    }
+
+    this._pendingRequests[id] = {
+      message: jsonRpcMessage,
+      resolve,
+      reject,
+      dispose: () => {
+        clearTimeout(timer);
+        if (signal) {
+          signal.removeEventListener("abort", onAbort);
+        }
+      },
+    };
+  }
+
+  _takePendingRequest(requestId) {
+    const request = this._pendingRequests[requestId];
+    delete this._pendingRequests[requestId];
+    request.dispose();
+    return request;
   }
 
   _handleMessage(message) {
     try {
       const data = JSON.parse(message.data);
-      if (Object.hasOwnProperty.call(data, "id")) {
+      if (Array.isArray(data)) {
+        data.forEach((response) => this._handleResponse(response));
+      } else if (Object.hasOwnProperty.call(data, "id")) {
         this._handleResponse(data);
       } else if (Object.hasOwnProperty.call(data, "event")) {
         this._handleEvent(data);
@@ -212,7 +997,33 @@ class Mopidy extends EventEmitter {
     }
   }
 
+  _failRequest(requestId, error) {
+    if (Object.hasOwnProperty.call(this._pendingRequests, requestId)) {
+      this._takePendingRequest(requestId).reject(error);
+    }
+  }
+
   _handleResponse(responseMessage) {
+    if (this._isPipelineIdle("incoming")) {
+      this._settleRequest(responseMessage);
+      return;
+    }
+    const { id } = responseMessage;
+    const request = Object.hasOwnProperty.call(this._pendingRequests, id)
+      ? this._pendingRequests[id].message
+      : undefined;
+    this._runInPipeline("incoming", () =>
+      this._applyMiddleware("response", responseMessage, request).then(
+        (response) => this._settleRequest({ ...response, id }),
+        (error) => this._failRequest(id, error)
+      )
+    );
+  }
+
+  _settleRequest(responseMessage) {
+    if (this._abandonedRequests.delete(String(responseMessage.id))) {
+      return;
+    }
     if (
       !Object.hasOwnProperty.call(this._pendingRequests, responseMessage.id)
     ) {
@@ -222,10 +1033,9 @@ class Mopidy extends EventEmitter {
       );
       return;
     }
-    const { resolve, reject } = this._pendingRequests[responseMessage.id];
-    delete this._pendingRequests[responseMessage.id];
+    const { resolve, reject } = this._takePendingRequest(responseMessage.id);
     if (Object.hasOwnProperty.call(responseMessage, "result")) {
-      resolve(responseMessage.result);
+      resolve(this._decode(responseMessage.result));
     } else if (Object.hasOwnProperty.call(responseMessage, "error")) {
       const error = new Mopidy.ServerError(responseMessage.error.message);
       error.code = responseMessage.error.code;
@@ -244,43 +1054,150 @@ class Mopidy extends EventEmitter {
   }
 
   _handleEvent(eventMessage) {
-    const data = { ...eventMessage };
+    if (this._isPipelineIdle("incoming")) {
+      this._emitEvent(eventMessage);
+      return;
+    }
+    this._runInPipeline("incoming", () =>
+      this._applyMiddleware("event", eventMessage).then(
+        (event) => {
+          if (event !== null) {
+            this._emitEvent(event);
+          }
+        },
+        (error) => {
+          this._console.warn("Event dropped by failing middleware:", error);
+        }
+      )
+    );
+  }
+
+  _emitEvent(eventMessage) {
+    const data = this._decode({ ...eventMessage });
     delete data.event;
     const eventName = `event:${snakeToCamel(eventMessage.event)}`;
     this.emit("event", eventName, data);
     this.emit(eventName, data);
   }
 
+  _decode(value) {
+    let decoded = value;
+    // Hydrate first, so that models are built from the snake_case fields
+    if (this._settings.hydrateModels) {
+      decoded = models.fromJSON(decoded);
+    }
+    if (this._settings.caseConversion === "camel") {
+      decoded = toCamelCase(decoded);
+    }
+    return decoded;
+  }
+
+  _encode(params) {
+    if (this._settings.caseConversion === "camel") {
+      return toSnakeCase(params);
+    }
+    return params;
+  }
+
   _getApiSpec() {
     return this._send({ method: "core.describe" })
       .then(this._createApi.bind(this))
       .catch(this._handleWebSocketError.bind(this));
   }
 
-  _createApi(methods) {
-    const caller =
-      (method) =>
-      (...args) => {
-        const message = { method };
-        if (args.length === 0) {
-          return this._send(message);
-        }
-        if (args.length > 1) {
-          return Promise.reject(
-            new Error(
-              "Expected zero arguments, a single array, or a single object."
-            )
-          );
-        }
-        if (!Array.isArray(args[0]) && args[0] !== Object(args[0])) {
-          return Promise.reject(
-            new TypeError("Expected an array or an object.")
-          );
-        }
-        [message.params] = args;
-        return this._send(message);
-      };
+  _prepareCall(method, args) {
+    const message = { method };
+    const [params, options = {}] = args;
+    if (args.length > 2) {
+      throw new Error(
+        "Expected zero arguments, a single array, or a single object, " +
+          "optionally followed by an object with call options."
+      );
+    }
+    if (options !== Object(options)) {
+      throw new TypeError("Expected call options to be an object.");
+    }
+    const unknownOption = Object.keys(options).find(
+      (key) => !CALL_OPTIONS.includes(key)
+    );
+    if (unknownOption) {
+      throw new TypeError(`Unknown call option: ${unknownOption}`);
+    }
+    if (
+      typeof params !== "undefined" &&
+      !Array.isArray(params) &&
+      params !== Object(params)
+    ) {
+      throw new TypeError("Expected an array or an object.");
+    }
+    let encoded = this._encode(params);
+    if (this._settings.validateParams) {
+      encoded = this._validateParams(method, encoded);
+    }
+    if (typeof encoded !== "undefined") {
+      message.params = encoded;
+    }
+    return { message, options };
+  }
+
+  _validateParams(method, params) {
+    const spec = this._apiSpec && this._apiSpec[method];
+    if (!spec || !Array.isArray(spec.params)) {
+      return params;
+    }
+    const paramSpecs = spec.params.map((param) =>
+      typeof param === "string" ? { name: param } : param
+    );
+    const named = paramSpecs.filter((param) => !param.varargs && !param.kwargs);
+    const parameterError = (message, param) => {
+      const error = new Mopidy.ParameterError(`${method} ${message}`);
+      error.method = method;
+      error.param = param;
+      return error;
+    };
+
+    let values = typeof params === "undefined" ? {} : params;
+    if (Array.isArray(values)) {
+      if (paramSpecs.some((param) => param.varargs)) {
+        return params;
+      }
+      if (values.length > named.length) {
+        throw parameterError(
+          `takes at most ${named.length} arguments, got ${values.length}`,
+          null
+        );
+      }
+      // Name the positional arguments, so that we can check them below
+      values = values.reduce(
+        (result, value, i) => ({ ...result, [named[i].name]: value }),
+        {}
+      );
+    } else if (!paramSpecs.some((param) => param.kwargs)) {
+      const unknown = Object.keys(values).find(
+        (key) => !named.some((param) => param.name === key)
+      );
+      if (unknown) {
+        throw parameterError(`got an unknown parameter "${unknown}"`, unknown);
+      }
+    }
+    const missing = named.find(
+      (param) =>
+        !Object.hasOwnProperty.call(param, "default") &&
+        !Object.hasOwnProperty.call(values, param.name)
+    );
+    if (missing) {
+      throw parameterError(
+        `is missing the required parameter "${missing.name}"`,
+        missing.name
+      );
+    }
+    if (typeof params === "undefined" && Object.keys(values).length === 0) {
+      return params;
+    }
+    return values;
+  }
 
+  _buildApi(root, methods, caller) {
     const getPath = (fullName) => {
       let path = fullName.split(".");
       if (path.length >= 1 && path[0] === "core") {
@@ -290,7 +1207,7 @@ class Mopidy extends EventEmitter {
     };
 
     const createObjects = (objPath) => {
-      let parentObj = this;
+      let parentObj = root;
       objPath.forEach((objName) => {
         const camelObjName = snakeToCamel(objName);
         parentObj[camelObjName] = parentObj[camelObjName] || {};
@@ -309,36 +1226,201 @@ class Mopidy extends EventEmitter {
     };
 
     Object.keys(methods).forEach(createMethod);
+  }
 
+  _createApi(methods) {
+    const caller =
+      (method) =>
+      (...args) => {
+        let call;
+        try {
+          call = this._prepareCall(method, args);
+        } catch (error) {
+          return Promise.reject(error);
+        }
+        if (this._libraryCache) {
+          return this._sendCached(call.message, call.options);
+        }
+        return this._send(call.message, call.options);
+      };
+
+    this._apiSpec = methods;
+    this._buildApi(this, methods, caller);
+
+    this._online = true;
     this.emit("state", "state:online");
     this.emit("state:online");
   }
-}
 
-class ConnectionError extends Error {
-  constructor(message) {
-    super(message);
-    this.name = "ConnectionError";
+  _sendCached(message, options) {
+    const { method, params } = message;
+    if (method === "core.library.refresh") {
+      const uri = Array.isArray(params) ? params[0] : params && params.uri;
+      return this._send(message, options).then((result) => {
+        this._libraryCache.invalidate(uri);
+        return result;
+      });
+    }
+    const uris = cachedUris(params);
+    if (!Object.hasOwnProperty.call(CACHED_METHODS, method) || !uris) {
+      return this._send(message, options);
+    }
+    if (options.signal && options.signal.aborted) {
+      return Promise.reject(new Mopidy.AbortError("Request aborted"));
+    }
+    // Calls for the same URIs share one request, so the caller's timeout and
+    // signal only apply to its own wait, and not to the shared request.
+    const result = this._libraryCache.get(
+      CACHED_METHODS[method],
+      uris,
+      (missing) => this._send({ method, params: { uris: missing } })
+    );
+    return this._waitForResult(result, method, options);
   }
-}
-Mopidy.ConnectionError = ConnectionError;
 
-class ServerError extends Error {
-  constructor(message) {
-    super(message);
-    this.name = "ServerError";
+  _waitForResult(promise, method, { timeout, signal }) {
+    if (!(timeout > 0) && !signal) {
+      return promise;
+    }
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      let onAbort = null;
+      const settle = (callback, value) => {
+        clearTimeout(timer);
+        if (signal) {
+          signal.removeEventListener("abort", onAbort);
+        }
+        callback(value);
+      };
+      onAbort = () => settle(reject, new Mopidy.AbortError("Request aborted"));
+      if (timeout > 0) {
+        timer = setTimeout(() => {
+          settle(
+            reject,
+            new Mopidy.TimeoutError(
+              `Request to ${method} timed out after ${timeout} ms`
+            )
+          );
+        }, timeout);
+      }
+      if (signal) {
+        signal.addEventListener("abort", onAbort);
+      }
+      promise.then(
+        (result) => settle(resolve, result),
+        (error) => settle(reject, error)
+      );
+    });
+  }
+
+  _invalidateLibraryCache() {
+    // The library may have changed while we were offline, but the cache can
+    // be used until we have been online once, e.g. if it was loaded from
+    // storage when the app started.
+    if (this._libraryCache && this._wasOnline) {
+      this._libraryCache.invalidate();
+    }
+    this._wasOnline = true;
+  }
+
+  batch(build, options = {}) {
+    if (!this._apiSpec) {
+      return Promise.reject(
+        new Mopidy.ConnectionError("API is not available yet")
+      );
+    }
+
+    const calls = [];
+    const caller =
+      (method) =>
+      (...args) => {
+        let call;
+        try {
+          call = this._prepareCall(method, args);
+        } catch (error) {
+          return Promise.reject(error);
+        }
+        if (args.length > 1) {
+          return Promise.reject(
+            new TypeError(
+              "Call options must be passed to batch(), not to batched calls."
+            )
+          );
+        }
+        return new Promise((resolve, reject) => {
+          calls.push({ message: call.message, resolve, reject });
+        });
+      };
+    const builder = {};
+    this._buildApi(builder, this._apiSpec, caller);
+
+    // Nothing is sent if building the batch fails
+    let promises;
+    try {
+      promises = build(builder);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+    if (!Array.isArray(promises)) {
+      return Promise.reject(
+        new TypeError("Expected build() to return an array of promises.")
+      );
+    }
+    if (calls.length > 0) {
+      this._send(
+        calls.map(({ message }) => message),
+        options
+      ).then(
+        (outcomes) => {
+          outcomes.forEach((outcome, i) => {
+            if (Object.hasOwnProperty.call(outcome, "error")) {
+              calls[i].reject(outcome.error);
+            } else {
+              calls[i].resolve(outcome.result);
+            }
+          });
+        },
+        (error) => calls.forEach(({ reject }) => reject(error))
+      );
+    }
+    return Promise.all(promises);
+  }
+
+  browseTree(uri = null, options = {}) {
+    return new BrowseTree(this, uri, options);
+  }
+
+  use(middleware) {
+    if (middleware !== Object(middleware)) {
+      throw new TypeError("Expected middleware to be an object.");
+    }
+    this._middleware.push(middleware);
+    return () => {
+      this._middleware = this._middleware.filter((m) => m !== middleware);
+    };
   }
 }
+
+Mopidy.ConnectionError = ConnectionError;
 Mopidy.ServerError = ServerError;
+Mopidy.TimeoutError = TimeoutError;
+Mopidy.AbortError = AbortError;
+Mopidy.ParameterError = ParameterError;
+Mopidy.ConflictError = ConflictError;
 
 Mopidy.WebSocket = WebSocket;
+Mopidy.HttpTransport = HttpTransport;
+
+Mopidy.models = models;
 
-Mopidy.prototype._nextRequestId = (() => {
-  let lastUsed = -1;
-  return () => {
-    lastUsed += 1;
-    return lastUsed;
-  };
-})();
+Mopidy.PlayerState = PlayerState;
+Mopidy.PositionTracker = PositionTracker;
+Mopidy.LiveSearch = LiveSearch;
+Mopidy.TracklistMirror = TracklistMirror;
+Mopidy.TracklistWindow = TracklistWindow;
+Mopidy.BulkAdd = BulkAdd;
+Mopidy.PlaylistEditor = PlaylistEditor;
+Mopidy.SearchQuery = SearchQuery;
+Mopidy.mergeSearchResults = mergeSearchResults;
 
 module.exports = Mopidy;
@@ -0,0 +1,156 @@
+const { getField } = require("./case-conversion");
+
+const INITIAL_STATE = Object.freeze({
+  online: false,
+  playbackState: null,
+  currentTlTrack: null,
+  streamTitle: null,
+  volume: null,
+  mute: null,
+  tlTracks: [],
+  repeat: null,
+  random: null,
+  single: null,
+  consume: null,
+});
+
+class PlayerState {
+  constructor(mopidy) {
+    this._mopidy = mopidy;
+    this._snapshot = INITIAL_STATE;
+    this._listeners = [];
+    this._handlers = {
+      "state:online": () => this.hydrate(),
+      "state:offline": () => this._update({ online: false }),
+      "event:playbackStateChanged": (data) =>
+        this._update({ playbackState: getField(data, "new_state") }),
+      "event:trackPlaybackStarted": (data) =>
+        this._update({
+          currentTlTrack: getField(data, "tl_track"),
+          streamTitle: null,
+        }),
+      "event:trackPlaybackPaused": (data) =>
+        this._update({ currentTlTrack: getField(data, "tl_track") }),
+      "event:trackPlaybackResumed": (data) =>
+        this._update({ currentTlTrack: getField(data, "tl_track") }),
+      "event:streamTitleChanged": ({ title: streamTitle }) =>
+        this._update({ streamTitle }),
+      "event:volumeChanged": ({ volume }) => this._update({ volume }),
+      "event:muteChanged": ({ mute }) => this._update({ mute }),
+      "event:tracklistChanged": () => this._refreshTracklist(),
+      "event:optionsChanged": () => this._refreshOptions(),
+    };
+    Object.keys(this._handlers).forEach((name) => {
+      this._mopidy.on(name, this._handlers[name]);
+    });
+  }
+
+  getSnapshot() {
+    return this._snapshot;
+  }
+
+  subscribe(listener) {
+    this._listeners.push(listener);
+    return () => {
+      this._listeners = this._listeners.filter((l) => l !== listener);
+    };
+  }
+
+  hydrate() {
+    return this._fetch((b) => [
+      b.playback.getState(),
+      b.playback.getCurrentTlTrack(),
+      b.playback.getStreamTitle(),
+      b.mixer.getVolume(),
+      b.mixer.getMute(),
+      b.tracklist.getTlTracks(),
+      b.tracklist.getRepeat(),
+      b.tracklist.getRandom(),
+      b.tracklist.getSingle(),
+      b.tracklist.getConsume(),
+    ]).then((results) => {
+      if (!results) {
+        return;
+      }
+      const [
+        playbackState,
+        currentTlTrack,
+        streamTitle,
+        volume,
+        mute,
+        tlTracks,
+        repeat,
+        random,
+        single,
+        consume,
+      ] = results;
+      this._update({
+        online: true,
+        playbackState,
+        currentTlTrack,
+        streamTitle,
+        volume,
+        mute,
+        tlTracks,
+        repeat,
+        random,
+        single,
+        consume,
+      });
+    });
+  }
+
+  destroy() {
+    Object.keys(this._handlers).forEach((name) => {
+      this._mopidy.off(name, this._handlers[name]);
+    });
+    this._listeners = [];
+  }
+
+  _refreshTracklist() {
+    return this._fetch((b) => [
+      b.tracklist.getTlTracks(),
+      b.playback.getCurrentTlTrack(),
+    ]).then((results) => {
+      if (results) {
+        const [tlTracks, currentTlTrack] = results;
+        this._update({ tlTracks, currentTlTrack });
+      }
+    });
+  }
+
+  _refreshOptions() {
+    return this._fetch((b) => [
+      b.tracklist.getRepeat(),
+      b.tracklist.getRandom(),
+      b.tracklist.getSingle(),
+      b.tracklist.getConsume(),
+    ]).then((results) => {
+      if (results) {
+        const [repeat, random, single, consume] = results;
+        this._update({ repeat, random, single, consume });
+      }
+    });
+  }
+
+  _fetch(build) {
+    return this._mopidy.batch(build).catch((error) => {
+      this._mopidy._console.warn("Failed to update player state:", error);
+      return null;
+    });
+  }
+
+  _update(changes) {
+    const previous = this._snapshot;
+    const changed = Object.keys(changes).some(
+      (key) => changes[key] !== previous[key]
+    );
+    if (!changed) {
+      return;
+    }
+    this._snapshot = Object.freeze({ ...previous, ...changes });
+    this._listeners.forEach((listener) => listener(this._snapshot, previous));
+  }
+}
+
+module.exports = PlayerState;
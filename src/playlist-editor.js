@@ -0,0 +1,448 @@
+// Stages edits to a stored playlist and saves them with a single
+// playlists.save call, without silently overwriting changes that other clients
+// made to the playlist in the meantime.
+
+const EventEmitter = require("events");
+const { getField } = require("./case-conversion");
+const { ConflictError } = require("./errors");
+
+const DEFAULT_OPTIONS = {
+  onConflict: null,
+  maxRetries: 3,
+};
+
+function lastModified(playlist) {
+  return getField(playlist, "last_modified") || 0;
+}
+
+// Finds the tracks in the list, preferring the given index, so that removes
+// and moves can be replayed on a playlist that has changed since.
+function findTracks(list, tracks, index) {
+  const matchesAt = (start) =>
+    start + tracks.length <= list.length &&
+    tracks.every((track, i) => list[start + i].uri === track.uri);
+  if (matchesAt(index)) {
+    return index;
+  }
+  let found = -1;
+  for (let start = 0; start + tracks.length <= list.length; start += 1) {
+    if (
+      matchesAt(start) &&
+      (found === -1 || Math.abs(start - index) < Math.abs(found - index))
+    ) {
+      found = start;
+    }
+  }
+  return found;
+}
+
+// Applies a staged change to the name and tracks of a playlist
+const CHANGES = {
+  append: ({ name, tracks }, change) => ({
+    name,
+    tracks: [...tracks, ...change.tracks],
+  }),
+  insert: ({ name, tracks }, change) => {
+    const result = [...tracks];
+    result.splice(
+      Math.min(change.position, result.length),
+      0,
+      ...change.tracks
+    );
+    return { name, tracks: result };
+  },
+  remove: ({ name, tracks }, change) => {
+    const index = findTracks(tracks, change.tracks, change.position);
+    if (index === -1) {
+      // Already removed by someone else
+      return { name, tracks };
+    }
+    const result = [...tracks];
+    result.splice(index, change.tracks.length);
+    return { name, tracks: result };
+  },
+  move: ({ name, tracks }, change) => {
+    const index = findTracks(tracks, change.tracks, change.position);
+    if (index === -1) {
+      return { name, tracks };
+    }
+    const result = [...tracks];
+    result.splice(index, change.tracks.length);
+    // Keep the distance moved, in case the tracks are elsewhere by now
+    const toPosition = index + change.toPosition - change.position;
+    result.splice(
+      Math.max(0, Math.min(toPosition, result.length)),
+      0,
+      ...change.tracks
+    );
+    return { name, tracks: result };
+  },
+  rename: ({ tracks }, change) => ({ name: change.name, tracks }),
+};
+
+function checkIndex(name, value, max) {
+  if (!Number.isInteger(value) || value < 0 || value > max) {
+    throw new RangeError(`Expected ${name} to be between 0 and ${max}.`);
+  }
+}
+
+class PlaylistEditor extends EventEmitter {
+  constructor(mopidy, uri, options = {}) {
+    super();
+    if (typeof uri !== "string" || uri === "") {
+      throw new TypeError("Expected uri to be a non-empty string.");
+    }
+    this._mopidy = mopidy;
+    this._uri = uri;
+    this._options = { ...DEFAULT_OPTIONS, ...options };
+    if (!(this._options.maxRetries >= 0)) {
+      throw new TypeError("Expected maxRetries to be at least 0.");
+    }
+    // The playlist as last loaded from or saved to the server
+    this._base = null;
+    this._changes = [];
+    this._state = null;
+    this._conflict = null;
+    this._saving = null;
+    // Changes announced while saving are checked once the save is done, as
+    // they may be caused by the save itself.
+    this._announced = null;
+    this._handlers = {
+      "state:online": () => this._check(),
+      "event:playlistChanged": ({ playlist }) =>
+        this._onPlaylistChanged(playlist),
+    };
+    Object.keys(this._handlers).forEach((name) => {
+      this._mopidy.on(name, this._handlers[name]);
+    });
+  }
+
+  get uri() {
+    return this._uri;
+  }
+
+  /**
+   * The playlist as last loaded from or saved to the server, without the
+   * staged changes.
+   */
+  get playlist() {
+    return this._base;
+  }
+
+  get name() {
+    return this._state ? this._state.name : null;
+  }
+
+  get tracks() {
+    return this._state ? this._state.tracks : [];
+  }
+
+  get changes() {
+    return [...this._changes];
+  }
+
+  get dirty() {
+    return this._changes.length > 0;
+  }
+
+  /**
+   * The newer version of the playlist saved by another client while there
+   * were staged changes, or null.
+   */
+  get conflict() {
+    return this._conflict;
+  }
+
+  /**
+   * Fetch the latest version of the playlist. Staged changes are kept, and
+   * replayed on top of it.
+   */
+  load() {
+    return this._lookup().then((playlist) => {
+      if (!playlist) {
+        throw new Error(`Playlist not found: ${this._uri}`);
+      }
+      this._rebase(playlist);
+      return playlist;
+    });
+  }
+
+  /**
+   * Stage adding the tracks, given as track objects or URIs, to the end of
+   * the playlist.
+   */
+  append(tracks) {
+    return this._stage({ type: "append", tracks: this._toTracks(tracks) });
+  }
+
+  insert(position, tracks) {
+    this._checkLoaded();
+    checkIndex("position", position, this.tracks.length);
+    return this._stage({
+      type: "insert",
+      position,
+      tracks: this._toTracks(tracks),
+    });
+  }
+
+  /**
+   * Stage removing the tracks from index start up to, but not including,
+   * index end.
+   */
+  remove(start, end = start + 1) {
+    this._checkLoaded();
+    checkIndex("end", end, this.tracks.length);
+    checkIndex("start", start, end - 1);
+    return this._stage({
+      type: "remove",
+      position: start,
+      tracks: this.tracks.slice(start, end),
+    });
+  }
+
+  /**
+   * Stage moving the tracks from index start up to, but not including, index
+   * end to toPosition. Like in tracklist.move, toPosition is the index in the
+   * playlist without the moved tracks.
+   */
+  move(start, end, toPosition) {
+    this._checkLoaded();
+    checkIndex("end", end, this.tracks.length);
+    checkIndex("start", start, end - 1);
+    checkIndex("toPosition", toPosition, this.tracks.length - (end - start));
+    return this._stage({
+      type: "move",
+      position: start,
+      tracks: this.tracks.slice(start, end),
+      toPosition,
+    });
+  }
+
+  rename(name) {
+    if (typeof name !== "string" || name === "") {
+      throw new TypeError("Expected name to be a non-empty string.");
+    }
+    return this._stage({ type: "rename", name });
+  }
+
+  /**
+   * Drop all staged changes, switching to the conflicting version of the
+   * playlist if there is one.
+   */
+  discard() {
+    this._checkLoaded();
+    this._changes = [];
+    this._rebase(this._conflict || this._base);
+  }
+
+  /**
+   * Save the staged changes, if the playlist hasn't changed on the server
+   * since it was loaded. Otherwise, the onConflict hook decides what to do.
+   * Resolves to the saved playlist.
+   */
+  save() {
+    this._checkLoaded();
+    if (!this._saving) {
+      const done = () => {
+        this._saving = null;
+        const announced = this._announced;
+        this._announced = null;
+        if (announced) {
+          this._onPlaylistChanged(announced);
+        }
+      };
+      this._saving = this._save(this._options.maxRetries).then(
+        (playlist) => {
+          done();
+          return playlist;
+        },
+        (error) => {
+          done();
+          throw error;
+        }
+      );
+    }
+    return this._saving;
+  }
+
+  destroy() {
+    Object.keys(this._handlers).forEach((name) => {
+      this._mopidy.off(name, this._handlers[name]);
+    });
+    this.removeAllListeners();
+  }
+
+  _save(retriesLeft) {
+    if (!this.dirty) {
+      return Promise.resolve(this._base);
+    }
+    return this._lookup().then((remote) => {
+      if (!remote) {
+        throw this._conflictError(
+          `Playlist ${this._uri} no longer exists`,
+          null
+        );
+      }
+      if (lastModified(remote) <= lastModified(this._base)) {
+        return this._write(this._state);
+      }
+      return this._resolveConflict(remote, retriesLeft);
+    });
+  }
+
+  _resolveConflict(remote, retriesLeft) {
+    const { onConflict } = this._options;
+    const conflict = {
+      base: this._base,
+      remote,
+      local: this._state,
+      changes: this.changes,
+    };
+    return Promise.resolve(onConflict ? onConflict(conflict) : null).then(
+      (resolution) => {
+        if (resolution === "retry" && retriesLeft > 0) {
+          this._rebase(remote);
+          return this._save(retriesLeft - 1);
+        }
+        if (resolution === "overwrite") {
+          return this._write(this._state);
+        }
+        if (resolution && typeof resolution === "object") {
+          return this._write({
+            name: resolution.name || getField(remote, "name"),
+            tracks: this._toTracks(resolution.tracks || []),
+          });
+        }
+        this._setConflict(remote);
+        throw this._conflictError(
+          `Playlist ${this._uri} was changed by another client`,
+          remote
+        );
+      }
+    );
+  }
+
+  _write({ name, tracks }) {
+    // Changes staged while saving are kept, and replayed on the saved playlist
+    const saving = this._changes.length;
+    const playlist = {
+      __model__: "Playlist",
+      uri: this._uri,
+      name,
+      tracks,
+      last_modified: getField(this._base, "last_modified"),
+    };
+    return this._mopidy
+      ._send({
+        method: "core.playlists.save",
+        params: this._mopidy._encode({ playlist }),
+      })
+      .then((saved) => {
+        if (!saved) {
+          throw new Error(`Playlist ${this._uri} could not be saved`);
+        }
+        // Renaming may give the playlist a new URI
+        this._uri = getField(saved, "uri") || this._uri;
+        this._changes = this._changes.slice(saving);
+        this._rebase(saved);
+        this.emit("save", { playlist: saved });
+        return saved;
+      });
+  }
+
+  _stage(change) {
+    this._checkLoaded();
+    this._changes.push(change);
+    this._state = CHANGES[change.type](this._state, change);
+    this.emit("change", this._state);
+    return this;
+  }
+
+  _rebase(playlist) {
+    this._base = playlist;
+    this._conflict = null;
+    this._update();
+  }
+
+  _update() {
+    const initial = {
+      name: getField(this._base, "name"),
+      tracks: getField(this._base, "tracks") || [],
+    };
+    this._state = this._changes.reduce(
+      (state, change) => CHANGES[change.type](state, change),
+      initial
+    );
+    this.emit("change", this._state);
+  }
+
+  _onPlaylistChanged(playlist) {
+    if (!this._base || getField(playlist, "uri") !== this._uri) {
+      return;
+    }
+    if (this._saving) {
+      this._announced = playlist;
+      return;
+    }
+    if (lastModified(playlist) <= lastModified(this._base)) {
+      return;
+    }
+    if (this.dirty) {
+      this._setConflict(playlist);
+    } else {
+      this._rebase(playlist);
+    }
+  }
+
+  // Events may have been missed while offline
+  _check() {
+    if (!this._base) {
+      return Promise.resolve();
+    }
+    return this._lookup().then(
+      (playlist) => {
+        if (playlist) {
+          this._onPlaylistChanged(playlist);
+        }
+      },
+      (error) => this._mopidy._console.warn("Failed to check playlist:", error)
+    );
+  }
+
+  _setConflict(playlist) {
+    this._conflict = playlist;
+    this.emit("conflict", { playlist });
+  }
+
+  _conflictError(message, playlist) {
+    const error = new ConflictError(message);
+    error.playlist = playlist;
+    return error;
+  }
+
+  _lookup() {
+    return this._mopidy._send({
+      method: "core.playlists.lookup",
+      params: { uri: this._uri },
+    });
+  }
+
+  _toTracks(tracks) {
+    if (!Array.isArray(tracks)) {
+      throw new TypeError("Expected tracks to be an array.");
+    }
+    return tracks.map((track) =>
+      typeof track === "string"
+        ? this._mopidy._decode({ __model__: "Track", uri: track })
+        : track
+    );
+  }
+
+  _checkLoaded() {
+    if (!this._base) {
+      throw new Error("Call load() before editing the playlist.");
+    }
+  }
+}
+
+module.exports = PlaylistEditor;
@@ -0,0 +1,9 @@
+// Type definitions for require("mopidy/src/pool"), see Mopidy.MopidyPool
+
+import Mopidy = require("./mopidy");
+
+declare const MopidyPool: Mopidy.MopidyPoolConstructor;
+type MopidyPool<C extends Mopidy.CaseConversion = "none"> =
+  Mopidy.MopidyPool<C>;
+
+export = MopidyPool;
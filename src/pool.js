@@ -0,0 +1,119 @@
+// Manages connections to several Mopidy servers, e.g. one per room, and
+// forwards their events tagged with the name of the server they came from.
+
+const EventEmitter = require("events");
+const Mopidy = require("./mopidy");
+
+class MopidyPool extends EventEmitter {
+  constructor(servers = {}, settings = {}) {
+    super();
+    this._settings = settings;
+    this._servers = {};
+    Object.keys(servers).forEach((name) => this.add(name, servers[name]));
+  }
+
+  /**
+   * Add a server to the pool, either as a Mopidy instance or as the settings
+   * to create one with. Settings are merged with the settings of the pool.
+   */
+  add(name, server = {}) {
+    if (this.has(name)) {
+      throw new Error(`Server "${name}" is already in the pool`);
+    }
+    const mopidy =
+      server instanceof Mopidy
+        ? server
+        : new Mopidy({ ...this._settings, ...server });
+    // An instance may already be online when added
+    const entry = { mopidy, online: mopidy._online };
+    entry.handlers = {
+      state: (state, data) => {
+        if (state === "state:online" || state === "state:offline") {
+          entry.online = state === "state:online";
+        }
+        this.emit("state", name, state, data);
+        this.emit(state, name, data);
+      },
+      event: (eventName, data) => {
+        this.emit("event", name, eventName, data);
+        this.emit(eventName, name, data);
+      },
+    };
+    Object.keys(entry.handlers).forEach((eventName) => {
+      mopidy.on(eventName, entry.handlers[eventName]);
+    });
+    this._servers[name] = entry;
+    return mopidy;
+  }
+
+  /**
+   * Remove a server from the pool, and close its connection.
+   */
+  remove(name) {
+    if (!this.has(name)) {
+      return false;
+    }
+    const { mopidy, handlers } = this._servers[name];
+    delete this._servers[name];
+    Object.keys(handlers).forEach((eventName) => {
+      mopidy.off(eventName, handlers[eventName]);
+    });
+    mopidy.close();
+    return true;
+  }
+
+  has(name) {
+    return Object.hasOwnProperty.call(this._servers, name);
+  }
+
+  get(name) {
+    return this.has(name) ? this._servers[name].mopidy : undefined;
+  }
+
+  names() {
+    return Object.keys(this._servers);
+  }
+
+  isOnline(name) {
+    return this.has(name) && this._servers[name].online;
+  }
+
+  /**
+   * Call a function with each server, or with the named servers, e.g. to
+   * pause playback everywhere. Resolves with an outcome per server, so that a
+   * failure on one server doesn't hide the results from the others.
+   */
+  broadcast(call, names = this.names()) {
+    const unknown = names.find((name) => !this.has(name));
+    if (typeof unknown !== "undefined") {
+      return Promise.reject(
+        new Error(`Server "${unknown}" is not in the pool`)
+      );
+    }
+    return Promise.all(
+      names.map((name) =>
+        Promise.resolve()
+          .then(() => call(this._servers[name].mopidy, name))
+          .then(
+            (result) => ({ result }),
+            (error) => ({ error })
+          )
+      )
+    ).then((outcomes) => {
+      const results = {};
+      names.forEach((name, i) => {
+        results[name] = outcomes[i];
+      });
+      return results;
+    });
+  }
+
+  /**
+   * Remove all servers from the pool, and close their connections.
+   */
+  close() {
+    this.names().forEach((name) => this.remove(name));
+  }
+}
+
+module.exports = MopidyPool;
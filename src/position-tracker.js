@@ -0,0 +1,152 @@
+const EventEmitter = require("events");
+const { getField } = require("./case-conversion");
+
+function monotonicNow() {
+  if (typeof performance !== "undefined" && performance.now) {
+    return performance.now();
+  }
+  return Date.now();
+}
+
+class PositionTracker extends EventEmitter {
+  constructor(mopidy, options = {}) {
+    super();
+    this._mopidy = mopidy;
+    this._interval = options.interval || 1000;
+    this._resyncInterval = options.resyncInterval || 10000;
+    this._now = options.now || monotonicNow;
+
+    this._playing = false;
+    this._anchorPosition = 0;
+    this._anchorTime = this._now();
+    this._length = null;
+    this._tickTimer = null;
+    this._resyncTimer = null;
+    this._throttleTimer = null;
+    this._lastEmitTime = null;
+
+    this._handlers = {
+      "state:online": () => this.sync(),
+      "state:offline": () => this._setPlaying(false),
+      "event:trackPlaybackStarted": (data) => {
+        const tlTrack = getField(data, "tl_track");
+        this._length = tlTrack && tlTrack.track ? tlTrack.track.length : null;
+        this._anchor(0, true);
+      },
+      "event:trackPlaybackPaused": (data) =>
+        this._anchor(getField(data, "time_position"), false),
+      "event:trackPlaybackResumed": (data) =>
+        this._anchor(getField(data, "time_position"), true),
+      "event:trackPlaybackEnded": (data) =>
+        this._anchor(getField(data, "time_position"), false),
+      "event:seeked": (data) =>
+        this._anchor(getField(data, "time_position"), this._playing),
+      "event:playbackStateChanged": (data) => {
+        const newState = getField(data, "new_state");
+        if (newState === "stopped") {
+          this._anchor(0, false);
+        } else {
+          this._setPlaying(newState === "playing");
+        }
+      },
+    };
+    Object.keys(this._handlers).forEach((name) => {
+      this._mopidy.on(name, this._handlers[name]);
+    });
+  }
+
+  getPosition() {
+    let position = this._anchorPosition;
+    if (this._playing) {
+      position += this._now() - this._anchorTime;
+    }
+    if (this._length) {
+      position = Math.min(position, this._length);
+    }
+    return Math.max(0, Math.round(position));
+  }
+
+  sync() {
+    const sentAt = this._now();
+    return this._mopidy
+      .batch((b) => [
+        b.playback.getState(),
+        b.playback.getTimePosition(),
+        b.playback.getCurrentTrack(),
+      ])
+      .then(
+        ([state, timePosition, track]) => {
+          const playing = state === "playing";
+          // Assume the position was read halfway through the round trip
+          const latency = playing ? (this._now() - sentAt) / 2 : 0;
+          this._length = track ? track.length : null;
+          this._anchor((timePosition || 0) + latency, playing);
+        },
+        (error) => {
+          this._mopidy._console.warn("Failed to sync time position:", error);
+        }
+      );
+  }
+
+  destroy() {
+    Object.keys(this._handlers).forEach((name) => {
+      this._mopidy.off(name, this._handlers[name]);
+    });
+    this._stopTimers();
+    clearTimeout(this._throttleTimer);
+    this._throttleTimer = null;
+    this.removeAllListeners();
+  }
+
+  _anchor(timePosition, playing) {
+    this._anchorPosition = timePosition || 0;
+    this._anchorTime = this._now();
+    this._setPlaying(playing);
+    this._emitPosition();
+  }
+
+  _setPlaying(playing) {
+    if (playing === this._playing) {
+      return;
+    }
+    // Freeze the interpolated position at the time the state changes
+    this._anchorPosition = this.getPosition();
+    this._anchorTime = this._now();
+    this._playing = playing;
+    if (playing) {
+      this._tickTimer = setInterval(() => this._emitPosition(), this._interval);
+      this._resyncTimer = setInterval(() => this.sync(), this._resyncInterval);
+    } else {
+      this._stopTimers();
+    }
+  }
+
+  _stopTimers() {
+    clearInterval(this._tickTimer);
+    clearInterval(this._resyncTimer);
+    this._tickTimer = null;
+    this._resyncTimer = null;
+  }
+
+  _emitPosition() {
+    if (this._throttleTimer) {
+      return;
+    }
+    const now = this._now();
+    const wait =
+      this._lastEmitTime === null
+        ? 0
+        : this._lastEmitTime + this._interval - now;
+    if (wait > 0) {
+      this._throttleTimer = setTimeout(() => {
+        this._throttleTimer = null;
+        this._emitPosition();
+      }, wait);
+      return;
+    }
+    this._lastEmitTime = now;
+    this.emit("position", this.getPosition());
+  }
+}
+
+module.exports = PositionTracker;
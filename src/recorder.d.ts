@@ -0,0 +1,9 @@
+// Type definitions for require("mopidy/src/recorder"), see
+// Mopidy.SessionRecorder and Mopidy.SessionReplay
+
+import Mopidy = require("./mopidy");
+
+export declare const SessionRecorder: Mopidy.SessionRecorderConstructor;
+export type SessionRecorder = Mopidy.SessionRecorder;
+export declare const SessionReplay: Mopidy.SessionReplayConstructor;
+export type SessionReplay = Mopidy.SessionReplay;
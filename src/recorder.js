@@ -0,0 +1,239 @@
+// Records the JSON-RPC traffic and state changes of a Mopidy instance to a
+// portable JSON document, and replays recorded sessions into another Mopidy
+// instance, so that problems seen in the wild can be reproduced in tests.
+
+const MemoryTransport = require("./memory-transport");
+
+const FORMAT_VERSION = 1;
+
+function toArray(message) {
+  return Array.isArray(message) ? message : [message];
+}
+
+// JSON with sorted keys, so that params are compared regardless of key order
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(",")}]`;
+  }
+  if (value !== null && typeof value === "object") {
+    const members = Object.keys(value)
+      .filter((key) => typeof value[key] !== "undefined")
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${members.join(",")}}`;
+  }
+  return typeof value === "undefined" ? "null" : JSON.stringify(value);
+}
+
+/**
+ * Records a session of a Mopidy instance.
+ *
+ * Create the recorder right after the Mopidy instance, before it connects,
+ * to include the call to core.describe that a replay needs.
+ */
+class SessionRecorder {
+  constructor(mopidy, options = {}) {
+    this._mopidy = mopidy;
+    this._now = options.now || (() => Date.now());
+    this._maxEntries =
+      typeof options.maxEntries === "number" ? options.maxEntries : Infinity;
+    if (!(this._maxEntries >= 1)) {
+      throw new TypeError("Expected maxEntries to be at least 1.");
+    }
+    this._startTime = this._now();
+    this.startedAt = new Date(this._startTime).toISOString();
+    this.entries = [];
+    // Whether or not recording stopped at maxEntries
+    this.truncated = false;
+    this._handlers = {
+      "websocket:outgoingMessage": (message) =>
+        this._record({ type: "outgoing", message }),
+      "websocket:incomingMessage": (message) =>
+        this._recordIncoming(message.data),
+      "websocket:close": (closeEvent) =>
+        this._record({
+          type: "close",
+          code: closeEvent.code,
+          reason: closeEvent.reason,
+          wasClean: closeEvent.wasClean,
+        }),
+      state: (state, data) =>
+        this._record(
+          typeof data === "undefined"
+            ? { type: "state", state }
+            : { type: "state", state, data }
+        ),
+    };
+    Object.keys(this._handlers).forEach((name) => {
+      this._mopidy.on(name, this._handlers[name]);
+    });
+  }
+
+  toJSON() {
+    return {
+      version: FORMAT_VERSION,
+      startedAt: this.startedAt,
+      entries: this.entries.slice(),
+      truncated: this.truncated,
+    };
+  }
+
+  destroy() {
+    Object.keys(this._handlers).forEach((name) => {
+      this._mopidy.off(name, this._handlers[name]);
+    });
+  }
+
+  _record(entry) {
+    // Keep the start of the session, which a replay needs
+    if (this.entries.length >= this._maxEntries) {
+      this.truncated = true;
+      return;
+    }
+    this.entries.push({ time: this._now() - this._startTime, ...entry });
+  }
+
+  _recordIncoming(data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      // Keep invalid messages as they were received
+      this._record({ type: "incoming", data });
+      return;
+    }
+    this._record({ type: "incoming", message });
+  }
+}
+
+/**
+ * Plays a recorded session back to a Mopidy instance.
+ *
+ * Requests are answered with the recorded response to the first unused
+ * request with the same method and params, and Mopidy events are sent once
+ * all responses recorded before them have been sent. Connections that were
+ * lost during the recording are dropped at the same point of the replay.
+ */
+class SessionReplay {
+  constructor(recording) {
+    const session =
+      typeof recording === "string" ? JSON.parse(recording) : recording;
+    if (
+      !session ||
+      session.version !== FORMAT_VERSION ||
+      !Array.isArray(session.entries)
+    ) {
+      throw new Error("Unsupported session recording");
+    }
+    this.unmatched = [];
+    this._calls = [];
+    this._steps = [];
+    this._transport = null;
+    this.createTransport = this.createTransport.bind(this);
+    this._load(session.entries);
+  }
+
+  createTransport() {
+    return new MemoryTransport(this);
+  }
+
+  _load(entries) {
+    const requests = {};
+    entries.forEach((entry) => {
+      if (entry.type === "outgoing") {
+        toArray(entry.message).forEach((request) => {
+          requests[request.id] = request;
+        });
+      } else if (entry.type === "incoming" && entry.message) {
+        toArray(entry.message).forEach((message) => {
+          const request = requests[message.id];
+          if (request) {
+            const step = { type: "response", message, done: false };
+            this._steps.push(step);
+            this._calls.push({
+              method: request.method,
+              params: canonicalJson(request.params),
+              step,
+            });
+            delete requests[message.id];
+          } else if (message.event) {
+            this._steps.push({ type: "event", message, done: false });
+          }
+        });
+      } else if (entry.type === "close" && !entry.wasClean) {
+        this._steps.push({
+          type: "drop",
+          closeEvent: {
+            code: entry.code,
+            reason: entry.reason,
+            wasClean: false,
+          },
+          done: false,
+        });
+      }
+    });
+  }
+
+  _open(transport) {
+    this._transport = transport;
+    this._sendDueSteps();
+  }
+
+  _closed(transport) {
+    if (this._transport === transport) {
+      this._transport = null;
+    }
+  }
+
+  _receive(transport, data) {
+    const message = JSON.parse(data);
+    const responses = toArray(message).map((request) => this._respond(request));
+    transport._message(Array.isArray(message) ? responses : responses[0]);
+    this._sendDueSteps();
+  }
+
+  _respond(request) {
+    const params = canonicalJson(request.params);
+    const call = this._calls.find(
+      (candidate) =>
+        !candidate.step.done &&
+        candidate.method === request.method &&
+        candidate.params === params
+    );
+    if (!call) {
+      this.unmatched.push(request);
+      return {
+        jsonrpc: "2.0",
+        id: request.id,
+        error: {
+          code: -32000,
+          message: "No recorded response",
+          data: { method: request.method, params: request.params },
+        },
+      };
+    }
+    call.step.done = true;
+    return { ...call.step.message, id: request.id };
+  }
+
+  _sendDueSteps() {
+    let step = this._steps.find((candidate) => !candidate.done);
+    // Wait for the client to make the recorded request
+    while (step && step.type !== "response" && this._transport) {
+      const transport = this._transport;
+      step.done = true;
+      if (step.type === "drop") {
+        this._transport = null;
+        // Let the client handle the messages sent before the connection was
+        // lost, including what it does in response to them, first
+        const { closeEvent } = step;
+        setTimeout(() => transport._close(closeEvent), 0);
+      } else {
+        transport._message(step.message);
+      }
+      step = this._steps.find((candidate) => !candidate.done);
+    }
+  }
+}
+
+module.exports = { SessionRecorder, SessionReplay };
@@ -0,0 +1,34 @@
+// Coalesces refreshes, like fetching the tracklist again each time it
+// changes. While a refresh is running, more refreshes don't start right away.
+// Instead, it runs once more afterwards, no matter how many there were, so
+// that it picks up all changes made while it was running.
+//
+// run() must return a promise that doesn't reject.
+
+function createRefresher(run) {
+  let running = null;
+  let stale = false;
+
+  const refresh = () => {
+    if (running) {
+      stale = true;
+      return running;
+    }
+    stale = false;
+    running = run().then(() => {
+      running = null;
+      return stale ? refresh() : undefined;
+    });
+    return running;
+  };
+
+  return {
+    refresh,
+    // Skip the extra run for changes made while running, e.g. when destroyed
+    cancel() {
+      stale = false;
+    },
+  };
+}
+
+module.exports = createRefresher;
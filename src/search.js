@@ -0,0 +1,315 @@
+// Helpers for library.search: a builder for the query params, and a function
+// merging the per-backend search results into a single ranked list.
+
+const { getField, snakeToCamel } = require("./case-conversion");
+
+const QUERY_FIELDS = [
+  "uri",
+  "track_name",
+  "album",
+  "artist",
+  "albumartist",
+  "composer",
+  "performer",
+  "track_no",
+  "genre",
+  "date",
+  "comment",
+  "any",
+];
+
+// Both snake_case and camelCase field names are accepted
+const FIELD_NAMES = {};
+QUERY_FIELDS.forEach((field) => {
+  FIELD_NAMES[field] = field;
+  FIELD_NAMES[snakeToCamel(field)] = field;
+});
+
+function toField(name) {
+  if (!Object.prototype.hasOwnProperty.call(FIELD_NAMES, name)) {
+    throw new TypeError(`Unknown search field "${name}".`);
+  }
+  return FIELD_NAMES[name];
+}
+
+class SearchQuery {
+  constructor(query = {}) {
+    this._query = {};
+    this._uris = null;
+    this._exact = null;
+    Object.keys(query).forEach((name) => {
+      // Like Mopidy, accept a single value instead of a list
+      this.where(name, ...[].concat(query[name]));
+    });
+  }
+
+  /**
+   * Add values to search for in the field, e.g. where("artist", "ABBA").
+   */
+  where(name, ...values) {
+    const field = toField(name);
+    values.forEach((value) => {
+      if (
+        !(typeof value === "string" && value.trim() !== "") &&
+        !(typeof value === "number" && Number.isFinite(value))
+      ) {
+        throw new TypeError(
+          `Expected the values for "${field}" to be non-empty strings.`
+        );
+      }
+    });
+    if (values.length > 0) {
+      this._query[field] = (this._query[field] || []).concat(
+        values.map(String)
+      );
+    }
+    return this;
+  }
+
+  /**
+   * Limit the search to the given URI roots, e.g. "local:" or "spotify:".
+   */
+  within(...uris) {
+    this._uris = (this._uris || []).concat(uris);
+    return this;
+  }
+
+  exact(exact = true) {
+    this._exact = Boolean(exact);
+    return this;
+  }
+
+  isEmpty() {
+    return Object.keys(this._query).length === 0;
+  }
+
+  /**
+   * Get the params for library.search.
+   */
+  build() {
+    const params = { query: {} };
+    Object.keys(this._query).forEach((field) => {
+      params.query[field] = [...this._query[field]];
+    });
+    if (this._uris !== null) {
+      params.uris = [...this._uris];
+    }
+    if (this._exact !== null) {
+      params.exact = this._exact;
+    }
+    return params;
+  }
+}
+
+// Add a shorthand method per field, e.g. artist("ABBA") and trackName("SOS")
+QUERY_FIELDS.forEach((field) => {
+  SearchQuery.prototype[snakeToCamel(field)] = function addValues(...values) {
+    return this.where(field, ...values);
+  };
+});
+
+SearchQuery.FIELDS = QUERY_FIELDS;
+
+function normalize(text) {
+  return String(text)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function names(items) {
+  return (items || []).map((item) => item && item.name).filter(Boolean);
+}
+
+// The texts of a result item that a query field is matched against
+const TEXTS = {
+  tracks(track, field) {
+    const album = track.album || {};
+    switch (field) {
+      case "uri":
+        return [track.uri];
+      case "track_name":
+        return [track.name];
+      case "album":
+        return [album.name];
+      case "artist":
+        return names(track.artists);
+      case "albumartist":
+        return names(album.artists);
+      case "composer":
+        return names(track.composers);
+      case "performer":
+        return names(track.performers);
+      case "track_no":
+        return [getField(track, "track_no")];
+      case "genre":
+        return [track.genre];
+      case "date":
+        return [track.date];
+      case "comment":
+        return [track.comment];
+      default:
+        return [track.name, album.name].concat(
+          names(track.artists),
+          names(album.artists),
+          names(track.composers),
+          names(track.performers)
+        );
+    }
+  },
+  albums(album, field) {
+    switch (field) {
+      case "uri":
+        return [album.uri];
+      case "album":
+        return [album.name];
+      case "artist":
+      case "albumartist":
+        return names(album.artists);
+      case "date":
+        return [album.date];
+      default:
+        return [album.name].concat(names(album.artists));
+    }
+  },
+  artists(artist, field) {
+    return field === "uri" ? [artist.uri] : [artist.name];
+  },
+};
+
+// Items matching the query values exactly rank above items starting with
+// them, which rank above items only containing them.
+function score(kind, item, terms) {
+  return terms.reduce((total, { field, value }) => {
+    const best = TEXTS[kind](item, field)
+      .filter((text) => text !== undefined && text !== null)
+      .map(normalize)
+      .reduce((max, text) => {
+        if (text === value) {
+          return Math.max(max, 3);
+        }
+        if (text.startsWith(value)) {
+          return Math.max(max, 2);
+        }
+        return text.includes(value) ? Math.max(max, 1) : max;
+      }, 0);
+    return total + best;
+  }, 0);
+}
+
+// Items with the same key are considered the same, even if they come from
+// different backends.
+function identity(kind, item) {
+  if (!item.name) {
+    return `uri:${item.uri}`;
+  }
+  const parts = [normalize(item.name)];
+  if (kind !== "artists") {
+    parts.push(names(item.artists).map(normalize).sort().join(","));
+  }
+  if (kind === "tracks") {
+    parts.push(item.album && item.album.name ? normalize(item.album.name) : "");
+  }
+  return `${kind}:${parts.join("|")}`;
+}
+
+function backendOf(item) {
+  const uri = item.uri || "";
+  return uri.includes(":") ? uri.slice(0, uri.indexOf(":")) : uri;
+}
+
+function rank(kind, entries, terms, backends) {
+  const backendRank = (backend) => {
+    const index = backends.indexOf(backend);
+    return index === -1 ? backends.length : index;
+  };
+  return entries
+    .map((entry) => ({
+      ...entry,
+      score: terms.length > 0 ? score(kind, entry.item, terms) : 0,
+      backendRank: backendRank(entry.backend),
+    }))
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        a.backendRank - b.backendRank ||
+        a.position - b.position
+    );
+}
+
+function unique(entries, key) {
+  const seen = new Set();
+  return entries.filter((entry) => {
+    const value = key(entry);
+    if (seen.has(value)) {
+      return false;
+    }
+    seen.add(value);
+    return true;
+  });
+}
+
+/**
+ * Merge the SearchResults returned by library.search, one per backend, into
+ * single lists of tracks, albums, and artists.
+ */
+function mergeSearchResults(results, options = {}) {
+  const {
+    query = null,
+    backends = [],
+    dedupe = true,
+    groupByBackend = false,
+  } = options;
+  const queryObject =
+    query instanceof SearchQuery ? query.build().query : query;
+  const terms = [];
+  Object.keys(queryObject || {}).forEach((name) => {
+    const field = toField(name);
+    [].concat(queryObject[name]).forEach((value) => {
+      terms.push({ field, value: normalize(value) });
+    });
+  });
+
+  const merged = {};
+  const grouped = {};
+  ["tracks", "albums", "artists"].forEach((kind) => {
+    const entries = [];
+    (results || []).forEach((result) => {
+      ((result && result[kind]) || []).forEach((item) => {
+        if (item) {
+          entries.push({
+            item,
+            backend: backendOf(item),
+            position: entries.length,
+          });
+        }
+      });
+    });
+
+    const ranked = unique(
+      rank(kind, entries, terms, backends),
+      (entry) => entry.item.uri
+    );
+    merged[kind] = (
+      dedupe ? unique(ranked, (entry) => identity(kind, entry.item)) : ranked
+    ).map((entry) => entry.item);
+
+    if (groupByBackend) {
+      ranked.forEach((entry) => {
+        if (!grouped[entry.backend]) {
+          grouped[entry.backend] = { tracks: [], albums: [], artists: [] };
+        }
+        grouped[entry.backend][kind].push(entry.item);
+      });
+    }
+  });
+
+  if (groupByBackend) {
+    merged.backends = grouped;
+  }
+  return merged;
+}
+
+module.exports = { SearchQuery, mergeSearchResults };
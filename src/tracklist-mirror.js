@@ -0,0 +1,146 @@
+// Keeps a copy of the tracklist, and tells list UIs exactly which tracks were
+// added, removed, and moved each time it changes, so that they don't have to
+// re-render the whole queue.
+
+const EventEmitter = require("events");
+const createRefresher = require("./refresher");
+
+// Finds the positions of a longest increasing subsequence of the numbers.
+// The tracks at those positions kept their relative order, so only the other
+// tracks have to be moved.
+function longestIncreasingSubsequence(numbers) {
+  // tails[k] is the position of the smallest number ending an increasing
+  // subsequence of length k + 1.
+  const tails = [];
+  const previous = new Array(numbers.length);
+  numbers.forEach((number, i) => {
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const middle = Math.floor((low + high) / 2);
+      if (numbers[tails[middle]] < number) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    previous[i] = low > 0 ? tails[low - 1] : -1;
+    tails[low] = i;
+  });
+
+  const positions = [];
+  let position = tails.length > 0 ? tails[tails.length - 1] : -1;
+  while (position !== -1) {
+    positions.unshift(position);
+    position = previous[position];
+  }
+  return positions;
+}
+
+/**
+ * Compare two lists of TlTracks by tlid. Removed and moved tracks are given
+ * with their index in the old list, and added and moved tracks with their
+ * index in the new list.
+ */
+function diffTlTracks(oldTlTracks, newTlTracks) {
+  const oldIndexes = new Map();
+  oldTlTracks.forEach((tlTrack, index) => oldIndexes.set(tlTrack.tlid, index));
+  const newTlids = new Set(newTlTracks.map((tlTrack) => tlTrack.tlid));
+
+  const removed = [];
+  oldTlTracks.forEach((tlTrack, index) => {
+    if (!newTlids.has(tlTrack.tlid)) {
+      removed.push({ tlid: tlTrack.tlid, index, tlTrack });
+    }
+  });
+
+  const added = [];
+  const kept = [];
+  newTlTracks.forEach((tlTrack, index) => {
+    if (oldIndexes.has(tlTrack.tlid)) {
+      kept.push({ tlTrack, from: oldIndexes.get(tlTrack.tlid), to: index });
+    } else {
+      added.push({ tlid: tlTrack.tlid, index, tlTrack });
+    }
+  });
+
+  const stable = new Set(
+    longestIncreasingSubsequence(kept.map(({ from }) => from))
+  );
+  const moved = kept
+    .filter((entry, position) => !stable.has(position))
+    .map(({ tlTrack, from, to }) => ({
+      tlid: tlTrack.tlid,
+      from,
+      to,
+      tlTrack,
+    }));
+
+  return { added, removed, moved };
+}
+
+class TracklistMirror extends EventEmitter {
+  constructor(mopidy) {
+    super();
+    this._mopidy = mopidy;
+    this._tlTracks = [];
+    this._refresher = createRefresher(() => this._fetch());
+    this._handlers = {
+      "state:online": () => this.refresh(),
+      "event:tracklistChanged": () => this.refresh(),
+    };
+    Object.keys(this._handlers).forEach((name) => {
+      this._mopidy.on(name, this._handlers[name]);
+    });
+  }
+
+  /**
+   * Get the current copy of the tracklist.
+   */
+  getTlTracks() {
+    return this._tlTracks;
+  }
+
+  /**
+   * Fetch the tracklist from the server, emitting "tracklist:diff" if it has
+   * changed.
+   */
+  refresh() {
+    return this._refresher.refresh();
+  }
+
+  destroy() {
+    Object.keys(this._handlers).forEach((name) => {
+      this._mopidy.off(name, this._handlers[name]);
+    });
+    this._refresher.cancel();
+    this.removeAllListeners();
+  }
+
+  _fetch() {
+    return this._mopidy._send({ method: "core.tracklist.get_tl_tracks" }).then(
+      (tlTracks) => this._update(tlTracks || []),
+      (error) => {
+        this._mopidy._console.warn("Failed to update tracklist:", error);
+      }
+    );
+  }
+
+  _update(tlTracks) {
+    const previous = this._tlTracks;
+    const diff = diffTlTracks(previous, tlTracks);
+    this._tlTracks = tlTracks;
+    if (
+      diff.added.length === 0 &&
+      diff.removed.length === 0 &&
+      diff.moved.length === 0
+    ) {
+      return;
+    }
+    this.emit("tracklist:diff", { ...diff, tlTracks, previous });
+  }
+}
+
+TracklistMirror.diff = diffTlTracks;
+
+module.exports = TracklistMirror;
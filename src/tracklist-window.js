@@ -0,0 +1,213 @@
+// Gives access to very large tracklists a page at a time, using
+// tracklist.slice, so that list UIs only fetch the tracks they show.
+
+const EventEmitter = require("events");
+const { touch, remember } = require("./lru");
+const createRefresher = require("./refresher");
+
+const DEFAULT_OPTIONS = {
+  pageSize: 100,
+  maxPages: 5,
+};
+
+function sameTlids(a, b) {
+  return (
+    a.length === b.length &&
+    a.every((tlTrack, index) => tlTrack.tlid === b[index].tlid)
+  );
+}
+
+class TracklistWindow extends EventEmitter {
+  constructor(mopidy, options = {}) {
+    super();
+    this._mopidy = mopidy;
+    this._options = { ...DEFAULT_OPTIONS, ...options };
+    const { pageSize, maxPages } = this._options;
+    if (!(pageSize >= 1)) {
+      throw new TypeError("Expected pageSize to be at least 1.");
+    }
+    if (!(maxPages >= 1)) {
+      throw new TypeError("Expected maxPages to be at least 1.");
+    }
+    this._length = null;
+    // Least recently used first, see lru.js
+    this._pages = new Map();
+    this._fetching = new Map();
+    // Increased on every change, so that pages fetched before the change
+    // aren't cached.
+    this._version = 0;
+    this._refresher = createRefresher(() => this._fetchAll());
+    this._handlers = {
+      "state:online": () => this.refresh(),
+      "event:tracklistChanged": () => this.refresh(),
+    };
+    Object.keys(this._handlers).forEach((name) => {
+      this._mopidy.on(name, this._handlers[name]);
+    });
+  }
+
+  get pageSize() {
+    return this._options.pageSize;
+  }
+
+  getLength() {
+    if (this._length !== null) {
+      return Promise.resolve(this._length);
+    }
+    const version = this._version;
+    return this._call("core.tracklist.get_length").then((length) => {
+      if (version === this._version) {
+        this._length = length;
+      }
+      return length;
+    });
+  }
+
+  /**
+   * Get the tracks on the page, fetching them if they aren't cached.
+   */
+  getPage(page) {
+    if (this._pages.has(page)) {
+      return Promise.resolve(touch(this._pages, page));
+    }
+    if (!this._fetching.has(page)) {
+      const fetching = this._fetchPage(page);
+      const done = () => this._fetching.delete(page);
+      fetching.then(done, done);
+      this._fetching.set(page, fetching);
+    }
+    return this._fetching.get(page);
+  }
+
+  /**
+   * Get the tracks from index start up to, but not including, index end.
+   */
+  getRange(start, end) {
+    const { pageSize } = this._options;
+    if (end <= start) {
+      return Promise.resolve([]);
+    }
+    const first = Math.floor(start / pageSize);
+    const last = Math.floor((end - 1) / pageSize);
+    const pages = [];
+    for (let page = first; page <= last; page += 1) {
+      pages.push(this.getPage(page));
+    }
+    const offset = first * pageSize;
+    return Promise.all(pages).then((contents) =>
+      [].concat(...contents).slice(start - offset, end - offset)
+    );
+  }
+
+  /**
+   * Get the track at the index if its page is cached, without fetching it.
+   */
+  getCached(index) {
+    const { pageSize } = this._options;
+    const tlTracks = this._pages.get(Math.floor(index / pageSize));
+    return tlTracks ? tlTracks[index % pageSize] : undefined;
+  }
+
+  /**
+   * Find the index and page of the track with the tlid, or of the current
+   * track if no tlid is given. Resolves to null if the track isn't in the
+   * tracklist.
+   */
+  locate(tlid) {
+    const params = tlid === null || typeof tlid === "undefined" ? {} : { tlid };
+    return this._call("core.tracklist.index", params).then((index) =>
+      index === null
+        ? null
+        : { index, page: Math.floor(index / this._options.pageSize) }
+    );
+  }
+
+  /**
+   * Fetch the length and the cached pages again, emitting "change" with the
+   * pages that changed.
+   */
+  refresh() {
+    return this._refresher.refresh();
+  }
+
+  destroy() {
+    Object.keys(this._handlers).forEach((name) => {
+      this._mopidy.off(name, this._handlers[name]);
+    });
+    this._refresher.cancel();
+    this._pages.clear();
+    this.removeAllListeners();
+  }
+
+  _fetchAll() {
+    this._version += 1;
+    const { pageSize } = this._options;
+    const pages = Array.from(this._pages.keys());
+    return this._mopidy
+      .batch((b) => [
+        b.tracklist.getLength(),
+        ...pages.map((page) =>
+          b.tracklist.slice({
+            start: page * pageSize,
+            end: (page + 1) * pageSize,
+          })
+        ),
+      ])
+      .then(
+        ([length, ...contents]) => this._update(length, pages, contents),
+        (error) => {
+          this._mopidy._console.warn(
+            "Failed to update tracklist window:",
+            error
+          );
+          this._length = null;
+          this._pages.clear();
+        }
+      );
+  }
+
+  _fetchPage(page) {
+    const { pageSize } = this._options;
+    const version = this._version;
+    return this._call("core.tracklist.slice", {
+      start: page * pageSize,
+      end: (page + 1) * pageSize,
+    }).then((tlTracks) => {
+      // The tracklist changed while fetching, so the page may be outdated
+      if (version !== this._version) {
+        return this._fetchPage(page);
+      }
+      remember(this._pages, page, tlTracks, this._options.maxPages);
+      return tlTracks;
+    });
+  }
+
+  _update(length, pages, contents) {
+    const { pageSize } = this._options;
+    const lengthChanged = length !== this._length;
+    this._length = length;
+    const changed = [];
+    pages.forEach((page, i) => {
+      if (!this._pages.has(page)) {
+        // Dropped from the cache while fetching
+        return;
+      }
+      if (page * pageSize >= length) {
+        this._pages.delete(page);
+        changed.push(page);
+      } else if (!sameTlids(this._pages.get(page), contents[i])) {
+        this._pages.set(page, contents[i]);
+        changed.push(page);
+      }
+    });
+    if (lengthChanged || changed.length > 0) {
+      this.emit("change", { length, pages: changed });
+    }
+  }
+
+  _call(method, params) {
+    return this._mopidy._send({ method, params });
+  }
+}
+
+module.exports = TracklistWindow;
@@ -0,0 +1,223 @@
+/* eslint-env jest */
+
+const Mopidy = require("../src/mopidy");
+const MockMopidyServer = require("../src/mock-server");
+
+const ref = (type, uri) => ({ __model__: "Ref", type, uri, name: uri });
+
+// The library has a cycle: mock:dir:b contains mock:dir:a
+const library = {
+  null: [ref("directory", "mock:dir:a"), ref("track", "mock:track:1")],
+  "mock:dir:a": [ref("album", "mock:album:x"), ref("directory", "mock:dir:b")],
+  "mock:album:x": [ref("track", "mock:track:2"), ref("track", "mock:track:3")],
+  "mock:dir:b": [ref("directory", "mock:dir:a"), ref("track", "mock:track:4")],
+};
+
+const tracks = [1, 2, 3, 4].map((n) => ({
+  uri: `mock:track:${n}`,
+  name: `Track ${n}`,
+}));
+
+const collect = (iterator, items = []) =>
+  iterator
+    .next()
+    .then(({ value, done }) =>
+      done ? items : collect(iterator, [...items, value])
+    );
+
+const uris = (items) => items.map(({ uri }) => uri);
+
+const flushPromises = () => new Promise((resolve) => setImmediate(resolve));
+
+const requestsFor = (method) =>
+  this.server.requests.filter((request) => request.method === method);
+
+beforeEach(async () => {
+  this.server = new MockMopidyServer({ tracks });
+  this.server.mockResult("core.library.browse", ({ uri }) =>
+    Promise.resolve(library[uri] || [])
+  );
+  this.mopidy = new Mopidy({
+    transport: this.server.createTransport,
+    console: { warn: jest.fn() },
+  });
+  await new Promise((resolve) => this.mopidy.on("state:online", resolve));
+});
+
+afterEach(() => {
+  this.mopidy.close();
+});
+
+describe(".browseTree", () => {
+  test("walks the library in depth-first order", async () => {
+    const refs = await collect(this.mopidy.browseTree());
+
+    expect(uris(refs)).toEqual([
+      "mock:dir:a",
+      "mock:album:x",
+      "mock:track:2",
+      "mock:track:3",
+      "mock:dir:b",
+      "mock:dir:a",
+      "mock:track:4",
+      "mock:track:1",
+    ]);
+    expect(refs[0]).toEqual(ref("directory", "mock:dir:a"));
+  });
+
+  test("walks the library below the given URI", async () => {
+    const refs = await collect(this.mopidy.browseTree("mock:dir:b"));
+
+    expect(uris(refs)).toEqual([
+      "mock:dir:a",
+      "mock:album:x",
+      "mock:track:2",
+      "mock:track:3",
+      "mock:dir:b",
+      "mock:track:4",
+    ]);
+  });
+
+  test("browses each directory only once", async () => {
+    await collect(this.mopidy.browseTree());
+
+    expect(
+      uris(requestsFor("core.library.browse").map((r) => r.params))
+    ).toEqual([null, "mock:dir:a", "mock:album:x", "mock:dir:b"]);
+  });
+
+  test("stops at the given depth", async () => {
+    const oneLevel = await collect(this.mopidy.browseTree(null, { depth: 1 }));
+    const twoLevels = await collect(this.mopidy.browseTree(null, { depth: 2 }));
+
+    expect(uris(oneLevel)).toEqual(["mock:dir:a", "mock:track:1"]);
+    expect(uris(twoLevels)).toEqual([
+      "mock:dir:a",
+      "mock:album:x",
+      "mock:dir:b",
+      "mock:track:1",
+    ]);
+  });
+
+  test("only yields refs of the given types", async () => {
+    const refs = await collect(
+      this.mopidy.browseTree(null, { types: ["track"] })
+    );
+
+    expect(uris(refs)).toEqual([
+      "mock:track:2",
+      "mock:track:3",
+      "mock:track:4",
+      "mock:track:1",
+    ]);
+  });
+
+  test("browses directories in parallel, up to the concurrency", async () => {
+    let active = 0;
+    let maxActive = 0;
+    this.server.mockResult("core.library.browse", ({ uri }) => {
+      active += 1;
+      maxActive = Math.max(active, maxActive);
+      return new Promise((resolve) => setTimeout(resolve, 10)).then(() => {
+        active -= 1;
+        return uri === null
+          ? [1, 2, 3, 4, 5].map((n) => ref("directory", `mock:dir:${n}`))
+          : [];
+      });
+    });
+
+    const refs = await collect(
+      this.mopidy.browseTree(null, { concurrency: 2 })
+    );
+
+    expect(refs).toHaveLength(5);
+    expect(maxActive).toBe(2);
+  });
+
+  test("looks up tracks in batches", async () => {
+    const items = await collect(
+      this.mopidy.browseTree("mock:album:x", { lookupTracks: true })
+    );
+
+    expect(items).toEqual([
+      { __model__: "Track", ...tracks[1] },
+      { __model__: "Track", ...tracks[2] },
+    ]);
+    expect(requestsFor("core.library.lookup")).toEqual([
+      expect.objectContaining({
+        params: { uris: ["mock:track:2", "mock:track:3"] },
+      }),
+    ]);
+  });
+
+  test("limits the size of lookup batches", async () => {
+    const items = await collect(
+      this.mopidy.browseTree(null, {
+        types: ["track"],
+        lookupTracks: true,
+        lookupBatchSize: 1,
+      })
+    );
+
+    expect(uris(items)).toEqual([
+      "mock:track:2",
+      "mock:track:3",
+      "mock:track:4",
+      "mock:track:1",
+    ]);
+    expect(requestsFor("core.library.lookup")).toHaveLength(4);
+  });
+
+  test("stops browsing when the loop is left", async () => {
+    let count = 0;
+    // eslint-disable-next-line no-restricted-syntax
+    for await (const item of this.mopidy.browseTree()) {
+      expect(item.uri).toBe("mock:dir:a");
+      count += 1;
+      break;
+    }
+    await flushPromises();
+
+    expect(count).toBe(1);
+    expect(requestsFor("core.library.browse").length).toBeLessThan(4);
+  });
+
+  test("stops when the signal is aborted", async () => {
+    // Minimal AbortSignal look-alike, as AbortController is missing in jsdom
+    const signal = {
+      aborted: false,
+      addEventListener: jest.fn(),
+      removeEventListener: jest.fn(),
+    };
+    const iterator = this.mopidy.browseTree(null, { signal });
+
+    await iterator.next();
+    signal.aborted = true;
+
+    await expect(iterator.next()).rejects.toBeInstanceOf(Mopidy.AbortError);
+    await expect(iterator.next()).resolves.toEqual({
+      value: undefined,
+      done: true,
+    });
+  });
+
+  test("rejects when browsing fails", async () => {
+    this.server.mockError("core.library.browse", { message: "Backend error" });
+    const iterator = this.mopidy.browseTree();
+
+    await expect(iterator.next()).rejects.toBeInstanceOf(Mopidy.ServerError);
+    await expect(iterator.next()).resolves.toEqual({
+      value: undefined,
+      done: true,
+    });
+  });
+
+  test("throws on invalid options", () => {
+    expect(() => this.mopidy.browseTree(null, { concurrency: 0 })).toThrow(
+      "Expected concurrency to be at least 1."
+    );
+    expect(() =>
+      this.mopidy.browseTree(null, { lookupBatchSize: null })
+    ).toThrow("Expected lookupBatchSize to be at least 1.");
+  });
+});
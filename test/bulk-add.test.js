@@ -0,0 +1,264 @@
+/* eslint-env jest */
+
+const Mopidy = require("../src/mopidy");
+const MockMopidyServer = require("../src/mock-server");
+
+const { BulkAdd } = Mopidy;
+
+const tracks = [...Array(10).keys()].map((n) => ({
+  uri: `mock:track:${n}`,
+  name: `Track ${n}`,
+}));
+const uris = tracks.map(({ uri }) => uri);
+
+const addRequests = () =>
+  this.server.requests.filter(({ method }) => method === "core.tracklist.add");
+
+const lookupRequests = () =>
+  this.server.requests.filter(({ method }) => method === "core.library.lookup");
+
+const trackUris = (tlTracks) => tlTracks.map(({ track }) => track.uri);
+
+beforeEach(async () => {
+  this.server = new MockMopidyServer({ tracks });
+  this.mopidy = new Mopidy({
+    transport: this.server.createTransport,
+    console: { warn: jest.fn() },
+  });
+  await new Promise((resolve) => this.mopidy.once("state:online", resolve));
+});
+
+afterEach(() => {
+  this.mopidy.close();
+});
+
+describe("BulkAdd", () => {
+  test("adds the URIs in chunks", async () => {
+    const bulkAdd = new BulkAdd(this.mopidy, uris, { chunkSize: 4 });
+
+    const result = await bulkAdd.run();
+
+    expect(addRequests().map(({ params }) => params.uris.length)).toEqual([
+      4, 4, 2,
+    ]);
+    expect(trackUris(result.added)).toEqual(uris);
+    expect(result).toEqual({
+      added: expect.any(Array),
+      failed: [],
+      cancelled: false,
+    });
+    expect(trackUris(await this.mopidy.tracklist.getTlTracks())).toEqual(uris);
+    expect(lookupRequests()).toHaveLength(0);
+  });
+
+  test("inserts the chunks in order at the given position", async () => {
+    await this.mopidy.tracklist.add({ uris: ["mock:track:0", "mock:track:1"] });
+    const bulkAdd = new BulkAdd(this.mopidy, uris.slice(2), {
+      chunkSize: 3,
+      atPosition: 1,
+    });
+
+    await bulkAdd.run();
+
+    expect(addRequests().map(({ params }) => params.at_position)).toEqual([
+      undefined,
+      1,
+      4,
+      7,
+    ]);
+    expect(trackUris(await this.mopidy.tracklist.getTlTracks())).toEqual([
+      ...uris.slice(0, 1),
+      ...uris.slice(2),
+      uris[1],
+    ]);
+  });
+
+  test("reports progress after each chunk", async () => {
+    const bulkAdd = new BulkAdd(this.mopidy, uris.slice(0, 5), {
+      chunkSize: 2,
+    });
+    const progress = [];
+    bulkAdd.on("progress", ({ processed, total, tlTracks }) =>
+      progress.push([processed, total, tlTracks.length])
+    );
+
+    await bulkAdd.run();
+
+    expect(progress).toEqual([
+      [2, 5, 2],
+      [4, 5, 2],
+      [5, 5, 1],
+    ]);
+  });
+
+  test("reports the URIs that failed to resolve", async () => {
+    const bulkAdd = new BulkAdd(
+      this.mopidy,
+      ["mock:track:0", "mock:missing:1", "mock:track:1", "mock:missing:2"],
+      { chunkSize: 2, atPosition: 0 }
+    );
+    const failedPerChunk = [];
+    bulkAdd.on("progress", ({ failed }) => failedPerChunk.push(failed));
+
+    const result = await bulkAdd.run();
+
+    expect(result.failed).toEqual(["mock:missing:1", "mock:missing:2"]);
+    expect(failedPerChunk).toEqual([["mock:missing:1"], ["mock:missing:2"]]);
+    expect(addRequests()[1].params.at_position).toBe(1);
+  });
+
+  test("counts album URIs as added", async () => {
+    const album = { uri: "mock:album:x", name: "X" };
+    this.server = new MockMopidyServer({
+      tracks: tracks.map((track, n) => (n < 2 ? { ...track, album } : track)),
+    });
+    this.mopidy.close();
+    this.mopidy = new Mopidy({
+      transport: this.server.createTransport,
+      console: { warn: jest.fn() },
+    });
+    await new Promise((resolve) => this.mopidy.once("state:online", resolve));
+
+    const result = await new BulkAdd(this.mopidy, [
+      "mock:album:x",
+      "mock:track:5",
+      "mock:album:missing",
+    ]).run();
+
+    expect(trackUris(result.added)).toEqual([
+      "mock:track:0",
+      "mock:track:1",
+      "mock:track:5",
+    ]);
+    expect(result.failed).toEqual(["mock:album:missing"]);
+    expect(lookupRequests()).toHaveLength(0);
+  });
+
+  describe("with the lookup option", () => {
+    beforeEach(() => {
+      this.server.mockResult("core.tracklist.add", ({ uris: added }) =>
+        added.map((uri, tlid) => ({
+          __model__: "TlTrack",
+          tlid,
+          track: { __model__: "Track", uri: `${uri}:rewritten` },
+        }))
+      );
+    });
+
+    test("counts URIs as added if they resolve to any track", async () => {
+      const result = await new BulkAdd(this.mopidy, uris.slice(0, 2), {
+        lookup: true,
+      }).run();
+
+      expect(result.added).toHaveLength(2);
+      expect(result.failed).toEqual([]);
+      expect(lookupRequests().map(({ params }) => params.uris)).toEqual([
+        uris.slice(0, 2),
+      ]);
+    });
+
+    test("skips adding chunks where no URI resolves", async () => {
+      const result = await new BulkAdd(
+        this.mopidy,
+        ["mock:missing:1", "mock:missing:2", "mock:track:0"],
+        { chunkSize: 2, lookup: true }
+      ).run();
+
+      expect(result.failed).toEqual(["mock:missing:1", "mock:missing:2"]);
+      expect(addRequests().map(({ params }) => params.uris)).toEqual([
+        ["mock:track:0"],
+      ]);
+    });
+  });
+
+  test("reports URIs as failed if no added track matches them", async () => {
+    this.server.mockResult("core.tracklist.add", ({ uris: added }) =>
+      added.map((uri, tlid) => ({
+        __model__: "TlTrack",
+        tlid,
+        track: { __model__: "Track", uri: `${uri}:rewritten` },
+      }))
+    );
+
+    const result = await new BulkAdd(this.mopidy, uris.slice(0, 2)).run();
+
+    expect(result.added).toHaveLength(2);
+    expect(result.failed).toEqual(uris.slice(0, 2));
+  });
+
+  test("stops after the current chunk when cancelled", async () => {
+    const bulkAdd = new BulkAdd(this.mopidy, uris, { chunkSize: 3 });
+    bulkAdd.once("progress", () => bulkAdd.cancel());
+
+    const result = await bulkAdd.run();
+
+    expect(result.cancelled).toBe(true);
+    expect(trackUris(result.added)).toEqual(uris.slice(0, 3));
+    expect(bulkAdd.processed).toBe(3);
+    expect(addRequests()).toHaveLength(1);
+  });
+
+  test("stops when the signal is aborted", async () => {
+    // Minimal AbortSignal look-alike, as AbortController is missing in jsdom
+    const listeners = [];
+    const signal = {
+      aborted: false,
+      addEventListener: jest.fn((name, listener) => listeners.push(listener)),
+      removeEventListener: jest.fn(),
+    };
+    const bulkAdd = new BulkAdd(this.mopidy, uris, { chunkSize: 3, signal });
+    bulkAdd.once("progress", () => {
+      signal.aborted = true;
+      listeners.forEach((listener) => listener());
+    });
+
+    const result = await bulkAdd.run();
+
+    expect(result.cancelled).toBe(true);
+    expect(addRequests()).toHaveLength(1);
+    expect(signal.removeEventListener).toBeCalledWith("abort", listeners[0]);
+  });
+
+  test("doesn't add anything if the signal is already aborted", async () => {
+    const signal = {
+      aborted: true,
+      addEventListener: jest.fn(),
+      removeEventListener: jest.fn(),
+    };
+
+    const result = await new BulkAdd(this.mopidy, uris, { signal }).run();
+
+    expect(result).toEqual({ added: [], failed: [], cancelled: true });
+    expect(addRequests()).toHaveLength(0);
+  });
+
+  test("rejects when a chunk fails, keeping the progress so far", async () => {
+    const bulkAdd = new BulkAdd(this.mopidy, uris, { chunkSize: 4 });
+    bulkAdd.once("progress", () =>
+      this.server.mockError("core.tracklist.add", { message: "Timeout" })
+    );
+
+    await expect(bulkAdd.run()).rejects.toBeInstanceOf(Mopidy.ServerError);
+    expect(bulkAdd.processed).toBe(4);
+    expect(trackUris(bulkAdd.added)).toEqual(uris.slice(0, 4));
+  });
+
+  test("only runs once", async () => {
+    const bulkAdd = new BulkAdd(this.mopidy, uris);
+
+    const first = bulkAdd.run();
+
+    expect(bulkAdd.run()).toBe(first);
+    await first;
+    expect(addRequests()).toHaveLength(1);
+  });
+
+  test("throws on invalid arguments", () => {
+    expect(() => new BulkAdd(this.mopidy, "mock:track:1")).toThrow(
+      "Expected uris to be an array."
+    );
+    expect(() => new BulkAdd(this.mopidy, uris, { chunkSize: 0 })).toThrow(
+      "Expected chunkSize to be at least 1."
+    );
+  });
+});
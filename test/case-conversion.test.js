@@ -0,0 +1,77 @@
+/* eslint-env jest */
+
+const {
+  camelToSnake,
+  getField,
+  snakeToCamel,
+  toCamelCase,
+  toSnakeCase,
+} = require("../src/case-conversion");
+const models = require("../src/models");
+
+describe("snakeToCamel and camelToSnake", () => {
+  test("convert between the two cases", () => {
+    expect(snakeToCamel("get_tl_tracks")).toBe("getTlTracks");
+    expect(camelToSnake("getTlTracks")).toBe("get_tl_tracks");
+  });
+});
+
+describe("toCamelCase", () => {
+  test("converts keys in nested objects and arrays", () => {
+    expect(
+      toCamelCase({
+        tl_track: { tlid: 1, track: { track_no: 2, last_modified: 3 } },
+        tl_tracks: [{ disc_no: 1 }],
+      })
+    ).toEqual({
+      tlTrack: { tlid: 1, track: { trackNo: 2, lastModified: 3 } },
+      tlTracks: [{ discNo: 1 }],
+    });
+  });
+
+  test("leaves keys that aren't identifiers alone", () => {
+    const value = {
+      "local:track:a_b.mp3": 1,
+      "file:///music/a_b.mp3": 2,
+      __model__: "Track",
+      Upper_case: 3,
+    };
+
+    expect(toCamelCase(value)).toEqual(value);
+  });
+
+  test("leaves values and model instances alone", () => {
+    const track = new models.Track({ track_no: 1 });
+
+    expect(toCamelCase({ new_state: "some_state", track })).toEqual({
+      newState: "some_state",
+      track,
+    });
+    expect(toCamelCase({ track }).track).toBe(track);
+    expect(toCamelCase(null)).toBe(null);
+    expect(toCamelCase("tl_track")).toBe("tl_track");
+  });
+});
+
+describe("toSnakeCase", () => {
+  test("converts keys in nested objects and arrays", () => {
+    expect(
+      toSnakeCase({ query: { trackName: ["a"] }, tlids: [1], uris: ["a:b"] })
+    ).toEqual({ query: { track_name: ["a"] }, tlids: [1], uris: ["a:b"] });
+  });
+
+  test("leaves keys that aren't identifiers alone", () => {
+    const value = { "spotify:track:aBc": 1, __model__: "Track" };
+
+    expect(toSnakeCase(value)).toEqual(value);
+  });
+});
+
+describe("getField", () => {
+  test("reads a field in either case", () => {
+    expect(getField({ tl_track: 1 }, "tl_track")).toBe(1);
+    expect(getField({ tlTrack: 1 }, "tl_track")).toBe(1);
+    expect(getField({}, "tl_track")).toBe(undefined);
+    expect(getField(undefined, "tl_track")).toBe(undefined);
+  });
+});
@@ -0,0 +1,181 @@
+/* eslint-env jest */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const ts = require("typescript");
+const { generateDeclarations } = require("../src/dts");
+
+// Type-check the declarations against the Mopidy.js typings, returning the
+// errors.
+function typeCheck(dts) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "mopidy-dts-"));
+  const file = path.join(dir, "api.d.ts");
+  fs.writeFileSync(file, dts);
+  try {
+    const program = ts.createProgram([file], {
+      noEmit: true,
+      strict: true,
+      lib: ["lib.es2018.d.ts", "lib.dom.d.ts"],
+      types: [],
+    });
+    return ts
+      .getPreEmitDiagnostics(program)
+      .map((diagnostic) =>
+        ts.flattenDiagnosticMessageText(diagnostic.messageText, "\n")
+      );
+  } finally {
+    fs.unlinkSync(file);
+    fs.rmdirSync(dir);
+  }
+}
+
+const API_SPEC = {
+  "core.get_version": {
+    description: "Get version of the Mopidy core API",
+    params: [],
+  },
+  "core.playback.play": {
+    description:
+      "Play the given track.\n\n        :param tlid: TLID of the track to play\n        :type tlid: :class:`int` or :class:`None`\n        ",
+    params: [
+      { name: "tl_track", default: null },
+      { name: "tlid", default: null },
+    ],
+  },
+  "core.playback.seek": {
+    description: "Seek to time position given in milliseconds.",
+    params: [{ name: "time_position" }],
+  },
+  "core.tracklist.set_random": {
+    description: null,
+    params: [{ name: "value", default: false }],
+  },
+  "party.queue.vote_skip": {
+    description: "An extension method */",
+    params: [
+      { name: "args", varargs: true },
+      { name: "kwargs", kwargs: true },
+    ],
+  },
+};
+
+describe("generateDeclarations", () => {
+  beforeEach(() => {
+    this.dts = generateDeclarations(API_SPEC);
+  });
+
+  test("imports Mopidy from the given module", () => {
+    expect(this.dts).toContain('import Mopidy = require("mopidy");');
+    expect(
+      generateDeclarations(API_SPEC, { moduleName: "../lib/mopidy" })
+    ).toContain('import Mopidy = require("../lib/mopidy");');
+  });
+
+  test("creates an interface for every object in the API", () => {
+    expect(this.dts).toContain("export interface Api {");
+    expect(this.dts).toContain("  playback: PlaybackApi;");
+    expect(this.dts).toContain("  tracklist: TracklistApi;");
+    expect(this.dts).toContain("  party: PartyApi;");
+    expect(this.dts).toContain(
+      "export interface PartyApi {\n  queue: PartyQueueApi;"
+    );
+    expect(this.dts).toContain(
+      "export type MopidyWithApi = Omit<Mopidy, keyof Api> & Api;"
+    );
+  });
+
+  test("declares methods without params", () => {
+    expect(this.dts).toContain(
+      [
+        "  getVersion(",
+        "    params?: undefined,",
+        "    options?: Mopidy.CallOptions",
+        "  ): Promise<any>;",
+      ].join("\n")
+    );
+  });
+
+  test("declares params by-name and by-position", () => {
+    expect(this.dts).toContain(
+      "    params?: { tl_track?: unknown; tlid?: unknown } | [tl_track?: unknown, tlid?: unknown],"
+    );
+    expect(this.dts).toContain(
+      "    params: { time_position: unknown } | [time_position: unknown],"
+    );
+    expect(this.dts).toContain(
+      "    params?: { value?: boolean } | [value?: boolean],"
+    );
+    expect(this.dts).toContain(
+      "    params?: { [key: string]: unknown } | [...args: unknown[]],"
+    );
+  });
+
+  test("camelCases param names if asked to", () => {
+    const dts = generateDeclarations(API_SPEC, { caseConversion: "camel" });
+
+    expect(dts).toContain(
+      "    params: { timePosition: unknown } | [timePosition: unknown],"
+    );
+    expect(dts).toContain(
+      'export type MopidyWithApi = Omit<Mopidy<"camel">, keyof Api> & Api;'
+    );
+  });
+
+  test("turns docstrings into doc comments", () => {
+    expect(this.dts).toContain(
+      [
+        "  /**",
+        "   * Play the given track.",
+        "   *",
+        "   * :param tlid: TLID of the track to play",
+        "   * :type tlid: :class:`int` or :class:`None`",
+        "   */",
+        "  play(",
+      ].join("\n")
+    );
+    expect(this.dts).toContain("   * An extension method *\\/");
+    expect(this.dts).toContain("export interface TracklistApi {\n  setRandom(");
+  });
+
+  test("escapes param names that can't be tuple labels", () => {
+    const dts = generateDeclarations({
+      "ext.odd.call": {
+        params: [
+          { name: "default" },
+          { name: "this", default: null },
+          { name: "2nd-value", default: 1 },
+          { name: "new", varargs: true },
+        ],
+      },
+    });
+
+    expect(dts).toContain(
+      '{ default: unknown; this?: unknown; "2nd-value"?: number } | ' +
+        "[default_: unknown, this_?: unknown, _2nd_value?: number, ...new_: unknown[]]"
+    );
+  });
+
+  test("generates declarations that type-check", () => {
+    const spec = {
+      ...API_SPEC,
+      "core.playlists.delete": { params: [{ name: "uri" }] },
+      "ext.odd.call": {
+        params: [
+          { name: "default" },
+          { name: "delete", default: null },
+          { name: "new-name", default: "x" },
+          { name: "in", varargs: true },
+        ],
+      },
+    };
+    const moduleName = path.resolve(__dirname, "../src/mopidy");
+
+    expect(typeCheck(generateDeclarations(spec, { moduleName }))).toEqual([]);
+    expect(
+      typeCheck(
+        generateDeclarations(spec, { moduleName, caseConversion: "camel" })
+      )
+    ).toEqual([]);
+  }, 60000);
+});
@@ -0,0 +1,194 @@
+/* eslint-env jest */
+
+const Mopidy = require("../src/mopidy");
+
+const { HttpTransport } = Mopidy;
+
+// Wait for the transport to open and for fetch() calls to settle
+const flushPromises = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+function createFetch(handler) {
+  return jest.fn((url, { body }) =>
+    Promise.resolve(handler(JSON.parse(body))).then((result) => ({
+      ok: true,
+      status: 200,
+      statusText: "OK",
+      text: () => Promise.resolve(JSON.stringify(result)),
+    }))
+  );
+}
+
+beforeEach(() => {
+  this.fetch = createFetch((request) => ({
+    jsonrpc: "2.0",
+    id: request.id,
+    result: "3.0.2",
+  }));
+  this.transport = new HttpTransport("http://localhost:6680/mopidy/rpc", {
+    fetch: this.fetch,
+  });
+  this.transport.onopen = jest.fn();
+  this.transport.onclose = jest.fn();
+  this.transport.onerror = jest.fn();
+  this.transport.onmessage = jest.fn();
+});
+
+describe("HttpTransport", () => {
+  test("opens asynchronously", async () => {
+    expect(this.transport.readyState).toBe(HttpTransport.CONNECTING);
+
+    await flushPromises();
+
+    expect(this.transport.readyState).toBe(HttpTransport.OPEN);
+    expect(this.transport.onopen).toBeCalledWith();
+  });
+
+  test("posts messages and passes on the responses", async () => {
+    await flushPromises();
+    const message = { jsonrpc: "2.0", id: 1, method: "core.get_version" };
+
+    this.transport.send(JSON.stringify(message));
+    await flushPromises();
+
+    expect(this.fetch).toBeCalledWith(
+      "http://localhost:6680/mopidy/rpc",
+      expect.objectContaining({
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(message),
+      })
+    );
+    expect(this.transport.onmessage).toBeCalledWith({
+      data: JSON.stringify({ jsonrpc: "2.0", id: 1, result: "3.0.2" }),
+    });
+  });
+
+  test("refuses to send before it is open", () => {
+    expect(() => this.transport.send("{}")).toThrow(
+      "HTTP transport is not open"
+    );
+  });
+
+  test("closes if a request fails", async () => {
+    await flushPromises();
+    const error = new Error("Failed to fetch");
+    this.fetch.mockImplementation(() => Promise.reject(error));
+
+    this.transport.send("{}");
+    await flushPromises();
+
+    expect(this.transport.onerror).toBeCalledWith(error);
+    expect(this.transport.onclose).toBeCalledWith({
+      code: 1006,
+      reason: "Failed to fetch",
+      wasClean: false,
+    });
+    expect(this.transport.readyState).toBe(HttpTransport.CLOSED);
+  });
+
+  test("closes on HTTP errors", async () => {
+    await flushPromises();
+    this.fetch.mockImplementation(() =>
+      Promise.resolve({ ok: false, status: 403, statusText: "Forbidden" })
+    );
+
+    this.transport.send("{}");
+    await flushPromises();
+
+    expect(this.transport.onclose).toBeCalledWith({
+      code: 1006,
+      reason: "HTTP 403 Forbidden",
+      wasClean: false,
+    });
+  });
+
+  test("ignores responses after it is closed", async () => {
+    await flushPromises();
+    this.transport.send("{}");
+
+    this.transport.close();
+    await flushPromises();
+
+    expect(this.transport.onclose).toBeCalledTimes(1);
+    expect(this.transport.onclose).toBeCalledWith({
+      code: 1000,
+      reason: "",
+      wasClean: true,
+    });
+    expect(this.transport.onmessage).not.toBeCalled();
+  });
+
+  test("never opens if closed while connecting", async () => {
+    this.transport.close();
+    await flushPromises();
+
+    expect(this.transport.onopen).not.toBeCalled();
+    expect(this.transport.readyState).toBe(HttpTransport.CLOSED);
+  });
+});
+
+describe("HttpTransport.probe", () => {
+  const url = "http://localhost:6680/mopidy/rpc";
+
+  test("resolves to true if the endpoint answers", async () => {
+    await expect(HttpTransport.probe(url, { fetch: this.fetch })).resolves.toBe(
+      true
+    );
+    expect(this.fetch).toBeCalledWith(
+      url,
+      expect.objectContaining({
+        method: "POST",
+        body: expect.stringContaining('"method":"core.get_version"'),
+      })
+    );
+  });
+
+  test("resolves to false if the request fails", async () => {
+    this.fetch.mockImplementation(() =>
+      Promise.reject(new Error("Failed to fetch"))
+    );
+
+    await expect(HttpTransport.probe(url, { fetch: this.fetch })).resolves.toBe(
+      false
+    );
+  });
+
+  test("resolves to false on HTTP errors", async () => {
+    this.fetch.mockImplementation(() =>
+      Promise.resolve({ ok: false, status: 502, statusText: "Bad Gateway" })
+    );
+
+    await expect(HttpTransport.probe(url, { fetch: this.fetch })).resolves.toBe(
+      false
+    );
+  });
+});
+
+describe("Mopidy with the HTTP transport", () => {
+  test("builds the API and calls methods over HTTP", async () => {
+    const fetchMock = createFetch((request) => ({
+      jsonrpc: "2.0",
+      id: request.id,
+      result:
+        request.method === "core.describe"
+          ? { "core.get_version": { params: [] } }
+          : "3.0.2",
+    }));
+    const mopidy = new Mopidy({
+      webSocketUrl: "ws://example.com:6680/mopidy/ws",
+      transport: (settings) =>
+        new HttpTransport(settings.rpcUrl, { fetch: fetchMock }),
+    });
+    const online = new Promise((resolve) => mopidy.on("state:online", resolve));
+
+    await online;
+    const version = await mopidy.getVersion();
+    mopidy.close();
+
+    expect(version).toBe("3.0.2");
+    expect(fetchMock).toBeCalledTimes(2);
+    expect(fetchMock.mock.calls[0][0]).toBe(
+      "http://example.com:6680/mopidy/rpc"
+    );
+  });
+});
@@ -0,0 +1,438 @@
+/* eslint-env jest */
+
+const Mopidy = require("../src/mopidy");
+const MockMopidyServer = require("../src/mock-server");
+const LibraryCache = require("../src/library-cache");
+
+const flushPromises = () => new Promise((resolve) => setImmediate(resolve));
+
+// Resolves with a value per URI, and records the URIs it was called with
+function createFetch() {
+  const fetch = jest.fn((uris) => {
+    const result = {};
+    uris.forEach((uri) => {
+      result[uri] = `value of ${uri}`;
+    });
+    return Promise.resolve(result);
+  });
+  return fetch;
+}
+
+// Minimal AbortSignal look-alike, as AbortController is missing in older Nodes
+function createAbortController() {
+  const listeners = new Set();
+  const signal = {
+    aborted: false,
+    addEventListener: (type, listener) => listeners.add(listener),
+    removeEventListener: (type, listener) => listeners.delete(listener),
+  };
+  return {
+    signal,
+    abort() {
+      signal.aborted = true;
+      listeners.forEach((listener) => listener());
+    },
+  };
+}
+
+function createStorage(data = {}) {
+  return {
+    data,
+    getItem: jest.fn((key) => data[key] || null),
+    setItem: jest.fn((key, value) => {
+      // eslint-disable-next-line no-param-reassign
+      data[key] = value;
+    }),
+  };
+}
+
+describe("LibraryCache", () => {
+  test("fetches missing values and caches them", async () => {
+    const cache = new LibraryCache();
+    const fetch = createFetch();
+
+    const first = await cache.get("lookup", ["a", "b"], fetch);
+    const second = await cache.get("lookup", ["b", "c"], fetch);
+
+    expect(first).toEqual({ a: "value of a", b: "value of b" });
+    expect(second).toEqual({ b: "value of b", c: "value of c" });
+    expect(fetch.mock.calls).toEqual([[["a", "b"]], [["c"]]]);
+    expect(cache.size).toBe(3);
+  });
+
+  test("keeps namespaces apart", async () => {
+    const cache = new LibraryCache();
+    const fetch = createFetch();
+
+    await cache.get("lookup", ["a"], fetch);
+    await cache.get("images", ["a"], fetch);
+
+    expect(fetch).toBeCalledTimes(2);
+  });
+
+  test("coalesces identical calls in flight", async () => {
+    const cache = new LibraryCache();
+    const fetch = createFetch();
+
+    const [first, second] = await Promise.all([
+      cache.get("lookup", ["a", "b"], fetch),
+      cache.get("lookup", ["b", "a", "c"], fetch),
+    ]);
+
+    expect(first).toEqual({ a: "value of a", b: "value of b" });
+    expect(second).toEqual({
+      b: "value of b",
+      a: "value of a",
+      c: "value of c",
+    });
+    expect(fetch.mock.calls).toEqual([[["a", "b"]], [["c"]]]);
+  });
+
+  test("doesn't cache failures", async () => {
+    const cache = new LibraryCache();
+    const fetch = jest
+      .fn()
+      .mockReturnValueOnce(Promise.reject(new Error("Offline")))
+      .mockImplementation(createFetch());
+
+    await expect(cache.get("lookup", ["a"], fetch)).rejects.toThrow("Offline");
+    await expect(cache.get("lookup", ["a"], fetch)).resolves.toEqual({
+      a: "value of a",
+    });
+  });
+
+  test("evicts the least recently used values", async () => {
+    const cache = new LibraryCache({ maxEntries: 2 });
+    const fetch = createFetch();
+
+    await cache.get("lookup", ["a", "b"], fetch);
+    await cache.get("lookup", ["a"], fetch);
+    await cache.get("lookup", ["c"], fetch);
+    fetch.mockClear();
+    await cache.get("lookup", ["a", "b", "c"], fetch);
+
+    expect(fetch.mock.calls).toEqual([[["b"]]]);
+  });
+
+  test("expires values after the TTL", async () => {
+    let now = 0;
+    const cache = new LibraryCache({ ttl: 1000, now: () => now });
+    const fetch = createFetch();
+
+    await cache.get("lookup", ["a"], fetch);
+    now = 999;
+    await cache.get("lookup", ["a"], fetch);
+    now = 1000;
+    await cache.get("lookup", ["a"], fetch);
+
+    expect(fetch).toBeCalledTimes(2);
+  });
+
+  test("invalidates values by URI prefix", async () => {
+    const cache = new LibraryCache();
+    const fetch = createFetch();
+    await cache.get("lookup", ["local:a", "local:b", "spotify:c"], fetch);
+
+    cache.invalidate("local:");
+
+    expect(cache.size).toBe(1);
+    cache.invalidate();
+    expect(cache.size).toBe(0);
+  });
+
+  test("doesn't cache values invalidated while in flight", async () => {
+    const cache = new LibraryCache();
+
+    const result = cache.get("lookup", ["a"], createFetch());
+    cache.invalidate();
+
+    await expect(result).resolves.toEqual({ a: "value of a" });
+    expect(cache.size).toBe(0);
+  });
+
+  test("saves values to storage", async () => {
+    const storage = createStorage();
+    const cache = new LibraryCache({ storage, storageKey: "cache" });
+
+    await cache.get("lookup", ["a", "b"], createFetch());
+    await flushPromises();
+
+    expect(storage.setItem).toBeCalledTimes(1);
+    expect(JSON.parse(storage.data.cache)).toEqual({
+      version: 1,
+      entries: [
+        ["lookup:a", { value: "value of a", expires: null }],
+        ["lookup:b", { value: "value of b", expires: null }],
+      ],
+    });
+  });
+
+  test("loads values from storage", async () => {
+    let now = 0;
+    const storage = createStorage({
+      cache: JSON.stringify({
+        version: 1,
+        entries: [
+          ["lookup:a", { value: "stored a", expires: null }],
+          ["lookup:b", { value: "stored b", expires: 500 }],
+        ],
+      }),
+    });
+    const decode = jest.fn((value) => value.toUpperCase());
+    const cache = new LibraryCache({
+      storage,
+      storageKey: "cache",
+      decode,
+      now: () => now,
+    });
+    now = 500;
+    await cache.loaded;
+
+    const fetch = createFetch();
+    const result = await cache.get("lookup", ["a", "b"], fetch);
+
+    expect(result).toEqual({ a: "STORED A", b: "value of b" });
+    expect(fetch.mock.calls).toEqual([[["b"]]]);
+  });
+
+  test("supports async storage", async () => {
+    const storage = createStorage({
+      cache: JSON.stringify({
+        version: 1,
+        entries: [["lookup:a", { value: "stored a", expires: null }]],
+      }),
+    });
+    const asyncStorage = {
+      getItem: (key) => Promise.resolve(storage.getItem(key)),
+      setItem: (key, value) => Promise.resolve(storage.setItem(key, value)),
+    };
+    const cache = new LibraryCache({
+      storage: asyncStorage,
+      storageKey: "cache",
+    });
+    await cache.loaded;
+
+    await cache.get("lookup", ["b"], createFetch());
+    await flushPromises();
+
+    expect(JSON.parse(storage.data.cache).entries).toHaveLength(2);
+  });
+
+  test("keeps values cached while loading from storage", async () => {
+    const storage = createStorage({
+      cache: JSON.stringify({
+        version: 1,
+        entries: [["lookup:a", { value: "stored a", expires: null }]],
+      }),
+    });
+    const cache = new LibraryCache({ storage, storageKey: "cache" });
+
+    await cache.get("lookup", ["a"], createFetch());
+    await cache.loaded;
+
+    expect(await cache.get("lookup", ["a"], createFetch())).toEqual({
+      a: "value of a",
+    });
+  });
+
+  test("reports storage failures", async () => {
+    const onError = jest.fn();
+    const storage = {
+      getItem: () => "not json",
+      setItem: () => {
+        throw new Error("Quota exceeded");
+      },
+    };
+    const cache = new LibraryCache({ storage, onError });
+    await cache.loaded;
+
+    await cache.get("lookup", ["a"], createFetch());
+    await flushPromises();
+
+    expect(onError).toBeCalledTimes(2);
+    expect(onError.mock.calls[0][0]).toBeInstanceOf(SyntaxError);
+    expect(onError.mock.calls[1][0].message).toBe("Quota exceeded");
+  });
+});
+
+describe("libraryCache setting", () => {
+  const tracks = [
+    { uri: "mock:track:1", name: "Waterloo" },
+    { uri: "mock:track:2", name: "Heroes" },
+  ];
+
+  const libraryRequests = () =>
+    this.server.requests.filter(({ method }) =>
+      method.startsWith("core.library.")
+    );
+
+  const online = () =>
+    new Promise((resolve) => this.mopidy.once("state:online", resolve));
+
+  beforeEach(async () => {
+    this.server = new MockMopidyServer({ tracks });
+    this.mopidy = new Mopidy({
+      transport: this.server.createTransport,
+      libraryCache: true,
+      console: { warn: jest.fn() },
+    });
+    await online();
+  });
+
+  afterEach(() => {
+    this.mopidy.close();
+  });
+
+  test("caches library.lookup results per URI", async () => {
+    await this.mopidy.library.lookup({ uris: ["mock:track:1"] });
+    const result = await this.mopidy.library.lookup({
+      uris: ["mock:track:1", "mock:track:2"],
+    });
+
+    expect(result).toEqual({
+      "mock:track:1": [{ __model__: "Track", ...tracks[0] }],
+      "mock:track:2": [{ __model__: "Track", ...tracks[1] }],
+    });
+    expect(libraryRequests().map(({ params }) => params)).toEqual([
+      { uris: ["mock:track:1"] },
+      { uris: ["mock:track:2"] },
+    ]);
+  });
+
+  test("caches library.getImages results", async () => {
+    await this.mopidy.library.getImages({ uris: ["mock:track:1"] });
+    await this.mopidy.library.getImages([["mock:track:1"]]);
+
+    expect(libraryRequests()).toHaveLength(1);
+  });
+
+  test("doesn't cache other calls", async () => {
+    await this.mopidy.library.browse({ uri: null });
+    await this.mopidy.library.browse({ uri: null });
+
+    expect(libraryRequests()).toHaveLength(2);
+  });
+
+  test("invalidates the cache when the library is refreshed", async () => {
+    await this.mopidy.library.lookup({ uris: ["mock:track:1"] });
+
+    await this.mopidy.library.refresh({ uri: "mock:track:" });
+    await this.mopidy.library.lookup({ uris: ["mock:track:1"] });
+
+    expect(libraryRequests().map(({ method }) => method)).toEqual([
+      "core.library.lookup",
+      "core.library.refresh",
+      "core.library.lookup",
+    ]);
+  });
+
+  test("invalidates the cache when reconnecting", async () => {
+    await this.mopidy.library.lookup({ uris: ["mock:track:1"] });
+
+    this.mopidy.reconnectNow = jest.fn();
+    this.server.disconnect();
+    this.mopidy.connect();
+    await online();
+    await this.mopidy.library.lookup({ uris: ["mock:track:1"] });
+
+    expect(libraryRequests()).toHaveLength(2);
+  });
+
+  describe("with overlapping calls", () => {
+    beforeEach(() => {
+      this.respond = null;
+      this.server.mockResult(
+        "core.library.lookup",
+        ({ uris }) =>
+          new Promise((resolve) => {
+            this.respond = () => resolve({ [uris[0]]: [tracks[0]] });
+          })
+      );
+    });
+
+    test("only aborts the call whose signal is aborted", async () => {
+      const controller = createAbortController();
+      const aborted = this.mopidy.library.lookup(
+        { uris: ["mock:track:1"] },
+        { signal: controller.signal }
+      );
+      const other = this.mopidy.library.lookup({ uris: ["mock:track:1"] });
+      await flushPromises();
+
+      controller.abort();
+      await expect(aborted).rejects.toThrow(Mopidy.AbortError);
+      this.respond();
+
+      await expect(other).resolves.toEqual({ "mock:track:1": [tracks[0]] });
+      expect(libraryRequests()).toHaveLength(1);
+    });
+
+    test("only times out the call with the timeout", async () => {
+      const timedOut = this.mopidy.library.lookup(
+        { uris: ["mock:track:1"] },
+        { timeout: 10 }
+      );
+      const other = this.mopidy.library.lookup({ uris: ["mock:track:1"] });
+
+      await expect(timedOut).rejects.toThrow(
+        new Mopidy.TimeoutError(
+          "Request to core.library.lookup timed out after 10 ms"
+        )
+      );
+      this.respond();
+
+      await expect(other).resolves.toEqual({ "mock:track:1": [tracks[0]] });
+      expect(libraryRequests()).toHaveLength(1);
+    });
+  });
+
+  test("uses the WebSocket URL in the default storage key", async () => {
+    const storage = createStorage();
+    const mopidy = new Mopidy({
+      webSocketUrl: "ws://example.com/mopidy/ws",
+      transport: this.server.createTransport,
+      libraryCache: { storage },
+      console: { warn: jest.fn() },
+    });
+    await new Promise((resolve) => mopidy.once("state:online", resolve));
+
+    await mopidy.library.lookup({ uris: ["mock:track:1"] });
+    await flushPromises();
+    mopidy.close();
+
+    expect(Object.keys(storage.data)).toEqual([
+      "mopidy-library-cache:ws://example.com/mopidy/ws",
+    ]);
+  });
+
+  test("hydrates models loaded from storage", async () => {
+    const storage = createStorage({
+      cache: JSON.stringify({
+        version: 1,
+        entries: [
+          [
+            "lookup:mock:track:1",
+            {
+              value: [{ __model__: "Track", uri: "mock:track:1", track_no: 1 }],
+              expires: null,
+            },
+          ],
+        ],
+      }),
+    });
+    const mopidy = new Mopidy({
+      transport: this.server.createTransport,
+      hydrateModels: true,
+      caseConversion: "camel",
+      libraryCache: { storage, storageKey: "cache" },
+      console: { warn: jest.fn() },
+    });
+    await new Promise((resolve) => mopidy.once("state:online", resolve));
+
+    const result = await mopidy.library.lookup({ uris: ["mock:track:1"] });
+    mopidy.close();
+
+    expect(result["mock:track:1"][0]).toBeInstanceOf(Mopidy.models.Track);
+    expect(result["mock:track:1"][0].trackNo).toBe(1);
+  });
+});
@@ -0,0 +1,257 @@
+/* eslint-env jest */
+
+const Mopidy = require("../src/mopidy");
+const MockMopidyServer = require("../src/mock-server");
+
+const tracks = [
+  { uri: "mock:track:1", name: "Waterloo" },
+  { uri: "mock:track:2", name: "Waterloo Sunset" },
+  { uri: "mock:track:3", name: "SOS" },
+];
+
+const nextEvent = (emitter, name) =>
+  new Promise((resolve) => emitter.once(name, (...args) => resolve(args)));
+
+const searches = () =>
+  this.server.requests.filter(({ method }) => method === "core.library.search");
+
+const trackUris = (results) => results[0].tracks.map(({ uri }) => uri).sort();
+
+beforeEach(async () => {
+  this.server = new MockMopidyServer({ tracks });
+  this.mopidy = new Mopidy({
+    transport: this.server.createTransport,
+    console: { warn: jest.fn() },
+  });
+  await nextEvent(this.mopidy, "state:online");
+});
+
+afterEach(() => {
+  this.mopidy.close();
+});
+
+describe("LiveSearch", () => {
+  test("searches for the input after the debounce delay", async () => {
+    const search = new Mopidy.LiveSearch(this.mopidy, { debounce: 10 });
+    const loading = jest.fn();
+    search.on("loading", loading);
+
+    search.search("water");
+    expect(searches()).toHaveLength(0);
+    expect(search.getState().status).toBe("idle");
+    const [results, input] = await nextEvent(search, "results");
+
+    expect(input).toBe("water");
+    expect(trackUris(results)).toEqual(["mock:track:1", "mock:track:2"]);
+    expect(loading).toBeCalledWith("water");
+    expect(searches()[0].params).toEqual({ query: { any: ["water"] } });
+    expect(search.getState()).toEqual({
+      status: "results",
+      input: "water",
+      results,
+      error: null,
+    });
+  });
+
+  test("only searches for the last input while typing", async () => {
+    const search = new Mopidy.LiveSearch(this.mopidy, { debounce: 10 });
+
+    search.search("wa");
+    search.search("wat");
+    search.search("waterloo s");
+    const [results] = await nextEvent(search, "results");
+
+    expect(trackUris(results)).toEqual(["mock:track:2"]);
+    expect(searches()).toHaveLength(1);
+  });
+
+  test("ignores responses to superseded searches", async () => {
+    const responses = [];
+    this.server.mockResult(
+      "core.library.search",
+      ({ query }) =>
+        new Promise((resolve) => {
+          responses.push(() => resolve([{ uri: query.any[0], tracks: [] }]));
+        })
+    );
+    const search = new Mopidy.LiveSearch(this.mopidy, { debounce: 0 });
+    const onResults = jest.fn();
+    search.on("results", onResults);
+
+    search.search("slow");
+    search.search("fast");
+    await new Promise((resolve) => setImmediate(resolve));
+    responses[1]();
+    await nextEvent(search, "results");
+    responses[0]();
+    await new Promise((resolve) => setImmediate(resolve));
+
+    expect(onResults).toBeCalledTimes(1);
+    expect(onResults).toBeCalledWith([{ uri: "fast", tracks: [] }], "fast");
+    expect(search.getState().input).toBe("fast");
+  });
+
+  test("doesn't search for input shorter than the minimum length", async () => {
+    const search = new Mopidy.LiveSearch(this.mopidy, {
+      debounce: 0,
+      minLength: 3,
+    });
+    const idle = jest.fn();
+    search.on("idle", idle);
+
+    search.search("so");
+    search.search("   ");
+    await new Promise((resolve) => setImmediate(resolve));
+
+    expect(searches()).toHaveLength(0);
+    expect(idle).toBeCalledTimes(2);
+    expect(search.getState().status).toBe("idle");
+  });
+
+  test("goes back to idle when the input is cleared", async () => {
+    const search = new Mopidy.LiveSearch(this.mopidy, { debounce: 0 });
+    const onResults = jest.fn();
+    search.on("results", onResults);
+
+    search.search("sos");
+    search.clear();
+    await new Promise((resolve) => setImmediate(resolve));
+
+    expect(onResults).not.toBeCalled();
+    expect(search.getState().status).toBe("idle");
+  });
+
+  test("answers recent searches from the cache", async () => {
+    const search = new Mopidy.LiveSearch(this.mopidy, { debounce: 0 });
+    search.search("sos");
+    await nextEvent(search, "results");
+    search.search("waterloo");
+    await nextEvent(search, "results");
+    const onResults = jest.fn();
+    search.on("results", onResults);
+
+    search.search("sos");
+
+    expect(onResults).toBeCalledWith(expect.any(Array), "sos");
+    expect(searches()).toHaveLength(2);
+
+    search.clearCache();
+    search.search("sos");
+    await nextEvent(search, "results");
+    expect(searches()).toHaveLength(3);
+  });
+
+  test("only caches the given number of searches", async () => {
+    const search = new Mopidy.LiveSearch(this.mopidy, {
+      debounce: 0,
+      cacheSize: 1,
+    });
+    search.search("sos");
+    await nextEvent(search, "results");
+    search.search("waterloo");
+    await nextEvent(search, "results");
+
+    search.search("sos");
+    await nextEvent(search, "results");
+
+    expect(searches()).toHaveLength(3);
+  });
+
+  test("builds the query from the options", async () => {
+    const search = new Mopidy.LiveSearch(this.mopidy, {
+      debounce: 0,
+      field: "trackName",
+      uris: ["mock:"],
+      exact: true,
+    });
+
+    search.search(" SOS ");
+    await nextEvent(search, "results");
+
+    expect(searches()[0].params).toEqual({
+      query: { track_name: ["SOS"] },
+      uris: ["mock:"],
+      exact: true,
+    });
+  });
+
+  test("searches for SearchQuery input", async () => {
+    const search = new Mopidy.LiveSearch(this.mopidy, { debounce: 0 });
+
+    search.search(new Mopidy.SearchQuery().trackName("Waterloo").exact());
+    await nextEvent(search, "results");
+
+    expect(searches()[0].params).toEqual({
+      query: { track_name: ["Waterloo"] },
+      exact: true,
+    });
+  });
+
+  test("merges the results if asked to", async () => {
+    const search = new Mopidy.LiveSearch(this.mopidy, {
+      debounce: 0,
+      merge: { dedupe: false },
+    });
+
+    search.search("waterloo");
+    const [results] = await nextEvent(search, "results");
+
+    expect(results.tracks.map(({ uri }) => uri)).toEqual([
+      "mock:track:1",
+      "mock:track:2",
+    ]);
+  });
+
+  test("emits errors", async () => {
+    this.server.mockError("core.library.search", { message: "Backend error" });
+    const search = new Mopidy.LiveSearch(this.mopidy, { debounce: 0 });
+
+    search.search("sos");
+    const [error, input] = await nextEvent(search, "error");
+
+    expect(error).toBeInstanceOf(Mopidy.ServerError);
+    expect(input).toBe("sos");
+    expect(search.getState()).toEqual({
+      status: "error",
+      input: "sos",
+      results: null,
+      error,
+    });
+  });
+
+  test("logs errors if there are no error listeners", async () => {
+    this.server.mockError("core.library.search", { message: "Backend error" });
+    const search = new Mopidy.LiveSearch(this.mopidy, { debounce: 0 });
+
+    search.search("sos");
+    await new Promise((resolve) => setImmediate(resolve));
+
+    expect(this.mopidy._console.warn).toBeCalledWith(
+      "Search failed:",
+      expect.any(Mopidy.ServerError)
+    );
+  });
+
+  test("fails if the API is not available yet", async () => {
+    const mopidy = new Mopidy({ autoConnect: false });
+    const search = new Mopidy.LiveSearch(mopidy, { debounce: 0 });
+    const error = nextEvent(search, "error");
+
+    search.search("sos");
+
+    expect((await error)[0]).toBeInstanceOf(Mopidy.ConnectionError);
+  });
+
+  test("destroy() stops waiting searches", async () => {
+    const search = new Mopidy.LiveSearch(this.mopidy, { debounce: 10 });
+    const onResults = jest.fn();
+    search.on("results", onResults);
+
+    search.search("sos");
+    search.destroy();
+    await new Promise((resolve) => setTimeout(resolve, 20));
+
+    expect(searches()).toHaveLength(0);
+    expect(onResults).not.toBeCalled();
+  });
+});
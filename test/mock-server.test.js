@@ -0,0 +1,254 @@
+/* eslint-env jest */
+
+const Mopidy = require("../src/mopidy");
+const MockMopidyServer = require("../src/mock-server");
+
+const tracks = [
+  {
+    uri: "mock:track:1",
+    name: "Dancing Queen",
+    artists: [{ __model__: "Artist", name: "ABBA" }],
+    length: 230000,
+  },
+  {
+    uri: "mock:track:2",
+    name: "Waterloo",
+    artists: [{ __model__: "Artist", name: "ABBA" }],
+    length: 170000,
+  },
+  { uri: "mock:track:3", name: "Heroes", length: 370000 },
+];
+
+const flushPromises = () => new Promise((resolve) => setImmediate(resolve));
+
+beforeEach(async () => {
+  this.server = new MockMopidyServer({ tracks });
+  this.mopidy = new Mopidy({
+    transport: this.server.createTransport,
+    console: { warn: jest.fn() },
+  });
+  await new Promise((resolve) => this.mopidy.on("state:online", resolve));
+  this.events = [];
+  this.mopidy.on("event", (name, data) => this.events.push([name, data]));
+});
+
+afterEach(() => {
+  this.mopidy.close();
+});
+
+describe("MockMopidyServer", () => {
+  test("describes its API", () => {
+    expect(this.mopidy.playback.play.params).toEqual([
+      { name: "tl_track", default: null },
+      { name: "tlid", default: null },
+    ]);
+    expect(this.mopidy.getVersion).toBeInstanceOf(Function);
+  });
+
+  test("adds tracks to the tracklist", async () => {
+    const added = await this.mopidy.tracklist.add({
+      uris: ["mock:track:1", "mock:track:2", "mock:track:unknown"],
+    });
+
+    expect(added.map(({ tlid }) => tlid)).toEqual([1, 2]);
+    expect(added[0]).toEqual({
+      __model__: "TlTrack",
+      tlid: 1,
+      track: { __model__: "Track", ...tracks[0] },
+    });
+    expect(await this.mopidy.tracklist.getLength()).toBe(2);
+    expect(this.events).toEqual([["event:tracklistChanged", {}]]);
+  });
+
+  test("plays, pauses, and changes tracks", async () => {
+    const [first, second] = await this.mopidy.tracklist.add({
+      uris: ["mock:track:1", "mock:track:2"],
+    });
+    this.events = [];
+
+    await this.mopidy.playback.play();
+    await this.mopidy.playback.seek({ time_position: 1000 });
+    await this.mopidy.playback.pause();
+    await this.mopidy.playback.next();
+    await flushPromises();
+
+    expect(await this.mopidy.playback.getState()).toBe("paused");
+    expect(await this.mopidy.playback.getCurrentTlTrack()).toEqual(second);
+    expect(this.events).toEqual([
+      [
+        "event:playbackStateChanged",
+        { old_state: "stopped", new_state: "playing" },
+      ],
+      ["event:trackPlaybackStarted", { tl_track: first }],
+      ["event:seeked", { time_position: 1000 }],
+      [
+        "event:playbackStateChanged",
+        { old_state: "playing", new_state: "paused" },
+      ],
+      ["event:trackPlaybackPaused", { tl_track: first, time_position: 1000 }],
+      ["event:trackPlaybackEnded", { tl_track: first, time_position: 1000 }],
+    ]);
+  });
+
+  test("removes tracks from the tracklist", async () => {
+    await this.mopidy.tracklist.add({ uris: ["mock:track:1", "mock:track:2"] });
+    await this.mopidy.playback.play({ tlid: 1 });
+
+    const removed = await this.mopidy.tracklist.remove({
+      criteria: { tlid: [1] },
+    });
+
+    expect(removed.map(({ tlid }) => tlid)).toEqual([1]);
+    expect(await this.mopidy.playback.getState()).toBe("stopped");
+    expect(await this.mopidy.playback.getCurrentTlTrack()).toBe(null);
+    expect(await this.mopidy.tracklist.getTracks()).toEqual([
+      { __model__: "Track", ...tracks[1] },
+    ]);
+  });
+
+  test("changes the volume and tracklist options", async () => {
+    await this.mopidy.mixer.setVolume({ volume: 30 });
+    await this.mopidy.mixer.setMute([true]);
+    await this.mopidy.tracklist.setRepeat({ value: true });
+    await flushPromises();
+
+    expect(await this.mopidy.mixer.getVolume()).toBe(30);
+    expect(await this.mopidy.mixer.getMute()).toBe(true);
+    expect(await this.mopidy.tracklist.getRepeat()).toBe(true);
+    expect(this.events).toEqual([
+      ["event:volumeChanged", { volume: 30 }],
+      ["event:muteChanged", { mute: true }],
+      ["event:optionsChanged", {}],
+    ]);
+  });
+
+  test("searches and looks up tracks", async () => {
+    const [result] = await this.mopidy.library.search({
+      query: { artist: ["abba"] },
+    });
+    const lookup = await this.mopidy.library.lookup({
+      uris: ["mock:track:3", "mock:track:unknown"],
+    });
+
+    expect(result.tracks.map(({ name }) => name)).toEqual([
+      "Dancing Queen",
+      "Waterloo",
+    ]);
+    expect(lookup).toEqual({
+      "mock:track:3": [{ __model__: "Track", ...tracks[2] }],
+      "mock:track:unknown": [],
+    });
+  });
+
+  test("creates, saves, and looks up playlists", async () => {
+    const created = await this.mopidy.playlists.create({ name: "Favorites" });
+    const saved = await this.mopidy.playlists.save({
+      playlist: { ...created, tracks: [tracks[2]] },
+    });
+
+    expect(await this.mopidy.playlists.asList()).toEqual([
+      {
+        __model__: "Ref",
+        type: "playlist",
+        uri: created.uri,
+        name: "Favorites",
+      },
+    ]);
+    expect(await this.mopidy.playlists.lookup({ uri: created.uri })).toEqual(
+      saved
+    );
+    expect(saved.tracks).toEqual([{ __model__: "Track", ...tracks[2] }]);
+    expect(saved.last_modified).toBeGreaterThan(created.last_modified);
+    expect(this.events).toEqual([
+      ["event:playlistChanged", { playlist: created }],
+      ["event:playlistChanged", { playlist: saved }],
+    ]);
+    expect(
+      await this.mopidy.playlists.save({
+        playlist: { __model__: "Playlist", uri: "mock:playlist:unknown" },
+      })
+    ).toBeNull();
+  });
+
+  test("answers batch requests", async () => {
+    const results = await this.mopidy.batch((b) => [
+      b.mixer.getVolume(),
+      b.playback.getState(),
+    ]);
+
+    expect(results).toEqual([100, "stopped"]);
+  });
+
+  test("rejects invalid calls like Mopidy", async () => {
+    await expect(this.mopidy.library.browse()).rejects.toMatchObject({
+      name: "ServerError",
+      code: -32602,
+    });
+    await expect(
+      this.mopidy.mixer.setVolume({ volume: 200 })
+    ).rejects.toMatchObject({
+      code: 0,
+      data: {
+        type: "ValueError",
+        message: "Volume must be between 0 and 100, not 200",
+      },
+    });
+  });
+
+  test("can be scripted to return other results and errors", async () => {
+    this.server.mockResult("core.get_version", "4.0.0");
+    this.server.mockResult("core.mixer.get_volume", () => Promise.resolve(42));
+    this.server.mockError("core.playback.play", {
+      message: "Nope",
+      data: { type: "RuntimeError" },
+    });
+
+    expect(await this.mopidy.getVersion()).toBe("4.0.0");
+    expect(await this.mopidy.mixer.getVolume()).toBe(42);
+    await expect(this.mopidy.playback.play()).rejects.toMatchObject({
+      message: "Nope",
+      data: { type: "RuntimeError" },
+    });
+
+    this.server.resetMocks();
+
+    expect(await this.mopidy.getVersion()).toBe("3.0.2");
+  });
+
+  test("records the requests it receives", async () => {
+    await this.mopidy.mixer.setVolume([10]);
+
+    expect(this.server.requests).toContainEqual(
+      expect.objectContaining({
+        method: "core.mixer.set_volume",
+        params: [10],
+      })
+    );
+  });
+
+  test("sends custom events", async () => {
+    this.server.emitEvent("stream_title_changed", { title: "News" });
+    await flushPromises();
+
+    expect(this.events).toEqual([
+      ["event:streamTitleChanged", { title: "News" }],
+    ]);
+  });
+
+  test("disconnects its clients", async () => {
+    const reconnect = jest
+      .spyOn(this.mopidy, "_reconnect")
+      .mockImplementation(() => {});
+    this.mopidy._delegateEvents();
+    const offline = jest.fn();
+    this.mopidy.on("state:offline", offline);
+
+    this.server.disconnect();
+
+    expect(offline).toBeCalled();
+    expect(reconnect).toBeCalled();
+    await expect(this.mopidy.getVersion()).rejects.toBeInstanceOf(
+      Mopidy.ConnectionError
+    );
+  });
+});
@@ -0,0 +1,150 @@
+/* eslint-env jest */
+
+const Mopidy = require("../src/mopidy");
+
+const { models } = Mopidy;
+
+const trackJson = {
+  __model__: "Track",
+  uri: "local:track:a.mp3",
+  name: "A",
+  artists: [{ __model__: "Artist", uri: "local:artist:x", name: "X" }],
+  album: { __model__: "Album", uri: "local:album:y", name: "Y" },
+  track_no: 3,
+  length: 180000,
+};
+
+describe("models.fromJSON", () => {
+  test("hydrates objects based on their __model__ key", () => {
+    const track = models.fromJSON(trackJson);
+
+    expect(track).toBeInstanceOf(models.Track);
+    expect(track.artists[0]).toBeInstanceOf(models.Artist);
+    expect(track.album).toBeInstanceOf(models.Album);
+    expect(track.name).toBe("A");
+    expect(track.track_no).toBe(3);
+  });
+
+  test("hydrates models nested in arrays and plain objects", () => {
+    const result = models.fromJSON({
+      "local:track:a.mp3": [trackJson],
+      "local:track:b.mp3": [],
+    });
+
+    expect(Object.keys(result)).toEqual([
+      "local:track:a.mp3",
+      "local:track:b.mp3",
+    ]);
+    expect(result["local:track:a.mp3"][0]).toBeInstanceOf(models.Track);
+    expect(result["local:track:b.mp3"]).toEqual([]);
+  });
+
+  test("leaves values without a known __model__ alone", () => {
+    expect(models.fromJSON(null)).toBe(null);
+    expect(models.fromJSON("playing")).toBe("playing");
+    expect(models.fromJSON({ __model__: "Unknown", a: 1 })).toEqual({
+      __model__: "Unknown",
+      a: 1,
+    });
+  });
+});
+
+describe("models.ImmutableObject", () => {
+  test("fills in defaults for missing fields", () => {
+    const track = new models.Track({ uri: "local:track:a.mp3" });
+
+    expect(track.name).toBe(null);
+    expect(track.artists).toEqual([]);
+    expect(track.album).toBe(null);
+  });
+
+  test("keeps fields unknown to this version of the library", () => {
+    const artist = new models.Artist({ uri: "a:1", country: "NO" });
+
+    expect(artist.country).toBe("NO");
+  });
+
+  test("is immutable", () => {
+    const track = models.fromJSON(trackJson);
+
+    expect(Object.isFrozen(track)).toBe(true);
+    expect(Object.isFrozen(track.artists)).toBe(true);
+    expect(Reflect.set(track, "name", "B")).toBe(false);
+    expect(track.name).toBe("A");
+  });
+
+  test("compares by value", () => {
+    const track = models.fromJSON(trackJson);
+
+    expect(track.equals(models.fromJSON(trackJson))).toBe(true);
+    expect(track.equals(track.replace({ name: "B" }))).toBe(false);
+    expect(track.equals({ ...track })).toBe(false);
+    expect(track.equals(null)).toBe(false);
+  });
+
+  test("copies with changes using replace()", () => {
+    const track = models.fromJSON(trackJson);
+
+    const copy = track.replace({ name: "B" });
+
+    expect(copy).toBeInstanceOf(models.Track);
+    expect(copy.name).toBe("B");
+    expect(copy.album).toBe(track.album);
+    expect(track.name).toBe("A");
+  });
+
+  test("has camelCase aliases for snake_case fields", () => {
+    const track = models.fromJSON(trackJson);
+
+    expect(track.trackNo).toBe(3);
+    expect(track.replace({ trackNo: 4 }).track_no).toBe(4);
+    expect(Object.keys(track)).not.toContain("trackNo");
+  });
+
+  test("serializes back to Mopidy's JSON format", () => {
+    const track = models.fromJSON(trackJson);
+
+    expect(JSON.parse(JSON.stringify(track))).toEqual(trackJson);
+  });
+});
+
+describe("models.Ref", () => {
+  test("has factories for each type", () => {
+    const ref = models.Ref.album({ uri: "local:album:y", name: "Y" });
+
+    expect(ref).toBeInstanceOf(models.Ref);
+    expect(ref.type).toBe(models.Ref.ALBUM);
+    expect(ref.type).toBe("album");
+  });
+});
+
+describe("models.TlTrack", () => {
+  test("accepts positional arguments", () => {
+    const track = new models.Track({ uri: "a:1" });
+
+    const tlTrack = new models.TlTrack(7, track);
+
+    expect(tlTrack.tlid).toBe(7);
+    expect(tlTrack.track).toBe(track);
+  });
+
+  test("supports iteration", () => {
+    const track = new models.Track({ uri: "a:1" });
+
+    const [tlid, tlTrackTrack] = new models.TlTrack({ tlid: 7, track });
+
+    expect(tlid).toBe(7);
+    expect(tlTrackTrack).toBe(track);
+  });
+});
+
+describe("models.Playlist", () => {
+  test("has the number of tracks as length", () => {
+    const playlist = new models.Playlist({
+      uri: "m3u:a.m3u",
+      tracks: [new models.Track({ uri: "a:1" })],
+    });
+
+    expect(playlist.length).toBe(1);
+  });
+});
@@ -7,6 +7,45 @@ const warn = jest.spyOn(global.console, "warn").mockImplementation(() => {});
 
 jest.useFakeTimers();
 
+// Minimal AbortSignal look-alike, as AbortController is missing in older Nodes
+function createAbortController() {
+  const listeners = [];
+  const signal = {
+    aborted: false,
+    addEventListener: jest.fn((type, listener) => listeners.push(listener)),
+    removeEventListener: jest.fn(),
+  };
+  return {
+    signal,
+    abort() {
+      signal.aborted = true;
+      listeners.forEach((listener) => listener());
+    },
+  };
+}
+
+// Replace a global like navigator until the end of the test
+const restoreGlobals = [];
+function stubGlobal(name, value) {
+  const descriptor = Object.getOwnPropertyDescriptor(global, name);
+  Object.defineProperty(global, name, {
+    value,
+    configurable: true,
+    writable: true,
+  });
+  restoreGlobals.push(() => {
+    if (descriptor) {
+      Object.defineProperty(global, name, descriptor);
+    } else {
+      delete global[name];
+    }
+  });
+}
+
+afterEach(() => {
+  restoreGlobals.splice(0).forEach((restore) => restore());
+});
+
 beforeEach(() => {
   // Create a generic WebSocket mock
   const WebSocketMock = jest.fn().mockName("WebSocketMock");
@@ -141,6 +180,254 @@ describe(".connect", () => {
     expect(this.openWebSocket.close).not.toBeCalled();
     expect(Mopidy.WebSocket).not.toBeCalled();
   });
+
+  test("keeps the WebSocket while it is connecting", () => {
+    const mopidy = new Mopidy();
+    const webSocket = mopidy._webSocket;
+    webSocket.readyState = Mopidy.WebSocket.CONNECTING;
+    const onOffline = jest.fn();
+    mopidy.on("state:offline", onOffline);
+
+    const promise = mopidy.connect();
+
+    expect(mopidy.connect()).toBe(promise);
+    expect(webSocket.close).not.toBeCalled();
+    expect(Mopidy.WebSocket).toBeCalledTimes(1);
+    expect(onOffline).not.toBeCalled();
+  });
+
+  test("returns a promise that resolves when online", async () => {
+    const mopidy = new Mopidy({ autoConnect: false });
+    const onOnline = jest.fn();
+
+    const promise = mopidy.connect().then(onOnline);
+    await Promise.resolve();
+
+    expect(onOnline).not.toBeCalled();
+
+    mopidy._createApi({});
+
+    await promise;
+    expect(onOnline).toBeCalled();
+  });
+
+  test("returns a resolved promise when already online", async () => {
+    this.mopidy._createApi({});
+
+    await expect(this.mopidy.connect()).resolves.toBeUndefined();
+  });
+
+  test("shares one promise between reconnect attempts", () => {
+    const mopidy = new Mopidy({ autoConnect: false });
+    const promise = mopidy.connect();
+    const listeners = mopidy.listenerCount("state:online");
+
+    mopidy._cleanup({});
+    mopidy._reconnectAttempt();
+    mopidy._reconnectAttempt();
+
+    expect(mopidy.connect()).toBe(promise);
+    expect(mopidy.listenerCount("state:online")).toBe(listeners);
+    expect(mopidy.listenerCount("reconnectionFailed")).toBe(1);
+    expect(mopidy._closeWaiters.size).toBe(1);
+    mopidy.close();
+    jest.clearAllTimers();
+  });
+
+  test("returns a promise that rejects when closed before online", async () => {
+    const mopidy = new Mopidy({ autoConnect: false });
+
+    const promise = mopidy.connect();
+    mopidy.close();
+
+    await expect(promise).rejects.toThrow(
+      new Mopidy.ConnectionError("WebSocket closed")
+    );
+  });
+
+  test("returns a new promise when called right after close()", async () => {
+    const mopidy = new Mopidy({ autoConnect: false });
+    const closed = mopidy.connect();
+    closed.catch(() => {});
+
+    mopidy.close();
+    const promise = mopidy.connect();
+    mopidy._createApi({});
+
+    expect(promise).not.toBe(closed);
+    await expect(promise).resolves.toBeUndefined();
+  });
+
+  test("returns a new promise when called right after giving up", async () => {
+    const mopidy = new Mopidy({
+      autoConnect: false,
+      maxReconnectAttempts: 1,
+    });
+    const failed = mopidy.connect();
+    failed.catch(() => {});
+    mopidy._reconnectAttempts = 1;
+    mopidy._reconnect();
+    jest.advanceTimersByTime(0);
+
+    const promise = mopidy.connect();
+    mopidy._createApi({});
+
+    expect(promise).not.toBe(failed);
+    await expect(promise).resolves.toBeUndefined();
+  });
+});
+
+describe("transports", () => {
+  test("derives the HTTP JSON-RPC URL from the WebSocket URL", () => {
+    const mopidy = new Mopidy({
+      autoConnect: false,
+      webSocketUrl: "wss://example.com/mopidy/ws",
+    });
+
+    expect(mopidy._settings.rpcUrl).toBe("https://example.com/mopidy/rpc");
+  });
+
+  test("connects over HTTP if transport is 'http'", () => {
+    const mopidy = new Mopidy({
+      autoConnect: false,
+      transport: "http",
+      rpcUrl: "http://example.com/mopidy/rpc",
+    });
+
+    mopidy.connect();
+    mopidy.close();
+
+    expect(mopidy._webSocket).toBeInstanceOf(Mopidy.HttpTransport);
+    expect(mopidy._webSocket.url).toBe("http://example.com/mopidy/rpc");
+    expect(Mopidy.WebSocket).not.toBeCalled();
+  });
+
+  test("connects using a transport factory", () => {
+    const transport = new Mopidy.WebSocket();
+    const factory = jest.fn(() => transport);
+    const mopidy = new Mopidy({ transport: factory });
+
+    expect(factory).toBeCalledWith(mopidy._settings);
+    expect(mopidy._webSocket).toBe(transport);
+  });
+
+  test("warns that there are no events over HTTP", () => {
+    const mopidy = new Mopidy({
+      autoConnect: false,
+      transport: "http",
+      console: { warn: jest.fn() },
+    });
+
+    mopidy.on("state:online", () => {});
+    mopidy.on("event:volumeChanged", () => {});
+    mopidy.on("event:muteChanged", () => {});
+
+    expect(mopidy._console.warn).toBeCalledTimes(1);
+    expect(mopidy._console.warn).toBeCalledWith(
+      'Mopidy events are not available over HTTP, so "event:volumeChanged" ' +
+        "and other events from Mopidy will never be emitted."
+    );
+  });
+
+  describe("HTTP fallback", () => {
+    beforeEach(() => {
+      this.probe = jest
+        .spyOn(Mopidy.HttpTransport, "probe")
+        .mockResolvedValue(true);
+      this.fallbackMopidy = new Mopidy({
+        autoConnect: false,
+        httpFallback: true,
+        console: { warn: jest.fn() },
+      });
+      this.fallbackMopidy._reconnect = jest.fn();
+      this.fallbackMopidy._getApiSpec = jest.fn();
+      this.fallbackMopidy._delegateEvents();
+    });
+
+    afterEach(() => {
+      this.fallbackMopidy.close();
+      this.probe.mockRestore();
+    });
+
+    // Fail to connect over WebSocket, and wait for the HTTP endpoint probe
+    const failWebSocket = async (mopidy) => {
+      mopidy.connect();
+      mopidy.emit("websocket:close", {});
+      await mopidy._httpProbe;
+    };
+
+    test("falls back to HTTP if the WebSocket never opens", async () => {
+      const mopidy = this.fallbackMopidy;
+
+      await failWebSocket(mopidy);
+      mopidy.connect();
+
+      expect(this.probe).toBeCalledWith(mopidy._settings.rpcUrl);
+      expect(mopidy._console.warn).toBeCalledWith(
+        "WebSocket connection failed, falling back to HTTP. " +
+          "Mopidy events are not available over HTTP."
+      );
+      expect(mopidy._webSocket).toBeInstanceOf(Mopidy.HttpTransport);
+    });
+
+    test("keeps using the WebSocket if HTTP doesn't answer either", async () => {
+      const mopidy = this.fallbackMopidy;
+      this.probe.mockResolvedValue(false);
+
+      await failWebSocket(mopidy);
+      mopidy.connect();
+
+      expect(mopidy._console.warn).not.toBeCalled();
+      expect(Mopidy.WebSocket).toBeCalledTimes(2);
+      expect(mopidy._webSocket).not.toBeInstanceOf(Mopidy.HttpTransport);
+    });
+
+    test("tries the WebSocket again when the HTTP fallback is lost", async () => {
+      const mopidy = this.fallbackMopidy;
+      await failWebSocket(mopidy);
+      mopidy.connect();
+
+      mopidy.emit("websocket:open");
+      mopidy._webSocket.close();
+      mopidy.connect();
+
+      expect(mopidy._transportOpened).toBe(false);
+      expect(this.probe).toBeCalledTimes(1);
+      expect(Mopidy.WebSocket).toBeCalledTimes(2);
+      expect(mopidy._webSocket).not.toBeInstanceOf(Mopidy.HttpTransport);
+    });
+
+    test("doesn't fall back if closed while probing", async () => {
+      const mopidy = this.fallbackMopidy;
+      mopidy.connect();
+      mopidy.emit("websocket:close", {});
+      const probe = mopidy._httpProbe;
+
+      mopidy.close();
+      await probe;
+
+      expect(mopidy._console.warn).not.toBeCalled();
+      expect(mopidy._fallBackToHttp).toBe(false);
+    });
+  });
+
+  test("does not fall back to HTTP after the WebSocket has opened", () => {
+    const probe = jest.spyOn(Mopidy.HttpTransport, "probe");
+    const mopidy = new Mopidy({
+      webSocket: this.openWebSocket,
+      httpFallback: true,
+    });
+    mopidy._reconnect = jest.fn();
+    mopidy._getApiSpec = jest.fn();
+    mopidy._delegateEvents();
+
+    mopidy.emit("websocket:open");
+    mopidy.emit("websocket:close", {});
+
+    expect(probe).not.toBeCalled();
+    expect(mopidy._transport).toBe("websocket");
+    probe.mockRestore();
+  });
 });
 
 describe("WebSocket events", () => {
@@ -376,6 +663,222 @@ describe("._reconnect", () => {
     expect(reconnectionSpy).toBeCalledWith({ timeToAttempt: 1000 });
     expect(reconnectionSpy).toHaveBeenCalledAfter(offlineSpy);
   });
+
+  test("randomly shortens the delay by up to backoffJitter", () => {
+    const random = jest.spyOn(Math, "random").mockReturnValue(0.5);
+    const mopidy = new Mopidy({
+      webSocket: this.openWebSocket,
+      backoffJitter: 0.2,
+    });
+    const pendingSpy = jest.fn();
+    mopidy.on("reconnectionPending", pendingSpy);
+
+    mopidy._reconnect();
+    jest.runOnlyPendingTimers();
+    random.mockRestore();
+
+    expect(pendingSpy).toBeCalledWith({ timeToAttempt: 900 });
+    expect(mopidy._backoffDelay).toBe(2000);
+  });
+
+  test("gives up after maxReconnectAttempts", () => {
+    const mopidy = new Mopidy({
+      webSocket: this.openWebSocket,
+      maxReconnectAttempts: 2,
+    });
+    const connectStub = jest
+      .spyOn(mopidy, "connect")
+      .mockImplementation(() => {});
+    const stateSpy = jest.fn();
+    mopidy.on("state", stateSpy);
+    const failedSpy = jest.fn();
+    mopidy.on("reconnectionFailed", failedSpy);
+
+    mopidy._reconnect();
+    jest.runAllTimers();
+    mopidy._reconnect();
+    jest.runAllTimers();
+    expect(connectStub).toBeCalledTimes(2);
+    expect(failedSpy).not.toBeCalled();
+
+    mopidy._reconnect();
+    jest.runAllTimers();
+
+    expect(connectStub).toBeCalledTimes(2);
+    expect(failedSpy).toBeCalledWith({ attempts: 2 });
+    expect(stateSpy).toBeCalledWith("reconnectionFailed", { attempts: 2 });
+  });
+
+  test("rejects queued calls when giving up", (done) => {
+    const mopidy = new Mopidy({
+      autoConnect: false,
+      maxReconnectAttempts: 1,
+      queueWhileOffline: true,
+    });
+    jest.spyOn(mopidy, "connect").mockImplementation(() => {});
+    const promise = mopidy._send({ method: "foo" });
+
+    mopidy._reconnect();
+    jest.runAllTimers();
+    mopidy._reconnect();
+    jest.runAllTimers();
+
+    expect.hasAssertions();
+    promise
+      .catch((error) => {
+        expect(error).toBeInstanceOf(Mopidy.ConnectionError);
+        expect(error.message).toBe("Gave up reconnecting after 1 attempts");
+      })
+      .then(done);
+  });
+
+  test("uses the delays from reconnectPolicy", () => {
+    const reconnectPolicy = jest.fn((attempt) =>
+      attempt < 3 ? attempt * 100 : null
+    );
+    const mopidy = new Mopidy({
+      webSocket: this.openWebSocket,
+      reconnectPolicy,
+    });
+    jest.spyOn(mopidy, "connect").mockImplementation(() => {});
+    const pendingSpy = jest.fn();
+    mopidy.on("reconnectionPending", pendingSpy);
+    const failedSpy = jest.fn();
+    mopidy.on("reconnectionFailed", failedSpy);
+
+    [1, 2, 3].forEach(() => {
+      mopidy._reconnect();
+      jest.runAllTimers();
+    });
+
+    expect(reconnectPolicy.mock.calls).toEqual([[1], [2], [3]]);
+    expect(pendingSpy.mock.calls).toEqual([
+      [{ timeToAttempt: 100 }],
+      [{ timeToAttempt: 200 }],
+    ]);
+    expect(failedSpy).toBeCalledWith({ attempts: 2 });
+  });
+
+  test("starts counting attempts over when the WebSocket opens", () => {
+    const mopidy = new Mopidy({
+      webSocket: this.openWebSocket,
+      maxReconnectAttempts: 1,
+    });
+    const connectStub = jest
+      .spyOn(mopidy, "connect")
+      .mockImplementation(() => {});
+
+    mopidy._reconnect();
+    jest.runAllTimers();
+    mopidy._resetBackoffDelay();
+    mopidy._reconnect();
+    jest.runAllTimers();
+
+    expect(connectStub).toBeCalledTimes(2);
+  });
+
+  test("pauses while the browser is offline", () => {
+    stubGlobal("navigator", { onLine: false });
+    const connectStub = jest
+      .spyOn(this.mopidy, "connect")
+      .mockImplementation(() => {});
+    const pausedSpy = jest.fn();
+    this.mopidy.on("reconnectionPaused", pausedSpy);
+    const pendingSpy = jest.fn();
+    this.mopidy.on("reconnectionPending", pendingSpy);
+
+    this.mopidy._reconnect();
+    jest.runAllTimers();
+
+    expect(pausedSpy).toBeCalledWith({ reason: "offline" });
+    expect(pendingSpy).not.toBeCalled();
+    expect(connectStub).not.toBeCalled();
+
+    navigator.onLine = true;
+    this.mopidy._resumeReconnect();
+    jest.runAllTimers();
+
+    expect(pendingSpy).toBeCalledWith({ timeToAttempt: 1000 });
+    expect(connectStub).toBeCalledTimes(1);
+  });
+
+  test("pauses while the page is hidden if pauseReconnectWhenHidden is set", () => {
+    stubGlobal("document", {
+      location: { protocol: "http:", host: "localhost" },
+      visibilityState: "hidden",
+      addEventListener: jest.fn(),
+      removeEventListener: jest.fn(),
+    });
+    const mopidy = new Mopidy({
+      webSocket: this.openWebSocket,
+      pauseReconnectWhenHidden: true,
+    });
+    const connectStub = jest
+      .spyOn(mopidy, "connect")
+      .mockImplementation(() => {});
+    const pausedSpy = jest.fn();
+    mopidy.on("reconnectionPaused", pausedSpy);
+
+    mopidy._reconnect();
+    jest.runAllTimers();
+    const [[, listener]] = document.addEventListener.mock.calls;
+    document.visibilityState = "visible";
+    listener();
+    jest.runAllTimers();
+
+    expect(pausedSpy).toBeCalledWith({ reason: "hidden" });
+    expect(connectStub).toBeCalledTimes(1);
+  });
+});
+
+describe(".reconnectNow", () => {
+  test("skips the pending reconnection delay", () => {
+    const connectStub = jest
+      .spyOn(this.mopidy, "connect")
+      .mockImplementation(() => {});
+    const reconnectingSpy = jest.fn();
+    this.mopidy.on("reconnecting", reconnectingSpy);
+    this.openWebSocket.readyState = Mopidy.WebSocket.CLOSED;
+    this.mopidy._reconnect();
+    jest.advanceTimersByTime(0);
+
+    this.mopidy.reconnectNow();
+
+    expect(connectStub).toBeCalledTimes(1);
+    expect(reconnectingSpy).toBeCalledWith();
+    jest.runAllTimers();
+    expect(connectStub).toBeCalledTimes(1);
+  });
+
+  test("starts over after giving up", () => {
+    const mopidy = new Mopidy({
+      webSocket: this.openWebSocket,
+      maxReconnectAttempts: 1,
+    });
+    const connectStub = jest
+      .spyOn(mopidy, "connect")
+      .mockImplementation(() => {});
+    this.openWebSocket.readyState = Mopidy.WebSocket.CLOSED;
+    mopidy._reconnect();
+    jest.runAllTimers();
+    mopidy._reconnect();
+    jest.runAllTimers();
+    expect(connectStub).toBeCalledTimes(1);
+
+    mopidy.reconnectNow();
+    mopidy._reconnect();
+    jest.runAllTimers();
+
+    expect(connectStub).toBeCalledTimes(3);
+  });
+
+  test("does nothing if the WebSocket is open", () => {
+    const connectStub = jest.spyOn(this.mopidy, "connect");
+
+    this.mopidy.reconnectNow();
+
+    expect(connectStub).not.toBeCalled();
+  });
 });
 
 describe("._resetBackoffDelay", () => {
@@ -400,6 +903,36 @@ describe("._resetBackoffDelay", () => {
 });
 
 describe(".close", () => {
+  test("cancels a pending reconnection", () => {
+    const connectStub = jest
+      .spyOn(this.mopidy, "connect")
+      .mockImplementation(() => {});
+    this.mopidy._reconnect();
+    jest.advanceTimersByTime(0);
+
+    this.mopidy.close();
+    jest.runAllTimers();
+
+    expect(connectStub).not.toBeCalled();
+  });
+
+  test("cancels all reconnections when it was lost more than once", () => {
+    const connectStub = jest
+      .spyOn(this.mopidy, "connect")
+      .mockImplementation(() => {});
+    const reconnectingSpy = jest.fn();
+    this.mopidy.on("reconnecting", reconnectingSpy);
+    this.mopidy._reconnect();
+    jest.advanceTimersByTime(0);
+    this.mopidy._reconnect();
+
+    this.mopidy.close();
+    jest.runAllTimers();
+
+    expect(reconnectingSpy).not.toBeCalled();
+    expect(connectStub).not.toBeCalled();
+  });
+
   test("unregisters reconnection hooks", () => {
     const offSpy = jest.spyOn(this.mopidy, "off");
     const reconnectingSpy = jest.fn();
@@ -428,38 +961,359 @@ describe(".close", () => {
 
     mopidy.close(); // No error thrown
   });
-});
-
-describe("._handleWebSocketError", () => {
-  test("is called on 'websocket:error' event", () => {
-    const error = {};
-    const spy = jest.spyOn(this.mopidy, "_handleWebSocketError");
-    this.mopidy._delegateEvents();
 
-    this.mopidy.emit("websocket:error", error);
+  test("returns a promise that resolves when the WebSocket has closed", async () => {
+    this.openWebSocket.close.mockImplementation(() => {});
+    const onClosed = jest.fn();
 
-    expect(spy).toBeCalledWith(error);
-  });
+    const promise = this.mopidy.close().then(onClosed);
+    await Promise.resolve();
 
-  test("without stack logs the error to the console", () => {
-    const error = {};
+    expect(onClosed).not.toBeCalled();
 
-    this.mopidy._handleWebSocketError(error);
+    this.openWebSocket.onclose({});
 
-    expect(warn).toBeCalledWith("WebSocket error:", error);
+    await promise;
+    expect(onClosed).toBeCalled();
   });
 
-  test("with stack logs the error to the console", () => {
-    const error = { stack: "foo" };
-
-    this.mopidy._handleWebSocketError(error);
+  test("returns a resolved promise without an open WebSocket", async () => {
+    const mopidy = new Mopidy({ autoConnect: false });
 
-    expect(warn).toBeCalledWith("WebSocket error:", error.stack);
+    await expect(mopidy.close()).resolves.toBeUndefined();
   });
 });
 
-describe("._send", () => {
-  test("adds JSON-RPC fields to the message", () => {
+describe(".whenOnline", () => {
+  test("resolves when the client comes online", async () => {
+    const promise = this.mopidy.whenOnline();
+
+    this.mopidy._createApi({});
+
+    await expect(promise).resolves.toBeUndefined();
+    await expect(this.mopidy.whenOnline()).resolves.toBeUndefined();
+  });
+
+  test("waits again after going offline", async () => {
+    this.mopidy._createApi({});
+    this.mopidy._cleanup({});
+    const onOnline = jest.fn();
+
+    this.mopidy.whenOnline().then(onOnline);
+    await Promise.resolve();
+
+    expect(onOnline).not.toBeCalled();
+  });
+
+  test("rejects with TimeoutError after the timeout", async () => {
+    const listeners = this.mopidy.listenerCount("state:online");
+    const promise = this.mopidy.whenOnline({ timeout: 1000 });
+
+    jest.advanceTimersByTime(1000);
+
+    await expect(promise).rejects.toThrow(
+      new Mopidy.TimeoutError(
+        "Waiting for state:online timed out after 1000 ms"
+      )
+    );
+    expect(this.mopidy.listenerCount("state:online")).toBe(listeners);
+  });
+
+  test("rejects when giving up reconnecting", async () => {
+    const promise = this.mopidy.whenOnline();
+
+    this.mopidy.emit("reconnectionFailed", { attempts: 3 });
+
+    await expect(promise).rejects.toThrow(
+      new Mopidy.ConnectionError("Gave up reconnecting after 3 attempts")
+    );
+  });
+
+  test("rejects when closed", async () => {
+    const promise = this.mopidy.whenOnline();
+
+    this.mopidy.close();
+
+    await expect(promise).rejects.toBeInstanceOf(Mopidy.ConnectionError);
+    expect(this.mopidy._closeWaiters.size).toBe(0);
+  });
+
+  test("rejects right away after being closed", async () => {
+    this.mopidy.close();
+
+    await expect(this.mopidy.whenOnline()).rejects.toThrow(
+      new Mopidy.ConnectionError("WebSocket closed")
+    );
+    expect(this.mopidy._closeWaiters.size).toBe(0);
+  });
+
+  test("rejects right away after giving up reconnecting", async () => {
+    const mopidy = new Mopidy({
+      autoConnect: false,
+      maxReconnectAttempts: 1,
+    });
+    jest.spyOn(mopidy, "connect").mockImplementation(() => {});
+    mopidy._reconnect();
+    jest.runAllTimers();
+    mopidy._reconnect();
+    jest.runAllTimers();
+
+    await expect(mopidy.whenOnline()).rejects.toThrow(
+      new Mopidy.ConnectionError("Gave up reconnecting after 1 attempts")
+    );
+  });
+
+  test("waits again after connecting once more", async () => {
+    this.mopidy.close();
+    this.mopidy.connect();
+
+    const promise = this.mopidy.whenOnline();
+    this.mopidy._createApi({});
+
+    await expect(promise).resolves.toBeUndefined();
+  });
+});
+
+describe(".waitForEvent", () => {
+  test("resolves with the data of the next event", async () => {
+    const promise = this.mopidy.waitForEvent("event:volumeChanged");
+
+    this.mopidy._handleEvent({ event: "volume_changed", volume: 50 });
+
+    await expect(promise).resolves.toEqual({ volume: 50 });
+    expect(this.mopidy.listenerCount("event:volumeChanged")).toBe(0);
+  });
+
+  test("waits for an event matching the predicate", async () => {
+    const promise = this.mopidy.waitForEvent("event:volumeChanged", {
+      predicate: ({ volume }) => volume > 50,
+    });
+
+    this.mopidy._handleEvent({ event: "volume_changed", volume: 50 });
+    this.mopidy._handleEvent({ event: "volume_changed", volume: 70 });
+
+    await expect(promise).resolves.toEqual({ volume: 70 });
+  });
+
+  test("rejects if the predicate throws", async () => {
+    const error = new Error("Oops");
+    const promise = this.mopidy.waitForEvent("event:volumeChanged", {
+      predicate: () => {
+        throw error;
+      },
+    });
+
+    this.mopidy._handleEvent({ event: "volume_changed", volume: 50 });
+
+    await expect(promise).rejects.toBe(error);
+    expect(this.mopidy.listenerCount("event:volumeChanged")).toBe(0);
+  });
+
+  test("rejects with TimeoutError after the timeout", async () => {
+    const promise = this.mopidy.waitForEvent("event:volumeChanged", {
+      timeout: 500,
+    });
+
+    jest.advanceTimersByTime(500);
+
+    await expect(promise).rejects.toThrow(
+      new Mopidy.TimeoutError(
+        "Waiting for event:volumeChanged timed out after 500 ms"
+      )
+    );
+    expect(this.mopidy.listenerCount("event:volumeChanged")).toBe(0);
+  });
+
+  test("rejects with AbortError when the signal is aborted", async () => {
+    const controller = createAbortController();
+    const promise = this.mopidy.waitForEvent("event:volumeChanged", {
+      signal: controller.signal,
+    });
+
+    controller.abort();
+
+    await expect(promise).rejects.toThrow(
+      new Mopidy.AbortError("Waiting for event:volumeChanged aborted")
+    );
+    expect(controller.signal.removeEventListener).toBeCalledWith(
+      "abort",
+      expect.any(Function)
+    );
+    expect(this.mopidy.listenerCount("event:volumeChanged")).toBe(0);
+  });
+
+  test("rejects right away if the signal is already aborted", async () => {
+    const controller = createAbortController();
+    controller.abort();
+
+    await expect(
+      this.mopidy.waitForEvent("event:volumeChanged", {
+        signal: controller.signal,
+      })
+    ).rejects.toBeInstanceOf(Mopidy.AbortError);
+    expect(this.mopidy.listenerCount("event:volumeChanged")).toBe(0);
+  });
+
+  test("keeps waiting when closed", async () => {
+    const onEvent = jest.fn();
+    this.mopidy.waitForEvent("state:online").then(onEvent);
+
+    this.mopidy.close();
+    this.mopidy._createApi({});
+    await Promise.resolve();
+
+    expect(onEvent).toBeCalled();
+  });
+});
+
+describe("heartbeat", () => {
+  beforeEach(() => {
+    this.mopidy = new Mopidy({
+      webSocket: this.openWebSocket,
+      heartbeatInterval: 10000,
+      heartbeatTimeout: 2000,
+      console: { warn: jest.fn() },
+    });
+    this.mopidy._reconnect = jest.fn();
+    this.mopidy._getApiSpec = jest.fn();
+    this.mopidy._delegateEvents();
+    // A half-open WebSocket doesn't close
+    this.openWebSocket.close.mockImplementation(() => {});
+  });
+
+  test("is disabled by default", () => {
+    const mopidy = new Mopidy({ webSocket: this.openWebSocket });
+    mopidy._getApiSpec = jest.fn();
+    mopidy._delegateEvents();
+
+    mopidy.emit("websocket:open");
+    jest.advanceTimersByTime(60000);
+
+    expect(this.openWebSocket.send).not.toBeCalled();
+  });
+
+  test("calls core.get_version at the configured interval", () => {
+    this.mopidy.emit("websocket:open");
+
+    jest.advanceTimersByTime(10000);
+
+    expect(this.openWebSocket.send).toBeCalledTimes(1);
+    const message = JSON.parse(this.openWebSocket.send.mock.calls[0][0]);
+    expect(message.method).toBe("core.get_version");
+  });
+
+  test("keeps the connection if the server replies", async () => {
+    const closeSpy = jest.fn();
+    this.mopidy.on("websocket:close", closeSpy);
+    this.mopidy.emit("websocket:open");
+    jest.advanceTimersByTime(10000);
+    const { id } = JSON.parse(this.openWebSocket.send.mock.calls[0][0]);
+
+    this.mopidy._handleResponse({ jsonrpc: "2.0", id, result: "3.0.2" });
+    await Promise.resolve();
+    jest.advanceTimersByTime(10000);
+
+    expect(closeSpy).not.toBeCalled();
+    expect(this.openWebSocket.send).toBeCalledTimes(2);
+  });
+
+  test("closes the connection if the server doesn't reply in time", () => {
+    const closeSpy = jest.fn();
+    this.mopidy.on("websocket:close", closeSpy);
+    const offlineSpy = jest.fn();
+    this.mopidy.on("state:offline", offlineSpy);
+    this.mopidy.emit("websocket:open");
+
+    jest.advanceTimersByTime(12000);
+
+    expect(this.openWebSocket.close).toBeCalled();
+    expect(this.openWebSocket.onclose).toBe(null);
+    expect(this.openWebSocket.onmessage).toBe(null);
+    expect(closeSpy).toBeCalledTimes(1);
+    expect(closeSpy).toBeCalledWith({
+      code: 1006,
+      reason: "Heartbeat timed out",
+      wasClean: false,
+    });
+    expect(offlineSpy).toBeCalledTimes(1);
+    expect(this.mopidy._reconnect).toBeCalled();
+    expect(this.mopidy._console.warn).toBeCalledWith(
+      "WebSocket heartbeat timed out, closing connection"
+    );
+    expect(jest.getTimerCount()).toBe(0);
+  });
+
+  test("uses WebSocket pings if available", () => {
+    const webSocket = new Mopidy.WebSocket();
+    webSocket.readyState = Mopidy.WebSocket.OPEN;
+    webSocket.ping = jest.fn();
+    webSocket.once = jest.fn();
+    webSocket.terminate = jest.fn();
+    const mopidy = new Mopidy({
+      webSocket,
+      heartbeatInterval: 10000,
+      heartbeatTimeout: 2000,
+      console: { warn: jest.fn() },
+    });
+    mopidy._reconnect = jest.fn();
+    mopidy._getApiSpec = jest.fn();
+    mopidy._delegateEvents();
+    mopidy.emit("websocket:open");
+
+    jest.advanceTimersByTime(10000);
+    expect(webSocket.ping).toBeCalledTimes(1);
+    expect(webSocket.send).not.toBeCalled();
+    const [[event, pong]] = webSocket.once.mock.calls;
+    expect(event).toBe("pong");
+    pong();
+    jest.advanceTimersByTime(10000);
+    expect(webSocket.ping).toBeCalledTimes(2);
+    jest.advanceTimersByTime(2000);
+
+    expect(webSocket.terminate).toBeCalled();
+    expect(webSocket.close).not.toBeCalled();
+  });
+
+  test("stops when the client is closed", () => {
+    this.mopidy.emit("websocket:open");
+
+    this.mopidy.close();
+    jest.advanceTimersByTime(60000);
+
+    expect(this.openWebSocket.send).not.toBeCalled();
+  });
+});
+
+describe("._handleWebSocketError", () => {
+  test("is called on 'websocket:error' event", () => {
+    const error = {};
+    const spy = jest.spyOn(this.mopidy, "_handleWebSocketError");
+    this.mopidy._delegateEvents();
+
+    this.mopidy.emit("websocket:error", error);
+
+    expect(spy).toBeCalledWith(error);
+  });
+
+  test("without stack logs the error to the console", () => {
+    const error = {};
+
+    this.mopidy._handleWebSocketError(error);
+
+    expect(warn).toBeCalledWith("WebSocket error:", error);
+  });
+
+  test("with stack logs the error to the console", () => {
+    const error = { stack: "foo" };
+
+    this.mopidy._handleWebSocketError(error);
+
+    expect(warn).toBeCalledWith("WebSocket error:", error.stack);
+  });
+});
+
+describe("._send", () => {
+  test("adds JSON-RPC fields to the message", () => {
     jest.spyOn(this.mopidy, "_nextRequestId").mockImplementation(() => 1);
     const spy = jest.spyOn(JSON, "stringify");
 
@@ -551,6 +1405,456 @@ describe("._send", () => {
       })
       .then(done);
   });
+
+  test("rejects and forgets the request if sending it fails", async () => {
+    const mopidy = new Mopidy({
+      webSocket: this.openWebSocket,
+      requestTimeout: 1000,
+    });
+    const controller = createAbortController();
+    this.openWebSocket.send.mockImplementation(() => {
+      throw new ReferenceError("fetch is not defined");
+    });
+
+    const promise = mopidy._send(
+      { method: "foo" },
+      { signal: controller.signal }
+    );
+
+    await expect(promise).rejects.toThrow("fetch is not defined");
+    expect(mopidy._pendingRequests).toEqual({});
+    expect(controller.signal.removeEventListener).toBeCalled();
+    expect(jest.getTimerCount()).toBe(0);
+  });
+
+  test("rejects all calls in a batch if sending it fails", async () => {
+    this.openWebSocket.send.mockImplementation(() => {
+      throw new ReferenceError("fetch is not defined");
+    });
+
+    const outcomes = await this.mopidy._send([
+      { method: "foo" },
+      { method: "bar" },
+    ]);
+
+    expect(outcomes.map(({ error }) => error.message)).toEqual([
+      "fetch is not defined",
+      "fetch is not defined",
+    ]);
+    expect(this.mopidy._pendingRequests).toEqual({});
+  });
+});
+
+describe("._send with timeouts", () => {
+  test("rejects with TimeoutError after the configured requestTimeout", (done) => {
+    const mopidy = new Mopidy({
+      webSocket: this.openWebSocket,
+      requestTimeout: 5000,
+    });
+
+    const promise = mopidy._send({ method: "foo" });
+    jest.advanceTimersByTime(4999);
+    expect(Object.keys(mopidy._pendingRequests).length).toBe(1);
+    jest.advanceTimersByTime(1);
+
+    expect(Object.keys(mopidy._pendingRequests).length).toBe(0);
+    expect.hasAssertions();
+    promise
+      .catch((error) => {
+        expect(error).toBeInstanceOf(Mopidy.TimeoutError);
+        expect(error.message).toBe("Request to foo timed out after 5000 ms");
+      })
+      .then(done);
+  });
+
+  test("per-call timeout overrides the requestTimeout setting", (done) => {
+    const mopidy = new Mopidy({
+      webSocket: this.openWebSocket,
+      requestTimeout: 5000,
+    });
+
+    const promise = mopidy._send({ method: "foo" }, { timeout: 100 });
+    jest.advanceTimersByTime(100);
+
+    expect.hasAssertions();
+    promise
+      .catch((error) => {
+        expect(error).toBeInstanceOf(Mopidy.TimeoutError);
+        expect(error.message).toBe("Request to foo timed out after 100 ms");
+      })
+      .then(done);
+  });
+
+  test("per-call timeout of zero disables the timeout", () => {
+    const mopidy = new Mopidy({
+      webSocket: this.openWebSocket,
+      requestTimeout: 5000,
+    });
+
+    mopidy._send({ method: "foo" }, { timeout: 0 });
+    jest.advanceTimersByTime(60000);
+
+    expect(Object.keys(mopidy._pendingRequests).length).toBe(1);
+  });
+
+  test("does not time out requests by default", () => {
+    this.mopidy._send({ method: "foo" });
+    jest.advanceTimersByTime(600000);
+
+    expect(Object.keys(this.mopidy._pendingRequests).length).toBe(1);
+  });
+
+  test("clears the timer when a response arrives", () => {
+    const mopidy = new Mopidy({
+      webSocket: this.openWebSocket,
+      requestTimeout: 5000,
+    });
+    mopidy._send({ method: "foo" });
+    const id = Object.keys(mopidy._pendingRequests)[0];
+
+    mopidy._handleResponse({ jsonrpc: "2.0", id, result: null });
+
+    expect(jest.getTimerCount()).toBe(0);
+  });
+
+  test("silently ignores responses arriving after the timeout", () => {
+    const mopidy = new Mopidy({
+      webSocket: this.openWebSocket,
+      requestTimeout: 5000,
+    });
+    mopidy._send({ method: "foo" }).catch(() => {});
+    const id = Object.keys(mopidy._pendingRequests)[0];
+    jest.advanceTimersByTime(5000);
+
+    mopidy._handleResponse({ jsonrpc: "2.0", id, result: null });
+
+    expect(warn).not.toBeCalled();
+    expect(mopidy._abandonedRequests.size).toBe(0);
+  });
+
+  test("only remembers the latest abandoned requests", () => {
+    const mopidy = new Mopidy({
+      webSocket: this.openWebSocket,
+      requestTimeout: 5000,
+    });
+    for (let i = 0; i < 1001; i += 1) {
+      mopidy._send({ method: "foo" }).catch(() => {});
+    }
+    jest.advanceTimersByTime(5000);
+
+    expect(mopidy._abandonedRequests.size).toBe(1000);
+    mopidy._handleResponse({ jsonrpc: "2.0", id: 1000, result: null });
+    expect(warn).not.toBeCalled();
+    mopidy._handleResponse({ jsonrpc: "2.0", id: 0, result: null });
+    expect(warn).toBeCalledWith("Unexpected response received. Message was:", {
+      jsonrpc: "2.0",
+      id: 0,
+      result: null,
+    });
+  });
+});
+
+describe("._send with an abort signal", () => {
+  test("rejects with AbortError when the signal is aborted", (done) => {
+    const controller = createAbortController();
+
+    const promise = this.mopidy._send(
+      { method: "foo" },
+      { signal: controller.signal }
+    );
+    controller.abort();
+
+    expect(Object.keys(this.mopidy._pendingRequests).length).toBe(0);
+    expect.hasAssertions();
+    promise
+      .catch((error) => {
+        expect(error).toBeInstanceOf(Mopidy.AbortError);
+        expect(error.message).toBe("Request aborted");
+      })
+      .then(done);
+  });
+
+  test("does not send if the signal is already aborted", (done) => {
+    const controller = createAbortController();
+    controller.abort();
+
+    const promise = this.mopidy._send(
+      { method: "foo" },
+      { signal: controller.signal }
+    );
+
+    expect.hasAssertions();
+    promise
+      .catch((error) => {
+        expect(this.mopidy._webSocket.send).not.toBeCalled();
+        expect(error).toBeInstanceOf(Mopidy.AbortError);
+      })
+      .then(done);
+  });
+
+  test("silently ignores responses to aborted requests", () => {
+    const controller = createAbortController();
+    this.mopidy
+      ._send({ method: "foo" }, { signal: controller.signal })
+      .catch(() => {});
+    const id = Object.keys(this.mopidy._pendingRequests)[0];
+    controller.abort();
+
+    this.mopidy._handleResponse({ jsonrpc: "2.0", id, result: null });
+
+    expect(warn).not.toBeCalled();
+  });
+
+  test("removes the abort listener when a response arrives", () => {
+    const controller = createAbortController();
+    this.mopidy._send({ method: "foo" }, { signal: controller.signal });
+    const id = Object.keys(this.mopidy._pendingRequests)[0];
+
+    this.mopidy._handleResponse({ jsonrpc: "2.0", id, result: null });
+
+    expect(controller.signal.removeEventListener).toBeCalledWith(
+      "abort",
+      expect.any(Function)
+    );
+  });
+});
+
+describe("offline queue", () => {
+  beforeEach(() => {
+    this.closedWebSocket = new Mopidy.WebSocket();
+    this.mopidy = new Mopidy({
+      webSocket: this.closedWebSocket,
+      queueWhileOffline: true,
+    });
+  });
+
+  test("rejects calls when offline if queueing is disabled", (done) => {
+    const mopidy = new Mopidy({ webSocket: this.closedWebSocket });
+
+    expect.hasAssertions();
+    mopidy
+      ._send({ method: "foo" })
+      .catch((error) => {
+        expect(error).toBeInstanceOf(Mopidy.ConnectionError);
+        expect(mopidy._offlineQueue.length).toBe(0);
+      })
+      .then(done);
+  });
+
+  test("queues calls while the WebSocket is not open", () => {
+    this.mopidy._send({ method: "foo" });
+    this.closedWebSocket.readyState = Mopidy.WebSocket.CONNECTING;
+    this.mopidy._send({ method: "bar" });
+
+    expect(this.closedWebSocket.send).not.toBeCalled();
+    expect(this.mopidy._offlineQueue.length).toBe(2);
+  });
+
+  test("rejects calls right away after close()", async () => {
+    this.mopidy.close();
+
+    await expect(this.mopidy._send({ method: "foo" })).rejects.toThrow(
+      new Mopidy.ConnectionError("WebSocket closed")
+    );
+    expect(this.mopidy._offlineQueue.length).toBe(0);
+  });
+
+  test("rejects calls right away after giving up reconnecting", async () => {
+    const mopidy = new Mopidy({
+      autoConnect: false,
+      maxReconnectAttempts: 1,
+      queueWhileOffline: true,
+    });
+    jest.spyOn(mopidy, "connect").mockImplementation(() => {});
+    mopidy._reconnect();
+    jest.runAllTimers();
+    mopidy._reconnect();
+    jest.runAllTimers();
+
+    await expect(mopidy._send({ method: "foo" })).rejects.toThrow(
+      new Mopidy.ConnectionError("Gave up reconnecting after 1 attempts")
+    );
+    expect(mopidy._offlineQueue.length).toBe(0);
+  });
+
+  test("queues calls again after connecting once more", () => {
+    this.mopidy.close();
+    this.mopidy.connect();
+
+    this.mopidy._send({ method: "foo" });
+
+    expect(this.mopidy._offlineQueue.length).toBe(1);
+  });
+
+  test("queues calls before a WebSocket has been created", () => {
+    const mopidy = new Mopidy({
+      autoConnect: false,
+      queueWhileOffline: true,
+    });
+
+    mopidy._send({ method: "foo" });
+
+    expect(mopidy._offlineQueue.length).toBe(1);
+  });
+
+  test("sends queued calls in order when the client is online", (done) => {
+    jest.spyOn(this.mopidy, "_nextRequestId").mockReturnValueOnce(1);
+    jest.spyOn(this.mopidy, "_nextRequestId").mockReturnValueOnce(2);
+    const promise1 = this.mopidy._send({ method: "foo" });
+    const promise2 = this.mopidy._send({ method: "bar" });
+    this.closedWebSocket.readyState = Mopidy.WebSocket.OPEN;
+
+    this.mopidy.emit("state:online");
+
+    expect(this.mopidy._offlineQueue.length).toBe(0);
+    expect(this.closedWebSocket.send.mock.calls).toEqual([
+      [JSON.stringify({ method: "foo", jsonrpc: "2.0", id: 1 })],
+      [JSON.stringify({ method: "bar", jsonrpc: "2.0", id: 2 })],
+    ]);
+    this.mopidy._handleResponse({ jsonrpc: "2.0", id: 2, result: "b" });
+    this.mopidy._handleResponse({ jsonrpc: "2.0", id: 1, result: "a" });
+
+    expect.hasAssertions();
+    Promise.all([promise1, promise2])
+      .then((results) => {
+        expect(results).toEqual(["a", "b"]);
+      })
+      .then(done);
+  });
+
+  test("rejects calls when the queue is full", (done) => {
+    const mopidy = new Mopidy({
+      webSocket: this.closedWebSocket,
+      queueWhileOffline: true,
+      queueMaxSize: 1,
+    });
+    mopidy._send({ method: "foo" });
+
+    expect.hasAssertions();
+    mopidy
+      ._send({ method: "bar" })
+      .catch((error) => {
+        expect(error).toBeInstanceOf(Mopidy.ConnectionError);
+        expect(error.message).toBe("Offline queue is full");
+        expect(mopidy._offlineQueue.length).toBe(1);
+      })
+      .then(done);
+  });
+
+  test("drops calls that expire while queued", (done) => {
+    const mopidy = new Mopidy({
+      webSocket: this.closedWebSocket,
+      queueWhileOffline: true,
+      queueExpiry: 5000,
+    });
+    const promise = mopidy._send({ method: "foo" });
+    mopidy._send({ method: "bar" }, { queueExpiry: 0 });
+
+    jest.advanceTimersByTime(5000);
+
+    expect(mopidy._offlineQueue.length).toBe(1);
+    expect(mopidy._offlineQueue[0].message).toEqual({ method: "bar" });
+    expect.hasAssertions();
+    promise
+      .catch((error) => {
+        expect(error).toBeInstanceOf(Mopidy.ConnectionError);
+        expect(error.message).toBe("Request to foo expired in offline queue");
+      })
+      .then(done);
+  });
+
+  test("per-call queueExpiry overrides the queueExpiry setting", () => {
+    this.mopidy._send({ method: "foo" }, { queueExpiry: 100 }).catch(() => {});
+
+    jest.advanceTimersByTime(100);
+
+    expect(this.mopidy._offlineQueue.length).toBe(0);
+  });
+
+  test("drops queued calls when aborted", (done) => {
+    const controller = createAbortController();
+    const promise = this.mopidy._send(
+      { method: "foo" },
+      { signal: controller.signal }
+    );
+
+    controller.abort();
+
+    expect(this.mopidy._offlineQueue.length).toBe(0);
+    expect.hasAssertions();
+    promise
+      .catch((error) => {
+        expect(error).toBeInstanceOf(Mopidy.AbortError);
+      })
+      .then(done);
+  });
+
+  test("rejects queued calls on close", (done) => {
+    const promise = this.mopidy._send({ method: "foo" });
+
+    this.mopidy.close();
+
+    expect(this.mopidy._offlineQueue.length).toBe(0);
+    expect.hasAssertions();
+    promise
+      .catch((error) => {
+        expect(error).toBeInstanceOf(Mopidy.ConnectionError);
+        expect(error.message).toBe("WebSocket closed");
+      })
+      .then(done);
+  });
+});
+
+describe("._send with a batch", () => {
+  test("sends all messages as a single JSON-RPC batch", () => {
+    const spy = jest.fn();
+    this.mopidy.on("websocket:outgoingMessage", spy);
+    jest.spyOn(this.mopidy, "_nextRequestId").mockReturnValueOnce(1);
+    jest.spyOn(this.mopidy, "_nextRequestId").mockReturnValueOnce(2);
+
+    this.mopidy._send([{ method: "foo" }, { method: "bar", params: [1] }]);
+
+    const batch = [
+      { method: "foo", jsonrpc: "2.0", id: 1 },
+      { method: "bar", params: [1], jsonrpc: "2.0", id: 2 },
+    ];
+    expect(this.mopidy._webSocket.send).toBeCalledTimes(1);
+    expect(this.mopidy._webSocket.send).toBeCalledWith(JSON.stringify(batch));
+    expect(spy).toBeCalledWith(batch);
+    expect(Object.keys(this.mopidy._pendingRequests)).toEqual(["1", "2"]);
+  });
+
+  test("resolves with the outcome of each message", (done) => {
+    const promise = this.mopidy._send([{ method: "foo" }, { method: "bar" }]);
+    const [id1, id2] = Object.keys(this.mopidy._pendingRequests);
+
+    this.mopidy._handleResponse({
+      jsonrpc: "2.0",
+      id: id2,
+      error: { code: -32601, message: "Method not found" },
+    });
+    this.mopidy._handleResponse({ jsonrpc: "2.0", id: id1, result: "a" });
+
+    expect.hasAssertions();
+    promise
+      .then(([outcome1, outcome2]) => {
+        expect(outcome1).toEqual({ result: "a" });
+        expect(outcome2.error).toBeInstanceOf(Mopidy.ServerError);
+        expect(outcome2.error.message).toBe("Method not found");
+      })
+      .then(done);
+  });
+
+  test("resolves an empty batch without sending anything", (done) => {
+    expect.hasAssertions();
+    this.mopidy
+      ._send([])
+      .then((outcomes) => {
+        expect(outcomes).toEqual([]);
+        expect(this.mopidy._webSocket.send).not.toBeCalled();
+      })
+      .then(done);
+  });
 });
 
 describe("._nextRequestId", () => {
@@ -560,6 +1864,15 @@ describe("._nextRequestId", () => {
     expect(this.mopidy._nextRequestId()).toBe(base + 2);
     expect(this.mopidy._nextRequestId()).toBe(base + 3);
   });
+
+  test("has a separate sequence for each instance", () => {
+    const other = new Mopidy({ autoConnect: false });
+    this.mopidy._nextRequestId();
+    this.mopidy._nextRequestId();
+
+    expect(this.mopidy._nextRequestId()).toBe(2);
+    expect(other._nextRequestId()).toBe(0);
+  });
 });
 
 describe("._handleMessage", () => {
@@ -589,6 +1902,23 @@ describe("._handleMessage", () => {
     expect(spy).toBeCalledWith(message);
   });
 
+  test("passes each response in a batch on to _handleResponse", () => {
+    const stub = jest
+      .spyOn(this.mopidy, "_handleResponse")
+      .mockImplementation(() => {});
+    const message = [
+      { jsonrpc: "2.0", id: 1, result: null },
+      { jsonrpc: "2.0", id: 2, result: null },
+    ];
+    const messageEvent = { data: JSON.stringify(message) };
+
+    this.mopidy._handleMessage(messageEvent);
+
+    expect(stub).toBeCalledTimes(2);
+    expect(stub).toBeCalledWith(message[0]);
+    expect(stub).toBeCalledWith(message[1]);
+  });
+
   test("passes events on to _handleEvent", () => {
     const stub = jest
       .spyOn(this.mopidy, "_handleEvent")
@@ -674,6 +2004,28 @@ describe("._handleResponse", () => {
       .then(done);
   });
 
+  test("hydrates models in results if hydrateModels is set", (done) => {
+    const mopidy = new Mopidy({
+      webSocket: this.openWebSocket,
+      hydrateModels: true,
+    });
+    const promise = mopidy._send({ method: "bar" });
+
+    mopidy._handleResponse({
+      jsonrpc: "2.0",
+      id: Object.keys(mopidy._pendingRequests)[0],
+      result: [{ __model__: "Ref", uri: "a:1", name: "A", type: "track" }],
+    });
+
+    expect.hasAssertions();
+    promise
+      .then(([ref]) => {
+        expect(ref).toBeInstanceOf(Mopidy.models.Ref);
+        expect(ref.uri).toBe("a:1");
+      })
+      .then(done);
+  });
+
   test("rejects and logs requests which get errors back", (done) => {
     const promise = this.mopidy._send({ method: "bar" });
     const responseError = {
@@ -767,21 +2119,145 @@ describe("._handleEvent", () => {
 
     this.mopidy._handleEvent(message);
 
-    expect(spy).toBeCalledWith("event:trackPlaybackStarted", { track });
+    expect(spy).toBeCalledWith("event:trackPlaybackStarted", { track });
+  });
+
+  test("emits server side events on 'event:*' events", () => {
+    const spy = jest.fn();
+    this.mopidy.on("event:trackPlaybackStarted", spy);
+    const track = {};
+    const message = {
+      event: "track_playback_started",
+      track,
+    };
+
+    this.mopidy._handleEvent(message);
+
+    expect(spy).toBeCalledWith({ track });
+  });
+});
+
+describe("._handleEvent with hydrateModels", () => {
+  test("hydrates models in the event data", () => {
+    const mopidy = new Mopidy({
+      webSocket: this.openWebSocket,
+      hydrateModels: true,
+    });
+    const spy = jest.fn();
+    mopidy.on("event:trackPlaybackStarted", spy);
+
+    mopidy._handleEvent({
+      event: "track_playback_started",
+      tl_track: {
+        __model__: "TlTrack",
+        tlid: 1,
+        track: { __model__: "Track", uri: "a:1" },
+      },
+    });
+
+    const [{ tl_track: tlTrack }] = spy.mock.calls[0];
+    expect(tlTrack).toBeInstanceOf(Mopidy.models.TlTrack);
+    expect(tlTrack.track).toBeInstanceOf(Mopidy.models.Track);
+  });
+
+  test("leaves the event data alone by default", () => {
+    const spy = jest.fn();
+    this.mopidy.on("event:trackPlaybackStarted", spy);
+    const tlTrack = { __model__: "TlTrack", tlid: 1 };
+
+    this.mopidy._handleEvent({
+      event: "track_playback_started",
+      tl_track: tlTrack,
+    });
+
+    expect(spy).toBeCalledWith({ tl_track: tlTrack });
+  });
+});
+
+describe("caseConversion", () => {
+  beforeEach(() => {
+    this.mopidy = new Mopidy({
+      webSocket: this.openWebSocket,
+      caseConversion: "camel",
+    });
+  });
+
+  test("converts the keys in results to camelCase", (done) => {
+    const promise = this.mopidy._send({ method: "bar" });
+
+    this.mopidy._handleResponse({
+      jsonrpc: "2.0",
+      id: Object.keys(this.mopidy._pendingRequests)[0],
+      result: {
+        "local:track:a_b.mp3": [
+          { __model__: "Track", uri: "local:track:a_b.mp3", track_no: 1 },
+        ],
+      },
+    });
+
+    expect.hasAssertions();
+    promise
+      .then((result) => {
+        expect(result).toEqual({
+          "local:track:a_b.mp3": [
+            { __model__: "Track", uri: "local:track:a_b.mp3", trackNo: 1 },
+          ],
+        });
+      })
+      .then(done);
+  });
+
+  test("converts the keys in event data to camelCase", () => {
+    const spy = jest.fn();
+    this.mopidy.on("event:seeked", spy);
+
+    this.mopidy._handleEvent({ event: "seeked", time_position: 1000 });
+
+    expect(spy).toBeCalledWith({ timePosition: 1000 });
+  });
+
+  test("leaves hydrated models alone", () => {
+    const mopidy = new Mopidy({
+      webSocket: this.openWebSocket,
+      caseConversion: "camel",
+      hydrateModels: true,
+    });
+    const spy = jest.fn();
+    mopidy.on("event:trackPlaybackStarted", spy);
+
+    mopidy._handleEvent({
+      event: "track_playback_started",
+      tl_track: {
+        __model__: "TlTrack",
+        tlid: 1,
+        track: { __model__: "Track", uri: "a:1", track_no: 3 },
+      },
+    });
+
+    const [{ tlTrack }] = spy.mock.calls[0];
+    expect(tlTrack).toBeInstanceOf(Mopidy.models.TlTrack);
+    expect(tlTrack.track.track_no).toBe(3);
+    expect(tlTrack.track.trackNo).toBe(3);
   });
 
-  test("emits server side events on 'event:*' events", () => {
-    const spy = jest.fn();
-    this.mopidy.on("event:trackPlaybackStarted", spy);
-    const track = {};
-    const message = {
-      event: "track_playback_started",
-      track,
-    };
+  test("converts the keys in params to snake_case", () => {
+    this.mopidy._createApi({ "core.library.search": { params: ["query"] } });
+    const sendStub = jest
+      .spyOn(this.mopidy, "_send")
+      .mockImplementation(() => {});
 
-    this.mopidy._handleEvent(message);
+    this.mopidy.library.search({
+      query: { trackName: ["a"], any: ["b"] },
+      exact: true,
+    });
 
-    expect(spy).toBeCalledWith({ track });
+    expect(sendStub).toBeCalledWith(
+      {
+        method: "core.library.search",
+        params: { query: { track_name: ["a"], any: ["b"] }, exact: true },
+      },
+      {}
+    );
   });
 });
 
@@ -918,29 +2394,52 @@ describe("API method calls", () => {
   test("sends no params if no arguments passed to function", () => {
     this.mopidy.foo();
 
-    expect(this.sendStub).toBeCalledWith({ method: "foo" });
+    expect(this.sendStub).toBeCalledWith({ method: "foo" }, {});
   });
 
   test("sends by-position if argument is a list", () => {
     this.mopidy.foo([31, 97]);
 
-    expect(this.sendStub).toBeCalledWith({
-      method: "foo",
-      params: [31, 97],
-    });
+    expect(this.sendStub).toBeCalledWith(
+      {
+        method: "foo",
+        params: [31, 97],
+      },
+      {}
+    );
   });
 
   test("sends by-name if argument is an object", () => {
     this.mopidy.foo({ bar: 31, baz: 97 });
 
-    expect(this.sendStub).toBeCalledWith({
-      method: "foo",
-      params: { bar: 31, baz: 97 },
-    });
+    expect(this.sendStub).toBeCalledWith(
+      {
+        method: "foo",
+        params: { bar: 31, baz: 97 },
+      },
+      {}
+    );
   });
 
-  test("rejects with error if more than one argument", (done) => {
-    const promise = this.mopidy.foo([1, 2], { c: 3, d: 4 });
+  test("passes call options on to _send", () => {
+    const controller = createAbortController();
+
+    this.mopidy.foo([31, 97], { timeout: 100, signal: controller.signal });
+
+    expect(this.sendStub).toBeCalledWith(
+      { method: "foo", params: [31, 97] },
+      { timeout: 100, signal: controller.signal }
+    );
+  });
+
+  test("accepts call options without params", () => {
+    this.mopidy.foo(undefined, { timeout: 100 });
+
+    expect(this.sendStub).toBeCalledWith({ method: "foo" }, { timeout: 100 });
+  });
+
+  test("rejects with error if more than two arguments", (done) => {
+    const promise = this.mopidy.foo([1, 2], { timeout: 3 }, { d: 4 });
 
     expect.hasAssertions();
     promise
@@ -948,12 +2447,26 @@ describe("API method calls", () => {
         expect(this.sendStub).toBeCalledTimes(0);
         expect(error).toBeInstanceOf(Error);
         expect(error.message).toBe(
-          "Expected zero arguments, a single array, or a single object."
+          "Expected zero arguments, a single array, or a single object, " +
+            "optionally followed by an object with call options."
         );
       })
       .then(done);
   });
 
+  test("rejects with error if unknown call options", (done) => {
+    const promise = this.mopidy.foo([1, 2], { c: 3, d: 4 });
+
+    expect.hasAssertions();
+    promise
+      .catch((error) => {
+        expect(this.sendStub).toBeCalledTimes(0);
+        expect(error).toBeInstanceOf(TypeError);
+        expect(error.message).toBe("Unknown call option: c");
+      })
+      .then(done);
+  });
+
   test("rejects with error if string", (done) => {
     const promise = this.mopidy.foo("hello");
 
@@ -982,3 +2495,545 @@ describe("API method calls", () => {
       .then(done);
   });
 });
+
+describe("API method calls with validateParams", () => {
+  beforeEach(() => {
+    this.mopidy = new Mopidy({
+      webSocket: this.openWebSocket,
+      validateParams: true,
+    });
+    this.mopidy._createApi({
+      "core.library.browse": { params: [{ name: "uri" }] },
+      "core.playback.play": {
+        params: [
+          { name: "tl_track", default: null },
+          { name: "tlid", default: null },
+        ],
+      },
+      "core.misc.anything": {
+        params: [
+          { name: "args", varargs: true },
+          { name: "kwargs", kwargs: true },
+        ],
+      },
+    });
+    this.sendStub = jest
+      .spyOn(this.mopidy, "_send")
+      .mockImplementation(() => Promise.resolve());
+  });
+
+  test("maps positional arguments to named params", () => {
+    this.mopidy.playback.play([null, 3]);
+
+    expect(this.sendStub).toBeCalledWith(
+      { method: "core.playback.play", params: { tl_track: null, tlid: 3 } },
+      {}
+    );
+  });
+
+  test("allows leaving out params with defaults", () => {
+    this.mopidy.playback.play();
+
+    expect(this.sendStub).toBeCalledWith({ method: "core.playback.play" }, {});
+  });
+
+  test("rejects too many positional arguments", (done) => {
+    expect.hasAssertions();
+    this.mopidy.playback
+      .play([null, 3, 4])
+      .catch((error) => {
+        expect(error).toBeInstanceOf(Mopidy.ParameterError);
+        expect(error.message).toBe(
+          "core.playback.play takes at most 2 arguments, got 3"
+        );
+        expect(this.sendStub).not.toBeCalled();
+      })
+      .then(done);
+  });
+
+  test("rejects unknown params", (done) => {
+    expect.hasAssertions();
+    this.mopidy.playback
+      .play({ tlId: 3 })
+      .catch((error) => {
+        expect(error).toBeInstanceOf(Mopidy.ParameterError);
+        expect(error.message).toBe(
+          'core.playback.play got an unknown parameter "tlId"'
+        );
+        expect(error.method).toBe("core.playback.play");
+        expect(error.param).toBe("tlId");
+        expect(this.sendStub).not.toBeCalled();
+      })
+      .then(done);
+  });
+
+  test("rejects missing required params", (done) => {
+    expect.hasAssertions();
+    this.mopidy.library
+      .browse({})
+      .catch((error) => {
+        expect(error).toBeInstanceOf(Mopidy.ParameterError);
+        expect(error.message).toBe(
+          'core.library.browse is missing the required parameter "uri"'
+        );
+        expect(error.param).toBe("uri");
+      })
+      .then(done);
+  });
+
+  test("accepts anything for methods with varargs and kwargs", () => {
+    this.mopidy.misc.anything([1, 2, 3]);
+    this.mopidy.misc.anything({ foo: 1 });
+
+    expect(this.sendStub).toBeCalledTimes(2);
+  });
+
+  test("validates the calls in a batch", (done) => {
+    expect.hasAssertions();
+    this.mopidy
+      .batch((b) => [b.library.browse()])
+      .catch((error) => {
+        expect(error).toBeInstanceOf(Mopidy.ParameterError);
+        expect(this.sendStub).not.toBeCalled();
+      })
+      .then(done);
+  });
+});
+
+describe(".batch", () => {
+  beforeEach(() => {
+    this.mopidy._createApi({
+      "core.playback.get_state": { params: [] },
+      "core.mixer.get_volume": { params: [] },
+      "core.mixer.set_volume": { params: [{ name: "volume" }] },
+    });
+  });
+
+  test("sends all calls as a single batch", () => {
+    const sendSpy = jest.spyOn(this.mopidy, "_send");
+
+    this.mopidy.batch((b) => [
+      b.playback.getState(),
+      b.mixer.setVolume({ volume: 50 }),
+    ]);
+
+    expect(sendSpy).toBeCalledTimes(1);
+    expect(sendSpy).toBeCalledWith(
+      [
+        { method: "core.playback.get_state" },
+        { method: "core.mixer.set_volume", params: { volume: 50 } },
+      ],
+      {}
+    );
+  });
+
+  test("passes call options on to _send", () => {
+    const sendSpy = jest.spyOn(this.mopidy, "_send");
+
+    this.mopidy.batch((b) => [b.playback.getState()], { timeout: 100 });
+
+    expect(sendSpy).toBeCalledWith([{ method: "core.playback.get_state" }], {
+      timeout: 100,
+    });
+  });
+
+  test("resolves each call individually", (done) => {
+    let statePromise;
+    let volumePromise;
+    const promise = this.mopidy.batch((b) => {
+      statePromise = b.playback.getState();
+      volumePromise = b.mixer.getVolume();
+      return [statePromise, volumePromise];
+    });
+    const [id1, id2] = Object.keys(this.mopidy._pendingRequests);
+
+    this.mopidy._handleMessage({
+      data: JSON.stringify([
+        { jsonrpc: "2.0", id: Number(id2), result: 80 },
+        { jsonrpc: "2.0", id: Number(id1), result: "playing" },
+      ]),
+    });
+
+    expect.hasAssertions();
+    Promise.all([statePromise, volumePromise, promise])
+      .then(([state, volume, results]) => {
+        expect(state).toBe("playing");
+        expect(volume).toBe(80);
+        expect(results).toEqual(["playing", 80]);
+      })
+      .then(done);
+  });
+
+  test("rejects only the calls that fail", (done) => {
+    let statePromise;
+    let volumePromise;
+    const promise = this.mopidy.batch((b) => {
+      statePromise = b.playback.getState();
+      volumePromise = b.mixer.getVolume();
+      return [statePromise, volumePromise];
+    });
+    const [id1, id2] = Object.keys(this.mopidy._pendingRequests);
+
+    this.mopidy._handleMessage({
+      data: JSON.stringify([
+        { jsonrpc: "2.0", id: Number(id1), result: "playing" },
+        {
+          jsonrpc: "2.0",
+          id: Number(id2),
+          error: { code: 0, message: "No mixer" },
+        },
+      ]),
+    });
+
+    expect.hasAssertions();
+    Promise.all([
+      statePromise,
+      volumePromise.catch((error) => error),
+      promise.catch((error) => error),
+    ])
+      .then(([state, volumeError, batchError]) => {
+        expect(state).toBe("playing");
+        expect(volumeError).toBeInstanceOf(Mopidy.ServerError);
+        expect(batchError).toBe(volumeError);
+      })
+      .then(done);
+  });
+
+  test("rejects all calls if the batch can't be sent", (done) => {
+    this.mopidy._webSocket.readyState = Mopidy.WebSocket.CLOSED;
+    let statePromise;
+    const promise = this.mopidy.batch((b) => {
+      statePromise = b.playback.getState();
+      return [statePromise];
+    });
+
+    expect.hasAssertions();
+    Promise.all([
+      statePromise.catch((error) => error),
+      promise.catch((error) => error),
+    ])
+      .then(([stateError, batchError]) => {
+        expect(stateError).toBeInstanceOf(Mopidy.ConnectionError);
+        expect(batchError).toBe(stateError);
+      })
+      .then(done);
+  });
+
+  test("rejects calls with call options", (done) => {
+    const sendSpy = jest.spyOn(this.mopidy, "_send");
+
+    const promise = this.mopidy.batch((b) => [
+      b.playback.getState(undefined, { timeout: 100 }),
+    ]);
+
+    expect.hasAssertions();
+    promise
+      .catch((error) => {
+        expect(sendSpy).not.toBeCalled();
+        expect(error).toBeInstanceOf(TypeError);
+        expect(error.message).toBe(
+          "Call options must be passed to batch(), not to batched calls."
+        );
+      })
+      .then(done);
+  });
+
+  test("rejects without sending anything if build throws", async () => {
+    const sendSpy = jest.spyOn(this.mopidy, "_send");
+    const error = new Error("Oops");
+
+    const promise = this.mopidy.batch((b) => {
+      b.playback.getState();
+      throw error;
+    });
+
+    await expect(promise).rejects.toBe(error);
+    expect(sendSpy).not.toBeCalled();
+  });
+
+  test("rejects without sending anything if build doesn't return an array", async () => {
+    const sendSpy = jest.spyOn(this.mopidy, "_send");
+
+    const promise = this.mopidy.batch((b) => b.playback.getState());
+
+    await expect(promise).rejects.toThrow(
+      new TypeError("Expected build() to return an array of promises.")
+    );
+    expect(sendSpy).not.toBeCalled();
+  });
+
+  test("rejects if the API isn't available yet", (done) => {
+    const mopidy = new Mopidy({ autoConnect: false });
+
+    expect.hasAssertions();
+    mopidy
+      .batch(() => [])
+      .catch((error) => {
+        expect(error).toBeInstanceOf(Mopidy.ConnectionError);
+        expect(error.message).toBe("API is not available yet");
+      })
+      .then(done);
+  });
+});
+
+describe(".use", () => {
+  // Let the middleware pipelines run, without relying on timers
+  const flushPromises = (rounds = 20) =>
+    rounds > 0
+      ? Promise.resolve().then(() => flushPromises(rounds - 1))
+      : Promise.resolve();
+
+  const sentMessages = () =>
+    this.openWebSocket.send.mock.calls.map(([data]) => JSON.parse(data));
+
+  const respond = (response) =>
+    this.mopidy._handleMessage({
+      data: JSON.stringify({ jsonrpc: "2.0", ...response }),
+    });
+
+  beforeEach(() => {
+    jest.spyOn(this.mopidy, "_nextRequestId").mockImplementation(() => 1);
+  });
+
+  test("sends messages synchronously without middleware", () => {
+    const remove = this.mopidy.use({ request: jest.fn() });
+    remove();
+
+    this.mopidy._send({ method: "foo" });
+
+    expect(this.openWebSocket.send).toBeCalledTimes(1);
+  });
+
+  test("lets request middleware modify outgoing messages", async () => {
+    const outgoing = jest.fn();
+    this.mopidy.on("websocket:outgoingMessage", outgoing);
+    this.mopidy.use({
+      request: (message) => ({
+        ...message,
+        params: { ...message.params, token: "secret" },
+      }),
+    });
+
+    this.mopidy._send({ method: "foo", params: { bar: 1 } });
+    await flushPromises();
+
+    const expected = {
+      jsonrpc: "2.0",
+      id: 1,
+      method: "foo",
+      params: { bar: 1, token: "secret" },
+    };
+    expect(sentMessages()).toEqual([expected]);
+    expect(outgoing).toBeCalledWith(expected);
+  });
+
+  test("keeps messages unchanged if middleware returns nothing", async () => {
+    const request = jest.fn();
+    this.mopidy.use({ request });
+
+    this.mopidy._send({ method: "foo" });
+    await flushPromises();
+
+    expect(request).toBeCalledWith({ jsonrpc: "2.0", id: 1, method: "foo" });
+    expect(sentMessages()).toEqual([{ jsonrpc: "2.0", id: 1, method: "foo" }]);
+  });
+
+  test("sends messages in order, even with async middleware", async () => {
+    this.mopidy._nextRequestId
+      .mockImplementationOnce(() => 1)
+      .mockImplementationOnce(() => 2);
+    let releaseFirst;
+    this.mopidy.use({
+      request: (message) =>
+        message.id === 1
+          ? new Promise((resolve) => {
+              releaseFirst = resolve;
+            })
+          : undefined,
+    });
+
+    this.mopidy._send({ method: "first" });
+    this.mopidy._send({ method: "second" });
+    await flushPromises();
+    expect(this.openWebSocket.send).not.toBeCalled();
+
+    releaseFirst();
+    await flushPromises();
+    expect(sentMessages().map(({ method }) => method)).toEqual([
+      "first",
+      "second",
+    ]);
+  });
+
+  test("short-circuits requests when middleware returns a response", async () => {
+    this.mopidy.use({
+      request: (message) =>
+        message.method === "cached" ? { result: "from cache" } : undefined,
+    });
+
+    const result = this.mopidy._send({ method: "cached" });
+
+    await expect(result).resolves.toBe("from cache");
+    expect(this.openWebSocket.send).not.toBeCalled();
+  });
+
+  test("rejects calls if request middleware fails", async () => {
+    this.mopidy.use({
+      request: () => {
+        throw new Error("Not allowed");
+      },
+    });
+
+    const result = this.mopidy._send({ method: "foo" });
+
+    await expect(result).rejects.toThrow("Not allowed");
+    expect(this.openWebSocket.send).not.toBeCalled();
+  });
+
+  test("rejects calls if the WebSocket closed during middleware", async () => {
+    this.mopidy.use({ request: () => Promise.resolve() });
+
+    const result = this.mopidy._send({ method: "foo" });
+    this.openWebSocket.readyState = Mopidy.WebSocket.CLOSED;
+
+    await expect(result).rejects.toThrow(Mopidy.ConnectionError);
+    expect(this.openWebSocket.send).not.toBeCalled();
+  });
+
+  test("passes batches through middleware one call at a time", async () => {
+    this.mopidy._nextRequestId
+      .mockImplementationOnce(() => 1)
+      .mockImplementationOnce(() => 2);
+    this.mopidy.use({
+      request: (message) =>
+        message.method === "cached" ? { result: "from cache" } : undefined,
+    });
+
+    const result = this.mopidy._send([{ method: "cached" }, { method: "foo" }]);
+    await flushPromises();
+    respond({ id: 2, result: "from server" });
+
+    expect(sentMessages()).toEqual([
+      [{ jsonrpc: "2.0", id: 2, method: "foo" }],
+    ]);
+    await expect(result).resolves.toEqual([
+      { result: "from cache" },
+      { result: "from server" },
+    ]);
+  });
+
+  test("lets response middleware transform responses", async () => {
+    const response = jest.fn((message) => ({
+      ...message,
+      result: message.result * 2,
+    }));
+    this.mopidy.use({ response });
+
+    const result = this.mopidy._send({ method: "foo" });
+    await flushPromises();
+    respond({ id: 1, result: 21 });
+
+    await expect(result).resolves.toBe(42);
+    expect(response).toBeCalledWith(
+      { jsonrpc: "2.0", id: 1, result: 21 },
+      { jsonrpc: "2.0", id: 1, method: "foo" }
+    );
+  });
+
+  test("rejects calls if response middleware fails", async () => {
+    this.mopidy.use({
+      response: () => Promise.reject(new Error("Bad response")),
+    });
+
+    const result = this.mopidy._send({ method: "foo" });
+    await flushPromises();
+    respond({ id: 1, result: 21 });
+
+    await expect(result).rejects.toThrow("Bad response");
+  });
+
+  test("lets event middleware transform and drop events", async () => {
+    const spy = jest.fn();
+    this.mopidy.on("event", spy);
+    this.mopidy.use({
+      event: (message) => {
+        if (message.event === "volume_changed") {
+          return null;
+        }
+        return { ...message, extra: true };
+      },
+    });
+
+    this.mopidy._handleEvent({ event: "volume_changed", volume: 50 });
+    this.mopidy._handleEvent({ event: "seeked", time_position: 1000 });
+    await flushPromises();
+
+    expect(spy).toBeCalledTimes(1);
+    expect(spy).toBeCalledWith("event:seeked", {
+      time_position: 1000,
+      extra: true,
+    });
+  });
+
+  test("handles responses and events in the order they arrived", async () => {
+    const handled = [];
+    this.mopidy.on("event", (name) => handled.push(name));
+    let releaseResponse;
+    this.mopidy.use({
+      response: () =>
+        new Promise((resolve) => {
+          releaseResponse = resolve;
+        }),
+    });
+    const result = this.mopidy._send({ method: "foo" });
+    await flushPromises();
+    result.then(() => handled.push("response"));
+
+    respond({ id: 1, result: null });
+    this.mopidy._handleEvent({ event: "seeked", time_position: 1000 });
+    await flushPromises();
+    expect(handled).toEqual([]);
+
+    releaseResponse();
+    await flushPromises();
+    expect(handled).toEqual(["response", "event:seeked"]);
+  });
+
+  test("runs request middleware in the order added, and the rest in reverse", async () => {
+    const calls = [];
+    const middleware = (name) => ({
+      request: () => {
+        calls.push(`${name}:request`);
+      },
+      response: () => {
+        calls.push(`${name}:response`);
+      },
+      event: () => {
+        calls.push(`${name}:event`);
+      },
+    });
+    this.mopidy.use(middleware("outer"));
+    this.mopidy.use(middleware("inner"));
+
+    this.mopidy._send({ method: "foo" });
+    await flushPromises();
+    respond({ id: 1, result: null });
+    this.mopidy._handleEvent({ event: "seeked", time_position: 1000 });
+    await flushPromises();
+
+    expect(calls).toEqual([
+      "outer:request",
+      "inner:request",
+      "inner:response",
+      "outer:response",
+      "inner:event",
+      "outer:event",
+    ]);
+  });
+
+  test("throws if middleware isn't an object", () => {
+    expect(() => this.mopidy.use("logger")).toThrow(
+      "Expected middleware to be an object."
+    );
+  });
+});
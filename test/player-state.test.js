@@ -0,0 +1,238 @@
+/* eslint-env jest */
+
+const Mopidy = require("../src/mopidy");
+
+const API_SPEC = {
+  "core.playback.get_state": { params: [] },
+  "core.playback.get_current_tl_track": { params: [] },
+  "core.playback.get_stream_title": { params: [] },
+  "core.mixer.get_volume": { params: [] },
+  "core.mixer.get_mute": { params: [] },
+  "core.tracklist.get_tl_tracks": { params: [] },
+  "core.tracklist.get_repeat": { params: [] },
+  "core.tracklist.get_random": { params: [] },
+  "core.tracklist.get_single": { params: [] },
+  "core.tracklist.get_consume": { params: [] },
+};
+
+const tlTrack = { __model__: "TlTrack", tlid: 1, track: { uri: "a:1" } };
+const otherTlTrack = { __model__: "TlTrack", tlid: 2, track: { uri: "a:2" } };
+
+// Wait for the batched calls made by the store to settle
+const flushPromises = () => new Promise((resolve) => setImmediate(resolve));
+
+beforeEach(() => {
+  this.responses = {
+    "core.playback.get_state": "playing",
+    "core.playback.get_current_tl_track": tlTrack,
+    "core.playback.get_stream_title": null,
+    "core.mixer.get_volume": 50,
+    "core.mixer.get_mute": false,
+    "core.tracklist.get_tl_tracks": [tlTrack, otherTlTrack],
+    "core.tracklist.get_repeat": false,
+    "core.tracklist.get_random": true,
+    "core.tracklist.get_single": false,
+    "core.tracklist.get_consume": false,
+  };
+  this.mopidy = new Mopidy({
+    autoConnect: false,
+    console: { warn: jest.fn() },
+  });
+  this.send = jest
+    .spyOn(this.mopidy, "_send")
+    .mockImplementation((messages) =>
+      Promise.resolve(
+        messages.map(({ method }) => ({ result: this.responses[method] }))
+      )
+    );
+  this.state = new Mopidy.PlayerState(this.mopidy);
+});
+
+describe("PlayerState", () => {
+  test("starts out empty and offline", () => {
+    expect(this.state.getSnapshot()).toEqual({
+      online: false,
+      playbackState: null,
+      currentTlTrack: null,
+      streamTitle: null,
+      volume: null,
+      mute: null,
+      tlTracks: [],
+      repeat: null,
+      random: null,
+      single: null,
+      consume: null,
+    });
+  });
+
+  test("hydrates from the server in a single batch when online", async () => {
+    this.mopidy._createApi(API_SPEC);
+    await flushPromises();
+
+    expect(this.send).toBeCalledTimes(1);
+    expect(this.state.getSnapshot()).toEqual({
+      online: true,
+      playbackState: "playing",
+      currentTlTrack: tlTrack,
+      streamTitle: null,
+      volume: 50,
+      mute: false,
+      tlTracks: [tlTrack, otherTlTrack],
+      repeat: false,
+      random: true,
+      single: false,
+      consume: false,
+    });
+  });
+
+  test("goes offline when the client goes offline", async () => {
+    this.mopidy._createApi(API_SPEC);
+    await flushPromises();
+    this.mopidy.close(); // Don't try to reconnect
+
+    this.mopidy.emit("state:offline");
+
+    expect(this.state.getSnapshot().online).toBe(false);
+    expect(this.state.getSnapshot().volume).toBe(50);
+  });
+
+  test("updates from playback events", () => {
+    this.mopidy.emit("event:playbackStateChanged", {
+      old_state: "playing",
+      new_state: "paused",
+    });
+    this.mopidy.emit("event:trackPlaybackStarted", { tl_track: tlTrack });
+    this.mopidy.emit("event:streamTitleChanged", { title: "News" });
+
+    expect(this.state.getSnapshot()).toMatchObject({
+      playbackState: "paused",
+      currentTlTrack: tlTrack,
+      streamTitle: "News",
+    });
+
+    this.mopidy.emit("event:trackPlaybackStarted", { tl_track: otherTlTrack });
+
+    expect(this.state.getSnapshot()).toMatchObject({
+      currentTlTrack: otherTlTrack,
+      streamTitle: null,
+    });
+  });
+
+  test("updates from camelCased event data", () => {
+    this.mopidy.emit("event:playbackStateChanged", {
+      oldState: "playing",
+      newState: "paused",
+    });
+    this.mopidy.emit("event:trackPlaybackStarted", { tlTrack });
+
+    expect(this.state.getSnapshot()).toMatchObject({
+      playbackState: "paused",
+      currentTlTrack: tlTrack,
+    });
+  });
+
+  test("updates from mixer events", () => {
+    this.mopidy.emit("event:volumeChanged", { volume: 12 });
+    this.mopidy.emit("event:muteChanged", { mute: true });
+
+    expect(this.state.getSnapshot()).toMatchObject({ volume: 12, mute: true });
+  });
+
+  test("refetches the tracklist when it changes", async () => {
+    this.mopidy._createApi(API_SPEC);
+    await flushPromises();
+    this.responses["core.tracklist.get_tl_tracks"] = [otherTlTrack];
+    this.responses["core.playback.get_current_tl_track"] = otherTlTrack;
+
+    this.mopidy.emit("event:tracklistChanged", {});
+    await flushPromises();
+
+    expect(this.send).toHaveBeenLastCalledWith(
+      [
+        { method: "core.tracklist.get_tl_tracks" },
+        { method: "core.playback.get_current_tl_track" },
+      ],
+      {}
+    );
+    expect(this.state.getSnapshot()).toMatchObject({
+      tlTracks: [otherTlTrack],
+      currentTlTrack: otherTlTrack,
+    });
+  });
+
+  test("refetches the options when they change", async () => {
+    this.mopidy._createApi(API_SPEC);
+    await flushPromises();
+    this.responses["core.tracklist.get_repeat"] = true;
+    this.responses["core.tracklist.get_consume"] = true;
+
+    this.mopidy.emit("event:optionsChanged", {});
+    await flushPromises();
+
+    expect(this.state.getSnapshot()).toMatchObject({
+      repeat: true,
+      random: true,
+      single: false,
+      consume: true,
+    });
+  });
+
+  test("logs failed updates", async () => {
+    const error = new Mopidy.ConnectionError("WebSocket is closed");
+    this.send.mockImplementation(() => Promise.reject(error));
+    this.mopidy._createApi(API_SPEC);
+    await flushPromises();
+
+    expect(this.mopidy._console.warn).toBeCalledWith(
+      "Failed to update player state:",
+      error
+    );
+    expect(this.state.getSnapshot().online).toBe(false);
+  });
+
+  test("notifies subscribers with the new and previous snapshot", () => {
+    const listener = jest.fn();
+    this.state.subscribe(listener);
+    const previous = this.state.getSnapshot();
+
+    this.mopidy.emit("event:volumeChanged", { volume: 12 });
+
+    expect(listener).toBeCalledTimes(1);
+    expect(listener).toBeCalledWith(this.state.getSnapshot(), previous);
+    expect(this.state.getSnapshot()).not.toBe(previous);
+    expect(Object.isFrozen(this.state.getSnapshot())).toBe(true);
+  });
+
+  test("does not notify subscribers if nothing changed", () => {
+    this.mopidy.emit("event:volumeChanged", { volume: 12 });
+    const listener = jest.fn();
+    this.state.subscribe(listener);
+    const snapshot = this.state.getSnapshot();
+
+    this.mopidy.emit("event:volumeChanged", { volume: 12 });
+
+    expect(listener).not.toBeCalled();
+    expect(this.state.getSnapshot()).toBe(snapshot);
+  });
+
+  test("stops notifying unsubscribed listeners", () => {
+    const listener = jest.fn();
+    const unsubscribe = this.state.subscribe(listener);
+
+    unsubscribe();
+    this.mopidy.emit("event:volumeChanged", { volume: 12 });
+
+    expect(listener).not.toBeCalled();
+  });
+
+  test("stops listening to the client when destroyed", () => {
+    const listener = jest.fn();
+    this.state.subscribe(listener);
+
+    this.state.destroy();
+    this.mopidy.emit("event:volumeChanged", { volume: 12 });
+
+    expect(listener).not.toBeCalled();
+    expect(this.mopidy.listenerCount("event:volumeChanged")).toBe(0);
+  });
+});
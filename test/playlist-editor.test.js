@@ -0,0 +1,362 @@
+/* eslint-env jest */
+
+const Mopidy = require("../src/mopidy");
+const MockMopidyServer = require("../src/mock-server");
+
+const { PlaylistEditor } = Mopidy;
+
+const tracks = [1, 2, 3, 4].map((n) => ({
+  uri: `mock:track:${n}`,
+  name: `Track ${n}`,
+}));
+const uri = "mock:playlist:mix";
+
+const uris = (playlistTracks) => playlistTracks.map((track) => track.uri);
+
+const saveRequests = () =>
+  this.server.requests.filter(({ method }) => method === "core.playlists.save");
+
+// Saves the playlist like another client would
+const saveElsewhere = async (changes) => {
+  const playlist = await this.mopidy.playlists.lookup({ uri });
+  return this.mopidy.playlists.save({ playlist: { ...playlist, ...changes } });
+};
+
+const flushPromises = () => new Promise((resolve) => setImmediate(resolve));
+
+beforeEach(async () => {
+  this.server = new MockMopidyServer({
+    tracks,
+    playlists: [{ uri, name: "Mix", tracks: tracks.slice(0, 3) }],
+  });
+  this.mopidy = new Mopidy({
+    transport: this.server.createTransport,
+    console: { warn: jest.fn() },
+  });
+  await new Promise((resolve) => this.mopidy.once("state:online", resolve));
+  this.editor = new PlaylistEditor(this.mopidy, uri);
+  await this.editor.load();
+});
+
+afterEach(() => {
+  this.editor.destroy();
+  this.mopidy.close();
+});
+
+describe("PlaylistEditor", () => {
+  test("stages changes without saving them", () => {
+    const onChange = jest.fn();
+    this.editor.on("change", onChange);
+
+    this.editor
+      .append(["mock:track:4"])
+      .insert(0, [tracks[3]])
+      .remove(1)
+      .move(0, 2, 2)
+      .rename("New mix");
+
+    expect(this.editor.name).toBe("New mix");
+    expect(uris(this.editor.tracks)).toEqual([
+      "mock:track:3",
+      "mock:track:4",
+      "mock:track:4",
+      "mock:track:2",
+    ]);
+    expect(this.editor.tracks[1]).toEqual({
+      __model__: "Track",
+      uri: "mock:track:4",
+    });
+    expect(this.editor.dirty).toBe(true);
+    expect(this.editor.changes.map(({ type }) => type)).toEqual([
+      "append",
+      "insert",
+      "remove",
+      "move",
+      "rename",
+    ]);
+    expect(onChange).toBeCalledTimes(5);
+    expect(this.editor.playlist.name).toBe("Mix");
+    expect(saveRequests()).toHaveLength(0);
+  });
+
+  test("saves the staged changes", async () => {
+    const onSave = jest.fn();
+    this.editor.on("save", onSave);
+    this.editor.remove(0, 2).rename("Short mix");
+
+    const saved = await this.editor.save();
+
+    expect(saveRequests()[0].params.playlist).toEqual({
+      __model__: "Playlist",
+      uri,
+      name: "Short mix",
+      tracks: [{ __model__: "Track", ...tracks[2] }],
+      last_modified: expect.any(Number),
+    });
+    expect(saved.name).toBe("Short mix");
+    expect(this.editor.playlist).toBe(saved);
+    expect(this.editor.dirty).toBe(false);
+    expect(onSave).toBeCalledWith({ playlist: saved });
+  });
+
+  test("doesn't save if nothing has changed", async () => {
+    expect(await this.editor.save()).toBe(this.editor.playlist);
+    expect(saveRequests()).toHaveLength(0);
+  });
+
+  test("doesn't treat its own saves as conflicts", async () => {
+    const onConflict = jest.fn();
+    this.editor.on("conflict", onConflict);
+    this.editor.append(["mock:track:4"]);
+
+    await this.editor.save();
+    await flushPromises();
+
+    expect(onConflict).not.toBeCalled();
+    expect(this.editor.conflict).toBeNull();
+  });
+
+  test("detects changes saved by other clients", async () => {
+    const conflict = new Promise((resolve) =>
+      this.editor.once("conflict", resolve)
+    );
+    this.editor.append(["mock:track:4"]);
+
+    const remote = await saveElsewhere({ name: "Their mix" });
+
+    expect(await conflict).toEqual({ playlist: remote });
+    expect(this.editor.conflict).toEqual(remote);
+    const error = await this.editor.save().catch((e) => e);
+    expect(error).toBeInstanceOf(Mopidy.ConflictError);
+    expect(error.message).toBe(
+      "Playlist mock:playlist:mix was changed by another client"
+    );
+    expect(error.playlist).toEqual(remote);
+    expect(this.editor.dirty).toBe(true);
+    expect(saveRequests()).toHaveLength(1);
+  });
+
+  test("detects conflicts when saving even if the event was missed", async () => {
+    const remote = {
+      ...this.editor.playlist,
+      name: "Their mix",
+      last_modified: this.editor.playlist.last_modified + 1,
+    };
+    this.server.mockResult("core.playlists.lookup", remote);
+    this.editor.rename("My mix");
+
+    await expect(this.editor.save()).rejects.toBeInstanceOf(
+      Mopidy.ConflictError
+    );
+    expect(this.editor.conflict).toEqual(remote);
+  });
+
+  test("picks up changes by others when nothing is staged", async () => {
+    const change = new Promise((resolve) =>
+      this.editor.once("change", resolve)
+    );
+
+    const remote = await saveElsewhere({ tracks: [tracks[3]] });
+
+    expect(uris((await change).tracks)).toEqual(["mock:track:4"]);
+    expect(this.editor.playlist).toEqual(remote);
+    expect(this.editor.conflict).toBeNull();
+  });
+
+  test("checks for changes missed while offline", async () => {
+    this.editor.append(["mock:track:4"]);
+    this.server.disconnect();
+    const other = new Mopidy({
+      transport: this.server.createTransport,
+      console: { warn: jest.fn() },
+    });
+    await new Promise((resolve) => other.once("state:online", resolve));
+    const playlist = await other.playlists.lookup({ uri });
+    await other.playlists.save({ playlist: { ...playlist, name: "Theirs" } });
+    other.close();
+    const conflict = new Promise((resolve) =>
+      this.editor.once("conflict", resolve)
+    );
+
+    this.mopidy.connect();
+
+    expect((await conflict).playlist.name).toBe("Theirs");
+  });
+
+  test("replays the changes on the latest version when retrying", async () => {
+    const onConflict = jest.fn(() => "retry");
+    this.editor.destroy();
+    this.editor = new PlaylistEditor(this.mopidy, uri, { onConflict });
+    await this.editor.load();
+    this.editor.remove(0).move(0, 1, 1).append(["mock:track:4"]);
+    await saveElsewhere({ tracks: [tracks[3], ...tracks.slice(0, 3)] });
+
+    const saved = await this.editor.save();
+
+    expect(onConflict).toBeCalledWith({
+      base: expect.objectContaining({ name: "Mix" }),
+      remote: expect.objectContaining({ name: "Mix" }),
+      local: expect.objectContaining({ name: "Mix" }),
+      changes: [
+        expect.objectContaining({ type: "remove" }),
+        expect.objectContaining({ type: "move" }),
+        expect.objectContaining({ type: "append" }),
+      ],
+    });
+    expect(uris(saved.tracks)).toEqual([
+      "mock:track:4",
+      "mock:track:3",
+      "mock:track:2",
+      "mock:track:4",
+    ]);
+    expect(onConflict).toBeCalledTimes(1);
+  });
+
+  test("gives up retrying after maxRetries attempts", async () => {
+    const onConflict = jest.fn(() => "retry");
+    this.editor.destroy();
+    this.editor = new PlaylistEditor(this.mopidy, uri, {
+      onConflict,
+      maxRetries: 2,
+    });
+    await this.editor.load();
+    this.editor.rename("Mine");
+    let lastModified = Date.now() + 1000;
+    this.server.mockResult("core.playlists.lookup", () => {
+      lastModified += 1;
+      return {
+        __model__: "Playlist",
+        uri,
+        name: "Mix",
+        last_modified: lastModified,
+      };
+    });
+
+    await expect(this.editor.save()).rejects.toBeInstanceOf(
+      Mopidy.ConflictError
+    );
+    expect(onConflict).toBeCalledTimes(3);
+  });
+
+  test("overwrites the other changes if asked to", async () => {
+    this.editor.destroy();
+    this.editor = new PlaylistEditor(this.mopidy, uri, {
+      onConflict: () => Promise.resolve("overwrite"),
+    });
+    await this.editor.load();
+    this.editor.rename("Mine");
+    await saveElsewhere({ name: "Theirs", tracks: [] });
+
+    const saved = await this.editor.save();
+
+    expect(saved.name).toBe("Mine");
+    expect(uris(saved.tracks)).toEqual(uris(tracks.slice(0, 3)));
+  });
+
+  test("saves the result of merging the changes", async () => {
+    this.editor.destroy();
+    this.editor = new PlaylistEditor(this.mopidy, uri, {
+      onConflict: ({ remote, local }) => ({
+        name: `${remote.name} + ${local.name}`,
+        tracks: [...remote.tracks, "mock:track:1"],
+      }),
+    });
+    await this.editor.load();
+    this.editor.rename("Mine");
+    await saveElsewhere({ name: "Theirs", tracks: [tracks[3]] });
+
+    const saved = await this.editor.save();
+
+    expect(saved.name).toBe("Theirs + Mine");
+    expect(uris(saved.tracks)).toEqual(["mock:track:4", "mock:track:1"]);
+    expect(this.editor.dirty).toBe(false);
+  });
+
+  test("discards the staged changes", async () => {
+    this.editor.remove(0);
+    const remote = await saveElsewhere({ name: "Theirs" });
+    await flushPromises();
+
+    this.editor.discard();
+
+    expect(this.editor.dirty).toBe(false);
+    expect(this.editor.playlist).toEqual(remote);
+    expect(this.editor.conflict).toBeNull();
+    expect(uris(this.editor.tracks)).toEqual(uris(tracks.slice(0, 3)));
+  });
+
+  test("rebases the staged changes when loading again", async () => {
+    this.editor.rename("Mine").append(["mock:track:4"]);
+    await saveElsewhere({ tracks: [tracks[2]] });
+
+    await this.editor.load();
+
+    expect(this.editor.conflict).toBeNull();
+    expect(this.editor.name).toBe("Mine");
+    expect(uris(this.editor.tracks)).toEqual(["mock:track:3", "mock:track:4"]);
+  });
+
+  test("rejects if the playlist doesn't exist", async () => {
+    this.editor.rename("Mine");
+    this.server.mockResult("core.playlists.lookup", null);
+
+    await expect(this.editor.save()).rejects.toThrow(
+      "Playlist mock:playlist:mix no longer exists"
+    );
+    await expect(
+      new PlaylistEditor(this.mopidy, "mock:playlist:unknown").load()
+    ).rejects.toThrow("Playlist not found: mock:playlist:unknown");
+  });
+
+  test("works with camelCase keys and models", async () => {
+    const mopidy = new Mopidy({
+      transport: this.server.createTransport,
+      caseConversion: "camel",
+      hydrateModels: true,
+      console: { warn: jest.fn() },
+    });
+    await new Promise((resolve) => mopidy.once("state:online", resolve));
+    const editor = new PlaylistEditor(mopidy, uri);
+    await editor.load();
+
+    editor.append(["mock:track:4"]).rename("Mine");
+    const saved = await editor.save();
+
+    expect(saved).toBeInstanceOf(Mopidy.models.Playlist);
+    expect(saved.lastModified).toBeGreaterThan(0);
+    expect(editor.tracks[3]).toBeInstanceOf(Mopidy.models.Track);
+    expect(uris(saved.tracks)).toEqual(uris(tracks));
+    expect(Object.keys(saveRequests()[0].params.playlist)).toContain(
+      "last_modified"
+    );
+    editor.destroy();
+    mopidy.close();
+  });
+
+  test("throws on invalid arguments", () => {
+    expect(() => new PlaylistEditor(this.mopidy, "")).toThrow(
+      "Expected uri to be a non-empty string."
+    );
+    expect(
+      () => new PlaylistEditor(this.mopidy, uri, { maxRetries: -1 })
+    ).toThrow("Expected maxRetries to be at least 0.");
+    expect(() => new PlaylistEditor(this.mopidy, uri).append([])).toThrow(
+      "Call load() before editing the playlist."
+    );
+    expect(() => this.editor.append("mock:track:4")).toThrow(
+      "Expected tracks to be an array."
+    );
+    expect(() => this.editor.insert(4, [])).toThrow(
+      "Expected position to be between 0 and 3."
+    );
+    expect(() => this.editor.remove(3)).toThrow(
+      "Expected end to be between 0 and 3."
+    );
+    expect(() => this.editor.move(0, 2, 2)).toThrow(
+      "Expected toPosition to be between 0 and 1."
+    );
+    expect(() => this.editor.rename("")).toThrow(
+      "Expected name to be a non-empty string."
+    );
+  });
+});
@@ -0,0 +1,204 @@
+/* eslint-env jest */
+
+const Mopidy = require("../src/mopidy");
+const MockMopidyServer = require("../src/mock-server");
+const MopidyPool = require("../src/pool");
+
+const tracks = [{ uri: "mock:track:1", name: "Waterloo", length: 170000 }];
+
+const online = (pool, name) =>
+  new Promise((resolve) =>
+    pool.get(name).once("state:online", () => resolve())
+  );
+
+beforeEach(async () => {
+  this.kitchen = new MockMopidyServer({ tracks });
+  this.livingRoom = new MockMopidyServer({ tracks });
+  this.pool = new MopidyPool(
+    {
+      kitchen: { transport: this.kitchen.createTransport },
+      livingRoom: { transport: this.livingRoom.createTransport },
+    },
+    { console: { warn: jest.fn() } }
+  );
+  await Promise.all([
+    online(this.pool, "kitchen"),
+    online(this.pool, "livingRoom"),
+  ]);
+});
+
+afterEach(() => {
+  this.pool.close();
+});
+
+describe("MopidyPool", () => {
+  test("creates a Mopidy instance per server", () => {
+    expect(this.pool.names()).toEqual(["kitchen", "livingRoom"]);
+    expect(this.pool.get("kitchen")).toBeInstanceOf(Mopidy);
+    expect(this.pool.get("kitchen")).not.toBe(this.pool.get("livingRoom"));
+    expect(this.pool.get("bathroom")).toBeUndefined();
+  });
+
+  test("merges the server settings with the pool settings", () => {
+    const mopidy = this.pool.get("kitchen");
+
+    expect(mopidy._settings.transport).toBe(this.kitchen.createTransport);
+    expect(jest.isMockFunction(mopidy._console.warn)).toBe(true);
+  });
+
+  test("accepts existing Mopidy instances", () => {
+    const mopidy = new Mopidy({ autoConnect: false });
+
+    expect(this.pool.add("bathroom", mopidy)).toBe(mopidy);
+    expect(this.pool.get("bathroom")).toBe(mopidy);
+  });
+
+  test("throws when adding a server twice", () => {
+    expect(() => this.pool.add("kitchen", {})).toThrow(
+      'Server "kitchen" is already in the pool'
+    );
+  });
+
+  test("tracks which servers are online", () => {
+    expect(this.pool.isOnline("kitchen")).toBe(true);
+    expect(this.pool.isOnline("bathroom")).toBe(false);
+
+    this.kitchen.disconnect();
+
+    expect(this.pool.isOnline("kitchen")).toBe(false);
+    expect(this.pool.isOnline("livingRoom")).toBe(true);
+  });
+
+  test("knows that an instance added while online is online", async () => {
+    const bathroom = new MockMopidyServer({ tracks });
+    const mopidy = new Mopidy({
+      transport: bathroom.createTransport,
+      console: { warn: jest.fn() },
+    });
+    await new Promise((resolve) => mopidy.once("state:online", resolve));
+
+    this.pool.add("bathroom", mopidy);
+
+    expect(this.pool.isOnline("bathroom")).toBe(true);
+  });
+
+  test("forwards state changes tagged with the server", () => {
+    const states = [];
+    const offline = jest.fn();
+    this.pool.on("state", (name, state) => states.push([name, state]));
+    this.pool.on("state:offline", offline);
+
+    this.livingRoom.disconnect();
+
+    expect(states).toEqual([["livingRoom", "state:offline"]]);
+    expect(offline).toBeCalledWith("livingRoom", undefined);
+  });
+
+  test("forwards Mopidy events tagged with the server", async () => {
+    const events = [];
+    const volumeChanged = jest.fn();
+    this.pool.on("event", (name, eventName) => events.push([name, eventName]));
+    this.pool.on("event:volumeChanged", volumeChanged);
+
+    await this.pool.get("kitchen").mixer.setVolume({ volume: 30 });
+    await new Promise((resolve) => setImmediate(resolve));
+
+    expect(events).toEqual([["kitchen", "event:volumeChanged"]]);
+    expect(volumeChanged).toBeCalledWith("kitchen", { volume: 30 });
+  });
+
+  test("uses a separate request ID sequence for each server", async () => {
+    await this.pool.get("kitchen").getVersion();
+    await this.pool.get("kitchen").getVersion();
+    await this.pool.get("livingRoom").getVersion();
+
+    expect(this.kitchen.requests.map(({ id }) => id)).toEqual([0, 1, 2]);
+    expect(this.livingRoom.requests.map(({ id }) => id)).toEqual([0, 1]);
+  });
+
+  test("broadcasts calls to all servers", async () => {
+    await this.pool.broadcast((mopidy) =>
+      mopidy.tracklist.add({ uris: ["mock:track:1"] })
+    );
+
+    const outcomes = await this.pool.broadcast((mopidy) =>
+      mopidy.playback.play()
+    );
+
+    expect(outcomes).toEqual({
+      kitchen: { result: null },
+      livingRoom: { result: null },
+    });
+    expect(await this.pool.get("kitchen").playback.getState()).toBe("playing");
+    expect(await this.pool.get("livingRoom").playback.getState()).toBe(
+      "playing"
+    );
+  });
+
+  test("broadcasts calls to the named servers", async () => {
+    const call = jest.fn(() => "done");
+
+    const outcomes = await this.pool.broadcast(call, ["livingRoom"]);
+
+    expect(outcomes).toEqual({ livingRoom: { result: "done" } });
+    expect(call).toBeCalledWith(this.pool.get("livingRoom"), "livingRoom");
+  });
+
+  test("reports failures per server when broadcasting", async () => {
+    this.kitchen.mockError("core.playback.pause", {
+      code: 0,
+      message: "Application error",
+    });
+
+    const outcomes = await this.pool.broadcast((mopidy) =>
+      mopidy.playback.pause()
+    );
+
+    expect(outcomes.kitchen.error).toBeInstanceOf(Mopidy.ServerError);
+    expect(outcomes.livingRoom).toEqual({ result: null });
+  });
+
+  test("catches errors thrown by the broadcast function", async () => {
+    const outcomes = await this.pool.broadcast((mopidy, name) => {
+      if (name === "kitchen") {
+        throw new Error("Oops");
+      }
+      return name;
+    });
+
+    expect(outcomes.kitchen.error.message).toBe("Oops");
+    expect(outcomes.livingRoom).toEqual({ result: "livingRoom" });
+  });
+
+  test("rejects broadcasts to unknown servers", async () => {
+    await expect(
+      this.pool.broadcast(jest.fn(), ["kitchen", "bathroom"])
+    ).rejects.toThrow('Server "bathroom" is not in the pool');
+  });
+
+  test("removes servers and closes their connections", () => {
+    const mopidy = this.pool.get("kitchen");
+    const closeSpy = jest.spyOn(mopidy, "close");
+    const states = jest.fn();
+    this.pool.on("state", states);
+
+    expect(this.pool.remove("kitchen")).toBe(true);
+    expect(this.pool.remove("kitchen")).toBe(false);
+
+    expect(closeSpy).toBeCalled();
+    expect(states).not.toBeCalled();
+    expect(this.pool.names()).toEqual(["livingRoom"]);
+    expect(this.pool.isOnline("kitchen")).toBe(false);
+  });
+
+  test("close() removes all servers", () => {
+    const closeSpies = this.pool
+      .names()
+      .map((name) => jest.spyOn(this.pool.get(name), "close"));
+
+    this.pool.close();
+
+    expect(this.pool.names()).toEqual([]);
+    closeSpies.forEach((spy) => expect(spy).toBeCalled());
+  });
+});
@@ -0,0 +1,213 @@
+/* eslint-env jest */
+
+const Mopidy = require("../src/mopidy");
+
+jest.useFakeTimers();
+
+const API_SPEC = {
+  "core.playback.get_state": { params: [] },
+  "core.playback.get_time_position": { params: [] },
+  "core.playback.get_current_track": { params: [] },
+};
+
+const track = { __model__: "Track", uri: "a:1", length: 180000 };
+const tlTrack = { __model__: "TlTrack", tlid: 1, track };
+
+beforeEach(() => {
+  this.time = 0;
+  this.advance = (ms) => {
+    this.time += ms;
+    jest.advanceTimersByTime(ms);
+  };
+  this.responses = {
+    "core.playback.get_state": "playing",
+    "core.playback.get_time_position": 30000,
+    "core.playback.get_current_track": track,
+  };
+  this.mopidy = new Mopidy({
+    autoConnect: false,
+    console: { warn: jest.fn() },
+  });
+  this.mopidy.close(); // Don't try to reconnect
+  this.mopidy._createApi(API_SPEC);
+  this.send = jest
+    .spyOn(this.mopidy, "_send")
+    .mockImplementation((messages) =>
+      Promise.resolve(
+        messages.map(({ method }) => ({ result: this.responses[method] }))
+      )
+    );
+  this.tracker = new Mopidy.PositionTracker(this.mopidy, {
+    interval: 1000,
+    resyncInterval: 10000,
+    now: () => this.time,
+  });
+  this.positions = [];
+  this.tracker.on("position", (position) => this.positions.push(position));
+});
+
+afterEach(() => {
+  this.tracker.destroy();
+});
+
+describe("PositionTracker", () => {
+  test("starts at zero", () => {
+    expect(this.tracker.getPosition()).toBe(0);
+  });
+
+  test("interpolates the position while playing", () => {
+    this.mopidy.emit("event:trackPlaybackStarted", { tl_track: tlTrack });
+
+    this.advance(2500);
+
+    expect(this.tracker.getPosition()).toBe(2500);
+  });
+
+  test("emits position updates at the configured interval", () => {
+    this.mopidy.emit("event:trackPlaybackStarted", { tl_track: tlTrack });
+
+    this.advance(1000);
+    this.advance(1000);
+    this.advance(1000);
+
+    expect(this.positions).toEqual([0, 1000, 2000, 3000]);
+  });
+
+  test("throttles position updates caused by events", () => {
+    this.mopidy.emit("event:trackPlaybackStarted", { tl_track: tlTrack });
+    this.mopidy.emit("event:seeked", { time_position: 10000 });
+    this.mopidy.emit("event:seeked", { time_position: 20000 });
+
+    expect(this.positions).toEqual([0]);
+
+    this.advance(1000);
+
+    expect(this.positions).toEqual([0, 21000]);
+  });
+
+  test("stops interpolating when paused", () => {
+    this.mopidy.emit("event:trackPlaybackStarted", { tl_track: tlTrack });
+    this.advance(1000);
+
+    this.mopidy.emit("event:trackPlaybackPaused", {
+      tl_track: tlTrack,
+      time_position: 1200,
+    });
+    this.advance(5000);
+
+    expect(this.tracker.getPosition()).toBe(1200);
+    expect(jest.getTimerCount()).toBe(0);
+  });
+
+  test("continues interpolating from the resume position", () => {
+    this.mopidy.emit("event:trackPlaybackResumed", {
+      tl_track: tlTrack,
+      time_position: 5000,
+    });
+
+    this.advance(1000);
+
+    expect(this.tracker.getPosition()).toBe(6000);
+  });
+
+  test("keeps the current position when the playback state changes", () => {
+    this.mopidy.emit("event:trackPlaybackStarted", { tl_track: tlTrack });
+    this.advance(3000);
+
+    this.mopidy.emit("event:playbackStateChanged", {
+      old_state: "playing",
+      new_state: "paused",
+    });
+    this.advance(3000);
+
+    expect(this.tracker.getPosition()).toBe(3000);
+  });
+
+  test("resets the position when stopped", () => {
+    this.mopidy.emit("event:trackPlaybackStarted", { tl_track: tlTrack });
+    this.advance(3000);
+
+    this.mopidy.emit("event:playbackStateChanged", {
+      old_state: "playing",
+      new_state: "stopped",
+    });
+
+    expect(this.tracker.getPosition()).toBe(0);
+  });
+
+  test("reads camelCased event data", () => {
+    this.mopidy.emit("event:trackPlaybackStarted", { tlTrack });
+    this.mopidy.emit("event:seeked", { timePosition: 170000 });
+
+    this.advance(20000);
+
+    expect(this.tracker.getPosition()).toBe(180000);
+  });
+
+  test("does not go beyond the track length", () => {
+    this.mopidy.emit("event:trackPlaybackStarted", { tl_track: tlTrack });
+
+    this.advance(200000);
+
+    expect(this.tracker.getPosition()).toBe(180000);
+  });
+
+  test("syncs with the server when online", () => {
+    const sync = jest.spyOn(this.tracker, "sync");
+
+    this.mopidy.emit("state:online");
+
+    expect(sync).toBeCalledTimes(1);
+  });
+
+  test("anchors on the position fetched from the server", async () => {
+    this.time = 1000;
+
+    const promise = this.tracker.sync();
+    this.time = 1100;
+    await promise;
+
+    expect(this.send).toBeCalledWith(
+      [
+        { method: "core.playback.get_state" },
+        { method: "core.playback.get_time_position" },
+        { method: "core.playback.get_current_track" },
+      ],
+      {}
+    );
+    // Compensates for half the round trip time
+    expect(this.tracker.getPosition()).toBe(30050);
+  });
+
+  test("resyncs periodically while playing", () => {
+    this.mopidy.emit("event:trackPlaybackStarted", { tl_track: tlTrack });
+    const sync = jest.spyOn(this.tracker, "sync");
+
+    this.advance(10000);
+
+    expect(sync).toBeCalledTimes(1);
+  });
+
+  test("logs failed syncs", async () => {
+    const error = new Mopidy.ConnectionError("WebSocket is closed");
+    this.send.mockImplementation(() => Promise.reject(error));
+
+    await this.tracker.sync();
+
+    expect(this.mopidy._console.warn).toBeCalledWith(
+      "Failed to sync time position:",
+      error
+    );
+  });
+
+  test("stops listening and ticking when destroyed", () => {
+    this.mopidy.emit("event:trackPlaybackStarted", { tl_track: tlTrack });
+
+    this.tracker.destroy();
+    this.advance(5000);
+
+    expect(this.positions).toEqual([0]);
+    expect(this.mopidy.listenerCount("event:seeked")).toBe(0);
+    expect(jest.getTimerCount()).toBe(0);
+  });
+});
@@ -0,0 +1,310 @@
+/* eslint-env jest */
+
+const Mopidy = require("../src/mopidy");
+const MockMopidyServer = require("../src/mock-server");
+const { SessionRecorder, SessionReplay } = require("../src/recorder");
+
+const tracks = [
+  { uri: "mock:track:1", name: "Dancing Queen", length: 230000 },
+  { uri: "mock:track:2", name: "Waterloo", length: 170000 },
+];
+
+const flushPromises = () => new Promise((resolve) => setImmediate(resolve));
+
+const online = (mopidy) =>
+  new Promise((resolve) => mopidy.once("state:online", resolve));
+
+async function recordSession() {
+  const server = new MockMopidyServer({ tracks });
+  const mopidy = new Mopidy({
+    transport: server.createTransport,
+    console: { warn: jest.fn() },
+  });
+  const recorder = new SessionRecorder(mopidy);
+  await online(mopidy);
+
+  await mopidy.tracklist.add({ uris: ["mock:track:1", "mock:track:2"] });
+  await mopidy.playback.play();
+  await flushPromises();
+  await mopidy.playback.getCurrentTrack();
+  mopidy.close();
+
+  recorder.destroy();
+  return JSON.parse(JSON.stringify(recorder));
+}
+
+function replaySession(recording) {
+  const replay = new SessionReplay(recording);
+  const mopidy = new Mopidy({
+    transport: replay.createTransport,
+    backoffDelayMin: 10,
+    console: { warn: jest.fn() },
+  });
+  const events = [];
+  mopidy.on("event", (name) => events.push(name));
+  return { replay, mopidy, events };
+}
+
+describe("SessionRecorder", () => {
+  test("records messages and state changes with timestamps", async () => {
+    let now = 1000;
+    const server = new MockMopidyServer();
+    const mopidy = new Mopidy({ transport: server.createTransport });
+    const recorder = new SessionRecorder(mopidy, { now: () => now });
+    await online(mopidy);
+    now = 1500;
+
+    await mopidy.getVersion();
+
+    const { version, startedAt, entries } = recorder.toJSON();
+    expect(version).toBe(1);
+    expect(startedAt).toBe("1970-01-01T00:00:01.000Z");
+    expect(entries.map(({ type }) => type)).toEqual([
+      "outgoing",
+      "incoming",
+      "state",
+      "outgoing",
+      "incoming",
+    ]);
+    expect(entries[2]).toEqual({
+      time: 0,
+      type: "state",
+      state: "state:online",
+    });
+    expect(entries[3]).toEqual({
+      time: 500,
+      type: "outgoing",
+      message: {
+        method: "core.get_version",
+        jsonrpc: "2.0",
+        id: expect.any(Number),
+      },
+    });
+    expect(entries[4]).toEqual({
+      time: 500,
+      type: "incoming",
+      message: { jsonrpc: "2.0", id: entries[3].message.id, result: "3.0.2" },
+    });
+
+    mopidy.close();
+  });
+
+  test("records lost connections", async () => {
+    const server = new MockMopidyServer();
+    const mopidy = new Mopidy({ transport: server.createTransport });
+    const recorder = new SessionRecorder(mopidy);
+    await online(mopidy);
+
+    server.disconnect();
+    mopidy.close();
+
+    expect(
+      recorder.entries.slice(2).map(({ time, ...entry }) => entry)
+    ).toEqual([
+      { type: "state", state: "state:online" },
+      { type: "state", state: "state:offline" },
+      { type: "close", code: 1006, reason: "", wasClean: false },
+    ]);
+  });
+
+  test("keeps invalid messages as they were received", () => {
+    const mopidy = new Mopidy({
+      autoConnect: false,
+      console: { warn: jest.fn() },
+    });
+    const recorder = new SessionRecorder(mopidy);
+
+    mopidy.emit("websocket:incomingMessage", { data: "not json" });
+
+    expect(recorder.entries).toEqual([
+      { time: expect.any(Number), type: "incoming", data: "not json" },
+    ]);
+  });
+
+  test("stops recording at maxEntries", () => {
+    const mopidy = new Mopidy({ autoConnect: false });
+    const recorder = new SessionRecorder(mopidy, { maxEntries: 2 });
+
+    mopidy.emit("state", "reconnecting");
+    mopidy.emit("state", "state:online");
+    mopidy.emit("state", "state:offline");
+
+    expect(recorder.entries.map(({ state }) => state)).toEqual([
+      "reconnecting",
+      "state:online",
+    ]);
+    expect(recorder.toJSON().truncated).toBe(true);
+    expect(() => new SessionRecorder(mopidy, { maxEntries: 0 })).toThrow(
+      "Expected maxEntries to be at least 1."
+    );
+  });
+
+  test("destroy() stops recording", () => {
+    const mopidy = new Mopidy({ autoConnect: false });
+    const recorder = new SessionRecorder(mopidy);
+
+    recorder.destroy();
+    mopidy.emit("state", "state:online");
+
+    expect(recorder.entries).toEqual([]);
+  });
+});
+
+describe("SessionReplay", () => {
+  test("replays the responses and events of a session", async () => {
+    const recording = await recordSession();
+    const { replay, mopidy, events } = replaySession(recording);
+    await online(mopidy);
+
+    const added = await mopidy.tracklist.add({
+      uris: ["mock:track:1", "mock:track:2"],
+    });
+    await mopidy.playback.play();
+    await flushPromises();
+    const track = await mopidy.playback.getCurrentTrack();
+
+    expect(added.map(({ tlid }) => tlid)).toEqual([1, 2]);
+    expect(track.name).toBe("Dancing Queen");
+    expect(events).toEqual([
+      "event:tracklistChanged",
+      "event:playbackStateChanged",
+      "event:trackPlaybackStarted",
+    ]);
+    expect(replay.unmatched).toEqual([]);
+
+    mopidy.close();
+  });
+
+  test("accepts recordings as JSON strings", async () => {
+    const recording = await recordSession();
+    const { mopidy } = replaySession(JSON.stringify(recording));
+    await online(mopidy);
+
+    expect(mopidy.playback.play).toBeInstanceOf(Function);
+
+    mopidy.close();
+  });
+
+  test("matches params regardless of key order", async () => {
+    const recording = {
+      version: 1,
+      entries: [
+        {
+          type: "outgoing",
+          message: {
+            jsonrpc: "2.0",
+            id: 7,
+            method: "core.describe",
+          },
+        },
+        {
+          type: "incoming",
+          message: {
+            jsonrpc: "2.0",
+            id: 7,
+            result: {
+              "core.library.search": {
+                params: [{ name: "query" }, { name: "exact" }],
+              },
+            },
+          },
+        },
+        {
+          type: "outgoing",
+          message: {
+            jsonrpc: "2.0",
+            id: 8,
+            method: "core.library.search",
+            params: { exact: true, query: { any: ["abba"] } },
+          },
+        },
+        {
+          type: "incoming",
+          message: { jsonrpc: "2.0", id: 8, result: [] },
+        },
+      ],
+    };
+    const { replay, mopidy } = replaySession(recording);
+    await online(mopidy);
+
+    const result = await mopidy.library.search({
+      query: { any: ["abba"] },
+      exact: true,
+    });
+
+    expect(result).toEqual([]);
+    expect(replay.unmatched).toEqual([]);
+
+    mopidy.close();
+  });
+
+  test("fails requests without a recorded response", async () => {
+    const recording = await recordSession();
+    const { replay, mopidy } = replaySession(recording);
+    await online(mopidy);
+
+    await expect(mopidy.playback.pause()).rejects.toThrow(
+      "No recorded response"
+    );
+    expect(replay.unmatched).toEqual([
+      { jsonrpc: "2.0", id: expect.any(Number), method: "core.playback.pause" },
+    ]);
+
+    mopidy.close();
+  });
+
+  test("uses each recorded response once", async () => {
+    const recording = await recordSession();
+    const { replay, mopidy } = replaySession(recording);
+    await online(mopidy);
+
+    await mopidy.playback.getCurrentTrack();
+    await expect(mopidy.playback.getCurrentTrack()).rejects.toThrow(
+      "No recorded response"
+    );
+    expect(replay.unmatched).toHaveLength(1);
+
+    mopidy.close();
+  });
+
+  test("drops the connection where it was lost", async () => {
+    const server = new MockMopidyServer();
+    const recordedMopidy = new Mopidy({
+      transport: server.createTransport,
+      backoffDelayMin: 10,
+    });
+    const recorder = new SessionRecorder(recordedMopidy);
+    await online(recordedMopidy);
+    server.disconnect();
+    await online(recordedMopidy);
+    await recordedMopidy.getVersion();
+    recordedMopidy.close();
+
+    const { replay, mopidy } = replaySession(recorder.toJSON());
+    const states = [];
+    mopidy.on("state", (state) => states.push(state));
+    await online(mopidy);
+    await online(mopidy);
+
+    expect(await mopidy.getVersion()).toBe("3.0.2");
+    expect(states).toEqual([
+      "state:online",
+      "state:offline",
+      "reconnectionPending",
+      "reconnecting",
+      "state:online",
+    ]);
+    expect(replay.unmatched).toEqual([]);
+
+    mopidy.close();
+  });
+
+  test("rejects unsupported recordings", () => {
+    expect(() => new SessionReplay({ version: 2, entries: [] })).toThrow(
+      "Unsupported session recording"
+    );
+    expect(() => new SessionReplay({})).toThrow(
+      "Unsupported session recording"
+    );
+  });
+});
@@ -0,0 +1,265 @@
+/* eslint-env jest */
+
+const Mopidy = require("../src/mopidy");
+const MockMopidyServer = require("../src/mock-server");
+
+const { SearchQuery, mergeSearchResults } = Mopidy;
+
+const abba = { __model__: "Artist", uri: "local:artist:abba", name: "ABBA" };
+const track = (uri, name, album = "Arrival", artists = [abba]) => ({
+  __model__: "Track",
+  uri,
+  name,
+  artists,
+  album: { __model__: "Album", uri: `${uri}:album`, name: album },
+});
+const searchResult = (uri, fields) => ({
+  __model__: "SearchResult",
+  uri,
+  tracks: [],
+  albums: [],
+  artists: [],
+  ...fields,
+});
+
+describe("SearchQuery", () => {
+  test("builds the params for library.search", () => {
+    const params = new SearchQuery()
+      .artist("ABBA")
+      .trackName("Waterloo", "SOS")
+      .where("album", "Waterloo")
+      .within("local:", "spotify:")
+      .exact()
+      .build();
+
+    expect(params).toEqual({
+      query: {
+        artist: ["ABBA"],
+        track_name: ["Waterloo", "SOS"],
+        album: ["Waterloo"],
+      },
+      uris: ["local:", "spotify:"],
+      exact: true,
+    });
+  });
+
+  test("leaves out uris and exact unless they are set", () => {
+    expect(new SearchQuery().any("abba").build()).toEqual({
+      query: { any: ["abba"] },
+    });
+  });
+
+  test("accepts camelCase field names", () => {
+    expect(new SearchQuery().where("trackNo", 3).build()).toEqual({
+      query: { track_no: ["3"] },
+    });
+  });
+
+  test("starts from an existing query", () => {
+    const query = new SearchQuery({ artist: ["ABBA"] }).artist("Queen");
+
+    expect(query.build().query).toEqual({ artist: ["ABBA", "Queen"] });
+    expect(query.isEmpty()).toBe(false);
+    expect(new SearchQuery().isEmpty()).toBe(true);
+  });
+
+  test("accepts single values instead of lists", () => {
+    const query = new SearchQuery({ artist: "ABBA", trackName: "SOS" });
+
+    expect(query.build().query).toEqual({
+      artist: ["ABBA"],
+      track_name: ["SOS"],
+    });
+  });
+
+  test("throws on unknown fields", () => {
+    expect(() => new SearchQuery().where("title", "SOS")).toThrow(
+      'Unknown search field "title".'
+    );
+    expect(() => new SearchQuery({ tracks: ["SOS"] })).toThrow(TypeError);
+  });
+
+  test("throws on invalid values", () => {
+    const query = new SearchQuery();
+
+    expect(() => query.artist("")).toThrow(
+      'Expected the values for "artist" to be non-empty strings.'
+    );
+    expect(() => query.artist(null)).toThrow(TypeError);
+    expect(() => query.trackNo(NaN)).toThrow(TypeError);
+    expect(query.isEmpty()).toBe(true);
+  });
+});
+
+describe("mergeSearchResults", () => {
+  test("merges the results from all backends", () => {
+    const merged = mergeSearchResults([
+      searchResult("local:search", {
+        tracks: [track("local:track:1", "SOS")],
+        artists: [abba],
+      }),
+      searchResult("spotify:search", {
+        tracks: [track("spotify:track:2", "Waterloo", "Waterloo")],
+        albums: [
+          { __model__: "Album", uri: "spotify:album:1", name: "Arrival" },
+        ],
+      }),
+      null,
+    ]);
+
+    expect(merged.tracks.map(({ uri }) => uri)).toEqual([
+      "local:track:1",
+      "spotify:track:2",
+    ]);
+    expect(merged.albums.map(({ uri }) => uri)).toEqual(["spotify:album:1"]);
+    expect(merged.artists).toEqual([abba]);
+    expect(merged.backends).toBeUndefined();
+  });
+
+  test("removes duplicates across backends", () => {
+    const merged = mergeSearchResults([
+      searchResult("local:search", {
+        tracks: [track("local:track:1", "SOS"), track("local:track:1", "SOS")],
+      }),
+      searchResult("spotify:search", {
+        tracks: [
+          track("spotify:track:1", "sos "),
+          track("spotify:track:2", "SOS", "Greatest Hits"),
+        ],
+        artists: [{ __model__: "Artist", uri: "spotify:abba", name: "Abba" }],
+      }),
+      searchResult("tunein:search", { artists: [abba] }),
+    ]);
+
+    expect(merged.tracks.map(({ uri }) => uri)).toEqual([
+      "local:track:1",
+      "spotify:track:2",
+    ]);
+    expect(merged.artists.map(({ uri }) => uri)).toEqual(["spotify:abba"]);
+  });
+
+  test("keeps duplicates across backends if dedupe is disabled", () => {
+    const merged = mergeSearchResults(
+      [
+        searchResult("local:search", { tracks: [track("local:1", "SOS")] }),
+        searchResult("spotify:search", { tracks: [track("spotify:1", "SOS")] }),
+      ],
+      { dedupe: false }
+    );
+
+    expect(merged.tracks).toHaveLength(2);
+  });
+
+  test("ranks the best matches for the query first", () => {
+    const merged = mergeSearchResults(
+      [
+        searchResult("local:search", {
+          tracks: [
+            track("local:1", "Waterloo Sunset"),
+            track("local:2", "The Day Before You Came (Waterloo Mix)"),
+          ],
+        }),
+        searchResult("spotify:search", {
+          tracks: [track("spotify:1", "Waterloo")],
+        }),
+      ],
+      { query: new SearchQuery().trackName("waterloo") }
+    );
+
+    expect(merged.tracks.map(({ uri }) => uri)).toEqual([
+      "spotify:1",
+      "local:1",
+      "local:2",
+    ]);
+  });
+
+  test("ignores accents and case when ranking", () => {
+    const merged = mergeSearchResults(
+      [
+        searchResult("local:search", {
+          artists: [
+            { uri: "local:1", name: "Beyoncé & Friends" },
+            { uri: "local:2", name: "Beyoncé" },
+          ],
+        }),
+      ],
+      { query: { any: ["BEYONCE"] } }
+    );
+
+    expect(merged.artists.map(({ uri }) => uri)).toEqual([
+      "local:2",
+      "local:1",
+    ]);
+  });
+
+  test("ranks by query values that aren't lists", () => {
+    const merged = mergeSearchResults(
+      [
+        searchResult("local:search", {
+          tracks: [
+            track("local:1", "Waterloo Sunset"),
+            track("local:2", "SOS"),
+          ],
+        }),
+      ],
+      { query: { track_name: "sos" } }
+    );
+
+    expect(merged.tracks.map(({ uri }) => uri)).toEqual(["local:2", "local:1"]);
+  });
+
+  test("prefers the given backends", () => {
+    const merged = mergeSearchResults(
+      [
+        searchResult("local:search", { tracks: [track("local:1", "SOS")] }),
+        searchResult("spotify:search", { tracks: [track("spotify:1", "SOS")] }),
+      ],
+      { backends: ["spotify"] }
+    );
+
+    expect(merged.tracks.map(({ uri }) => uri)).toEqual(["spotify:1"]);
+  });
+
+  test("groups the results by backend", () => {
+    const merged = mergeSearchResults(
+      [
+        searchResult("local:search", { tracks: [track("local:1", "SOS")] }),
+        searchResult("spotify:search", { tracks: [track("spotify:1", "SOS")] }),
+      ],
+      { groupByBackend: true }
+    );
+
+    expect(merged.tracks).toHaveLength(1);
+    expect(merged.backends).toEqual({
+      local: { tracks: [track("local:1", "SOS")], albums: [], artists: [] },
+      spotify: { tracks: [track("spotify:1", "SOS")], albums: [], artists: [] },
+    });
+  });
+
+  test("merges the results of library.search", async () => {
+    const server = new MockMopidyServer({
+      tracks: [
+        { uri: "mock:track:1", name: "Waterloo" },
+        { uri: "mock:track:2", name: "Waterloo Sunset" },
+      ],
+    });
+    const mopidy = new Mopidy({
+      transport: server.createTransport,
+      caseConversion: "camel",
+      hydrateModels: true,
+      console: { warn: jest.fn() },
+    });
+    await new Promise((resolve) => mopidy.once("state:online", resolve));
+    const query = new SearchQuery().trackName("Waterloo");
+
+    const results = await mopidy.library.search(query.build());
+    const merged = mergeSearchResults(results, { query });
+    mopidy.close();
+
+    expect(merged.tracks.map(({ uri }) => uri)).toEqual([
+      "mock:track:1",
+      "mock:track:2",
+    ]);
+    expect(merged.tracks[0]).toBeInstanceOf(Mopidy.models.Track);
+  });
+});
@@ -0,0 +1,197 @@
+/* eslint-env jest */
+
+const Mopidy = require("../src/mopidy");
+const MockMopidyServer = require("../src/mock-server");
+
+const { TracklistMirror } = Mopidy;
+
+const tlTracks = (...tlids) => tlids.map((tlid) => ({ tlid }));
+
+// Applies a diff the way a list UI would: take out the removed and moved
+// items, then put in the added and moved items at their new indexes.
+function applyDiff(list, { added, removed, moved }) {
+  const result = [...list];
+  [...removed.map(({ index }) => index), ...moved.map(({ from }) => from)]
+    .sort((a, b) => b - a)
+    .forEach((index) => result.splice(index, 1));
+  [
+    ...added.map(({ index, tlTrack }) => ({ index, tlTrack })),
+    ...moved.map(({ to, tlTrack }) => ({ index: to, tlTrack })),
+  ]
+    .sort((a, b) => a.index - b.index)
+    .forEach(({ index, tlTrack }) => result.splice(index, 0, tlTrack));
+  return result;
+}
+
+const tracks = [1, 2, 3].map((n) => ({
+  uri: `mock:track:${n}`,
+  name: `Track ${n}`,
+}));
+
+const tracklistRequests = () =>
+  this.server.requests.filter(
+    ({ method }) => method === "core.tracklist.get_tl_tracks"
+  );
+
+const nextDiff = (mirror) =>
+  new Promise((resolve) => mirror.once("tracklist:diff", resolve));
+
+describe("TracklistMirror.diff", () => {
+  test("finds added and removed tracks", () => {
+    const diff = TracklistMirror.diff(tlTracks(1, 2, 3), tlTracks(1, 3, 4));
+
+    expect(diff).toEqual({
+      added: [{ tlid: 4, index: 2, tlTrack: { tlid: 4 } }],
+      removed: [{ tlid: 2, index: 1, tlTrack: { tlid: 2 } }],
+      moved: [],
+    });
+  });
+
+  test("moves as few tracks as possible", () => {
+    const diff = TracklistMirror.diff(
+      tlTracks(1, 2, 3, 4, 5),
+      tlTracks(5, 1, 2, 3, 4)
+    );
+
+    expect(diff.moved).toEqual([
+      { tlid: 5, from: 4, to: 0, tlTrack: { tlid: 5 } },
+    ]);
+    expect(diff.added).toEqual([]);
+    expect(diff.removed).toEqual([]);
+  });
+
+  test("finds no changes in equal tracklists", () => {
+    expect(TracklistMirror.diff(tlTracks(1, 2), tlTracks(1, 2))).toEqual({
+      added: [],
+      removed: [],
+      moved: [],
+    });
+    expect(TracklistMirror.diff([], [])).toEqual({
+      added: [],
+      removed: [],
+      moved: [],
+    });
+  });
+
+  test("produces diffs that turn the old tracklist into the new one", () => {
+    // Deterministic pseudo-random tracklists
+    let seed = 42;
+    const random = (n) => {
+      seed = (seed * 16807) % 2147483647;
+      return seed % n;
+    };
+    const shuffled = (list) => {
+      const result = [...list];
+      for (let i = result.length - 1; i > 0; i -= 1) {
+        const j = random(i + 1);
+        [result[i], result[j]] = [result[j], result[i]];
+      }
+      return result;
+    };
+
+    for (let run = 0; run < 50; run += 1) {
+      const oldList = tlTracks(...shuffled([...Array(20).keys()]).slice(0, 15));
+      const newList = tlTracks(...shuffled([...Array(20).keys()]).slice(0, 15));
+
+      const diff = TracklistMirror.diff(oldList, newList);
+
+      expect(applyDiff(oldList, diff)).toEqual(newList);
+    }
+  });
+});
+
+describe("TracklistMirror", () => {
+  beforeEach(async () => {
+    this.server = new MockMopidyServer({ tracks });
+    this.mopidy = new Mopidy({
+      transport: this.server.createTransport,
+      console: { warn: jest.fn() },
+    });
+    this.mirror = new TracklistMirror(this.mopidy);
+    await new Promise((resolve) => this.mopidy.once("state:online", resolve));
+    await this.mirror.refresh();
+  });
+
+  afterEach(() => {
+    this.mirror.destroy();
+    this.mopidy.close();
+  });
+
+  test("emits a diff when tracks are added", async () => {
+    const diff = nextDiff(this.mirror);
+
+    await this.mopidy.tracklist.add({ uris: ["mock:track:1", "mock:track:2"] });
+
+    const { added, removed, moved, tlTracks: newTlTracks } = await diff;
+    expect(added.map(({ tlid, index }) => [tlid, index])).toEqual([
+      [1, 0],
+      [2, 1],
+    ]);
+    expect(removed).toEqual([]);
+    expect(moved).toEqual([]);
+    expect(newTlTracks).toBe(this.mirror.getTlTracks());
+    expect(this.mirror.getTlTracks().map(({ tlid }) => tlid)).toEqual([1, 2]);
+  });
+
+  test("emits a diff when tracks are moved and removed", async () => {
+    await this.mopidy.tracklist.add({ uris: tracks.map(({ uri }) => uri) });
+    await nextDiff(this.mirror);
+    const diff = nextDiff(this.mirror);
+
+    await this.mopidy.batch((b) => [
+      b.tracklist.move({ start: 2, end: 3, to_position: 0 }),
+      b.tracklist.remove({ criteria: { tlid: [2] } }),
+    ]);
+
+    const { moved, removed, previous } = await diff;
+    expect(moved.map(({ tlid, from, to }) => [tlid, from, to])).toEqual([
+      [3, 2, 0],
+    ]);
+    expect(removed.map(({ tlid, index }) => [tlid, index])).toEqual([[2, 1]]);
+    expect(previous.map(({ tlid }) => tlid)).toEqual([1, 2, 3]);
+  });
+
+  test("fetches the tracklist once for changes made while fetching", async () => {
+    const diffs = jest.fn();
+    this.mirror.on("tracklist:diff", diffs);
+    const before = tracklistRequests().length;
+
+    this.mirror.refresh();
+    this.mirror.refresh();
+    await this.mirror.refresh();
+
+    expect(tracklistRequests().length - before).toBe(2);
+    expect(diffs).not.toBeCalled();
+  });
+
+  test("fetches the tracklist when coming online", async () => {
+    this.server.disconnect();
+    const before = tracklistRequests().length;
+
+    this.mopidy.connect();
+    await new Promise((resolve) => this.mopidy.once("state:online", resolve));
+
+    expect(tracklistRequests().length - before).toBe(1);
+  });
+
+  test("logs failures to fetch the tracklist", async () => {
+    this.server.mockError("core.tracklist.get_tl_tracks");
+
+    await this.mirror.refresh();
+
+    expect(this.mopidy._console.warn).toBeCalledWith(
+      "Failed to update tracklist:",
+      expect.any(Mopidy.ServerError)
+    );
+  });
+
+  test("destroy() stops listening for changes", async () => {
+    this.mirror.destroy();
+    const before = tracklistRequests().length;
+
+    await this.mopidy.tracklist.add({ uris: ["mock:track:1"] });
+    await new Promise((resolve) => setImmediate(resolve));
+
+    expect(tracklistRequests().length).toBe(before);
+  });
+});
@@ -0,0 +1,167 @@
+/* eslint-env jest */
+
+const Mopidy = require("../src/mopidy");
+const MockMopidyServer = require("../src/mock-server");
+
+const { TracklistWindow } = Mopidy;
+
+const tracks = [...Array(25).keys()].map((n) => ({
+  uri: `mock:track:${n}`,
+  name: `Track ${n}`,
+}));
+
+const tlids = (tlTracks) => tlTracks.map(({ tlid }) => tlid);
+
+const requestsFor = (method) =>
+  this.server.requests.filter(
+    (request) => !Array.isArray(request) && request.method === method
+  );
+
+const nextChange = (tracklistWindow) =>
+  new Promise((resolve) => tracklistWindow.once("change", resolve));
+
+beforeEach(async () => {
+  this.server = new MockMopidyServer({ tracks });
+  this.mopidy = new Mopidy({
+    transport: this.server.createTransport,
+    console: { warn: jest.fn() },
+  });
+  await new Promise((resolve) => this.mopidy.once("state:online", resolve));
+  await this.mopidy.tracklist.add({ uris: tracks.map(({ uri }) => uri) });
+  this.window = new TracklistWindow(this.mopidy, { pageSize: 10, maxPages: 2 });
+});
+
+afterEach(() => {
+  this.window.destroy();
+  this.mopidy.close();
+});
+
+describe("TracklistWindow", () => {
+  test("fetches pages on demand", async () => {
+    const page = await this.window.getPage(1);
+
+    expect(tlids(page)).toEqual([11, 12, 13, 14, 15, 16, 17, 18, 19, 20]);
+    expect(requestsFor("core.tracklist.slice")[0].params).toEqual({
+      start: 10,
+      end: 20,
+    });
+  });
+
+  test("caches pages", async () => {
+    const [first, second] = await Promise.all([
+      this.window.getPage(0),
+      this.window.getPage(0),
+    ]);
+    const third = await this.window.getPage(0);
+
+    expect(first).toBe(second);
+    expect(first).toBe(third);
+    expect(requestsFor("core.tracklist.slice")).toHaveLength(1);
+    expect(this.window.getCached(3).tlid).toBe(4);
+    expect(this.window.getCached(13)).toBeUndefined();
+  });
+
+  test("only caches the given number of pages", async () => {
+    await this.window.getPage(0);
+    await this.window.getPage(1);
+    await this.window.getPage(0);
+    await this.window.getPage(2);
+
+    expect(this.window.getCached(0)).toBeDefined();
+    expect(this.window.getCached(10)).toBeUndefined();
+    expect(this.window.getCached(20)).toBeDefined();
+  });
+
+  test("gets ranges spanning several pages", async () => {
+    const tlTracks = await this.window.getRange(8, 12);
+
+    expect(tlids(tlTracks)).toEqual([9, 10, 11, 12]);
+    expect(requestsFor("core.tracklist.slice")).toHaveLength(2);
+    expect(await this.window.getRange(5, 5)).toEqual([]);
+    expect(tlids(await this.window.getRange(22, 40))).toEqual([23, 24, 25]);
+  });
+
+  test("gets the length of the tracklist", async () => {
+    expect(await this.window.getLength()).toBe(25);
+    expect(await this.window.getLength()).toBe(25);
+    expect(requestsFor("core.tracklist.get_length")).toHaveLength(1);
+  });
+
+  test("locates tracks by tlid", async () => {
+    expect(await this.window.locate(14)).toEqual({ index: 13, page: 1 });
+    expect(await this.window.locate(99)).toBeNull();
+  });
+
+  test("locates the current track", async () => {
+    expect(await this.window.locate()).toBeNull();
+
+    await this.mopidy.playback.play({ tlid: 23 });
+
+    expect(await this.window.locate()).toEqual({ index: 22, page: 2 });
+  });
+
+  test("refetches the cached pages when the tracklist changes", async () => {
+    const first = await this.window.getPage(0);
+    await this.window.getPage(2);
+    const change = nextChange(this.window);
+
+    await this.mopidy.tracklist.remove({ criteria: { tlid: [25] } });
+
+    expect(await change).toEqual({ length: 24, pages: [2] });
+    expect(this.window.getCached(0)).toBe(first[0]);
+    expect(tlids(await this.window.getPage(2))).toEqual([21, 22, 23, 24]);
+    expect(await this.window.getLength()).toBe(24);
+  });
+
+  test("drops pages past the end of the tracklist", async () => {
+    await this.window.getPage(2);
+    const change = nextChange(this.window);
+
+    await this.mopidy.tracklist.remove({
+      criteria: { tlid: [21, 22, 23, 24, 25] },
+    });
+
+    expect(await change).toEqual({ length: 20, pages: [2] });
+    expect(this.window.getCached(20)).toBeUndefined();
+  });
+
+  test("doesn't cache pages fetched before a change", async () => {
+    let release;
+    const released = new Promise((resolve) => {
+      release = resolve;
+    });
+    let calls = 0;
+    this.server.mockResult("core.tracklist.slice", ({ start, end }) => {
+      // The first response is delayed until after the change
+      const tlTracks = this.server._tracklist.tlTracks.slice(start, end);
+      calls += 1;
+      return calls === 1 ? released.then(() => tlTracks) : tlTracks;
+    });
+
+    const page = this.window.getPage(0);
+    await new Promise((resolve) => setImmediate(resolve));
+    await this.mopidy.tracklist.move({ start: 0, end: 1, to_position: 5 });
+    release();
+
+    expect(tlids(await page)).toEqual([2, 3, 4, 5, 6, 1, 7, 8, 9, 10]);
+    expect(calls).toBe(2);
+  });
+
+  test("refreshes the length when coming online", async () => {
+    this.server.disconnect();
+    const change = nextChange(this.window);
+
+    this.mopidy.connect();
+
+    expect(await change).toEqual({ length: 25, pages: [] });
+  });
+
+  test("throws on invalid options", () => {
+    expect(() => new TracklistWindow(this.mopidy, { pageSize: 0 })).toThrow(
+      "Expected pageSize to be at least 1."
+    );
+    expect(() => new TracklistWindow(this.mopidy, { maxPages: null })).toThrow(
+      "Expected maxPages to be at least 1."
+    );
+  });
+});